@@ -3,14 +3,22 @@ require("dotenv").config();
 
 const connectDB = require("./config/mongoose");
 const redisClient = require("./config/redis");
-// Import the BullMQ config to initialize the queue and worker.
-require("./config/bullmq");
+// Import the BullMQ config to initialize the queues.
+const { registerWorker } = require("./config/bullmq");
+const createOutreachProcessor = require("./jobs/outreach.job");
+const createFollowUpProcessor = require("./jobs/followUp.job");
+const createSendProcessor = require("./jobs/send.job");
+const createNudgeProcessor = require("./jobs/nudge.job");
+const createMeetingProcessor = require("./jobs/meeting.job");
 const WhatsAppService = require("./services/whatsApp.service");
 const LLMService = require("./services/llm.service");
 const UserService = require("./services/user.service");
 const QueryService = require("./services/query.service");
 const OutreachService = require("./services/outreach.service");
+const SendQueueService = require("./services/sendQueue.service");
 const ToolDeclarations = require("./config/tools");
+const { startServer } = require("./config/server");
+const { createTransport } = require("./transports");
 
 /**
  * Main function to initialize and run the application.
@@ -34,7 +42,16 @@ async function main() {
     queryService,
     llmService
   );
-  const whatsAppService = new WhatsAppService(outreachService);
+  // The transport is picked with MESSAGING_TRANSPORT (baileys, cloud or loopback).
+  const transport = createTransport();
+  // Outbound messages are paced through the send queue unless SEND_QUEUE_ENABLED=false.
+  const sendQueueService =
+    process.env.SEND_QUEUE_ENABLED === "false"
+      ? null
+      : new SendQueueService(redisClient);
+  const whatsAppService = new WhatsAppService(outreachService, transport, {
+    sendQueueService,
+  });
   // 2. Inject the whatsAppService into outreachService to enable direct sending
   outreachService.setWhatsAppService(whatsAppService);
   llmService.registerTools([
@@ -44,14 +61,80 @@ async function main() {
       // Pass the actual function from the outreachService instance
       execute: outreachService.handleEndOfSession.bind(outreachService),
     },
-    // To add another tool, call its static method: ToolDeclarations.scheduleFollowUp()
+    {
+      declaration: ToolDeclarations.scheduleFollowUp(),
+      execute: outreachService.scheduleFollowUp.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.saveProfileField(),
+      execute: outreachService.saveProfileField.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.requestDocument(),
+      execute: outreachService.requestDocument.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.escalateToHuman(),
+      execute: outreachService.escalateToHuman.bind(outreachService),
+    },
   ]);
+  // New queries are searched, vetted and reached out to in the background.
+  registerWorker(
+    "outreach-queue",
+    createOutreachProcessor({ queryService, outreachService })
+  );
+  // Follow-ups are sent through the live messaging service.
+  registerWorker(
+    "followup-queue",
+    createFollowUpProcessor({ userService, whatsAppService })
+  );
+
+  // Unanswered reach-outs are nudged, then expired.
+  registerWorker("nudge-queue", createNudgeProcessor({ outreachService }));
+  // Interviews get reminders before they start.
+  registerWorker("meeting-queue", createMeetingProcessor({ outreachService }));
+  if (sendQueueService) {
+    // One message at a time keeps each chat in order; the limiter caps the
+    // whole number's throughput to protect it from WhatsApp bans.
+    registerWorker(
+      "send-queue",
+      createSendProcessor({ whatsAppService, sendQueueService }),
+      {
+        concurrency: 1,
+        limiter: {
+          max: Number(process.env.SEND_RATE_PER_MINUTE || 20),
+          duration: 60 * 1000,
+        },
+      }
+    );
+  }
+
+  // 3. Expose the admin HTTP API on top of the same service instances.
+  // The bot keeps running without it if the port is taken or not allowed,
+  // unless the transport receives messages on it (the Cloud API webhook).
+  try {
+    await startServer({
+      userService,
+      queryService,
+      reachOutService: outreachService.reachOutService,
+      outreachService,
+      meetingService: outreachService.meetingService,
+      searchService: outreachService.searchService,
+      sendQueueService,
+      transport,
+    });
+  } catch (err) {
+    if (typeof transport.createWebhookRouter === "function") throw err;
+    console.error(
+      `❌ Admin API couldn't start (${err.code || err.message}); continuing without it. Check PORT.`
+    );
+  }
 
-  // 3. Start the WhatsApp service to connect and listen for messages.
+  // 4. Start the messaging service to connect and listen for messages.
   await whatsAppService.initialize();
 
-  console.log("✅ Application is running and connected to WhatsApp.");
-  console.log("🎧 Worker is listening for outreach jobs in the background.");
+  console.log("✅ Application is running and connected to the messaging transport.");
+  console.log("🎧 Workers are listening for outreach, follow-up, nudge, meeting and send jobs in the background.");
 }
 
 // Start the application and catch any critical errors.
@@ -1,34 +1,88 @@
 const { Queue, Worker } = require('bullmq');
-const redisClient = require('./redis'); // Use the same redis client
-const outreachJobProcessor = require('../jobs/outreach.job');
 
-// Create a new connection for BullMQ as it has specific requirements.
-// It's best practice to duplicate the client connection for subscribers.
+/**
+ * BullMQ manages its own ioredis connections (the app's `redis` client can't be
+ * shared), so hand it the same server as plain connection options.
+ * @returns {object} ioredis connection options.
+ */
+const connectionOptions = () => {
+    const url = new URL(process.env.REDIS_URL || 'redis://localhost:6379');
+    return {
+        host: url.hostname,
+        port: Number(url.port) || 6379,
+        username: url.username || undefined,
+        password: url.password ? decodeURIComponent(url.password) : undefined,
+        db: Number(url.pathname.slice(1)) || 0,
+        tls: url.protocol === 'rediss:' ? {} : undefined,
+        // Required by BullMQ workers for their blocking connections.
+        maxRetriesPerRequest: null
+    };
+};
+
 const queueConnection = {
-    connection: redisClient.duplicate()
+    connection: connectionOptions()
 };
 
 // 1. Create the Outreach Queue
 // This queue will hold jobs related to finding and vetting candidates for a new query.
+// Its worker ('jobs/outreach.job.js') is registered from app.js with the app's services.
 const outreachQueue = new Queue('outreach-queue', queueConnection);
 console.log('👑 BullMQ Outreach Queue created.');
 
+// 2. Create the Follow-up Queue
+// Holds delayed messages scheduled by the LLM (see the scheduleFollowUp tool).
+// Its worker needs the live messaging service, so it is registered from app.js.
+const followUpQueue = new Queue('followup-queue', queueConnection);
+console.log('👑 BullMQ Follow-up Queue created.');
 
-// 2. Create the Worker
-// The worker listens to the queue and processes jobs as they come in.
-// The actual logic for processing the job is in 'jobs/outreach.job.js'.
-const outreachWorker = new Worker('outreach-queue', outreachJobProcessor, queueConnection);
+// 3. Create the Send Queue
+// Every outbound WhatsApp message goes through here so it can be rate-limited
+// and spaced out (see services/sendQueue.service.js and jobs/send.job.js).
+const sendQueue = new Queue('send-queue', queueConnection);
+console.log('👑 BullMQ Send Queue created.');
 
-outreachWorker.on('completed', job => {
-  console.log(`✅ Job ${job.id} for query ${job.data.queryId} has completed!`);
-});
+// 4. Create the Nudge Queue
+// Holds delayed checks on reach-outs the target hasn't answered yet
+// (see OutreachService.nudgeReachOut). Its worker is registered from app.js.
+const nudgeQueue = new Queue('nudge-queue', queueConnection);
+console.log('👑 BullMQ Nudge Queue created.');
 
-outreachWorker.on('failed', (job, err) => {
-  console.log(`❌ Job ${job.id} for query ${job.data.queryId} has failed with ${err.message}`);
-});
+// 5. Create the Meeting Queue
+// Holds the delayed reminders of confirmed interviews and the expiry checks of
+// interviews being arranged (see OutreachService.remindMeeting and
+// OutreachService.expireMeeting). Its worker is registered from app.js.
+const meetingQueue = new Queue('meeting-queue', queueConnection);
+console.log('👑 BullMQ Meeting Queue created.');
+
+/**
+ * Starts a worker for a queue whose processor depends on services that only
+ * exist once the application is wired up (e.g. the messaging transport).
+ * @param {string} queueName - The queue to consume.
+ * @param {Function} processor - The job processor.
+ * @param {object} [options] - Extra BullMQ worker options (e.g. concurrency, limiter).
+ * @returns {Worker} The started worker.
+ */
+const registerWorker = (queueName, processor, options = {}) => {
+    const worker = new Worker(queueName, processor, { ...options, connection: connectionOptions() });
+    worker.on('completed', job => {
+        console.log(`✅ Job ${job.id} on ${queueName} has completed!`);
+    });
+    worker.on('progress', (job, progress) => {
+        console.log(`⏳ Job ${job.id} on ${queueName}: ${JSON.stringify(progress)}`);
+    });
+    worker.on('failed', (job, err) => {
+        console.log(`❌ Job ${job?.id} on ${queueName} has failed with ${err.message}`);
+    });
+    return worker;
+};
 
-// Export the queue so other services can add jobs to it.
+// Export the queues so other services can add jobs to them.
 module.exports = {
-    outreachQueue
+    outreachQueue,
+    followUpQueue,
+    sendQueue,
+    nudgeQueue,
+    meetingQueue,
+    registerWorker
 };
 
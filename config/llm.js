@@ -0,0 +1,96 @@
+const { isProvider } = require('../providers');
+
+/**
+ * The kinds of work the app asks an LLM to do. Each task is routed to its own
+ * provider and model so cheap tasks don't run on the most expensive model.
+ *  - chat: conversational replies (the Maya persona, tool calling)
+ *  - classifier: short structured decisions (document/portfolio checks, qualify/fail)
+ *  - summary: reach-out info write-ups
+ *  - nlp: turning a conversation into a candidate search query
+ *  - vision: reading the text off images when OCR_PROVIDER=llm (a multimodal model)
+ *  - embedding: vectors for semantic profile/query matching (an embedding model,
+ *    e.g. LLM_ROUTE_EMBEDDING="ollama:nomic-embed-text")
+ */
+const DEFAULT_ROUTES = {
+    chat: 'gemini-2.5-pro',
+    classifier: 'gemini-2.5-flash',
+    summary: 'gemini-2.5-flash',
+    nlp: 'gemini-2.5-pro',
+    vision: 'gemini-2.5-flash',
+    embedding: 'text-embedding-004',
+};
+
+// The models each provider's routes default to, so LLM_PROVIDER alone is enough
+// to switch. The fake provider replays (and records) with the models of the
+// provider it records from.
+const DEFAULT_MODELS = {
+    gemini: DEFAULT_ROUTES,
+    openai: {
+        chat: 'gpt-4o',
+        classifier: 'gpt-4o-mini',
+        summary: 'gpt-4o-mini',
+        nlp: 'gpt-4o',
+        vision: 'gpt-4o-mini',
+        embedding: 'text-embedding-3-small',
+    },
+    ollama: {
+        chat: 'llama3.1:8b',
+        classifier: 'llama3.1:8b',
+        summary: 'llama3.1:8b',
+        nlp: 'llama3.1:8b',
+        vision: 'llava',
+        embedding: 'nomic-embed-text',
+    },
+};
+
+/**
+ * Parses a route spec of the form "<provider>:<model>" or just "<model>".
+ * Model names may contain colons themselves (e.g. Ollama's "llama3.1:8b"), so
+ * the prefix only counts as a provider when it names one.
+ * @param {string} spec
+ * @param {string} defaultProvider - Used when the spec names no provider.
+ * @returns {{provider: string, model: string}}
+ */
+function parseRoute(spec, defaultProvider) {
+    const index = spec.indexOf(':');
+    if (index !== -1 && isProvider(spec.slice(0, index))) {
+        return { provider: spec.slice(0, index), model: spec.slice(index + 1) };
+    }
+    return { provider: defaultProvider, model: spec };
+}
+
+/**
+ * Builds the task → { provider, model } routing table from the environment.
+ * LLM_ROUTE_<TASK> (e.g. LLM_ROUTE_CLASSIFIER="ollama:llama3.1:8b") overrides a
+ * task; LLM_PROVIDER sets the provider for routes that don't name one, and
+ * the models of those routes (see DEFAULT_MODELS).
+ * @param {object} [env=process.env]
+ * @returns {Object<string, {provider: string, model: string}>}
+ */
+function loadRoutes(env = process.env) {
+    const defaultProvider = env.LLM_PROVIDER || 'gemini';
+    const models =
+        DEFAULT_MODELS[defaultProvider === 'fake' ? recordProvider(env) : defaultProvider] ||
+        DEFAULT_ROUTES;
+    const routes = {};
+    for (const task of Object.keys(DEFAULT_ROUTES)) {
+        const spec = env[`LLM_ROUTE_${task.toUpperCase()}`] || models[task];
+        routes[task] = parseRoute(spec, defaultProvider);
+    }
+    return routes;
+}
+
+/**
+ * The real provider the fake provider records from in record mode:
+ * LLM_FAKE_RECORD_FROM, else LLM_PROVIDER unless that is the fake itself,
+ * else Gemini.
+ * @param {object} [env=process.env]
+ * @returns {string}
+ */
+function recordProvider(env = process.env) {
+    if (env.LLM_FAKE_RECORD_FROM && env.LLM_FAKE_RECORD_FROM !== 'fake') return env.LLM_FAKE_RECORD_FROM;
+    if (env.LLM_PROVIDER && env.LLM_PROVIDER !== 'fake') return env.LLM_PROVIDER;
+    return 'gemini';
+}
+
+module.exports = { DEFAULT_ROUTES, DEFAULT_MODELS, parseRoute, loadRoutes, recordProvider };
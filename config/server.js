@@ -0,0 +1,74 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireAdminKey } = require("../middlewares/auth.middleware");
+const createAdminRouter = require("../routes/admin.routes");
+
+/**
+ * Builds the Express application that exposes the admin HTTP API.
+ * The services are the same instances the rest of the app uses, so the API
+ * never bypasses caches or business rules.
+ *
+ * If the messaging transport receives messages over HTTP (e.g. the Cloud API
+ * webhook) its router is mounted at /webhooks/whatsapp.
+ *
+ * @param {Object} services - { userService, queryService, reachOutService, outreachService, meetingService, searchService, sendQueueService, transport }
+ * @returns {express.Application}
+ */
+function createServer(services) {
+  const app = express();
+
+  // Mounted before the JSON parser: webhooks verify signatures on the raw body.
+  if (typeof services.transport?.createWebhookRouter === "function") {
+    app.use("/webhooks/whatsapp", services.transport.createWebhookRouter());
+  }
+
+  app.use(express.json());
+
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  app.use("/admin", requireAdminKey, createAdminRouter(services));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "Not found." });
+  });
+
+  // Express 5 forwards rejected promises from async handlers here.
+  app.use((err, req, res, next) => {
+    if (err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ error: `Invalid ${err.path}: ${err.value}` });
+    }
+    // Services flag client errors (e.g. a disallowed status change) with a 4xx status.
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("❌ Admin API error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  });
+
+  return app;
+}
+
+/**
+ * Starts the HTTP server on the given port.
+ * @param {Object} services - Passed through to createServer.
+ * @param {number|string} [port=process.env.PORT || 3000]
+ * @returns {Promise<import("http").Server>} Rejects if the port can't be
+ *   listened on (e.g. EADDRINUSE, EACCES).
+ */
+function startServer(services, port = process.env.PORT || 3000) {
+  const app = createServer(services);
+  return new Promise((resolve, reject) => {
+    // Express 5 also passes listen errors to this callback.
+    const server = app.listen(port, (err) => {
+      if (err) return reject(err);
+      server.off("error", reject);
+      console.log(`🌐 Admin API listening on port ${port}.`);
+      resolve(server);
+    });
+    server.once("error", reject);
+  });
+}
+
+module.exports = { createServer, startServer };
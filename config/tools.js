@@ -1,3 +1,5 @@
+const profileHelper = require("../helpers/profile.helpers");
+
 /**
  * A centralized library for defining the schemas (declarations) of all custom tools
  * that the AI can use. This keeps the main application logic clean and organized.
@@ -28,7 +30,7 @@ class ToolDeclarations {
           newUserType: {
             type: "STRING",
             description:
-              "The new type to be assigned to the user after this session, as determined by the conversation.",
+              "The role the user takes on when a new session starts ('candidate', 'freelancer', 'hr' or 'client'), or 'idol' when the session just ends.",
           },
         },
         required: ["userType", "newUserType"],
@@ -37,17 +39,116 @@ class ToolDeclarations {
   }
 
   /**
-   * To add a new tool in the future, simply create another static method here.
-   * For example:
-   *
-   * static scheduleFollowUp() {
-   * return {
-   * name: "scheduleFollowUp",
-   * description: "Schedules a follow-up meeting with a user.",
-   * ...and so on
-   * };
-   * }
+   * Returns the declaration for the 'scheduleFollowUp' tool.
+   * @returns {object} The tool's schema.
    */
+  static scheduleFollowUp() {
+    return {
+      name: "scheduleFollowUp",
+      description:
+        "Schedules a message to be sent to the user later, e.g. when they ask to be reminded or to continue the conversation at another time. Give either 'sendAt' or 'delayMinutes'.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          message: {
+            type: "STRING",
+            description: "The exact message to send to the user at that time.",
+          },
+          sendAt: {
+            type: "STRING",
+            description:
+              "When to send it, as an ISO 8601 date-time with timezone, for example '2025-03-14T10:00:00+05:30'.",
+          },
+          delayMinutes: {
+            type: "NUMBER",
+            description: "Alternatively, how many minutes from now to send it.",
+          },
+          reason: {
+            type: "STRING",
+            description: "Why the follow-up is needed, for the operators.",
+          },
+        },
+        required: ["message"],
+      },
+    };
+  }
+
+  /**
+   * Returns the declaration for the 'saveProfileField' tool.
+   * @returns {object} The tool's schema.
+   */
+  static saveProfileField() {
+    return {
+      name: "saveProfileField",
+      description:
+        "Saves one piece of structured profile information the user has just told you, so it can be used for future matches. Call it once per field.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          field: {
+            type: "STRING",
+            enum: profileHelper.FIELDS,
+            description: "The profile field to save.",
+          },
+          value: {
+            type: "STRING",
+            description:
+              "The value as the user stated it. Skills and locations may be comma-separated, skills optionally with a level ('React: expert'); CTC as stated ('12 LPA'); notice period as stated ('2 months'); workMode is remote, hybrid, onsite or any.",
+          },
+        },
+        required: ["field", "value"],
+      },
+    };
+  }
+
+  /**
+   * Returns the declaration for the 'requestDocument' tool.
+   * @returns {object} The tool's schema.
+   */
+  static requestDocument() {
+    return {
+      name: "requestDocument",
+      description:
+        "Records that you are asking the user for a document, so it is tracked until they send it. Ask for the document in your reply as well.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          documentType: {
+            type: "STRING",
+            enum: ["resume", "jd", "portfolio"],
+            description: "The document you need: resume, job description (jd) or portfolio.",
+          },
+          note: {
+            type: "STRING",
+            description: "Optional detail, e.g. 'latest resume with current CTC'.",
+          },
+        },
+        required: ["documentType"],
+      },
+    };
+  }
+
+  /**
+   * Returns the declaration for the 'escalateToHuman' tool.
+   * @returns {object} The tool's schema.
+   */
+  static escalateToHuman() {
+    return {
+      name: "escalateToHuman",
+      description:
+        "Hands the conversation over to a human operator. Use it when the user asks for a person, is upset, or needs something you cannot do. You will stop replying until the operator hands the chat back.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          reason: {
+            type: "STRING",
+            description: "A short summary of why a human is needed.",
+          },
+        },
+        required: ["reason"],
+      },
+    };
+  }
 }
 
 module.exports = ToolDeclarations;
@@ -0,0 +1,260 @@
+const profileHelper = require("./profile.helpers");
+
+const conversationHelper = {};
+
+/**
+ * What a user is to us. A user may hold several; each session runs in one
+ * of them. Kept across conversations; onboarding or a new session adds one.
+ */
+conversationHelper.ROLES = ["candidate", "freelancer", "hr", "client"];
+const TALENT_ROLES = profileHelper.PROFILE_ROLES;
+const HIRING_ROLES = ["hr", "client"];
+
+/**
+ * The conversation states, declared in one place:
+ * - from: the states a user may enter this one from.
+ * - guard: (user, role, context) => why the move isn't allowed, or null.
+ * - persona: (role, context) => the system prompt (and message type) the bot
+ *   talks with while the user is in this state.
+ * - onEndOfSession: the OutreachService method that wraps up the state when
+ *   the model calls the handleEndOfSession tool.
+ */
+const STATES = {
+  onboarding: {
+    from: [],
+    persona: () => "new",
+    onEndOfSession: "handleOnboarding",
+  },
+  "profile-building": {
+    from: ["onboarding", "idle"],
+    guard: (user, role) =>
+      TALENT_ROLES.includes(role) ? null : "only candidates and freelancers build a profile",
+    persona: (role) => role,
+    onEndOfSession: "handleProfileUpdate",
+  },
+  querying: {
+    from: ["onboarding", "idle"],
+    guard: (user, role) =>
+      HIRING_ROLES.includes(role) ? null : "only HR and clients post queries",
+    persona: (role) => role,
+    onEndOfSession: "handleQuery",
+  },
+  // Not from querying: a recruiter describing a role isn't interrupted with a pitch.
+  "in-reachout": {
+    from: ["onboarding", "profile-building", "idle"],
+    guard: (user, role, { reachOut }) =>
+      reachOut?.queryId?.author_type ? null : "a reach-out (with its query) is needed",
+    persona: (role, { reachOut }) =>
+      reachOut.queryId.author_type === "hr" ? "roc" : "rof",
+    onEndOfSession: "handleReachOutUser",
+  },
+  idle: {
+    from: ["profile-building", "querying", "in-reachout"],
+    persona: () => "idol",
+    onEndOfSession: "handleIdolUser",
+  },
+};
+conversationHelper.STATES = Object.keys(STATES);
+
+// How users saved before roles and states were split map onto them.
+const LEGACY_TYPES = {
+  new: { role: null, state: "onboarding" },
+  candidate: { role: "candidate", state: "profile-building" },
+  freelancer: { role: "freelancer", state: "profile-building" },
+  hr: { role: "hr", state: "querying" },
+  client: { role: "client", state: "querying" },
+  roc: { role: null, state: "in-reachout" },
+  rof: { role: null, state: "in-reachout" },
+  idol: { role: null, state: "idle" },
+};
+
+/**
+ * Reads the role and state of a user saved with only the old `type`.
+ * @param {string} type - A legacy user type ("idol", "roc"...).
+ * @returns {{role: string|null, state: string}}
+ */
+conversationHelper.fromLegacyType = function (type) {
+  return { ...(LEGACY_TYPES[type] || LEGACY_TYPES.new) };
+};
+
+/**
+ * The user's conversation state, also for users saved before states existed.
+ * @param {Object} user
+ * @returns {string}
+ */
+conversationHelper.stateOf = function (user) {
+  return user.state || conversationHelper.fromLegacyType(user.type).state;
+};
+
+/**
+ * The user's role, or null while we don't know it. Users saved before roles
+ * existed fall back to their type or the role in their profile.
+ * @param {Object} user
+ * @returns {string|null}
+ */
+conversationHelper.roleOf = function (user) {
+  if (user.role !== undefined) return user.role;
+  const { role } = conversationHelper.fromLegacyType(user.type);
+  if (role) return role;
+  return conversationHelper.ROLES.includes(user.profile?.userType)
+    ? user.profile.userType
+    : null;
+};
+
+/**
+ * Every role the user holds, also for users saved before roles were a set.
+ * @param {Object} user
+ * @returns {Array<string>}
+ */
+conversationHelper.rolesOf = function (user) {
+  if (user.roles?.length) return user.roles;
+  const role = conversationHelper.roleOf(user);
+  return role ? [role] : [];
+};
+
+/**
+ * Whether the user holds both a hiring and a talent role, so a new session
+ * has to start by asking which one it is about.
+ * @param {Object} user
+ * @returns {boolean}
+ */
+conversationHelper.hasMixedRoles = function (user) {
+  const roles = conversationHelper.rolesOf(user);
+  return (
+    roles.some((role) => HIRING_ROLES.includes(role)) &&
+    roles.some((role) => TALENT_ROLES.includes(role))
+  );
+};
+
+/**
+ * The role whose profile a profile update is about: the session's role when
+ * it has a profile, otherwise the only such role the user holds.
+ * @param {Object} user
+ * @returns {string|null} Null when there is none, or it's ambiguous.
+ */
+conversationHelper.talentRoleOf = function (user) {
+  const active = conversationHelper.roleOf(user);
+  if (TALENT_ROLES.includes(active)) return active;
+  const held = conversationHelper.rolesOf(user).filter((role) => TALENT_ROLES.includes(role));
+  return held.length === 1 ? held[0] : null;
+};
+
+/**
+ * Whether the user holds only hiring roles.
+ * @param {Object} user
+ * @returns {boolean}
+ */
+conversationHelper.isHiringOnly = function (user) {
+  const roles = conversationHelper.rolesOf(user);
+  return roles.length > 0 && roles.every((role) => HIRING_ROLES.includes(role));
+};
+
+/**
+ * The state a user with this role starts a session in.
+ * @param {string} role
+ * @returns {string|null} Null when the role isn't one of ROLES.
+ */
+conversationHelper.sessionStateFor = function (role) {
+  if (TALENT_ROLES.includes(role)) return "profile-building";
+  if (HIRING_ROLES.includes(role)) return "querying";
+  return null;
+};
+
+/**
+ * Tells why a user can't move to a state, if they can't.
+ * @param {Object} user
+ * @param {string} to - The target state.
+ * @param {Object} [context] - role (a new role to take on) and reachOut (for in-reachout).
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Skip the `from` check (admin corrections); guards still apply.
+ * @returns {string|null} The reason, or null when the move is allowed.
+ */
+conversationHelper.checkTransition = function (user, to, context = {}, { force = false } = {}) {
+  const target = STATES[to];
+  if (!target) return `unknown state "${to}"`;
+  const from = conversationHelper.stateOf(user);
+  if (!force && !target.from.includes(from)) return "not allowed from there";
+  if (context.role && !conversationHelper.ROLES.includes(context.role)) {
+    return `unknown role "${context.role}"`;
+  }
+  const role = context.role || conversationHelper.roleOf(user);
+  return target.guard ? target.guard(user, role, context) : null;
+};
+
+/**
+ * Builds the update that moves a user to a state. Call checkTransition first.
+ * @param {Object} user
+ * @param {string} to - The target state.
+ * @param {Object} [context] - As for checkTransition.
+ * @returns {Object} A MongoDB update.
+ */
+conversationHelper.buildTransition = function (user, to, context = {}) {
+  const role = context.role || conversationHelper.roleOf(user);
+  const update = {
+    state: to,
+    role,
+    type: STATES[to].persona(role, context),
+    currentReachout: to === "in-reachout" ? context.reachOut._id : null,
+    stateChangedAt: new Date(),
+  };
+  // Taking on a role adds it to the ones the user holds; none is dropped.
+  if (role) update.$addToSet = { roles: role };
+  return update;
+};
+
+/**
+ * Tells whether a user was saved before roles, states and per-role profiles.
+ * @param {Object} user
+ * @returns {boolean}
+ */
+conversationHelper.isLegacy = function (user) {
+  return !user.state || !Array.isArray(user.roles) || user.profile !== undefined;
+};
+
+/**
+ * Builds the update that brings a legacy user up to date: state and roles
+ * read from the old type, the single profile moved to its role.
+ * @param {Object} user
+ * @returns {Object} A MongoDB update.
+ */
+conversationHelper.legacyUpdate = function (user) {
+  const role = conversationHelper.roleOf(user);
+  const profileRole = TALENT_ROLES.includes(user.profile?.userType)
+    ? user.profile.userType
+    : TALENT_ROLES.includes(role)
+    ? role
+    : "candidate";
+  const update = {
+    state: conversationHelper.stateOf(user),
+    role,
+    roles: [...new Set([...conversationHelper.rolesOf(user), role].filter(Boolean))],
+  };
+  if (user.profile !== undefined) {
+    if (!profileHelper.isEmpty(user.profile)) {
+      update[`profiles.${profileRole}`] = { ...user.profile, userType: profileRole };
+      update.roles = [...new Set([...update.roles, profileRole])];
+    }
+    update.$unset = { profile: 1 };
+  }
+  return update;
+};
+
+/**
+ * Whether a held reach-out may start now, i.e. the user may enter in-reachout.
+ * @param {Object} user
+ * @returns {boolean}
+ */
+conversationHelper.isReachable = function (user) {
+  return STATES["in-reachout"].from.includes(conversationHelper.stateOf(user));
+};
+
+/**
+ * The OutreachService method that ends the user's current session.
+ * @param {Object} user
+ * @returns {string}
+ */
+conversationHelper.endOfSessionHandler = function (user) {
+  return STATES[conversationHelper.stateOf(user)].onEndOfSession;
+};
+
+module.exports = conversationHelper;
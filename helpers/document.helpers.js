@@ -0,0 +1,297 @@
+const { execFile } = require("child_process");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+const JSZip = require("jszip");
+
+const documentHelper = {};
+
+// The document types we can read, by extension, with the mime types they arrive as.
+const DOCUMENT_TYPES = {
+  pdf: ["application/pdf"],
+  docx: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  doc: ["application/msword"],
+  rtf: ["application/rtf", "text/rtf"],
+  odt: ["application/vnd.oasis.opendocument.text"],
+  pptx: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+  html: ["text/html", "application/xhtml+xml"],
+  md: ["text/markdown", "text/x-markdown"],
+  txt: ["text/plain", "text/csv"],
+};
+
+const EXTENSION_ALIASES = { htm: "html", markdown: "md", csv: "txt", text: "txt" };
+
+/**
+ * Works out the extension of a document from its mime type, or from its file
+ * name when the mime type is missing or generic (WhatsApp sends many files as
+ * application/octet-stream).
+ * @param {{mimetype?: string, fileName?: string}} document
+ * @returns {string|null} One of the readable types, another safe extension
+ *   taken from the file name, or null.
+ */
+documentHelper.extensionOf = function ({ mimetype, fileName } = {}) {
+  const mime = String(mimetype || "").split(";")[0].trim().toLowerCase();
+  const byMime = Object.keys(DOCUMENT_TYPES).find((ext) => DOCUMENT_TYPES[ext].includes(mime));
+  if (byMime) return byMime;
+  const fromName = path.extname(String(fileName || "")).slice(1).toLowerCase();
+  if (!/^[a-z0-9]{1,5}$/.test(fromName)) return null;
+  return EXTENSION_ALIASES[fromName] || fromName;
+};
+
+/**
+ * Whether extractPages can read documents with this extension.
+ * @param {string} extension
+ * @returns {boolean}
+ */
+documentHelper.isReadable = function (extension) {
+  return Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, extension);
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, "&");
+
+// Tidies whitespace while keeping paragraph breaks, which chunking splits on.
+const tidy = (text) =>
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Reads a PDF page by page (same text layout as pdf-parse's default renderer).
+ */
+const readPdf = async (buffer) => {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      // pdf-parse renders the pages one after the other, in order.
+      pages.push(text);
+      return text;
+    },
+  });
+  return pages;
+};
+
+const readDocx = async (buffer) => {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return [value || ""];
+};
+
+/**
+ * Legacy Word (.doc) is a binary format; it is converted by antiword
+ * (DOC_ANTIWORD_BIN), which must be installed on the host.
+ */
+const readDoc = async (buffer) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "doc-"));
+  const file = path.join(dir, "document.doc");
+  try {
+    await fs.writeFile(file, buffer);
+    const bin = process.env.DOC_ANTIWORD_BIN || "antiword";
+    const text = await new Promise((resolve, reject) => {
+      execFile(bin, ["-w", "0", file], { maxBuffer: 10 * 1024 * 1024 }, (err, stdout) => {
+        if (err && err.code === "ENOENT") {
+          reject(new Error(`${bin} is not installed; it is needed to read .doc files.`));
+        } else if (err) {
+          reject(err);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+    return String(text).split("\f");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Strips RTF control words and groups that hold no body text (font and color
+ * tables, metadata, pictures). `\page` starts a new page.
+ */
+const readRtf = async (buffer) => {
+  let rtf = buffer.toString("latin1");
+  // Drop destinations ({\*\...}, {\fonttbl...} and the like) with their nested groups.
+  const skipped = /^\{\\(\*|fonttbl|colortbl|stylesheet|info|pict|header|footer|listtable|listoverridetable)/;
+  let out = "";
+  for (let i = 0; i < rtf.length; i++) {
+    if (rtf[i] === "{" && skipped.test(rtf.slice(i, i + 24))) {
+      let depth = 0;
+      for (; i < rtf.length; i++) {
+        if (rtf[i] === "\\") i++;
+        else if (rtf[i] === "{") depth++;
+        else if (rtf[i] === "}" && --depth === 0) break;
+      }
+      continue;
+    }
+    out += rtf[i];
+  }
+  rtf = out
+    // Line breaks in the source mean nothing in RTF, beyond ending a control word.
+    .replace(/(\\[a-z]+-?\d*)\r?\n/gi, "$1 ")
+    .replace(/\r?\n/g, "")
+    .replace(/\\page\b ?/g, "\f")
+    .replace(/\\(par|line|row)\b ?/g, "\n")
+    .replace(/\\(tab|cell)\b ?/g, "\t")
+    .replace(/\\u(-?\d+)\??/g, (_, code) => String.fromCharCode((Number(code) + 65536) % 65536))
+    .replace(/\\'([0-9a-f]{2})/gi, (_, hex) => Buffer.from([parseInt(hex, 16)]).toString("latin1"))
+    .replace(/\\~/g, " ")
+    .replace(/\\[-_]/g, "")
+    .replace(/\\([{}\\])/g, "$1")
+    .replace(/\\[a-z]+-?\d* ?/gi, "")
+    .replace(/[{}]/g, "");
+  return rtf.split("\f");
+};
+
+// Text of an OpenDocument or OOXML fragment, one line per paragraph.
+const xmlText = (xml, paragraphTag) =>
+  decodeEntities(
+    xml
+      .split(`</${paragraphTag}>`)
+      .join("\n")
+      .replace(/<text:(tab|s)\b[^>]*\/>/g, " ")
+      .replace(/<text:line-break\/>|<a:br\/>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  );
+
+const readOdt = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const content = await zip.file("content.xml")?.async("string");
+  if (!content) return [];
+  const body = content.replace(/^[\s\S]*?<office:body>/, "").replace(/<\/office:body>[\s\S]*$/, "");
+  return body
+    .split(/<text:soft-page-break\/>/)
+    .map((page) => xmlText(page.replace(/<\/text:h>/g, "</text:p>"), "text:p"));
+};
+
+// Each slide is a page, in slide order.
+const readPptx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slides = Object.keys(zip.files)
+    .map((name) => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .sort((a, b) => a[1] - b[1]);
+  const pages = [];
+  for (const [name] of slides) {
+    const xml = await zip.file(name).async("string");
+    pages.push(xmlText(xml, "a:p"));
+  }
+  return pages;
+};
+
+const readHtml = async (buffer) => {
+  const html = buffer.toString("utf8");
+  const text = html
+    .replace(/<(script|style|head|noscript)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|div|li|tr|h[1-6]|section|article|ul|ol|table|header|footer)>/gi, "\n\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "");
+  return [decodeEntities(text)];
+};
+
+// Markdown keeps its text; only the markup that would read as noise goes.
+const readMarkdown = async (buffer) => {
+  const text = buffer
+    .toString("utf8")
+    .replace(/^```.*$/gm, "")
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^[ \t]*(-{3,}|\*{3,}|_{3,})[ \t]*$/gm, "")
+    .replace(/^[ \t]*[-*+][ \t]+/gm, "• ");
+  return text.split("\f");
+};
+
+const readText = async (buffer) => buffer.toString("utf8").split("\f");
+
+const READERS = {
+  pdf: readPdf,
+  docx: readDocx,
+  doc: readDoc,
+  rtf: readRtf,
+  odt: readOdt,
+  pptx: readPptx,
+  html: readHtml,
+  md: readMarkdown,
+  txt: readText,
+};
+
+/**
+ * Extracts the text of a document page by page. Formats without pages (DOCX,
+ * HTML) come back as one page.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} extension - See documentHelper.extensionOf.
+ * @returns {Promise<Array<string>>} The non-empty pages, whitespace tidied.
+ * @throws {Error} When the format isn't readable or the file is broken.
+ */
+documentHelper.extractPages = async function (buffer, extension) {
+  const read = READERS[extension];
+  if (!read) throw new Error(`Can't read .${extension || "?"} documents.`);
+  const pages = await read(buffer);
+  return pages.map(tidy).filter(Boolean);
+};
+
+/**
+ * Splits a document into chunks of at most charLimit characters. Whole pages
+ * are packed together while they fit; a longer page is split between
+ * paragraphs, then between lines, so a chunk ends mid-line only when a single
+ * line is longer than the limit.
+ * @param {Array<string>} pages
+ * @param {number} charLimit
+ * @returns {Array<string>}
+ */
+documentHelper.chunkPages = function (pages, charLimit) {
+  const split = (text, separators) => {
+    if (text.length <= charLimit) return [text];
+    const [separator, ...rest] = separators;
+    if (!separator) {
+      const pieces = [];
+      for (let i = 0; i < text.length; i += charLimit) pieces.push(text.slice(i, i + charLimit));
+      return pieces;
+    }
+    return text.split(separator).flatMap((part) => split(part, rest));
+  };
+
+  const chunks = [];
+  let current = "";
+  for (const page of pages) {
+    for (const piece of split(page, ["\n\n", "\n"])) {
+      const next = current ? `${current}\n\n${piece}` : piece;
+      if (next.length <= charLimit) {
+        current = next;
+      } else {
+        if (current) chunks.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+module.exports = documentHelper;
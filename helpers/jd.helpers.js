@@ -0,0 +1,142 @@
+const profileHelper = require("./profile.helpers");
+const searchHelper = require("./search.helpers");
+
+const jdHelper = {};
+
+const EMPLOYMENT_TYPES = ["full-time", "contract", "freelance", "internship"];
+
+/**
+ * Parses an employment type ("Full Time", "6-month contract", "gig").
+ * @param {string} value
+ * @returns {string|null}
+ */
+const parseEmploymentType = (value) => {
+  const text = String(value || "").toLowerCase();
+  if (/intern/.test(text)) return "internship";
+  if (/freelanc|gig|project/.test(text)) return "freelance";
+  if (/contract|consult/.test(text)) return "contract";
+  if (/full|permanent/.test(text)) return "full-time";
+  return EMPLOYMENT_TYPES.includes(text) ? text : null;
+};
+
+/**
+ * Turns the requirements a model read from a JD into the shape of jdSchema.
+ * Unknown keys and values that can't be read are dropped.
+ * @param {Object} raw - role, employmentType, skills, minExperience, maxExperience,
+ *   minCtc, maxCtc ("18 LPA"...), locations, workMode, summary.
+ * @returns {Object}
+ */
+jdHelper.normalizeJd = function (raw = {}) {
+  const jd = {};
+  const role = String(raw.role || "").trim();
+  if (role) jd.role = role;
+  const employmentType = parseEmploymentType(raw.employmentType);
+  if (employmentType) jd.employmentType = employmentType;
+  const skills = profileHelper.parseSkills(raw.skills || []).map((s) => s.name);
+  if (skills.length) jd.skills = skills;
+  for (const key of ["minExperience", "maxExperience"]) {
+    if (raw[key] === null || raw[key] === undefined || raw[key] === "") continue;
+    const years = profileHelper.parseYears(raw[key]);
+    if (years !== null) jd[key] = years;
+  }
+  for (const key of ["minCtc", "maxCtc"]) {
+    if (raw[key] === null || raw[key] === undefined || raw[key] === "") continue;
+    const ctc = profileHelper.parseCtc(raw[key]);
+    if (ctc !== null) jd[key] = ctc;
+  }
+  const locations = profileHelper.parseList(raw.locations || []);
+  if (locations.length) jd.locations = locations;
+  const workMode = profileHelper.parseWorkMode(raw.workMode);
+  if (workMode && workMode !== "any") jd.workMode = workMode;
+  const summary = String(raw.summary || "").trim();
+  if (summary) jd.summary = summary;
+  return jd;
+};
+
+/**
+ * Formats a range ("3-5 years", "3+ years", "up to 5 years").
+ * @returns {string|null}
+ */
+const formatRange = (min, max, format) => {
+  if (min != null && max != null) {
+    return min === max ? format(min) : `${format(min)} – ${format(max)}`;
+  }
+  if (min != null) return `${format(min)}+`;
+  if (max != null) return `up to ${format(max)}`;
+  return null;
+};
+
+/**
+ * Renders a JD as short plain text, one requirement per line, for the
+ * recruiter's confirmation and for prompts.
+ * @param {Object} jd
+ * @returns {string}
+ */
+jdHelper.formatJd = function (jd = {}) {
+  const lines = [];
+  if (jd.role) {
+    lines.push(`Role: ${jd.role}${jd.employmentType ? ` (${jd.employmentType})` : ""}`);
+  } else if (jd.employmentType) {
+    lines.push(`Employment: ${jd.employmentType}`);
+  }
+  if (jd.skills?.length) lines.push(`Skills: ${jd.skills.join(", ")}`);
+  const experience = formatRange(jd.minExperience, jd.maxExperience, (years) => `${years}`);
+  if (experience) lines.push(`Experience: ${experience} years`);
+  const ctc = formatRange(jd.minCtc, jd.maxCtc, profileHelper.formatCtc);
+  if (ctc) lines.push(`CTC: ${ctc}`);
+  if (jd.locations?.length) lines.push(`Location: ${jd.locations.join(", ")}`);
+  if (jd.workMode) lines.push(`Work mode: ${jd.workMode}`);
+  if (jd.summary) lines.push(`About: ${jd.summary}`);
+  return lines.join("\n") || "No requirements could be read.";
+};
+
+/**
+ * A one-line description of the JD, used as the query's text wherever a
+ * query is named ("Shortlist for ...").
+ * @param {Object} jd
+ * @returns {string}
+ */
+jdHelper.toQueryText = function (jd = {}) {
+  const experience = formatRange(jd.minExperience, jd.maxExperience, (years) => `${years}`);
+  const ctc = formatRange(jd.minCtc, jd.maxCtc, profileHelper.formatCtc);
+  const details = [
+    (jd.skills || []).slice(0, 5).join(", "),
+    experience && `${experience} yrs`,
+    ctc,
+    (jd.locations || []).join("/"),
+    jd.workMode,
+  ].filter(Boolean);
+  const role = jd.role || "Open role";
+  return details.length ? `${role}: ${details.join(", ")}` : role;
+};
+
+/**
+ * Builds the search filters of a query from its JD (see
+ * SearchService.searchCandidates), so no model has to guess them.
+ * @param {Object} jd
+ * @returns {Object}
+ */
+jdHelper.toFilters = function (jd = {}) {
+  return searchHelper.normalizeFilters({
+    query: [jd.role, ...(jd.skills || [])].filter(Boolean).join(" "),
+    userType: jd.employmentType === "freelance" ? "freelancer" : "candidate",
+    locations: jd.locations,
+    minExperience: jd.minExperience,
+    maxExperience: jd.maxExperience,
+    minCtc: jd.minCtc,
+    maxCtc: jd.maxCtc,
+    workMode: jd.workMode,
+  });
+};
+
+/**
+ * What a query asks for, for prompts: the structured JD when there is one,
+ * otherwise the query text.
+ * @param {Object} query - The query document.
+ * @returns {string}
+ */
+jdHelper.describeQuery = function (query) {
+  return query?.jd ? jdHelper.formatJd(query.jd) : query?.query || "";
+};
+
+module.exports = jdHelper;
@@ -0,0 +1,149 @@
+const llmHelper = {};
+
+/**
+ * Converts a Gemini function-declaration schema (types in upper case, e.g.
+ * "OBJECT", "STRING") into standard JSON Schema as used by OpenAI-compatible
+ * APIs and Ollama.
+ * @param {object} schema - A Gemini `parameters` schema.
+ * @returns {object} The equivalent JSON Schema.
+ */
+llmHelper.toJsonSchema = function (schema) {
+  if (!schema || typeof schema !== "object") return schema;
+  if (Array.isArray(schema)) return schema.map(llmHelper.toJsonSchema);
+
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type" && typeof value === "string") {
+      out.type = value.toLowerCase();
+    } else if (key === "properties") {
+      out.properties = {};
+      for (const [prop, propSchema] of Object.entries(value || {})) {
+        out.properties[prop] = llmHelper.toJsonSchema(propSchema);
+      }
+    } else if (key === "items") {
+      out.items = llmHelper.toJsonSchema(value);
+    } else if (key === "nullable") {
+      // JSON Schema has no `nullable`; it is expressed with a type union below.
+      continue;
+    } else {
+      out[key] = value;
+    }
+  }
+  if (schema.nullable && out.type) out.type = [out.type, "null"];
+  return out;
+};
+
+/**
+ * Collects the function declarations from Gemini-style tools. `tools` may be a
+ * single `{ functionDeclarations }` object or an array of tool objects; Gemini's
+ * built-in tools (googleSearch, urlContext...) have no equivalent elsewhere and
+ * are dropped.
+ * @param {object|Array<object>} tools
+ * @returns {Array<object>} Function declarations ({ name, description, parameters }).
+ */
+llmHelper.functionDeclarationsOf = function (tools) {
+  const list = Array.isArray(tools) ? tools : tools ? [tools] : [];
+  const declarations = [];
+  for (const tool of list) {
+    if (Array.isArray(tool.functionDeclarations)) {
+      declarations.push(...tool.functionDeclarations);
+    } else if (Object.keys(tool).length > 0) {
+      console.warn(
+        `[llm.helpers] Dropping provider-specific tool: ${Object.keys(tool).join(", ")}`
+      );
+    }
+  }
+  return declarations;
+};
+
+/**
+ * Translates Gemini-style tools into the OpenAI `tools` array (also accepted by Ollama).
+ * @param {object|Array<object>} tools
+ * @returns {Array<object>|undefined} Undefined when there are no function tools.
+ */
+llmHelper.toOpenAITools = function (tools) {
+  const declarations = llmHelper.functionDeclarationsOf(tools);
+  if (declarations.length === 0) return undefined;
+  return declarations.map((d) => ({
+    type: "function",
+    function: {
+      name: d.name,
+      description: d.description || "",
+      parameters: llmHelper.toJsonSchema(
+        d.parameters || { type: "OBJECT", properties: {} }
+      ),
+    },
+  }));
+};
+
+/**
+ * Translates conversation history into chat-completion messages. History
+ * entries come either in Gemini form `{ role, parts: [{ text }] }` or in the
+ * cache form `{ from, text }`.
+ * @param {Array<object>} history - Oldest first.
+ * @returns {Array<{role: string, content: string}>}
+ */
+llmHelper.toChatMessages = function (history = []) {
+  const messages = [];
+  for (const entry of history) {
+    const role = entry.role || entry.from;
+    const text = Array.isArray(entry.parts)
+      ? entry.parts.map((p) => p.text || "").join("")
+      : entry.text || "";
+    messages.push({ role: role === "model" ? "assistant" : "user", content: text });
+  }
+  return messages;
+};
+
+/**
+ * Wraps a provider's answer in the Gemini SDK result shape that generateReply
+ * consumes.
+ * @param {string} text
+ * @param {Array<{name: string, args: object}>} [functionCalls]
+ * @returns {{response: {text: Function, functionCalls: Function}}}
+ */
+llmHelper.toGeminiResult = function (text, functionCalls = []) {
+  return {
+    response: {
+      text: () => text || "",
+      functionCalls: () => (functionCalls.length ? functionCalls : undefined),
+    },
+  };
+};
+
+/**
+ * Reads the first JSON object out of a model answer, tolerating markdown
+ * fences and prose around it.
+ * @param {string} text
+ * @returns {Object|null} The parsed object, or null when there is none.
+ */
+llmHelper.parseJsonObject = function (text) {
+  const cleaned = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/i, "");
+  const candidates = [cleaned, (cleaned.match(/\{[\s\S]*\}/) || [])[0]];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    } catch (err) {
+      // try the next candidate
+    }
+  }
+  return null;
+};
+
+/**
+ * Copies the HTTP status of an axios error onto the error so that
+ * executeWithRetry can tell transient failures (429/5xx) apart.
+ * @param {Error} err
+ * @returns {Error}
+ */
+llmHelper.withStatus = function (err) {
+  if (err && err.response && !err.status) err.status = err.response.status;
+  return err;
+};
+
+module.exports = llmHelper;
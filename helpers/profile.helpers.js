@@ -0,0 +1,549 @@
+const profileHelper = {};
+
+const LAKH = 100000;
+const CRORE = 10000000;
+
+/**
+ * Splits a free-text list ("React, Node; AWS") into trimmed, de-duplicated items.
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+profileHelper.parseList = function (value) {
+  const items = Array.isArray(value)
+    ? value
+    : String(value || "").split(/[,;\n]/);
+  const seen = new Set();
+  const out = [];
+  for (const item of items) {
+    const clean = String(item).trim();
+    if (clean && !seen.has(clean.toLowerCase())) {
+      seen.add(clean.toLowerCase());
+      out.push(clean);
+    }
+  }
+  return out;
+};
+
+/**
+ * Parses an Indian-style CTC ("12 LPA", "12.5 lakh", "1.2 cr", "1500000") into
+ * rupees per year.
+ * @param {string|number} value
+ * @returns {number|null} Null when no amount can be read.
+ */
+profileHelper.parseCtc = function (value) {
+  if (typeof value === "number") return value;
+  const text = String(value || "").toLowerCase().replace(/,/g, "");
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(k|l|lpa|lac|lakh|lakhs|cr|crore|crores)?\b/);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  const unit = match[2] || "";
+  if (unit === "k") return Math.round(amount * 1000);
+  if (unit.startsWith("l")) return Math.round(amount * LAKH);
+  if (unit.startsWith("cr")) return Math.round(amount * CRORE);
+  // A bare small number is almost always said in lakhs ("expecting 18").
+  return amount < 1000 ? Math.round(amount * LAKH) : Math.round(amount);
+};
+
+/**
+ * Parses a notice period ("30 days", "2 months", "immediate") into days.
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+profileHelper.parseNoticePeriodDays = function (value) {
+  if (typeof value === "number") return value;
+  const text = String(value || "").toLowerCase();
+  if (/immediate|serving|none|no notice/.test(text)) return 0;
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(day|week|month)?/);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  if (match[2] === "week") return Math.round(amount * 7);
+  if (match[2] === "month") return Math.round(amount * 30);
+  return Math.round(amount);
+};
+
+/**
+ * Parses years of experience ("5+ years", "3.5 yrs", "fresher").
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+profileHelper.parseYears = function (value) {
+  if (typeof value === "number") return value;
+  const text = String(value || "").toLowerCase();
+  if (/fresher|no experience/.test(text)) return 0;
+  const match = text.match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+};
+
+const SKILL_LEVELS = ["beginner", "intermediate", "advanced", "expert"];
+const WORK_MODES = ["remote", "hybrid", "onsite", "any"];
+
+/**
+ * Parses skills, optionally with levels ("React: expert, Node (advanced), AWS").
+ * @param {string|Array<string|{name: string, level?: string}>} value
+ * @returns {Array<{name: string, level: string|null}>}
+ */
+profileHelper.parseSkills = function (value) {
+  const items = Array.isArray(value) ? value : profileHelper.parseList(value);
+  const skills = [];
+  for (const item of items) {
+    let name;
+    let level = null;
+    if (item && typeof item === "object") {
+      name = String(item.name || "").trim();
+      level = item.level ? String(item.level).toLowerCase().trim() : null;
+    } else {
+      const match = String(item).match(/^(.*?)\s*(?::|-|\()\s*(beginner|intermediate|advanced|expert)\)?\s*$/i);
+      name = (match ? match[1] : String(item)).trim();
+      level = match ? match[2].toLowerCase() : null;
+    }
+    if (!name) continue;
+    skills.push({ name, level: SKILL_LEVELS.includes(level) ? level : null });
+  }
+  return skills;
+};
+
+/**
+ * Parses a preferred work mode ("WFH" → "remote", "office" → "onsite").
+ * @param {string} value
+ * @returns {string|null}
+ */
+profileHelper.parseWorkMode = function (value) {
+  const text = String(value || "").toLowerCase();
+  if (/hybrid/.test(text)) return "hybrid";
+  if (/remote|wfh|work from home/.test(text)) return "remote";
+  if (/onsite|on-site|office|wfo/.test(text)) return "onsite";
+  if (/any|flexible|open/.test(text)) return "any";
+  return WORK_MODES.includes(text) ? text : null;
+};
+
+/**
+ * Checks that a value looks like a URL, adding the scheme when it is missing.
+ * @param {string} value
+ * @returns {string|null}
+ */
+profileHelper.parseUrl = function (value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const withScheme = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+  try {
+    return new URL(withScheme).toString();
+  } catch (err) {
+    return null;
+  }
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Parses a month as written on resumes ("Jan 2020", "January '20", "01/2020",
+ * "2020-01", "2020") into the first day of that month, UTC. A bare year
+ * reads as January.
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+profileHelper.parseMonth = function (value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const text = String(value || "").toLowerCase().trim();
+  const toYear = (y) => (y.length === 2 ? 2000 + parseInt(y, 10) : parseInt(y, 10));
+  let match = text.match(/([a-z]{3})[a-z]*\.?,?\s*'?(\d{4}|\d{2})\b/);
+  if (match && MONTHS.includes(match[1])) {
+    return new Date(Date.UTC(toYear(match[2]), MONTHS.indexOf(match[1]), 1));
+  }
+  match = text.match(/\b(\d{1,2})\s*[/.-]\s*(\d{4})\b/);
+  if (match && match[1] >= 1 && match[1] <= 12) {
+    return new Date(Date.UTC(parseInt(match[2], 10), match[1] - 1, 1));
+  }
+  match = text.match(/\b(\d{4})\s*[/.-]\s*(\d{1,2})\b/);
+  if (match && match[2] >= 1 && match[2] <= 12) {
+    return new Date(Date.UTC(parseInt(match[1], 10), match[2] - 1, 1));
+  }
+  match = text.match(/\b(19|20)\d{2}\b/);
+  return match ? new Date(Date.UTC(parseInt(match[0], 10), 0, 1)) : null;
+};
+
+/**
+ * Tells whether a date as written means "still ongoing".
+ * @param {string} value
+ * @returns {boolean}
+ */
+profileHelper.isPresent = function (value) {
+  return typeof value === "string" && /present|current|now|till date|to date|ongoing/i.test(value);
+};
+
+const parseYearValue = (value) => {
+  if (typeof value === "number") return value;
+  const date = profileHelper.parseMonth(value);
+  return date ? date.getUTCFullYear() : null;
+};
+
+const cleanText = (value) => String(value || "").replace(/\s+/g, " ").trim() || null;
+
+/**
+ * Parses jobs ({company, title, startDate, endDate, current}) into stored
+ * form, most recent first. Entries with neither company nor title are dropped.
+ * @param {Array<Object>} value
+ * @returns {Array<Object>}
+ */
+profileHelper.parseWorkHistory = function (value) {
+  const jobs = [];
+  for (const item of Array.isArray(value) ? value : []) {
+    if (!item || typeof item !== "object") continue;
+    const company = cleanText(item.company);
+    const title = cleanText(item.title);
+    if (!company && !title) continue;
+    const current = !!item.current || profileHelper.isPresent(item.endDate);
+    jobs.push({
+      company,
+      title,
+      startDate: profileHelper.parseMonth(item.startDate),
+      endDate: current ? null : profileHelper.parseMonth(item.endDate),
+      current,
+    });
+  }
+  return jobs.sort((a, b) => (b.startDate || 0) - (a.startDate || 0));
+};
+
+/**
+ * Parses education entries ({institution, degree, startYear, endYear}).
+ * @param {Array<Object>} value
+ * @returns {Array<Object>}
+ */
+profileHelper.parseEducation = function (value) {
+  const entries = [];
+  for (const item of Array.isArray(value) ? value : []) {
+    if (!item || typeof item !== "object") continue;
+    const institution = cleanText(item.institution);
+    const degree = cleanText(item.degree);
+    if (!institution && !degree) continue;
+    entries.push({
+      institution,
+      degree,
+      startYear: parseYearValue(item.startYear),
+      endYear: parseYearValue(item.endYear),
+    });
+  }
+  return entries;
+};
+
+/**
+ * Parses certifications, given as names or as {name, issuer, year}.
+ * @param {Array<string|Object>} value
+ * @returns {Array<{name: string, issuer: string|null, year: number|null}>}
+ */
+profileHelper.parseCertifications = function (value) {
+  const items = Array.isArray(value) ? value : profileHelper.parseList(value);
+  const certifications = [];
+  for (const item of items) {
+    const cert = item && typeof item === "object" ? item : { name: item };
+    const name = cleanText(cert.name);
+    if (!name) continue;
+    certifications.push({
+      name,
+      issuer: cleanText(cert.issuer),
+      year: cert.year ? parseYearValue(cert.year) : null,
+    });
+  }
+  return certifications;
+};
+
+/**
+ * Parses contact details ({name, email, phone}); values that don't look
+ * right are dropped.
+ * @param {Object} value
+ * @returns {Object|null} Null when nothing usable is left.
+ */
+profileHelper.parseContact = function (value) {
+  if (!value || typeof value !== "object") return null;
+  const contact = {};
+  const name = cleanText(value.name);
+  if (name && !/^(unknown|n\/?a|none|null)$/i.test(name)) contact.name = name;
+  const email = String(value.email || "").trim().toLowerCase();
+  if (/^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(email)) contact.email = email;
+  const phone = String(value.phone || "").replace(/[^\d+]/g, "");
+  if (phone.replace(/\D/g, "").length >= 10) contact.phone = phone;
+  return Object.keys(contact).length ? contact : null;
+};
+
+/**
+ * Parses a list of links, keeping only the ones that look like URLs.
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+profileHelper.parseLinks = function (value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(/[\s,;]+/);
+  return profileHelper.parseList(items.map(profileHelper.parseUrl).filter(Boolean));
+};
+
+/**
+ * The roles that have a profile. A user holding both keeps one per role
+ * (User.profiles.candidate, User.profiles.freelancer).
+ */
+profileHelper.PROFILE_ROLES = ["candidate", "freelancer"];
+
+const parseText = (value) => String(value || "").trim() || null;
+const parseUserType = (value) => {
+  const text = String(value || "").toLowerCase().trim();
+  return profileHelper.PROFILE_ROLES.includes(text) ? text : null;
+};
+
+const FIELD_PARSERS = {
+  userType: parseUserType,
+  skills: profileHelper.parseSkills,
+  yearsOfExperience: profileHelper.parseYears,
+  currentCtc: profileHelper.parseCtc,
+  expectedCtc: profileHelper.parseCtc,
+  noticePeriodDays: profileHelper.parseNoticePeriodDays,
+  locations: profileHelper.parseList,
+  workMode: profileHelper.parseWorkMode,
+  portfolioUrl: profileHelper.parseUrl,
+  linkedinUrl: profileHelper.parseUrl,
+  githubUrl: profileHelper.parseUrl,
+  links: profileHelper.parseLinks,
+  notes: parseText,
+};
+
+// Structured records, read off resumes rather than stated one value at a time.
+const RECORD_PARSERS = {
+  contact: profileHelper.parseContact,
+  workHistory: profileHelper.parseWorkHistory,
+  education: profileHelper.parseEducation,
+  certifications: profileHelper.parseCertifications,
+};
+
+// Other names the models (and older data) use for the same fields.
+const FIELD_ALIASES = {
+  location: "locations",
+  top_skills: "skills",
+  years_experience: "yearsOfExperience",
+  experience: "yearsOfExperience",
+  noticePeriod: "noticePeriodDays",
+  portfolio: "portfolioUrl",
+  linkedin: "linkedinUrl",
+  github: "githubUrl",
+};
+
+/**
+ * The fields that hold one stated value each (and that saveProfileField accepts).
+ */
+profileHelper.FIELDS = Object.keys(FIELD_PARSERS);
+
+/**
+ * The structured fields a profile gets from a resume.
+ */
+profileHelper.RECORD_FIELDS = Object.keys(RECORD_PARSERS);
+
+/**
+ * Sources that read a value off a document rather than hearing it from the
+ * user or an operator (see PROFILE_SOURCES).
+ */
+profileHelper.DERIVED_SOURCES = ["resume", "linkedin", "search"];
+
+// Fields merged by union, where any source may add to what is there.
+const UNION_FIELDS = ["skills", "locations", "links"];
+
+/**
+ * Turns a value as stated by the user into the stored form of a profile field.
+ * @param {string} field - One of profileHelper.FIELDS (or an alias).
+ * @param {*} value
+ * @returns {*} The normalized value.
+ * @throws {Error} When the field is unknown or the value can't be understood.
+ */
+profileHelper.parseField = function (field, value) {
+  const parse = FIELD_PARSERS[FIELD_ALIASES[field] || field];
+  if (!parse) {
+    throw new Error(`Unknown profile field "${field}". Use one of: ${profileHelper.FIELDS.join(", ")}.`);
+  }
+  const parsed = parse(value);
+  if (parsed === null || (Array.isArray(parsed) && parsed.length === 0)) {
+    throw new Error(`Could not understand "${value}" as ${field}.`);
+  }
+  return parsed;
+};
+
+/**
+ * Normalizes a loosely structured profile (e.g. LLM output) into profile
+ * fields. Unknown keys, empty values and values that can't be parsed are dropped.
+ * @param {Object|string} raw - An object of fields, or free text kept as notes.
+ * @returns {Object} A partial profile.
+ */
+profileHelper.normalizeProfile = function (raw) {
+  if (!raw) return {};
+  if (typeof raw === "string") return raw.trim() ? { notes: raw.trim() } : {};
+  const out = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = FIELD_ALIASES[key] || key;
+    if (value === null || value === undefined || value === "") continue;
+    if (RECORD_PARSERS[field]) {
+      const parsed = RECORD_PARSERS[field](value);
+      if (parsed && (!Array.isArray(parsed) || parsed.length > 0)) out[field] = parsed;
+      continue;
+    }
+    if (!FIELD_PARSERS[field]) continue;
+    try {
+      out[field] = profileHelper.parseField(field, value);
+    } catch (err) {
+      console.warn(`[profile.helpers] Ignoring ${key}: ${err.message}`);
+    }
+  }
+  return out;
+};
+
+/**
+ * Merges updates into a profile field by field. Skills are merged by name (a
+ * new level replaces the old one), locations and links are unioned, contact
+ * details are merged key by key; every other field is replaced. A value from
+ * a derived source (a resume, LinkedIn) never replaces one the user or an
+ * operator stated. Only fields whose value actually changes get a new
+ * `fieldMeta` entry.
+ * @param {Object} [current] - The stored profile.
+ * @param {Object} updates - Normalized fields (see normalizeProfile), may include `resume`.
+ * @param {Object} options
+ * @param {string} options.source - One of PROFILE_SOURCES.
+ * @param {Date} [options.now=new Date()]
+ * @returns {{profile: Object, changed: Array<string>}}
+ */
+profileHelper.mergeProfile = function (current, updates, { source, now = new Date() }) {
+  const profile = { ...(current || {}) };
+  const fieldMeta = { ...(profile.fieldMeta || {}) };
+  const changed = [];
+  const derived = profileHelper.DERIVED_SOURCES.includes(source);
+
+  for (const [field, value] of Object.entries(updates || {})) {
+    if (value === null || value === undefined) continue;
+    const writtenBy = fieldMeta[field]?.source;
+    if (
+      derived &&
+      writtenBy &&
+      !profileHelper.DERIVED_SOURCES.includes(writtenBy) &&
+      !UNION_FIELDS.includes(field)
+    ) {
+      continue;
+    }
+    let next = value;
+    if (field === "skills") {
+      const byName = new Map((profile.skills || []).map((s) => [s.name.toLowerCase(), { ...s }]));
+      for (const skill of value) {
+        const existing = byName.get(skill.name.toLowerCase());
+        byName.set(skill.name.toLowerCase(), {
+          name: existing ? existing.name : skill.name,
+          level: skill.level || (existing ? existing.level : null),
+        });
+      }
+      next = [...byName.values()];
+    } else if (field === "locations" || field === "links") {
+      next = profileHelper.parseList([...(profile[field] || []), ...value]);
+    } else if (field === "contact") {
+      next = { ...(profile.contact || {}), ...value };
+    }
+    if (JSON.stringify(next) === JSON.stringify(profile[field])) continue;
+    profile[field] = next;
+    fieldMeta[field] = { updatedAt: now, source };
+    changed.push(field);
+  }
+
+  profile.fieldMeta = fieldMeta;
+  return { profile, changed };
+};
+
+/**
+ * Tells whether a profile holds anything worth showing.
+ * @param {Object} [profile]
+ * @returns {boolean}
+ */
+profileHelper.isEmpty = function (profile) {
+  if (!profile) return true;
+  return ![...profileHelper.FIELDS, ...profileHelper.RECORD_FIELDS].some((field) => {
+    const value = profile[field];
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === "object") {
+      return Object.values(value).some((v) => v !== null && v !== undefined);
+    }
+    return value !== null && value !== undefined;
+  });
+};
+
+/**
+ * Picks a user's profile for a role. Without a role, the candidate profile
+ * is preferred. Users saved before per-role profiles still have one `profile`.
+ * @param {Object} user - A user document.
+ * @param {string} [role] - "candidate" or "freelancer".
+ * @returns {Object|null}
+ */
+profileHelper.profileOf = function (user, role) {
+  if (!user) return null;
+  if (!user.profiles && user.profile) {
+    return !role || !user.profile.userType || user.profile.userType === role
+      ? user.profile
+      : null;
+  }
+  const profiles = user.profiles || {};
+  if (role) return profiles[role] || null;
+  return profiles.candidate || profiles.freelancer || null;
+};
+
+/**
+ * Formats rupees per year the way users say it ("₹12.5 LPA").
+ * @param {number} rupees
+ * @returns {string}
+ */
+profileHelper.formatCtc = function (rupees) {
+  return `₹${(rupees / LAKH).toFixed(1).replace(/\.0$/, "")} LPA`;
+};
+
+const formatYear = (date) => (date ? new Date(date).getUTCFullYear() : "?");
+
+/**
+ * Formats a job ("Backend Engineer at Acme (2021–present)").
+ * @param {Object} job - A workHistory entry.
+ * @returns {string}
+ */
+const formatJob = (job) => {
+  const role = [job.title, job.company].filter(Boolean).join(" at ");
+  if (!job.startDate && !job.endDate && !job.current) return role;
+  return `${role} (${formatYear(job.startDate)}–${job.current ? "present" : formatYear(job.endDate)})`;
+};
+
+/**
+ * Renders a profile as short plain text for prompts and summaries.
+ * @param {Object} [profile]
+ * @returns {string}
+ */
+profileHelper.formatProfile = function (profile) {
+  if (profileHelper.isEmpty(profile)) return "No profile information yet.";
+  const lines = [];
+  if (profile.userType) {
+    lines.push(`Looking for: ${profile.userType === "freelancer" ? "freelance projects" : "a job"}`);
+  }
+  if (profile.skills?.length) {
+    const skills = profile.skills.map((s) => (s.level ? `${s.name} (${s.level})` : s.name));
+    lines.push(`Skills: ${skills.join(", ")}`);
+  }
+  if (profile.yearsOfExperience != null) lines.push(`Experience: ${profile.yearsOfExperience} years`);
+  if (profile.currentCtc != null) lines.push(`Current CTC: ${profileHelper.formatCtc(profile.currentCtc)}`);
+  if (profile.expectedCtc != null) lines.push(`Expected CTC: ${profileHelper.formatCtc(profile.expectedCtc)}`);
+  if (profile.noticePeriodDays != null) lines.push(`Notice period: ${profile.noticePeriodDays} days`);
+  if (profile.locations?.length) lines.push(`Locations: ${profile.locations.join(", ")}`);
+  if (profile.workMode) lines.push(`Work mode: ${profile.workMode}`);
+  if (profile.portfolioUrl) lines.push(`Portfolio: ${profile.portfolioUrl}`);
+  if (profile.workHistory?.length) {
+    const jobs = profile.workHistory.slice(0, 3).map(formatJob);
+    lines.push(`Work history: ${jobs.join("; ")}`);
+  }
+  if (profile.education?.length) {
+    const entries = profile.education.map((e) =>
+      [e.degree, e.institution].filter(Boolean).join(", ") + (e.endYear ? ` (${e.endYear})` : "")
+    );
+    lines.push(`Education: ${entries.join("; ")}`);
+  }
+  if (profile.certifications?.length) {
+    const certs = profile.certifications.map((c) => (c.year ? `${c.name} (${c.year})` : c.name));
+    lines.push(`Certifications: ${certs.join(", ")}`);
+  }
+  if (profile.linkedinUrl) lines.push(`LinkedIn: ${profile.linkedinUrl}`);
+  if (profile.githubUrl) lines.push(`GitHub: ${profile.githubUrl}`);
+  if (profile.links?.length) lines.push(`Links: ${profile.links.join(", ")}`);
+  if (profile.notes) lines.push(`Notes: ${profile.notes}`);
+  return lines.join("\n");
+};
+
+module.exports = profileHelper;
@@ -0,0 +1,309 @@
+const profileHelper = require("./profile.helpers");
+
+const resumeHelper = {};
+
+// Headings that start a section, matched against a whole line.
+const SECTION_HEADINGS = {
+  summary: /^(summary|profile|professional summary|about me|objective|career objective)$/,
+  experience: /^(experience|work experience|professional experience|employment( history)?|work history|career history)$/,
+  education: /^(education|academics?|academic (background|qualifications?)|qualifications?)$/,
+  skills: /^((technical |key |core )?skills|skill set|technologies|tech stack|competencies)$/,
+  certifications: /^(certifications?|certificates?|licen[cs]es?( (and|&) certifications)?|courses)$/,
+  projects: /^(projects|personal projects|key projects)$/,
+  other: /^(achievements|awards|hobbies|interests|languages|references|declaration|publications|volunteering)$/,
+};
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?,?";
+const DATE = `(?:${MONTH}\\s*'?\\d{2,4}|\\d{1,2}\\s*[/.-]\\s*\\d{4}|\\d{4}\\s*[/.-]\\s*\\d{1,2}|\\d{4})`;
+const END = `(?:${DATE}|present|current|now|till date|to date|ongoing)`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|till|until)\\s*(${END})`, "i");
+
+const TITLE_WORDS =
+  /\b(engineer|developer|programmer|manager|intern|analyst|designer|lead|consultant|architect|scientist|director|head|officer|specialist|associate|executive|administrator|tester|sde|devops|founder|cto|ceo|trainee|freelancer?)\b/i;
+const DEGREE_WORDS =
+  /\b(b\.?\s?tech|m\.?\s?tech|b\.?\s?e\b|m\.?\s?e\b|b\.?\s?sc|m\.?\s?sc|bca|mca|bba|mba|b\.?\s?com|m\.?\s?com|ph\.?\s?d|bachelor|master|diploma|doctorate|hsc|ssc|12th|10th|class (x|xii))/i;
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|iit|nit|iiit|bits|iim)\b/i;
+const BULLET = /^[\s•·▪●◦\-*–]+/;
+
+/**
+ * Splits resume text into sections by their headings. Text before the first
+ * heading is the header (name, contact details, links).
+ * @param {string} text
+ * @returns {Object<string, Array<string>>} Non-empty lines per section.
+ */
+resumeHelper.splitSections = function (text) {
+  const sections = { header: [] };
+  let current = "header";
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/\s+/g, " ").trim();
+    if (!line) continue;
+    const heading = line.toLowerCase().replace(/[:\-–_|]+$/, "").trim();
+    const section =
+      heading.length <= 40 &&
+      Object.keys(SECTION_HEADINGS).find((name) => SECTION_HEADINGS[name].test(heading));
+    if (section) {
+      current = section;
+      sections[current] = sections[current] || [];
+      continue;
+    }
+    // A one-line skills section ("Skills: Go, Kafka"); inside it, such labels group skills.
+    const inline = line.match(/^([^:]{3,30}):\s*(.+)$/);
+    if (inline && current !== "skills" && SECTION_HEADINGS.skills.test(inline[1].toLowerCase().trim())) {
+      sections.skills = [...(sections.skills || []), inline[2]];
+      continue;
+    }
+    sections[current].push(line);
+  }
+  return sections;
+};
+
+/**
+ * Splits "Backend Engineer at Acme", "Acme | Backend Engineer" and the like
+ * into a title and a company.
+ * @param {string} text
+ * @returns {{title: string|null, company: string|null}}
+ */
+const splitRole = (text) => {
+  const parts = String(text || "")
+    .split(/\s+(?:at|@)\s+|\s*[|,]\s*|\s+[-–—]\s+/i)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return { title: null, company: null };
+  if (parts.length === 1) {
+    return TITLE_WORDS.test(parts[0])
+      ? { title: parts[0], company: null }
+      : { title: null, company: parts[0] };
+  }
+  const titleIndex = parts.findIndex((p) => TITLE_WORDS.test(p));
+  const title = parts[titleIndex === -1 ? 0 : titleIndex];
+  const company = parts.find((p) => p !== title) || null;
+  return { title, company };
+};
+
+/**
+ * Reads jobs off the experience section. Each line with a date range starts
+ * a job; its title and company come from that line or the ones just above.
+ * @param {Array<string>} lines
+ * @returns {Array<Object>} Raw jobs, see profileHelper.parseWorkHistory.
+ */
+resumeHelper.parseWorkHistory = function (lines = []) {
+  const jobs = [];
+  let consumed = -1;
+  lines.forEach((line, i) => {
+    const match = line.match(DATE_RANGE);
+    if (!match) return;
+    const rest = line
+      .replace(match[0], "")
+      .replace(/[()[\]]/g, " ")
+      .replace(/\s*[|,–—-]\s*$/, "")
+      .trim();
+    let { title, company } = splitRole(rest);
+    // The title and/or company are often on the lines above the dates.
+    for (let j = i - 1; j > consumed && j >= i - 2 && (!title || !company); j--) {
+      const above = lines[j].replace(BULLET, "").trim();
+      if (BULLET.test(lines[j]) || above.length > 80) break;
+      const role = splitRole(above);
+      if (!title && role.title) title = role.title;
+      else if (!company) company = role.company || role.title;
+      if (role.title && role.company && !company) company = role.company;
+    }
+    consumed = i;
+    if (!title && !company) return;
+    jobs.push({ title, company, startDate: match[1], endDate: match[2] });
+  });
+  return jobs;
+};
+
+/**
+ * Reads degrees off the education section.
+ * @param {Array<string>} lines
+ * @returns {Array<Object>} Raw entries, see profileHelper.parseEducation.
+ */
+resumeHelper.parseEducation = function (lines = []) {
+  const entries = [];
+  lines.forEach((raw, i) => {
+    const line = raw.replace(BULLET, "");
+    if (!DEGREE_WORDS.test(line)) return;
+    const years = line.match(/\b(19|20)\d{2}\b/g) || [];
+    const parts = line
+      .replace(/\(?\b(19|20)\d{2}\b\s*(?:-|–|to)?\s*\)?/g, " ")
+      .split(/\s*[|,]\s*|\s+[-–—]\s+|\s+from\s+/i)
+      .map((p) => p.trim())
+      .filter(Boolean);
+    const degree = parts.find((p) => DEGREE_WORDS.test(p)) || parts[0];
+    let institution = parts.find((p) => p !== degree && INSTITUTION_WORDS.test(p)) || null;
+    // Otherwise the institution is usually on the next (or previous) line.
+    for (const near of [lines[i + 1], lines[i - 1]]) {
+      if (institution || !near || DEGREE_WORDS.test(near)) continue;
+      if (INSTITUTION_WORDS.test(near)) institution = near.replace(BULLET, "").trim();
+    }
+    for (const near of [lines[i + 1]]) {
+      if (years.length || !near) continue;
+      years.push(...(near.match(/\b(19|20)\d{2}\b/g) || []));
+    }
+    entries.push({
+      degree,
+      institution,
+      startYear: years.length > 1 ? years[0] : null,
+      endYear: years.length ? years[years.length - 1] : null,
+    });
+  });
+  return entries;
+};
+
+/**
+ * Reads skills off the skills section ("Languages: Java, Go | AWS").
+ * @param {Array<string>} lines
+ * @returns {Array<string>}
+ */
+resumeHelper.parseSkills = function (lines = []) {
+  const skills = [];
+  for (const raw of lines) {
+    let line = raw.replace(BULLET, "");
+    // Drop a label ("Languages: ...", "Cloud - AWS, GCP"), but not a level ("React - expert").
+    const labelled = line.match(/^([^:,]{1,30})(:|\s[-–]\s)\s*(.+)$/);
+    if (labelled && (labelled[2] === ":" || labelled[3].includes(","))) line = labelled[3];
+    for (const item of line.split(/\s*[,;|•·]\s*/)) {
+      const name = item.replace(/\.$/, "").trim();
+      if (name && name.length <= 40 && name.split(" ").length <= 4) skills.push(name);
+    }
+  }
+  return profileHelper.parseList(skills);
+};
+
+/**
+ * Reads certifications off their section ("AWS Solutions Architect – Amazon, 2022").
+ * @param {Array<string>} lines
+ * @returns {Array<Object>} Raw entries, see profileHelper.parseCertifications.
+ */
+resumeHelper.parseCertifications = function (lines = []) {
+  return lines.map((raw) => {
+    const line = raw.replace(BULLET, "").trim();
+    const year = (line.match(/\b(19|20)\d{2}\b/) || [])[0] || null;
+    const [name, issuer] = line
+      .replace(/\(?\b(19|20)\d{2}\b\)?/, "")
+      .split(/\s+[-–—|]\s+|\s*,\s*|\s+by\s+/i)
+      .map((p) => p.trim())
+      .filter(Boolean);
+    return { name, issuer: issuer || null, year };
+  });
+};
+
+/**
+ * Reads the name, email and phone number. The name is taken from the first
+ * line of the header when it reads like one.
+ * @param {string} text - The whole resume.
+ * @param {Array<string>} [header] - The lines before the first section.
+ * @returns {{name: string|null, email: string|null, phone: string|null}}
+ */
+resumeHelper.parseContact = function (text, header = []) {
+  const email = (String(text).match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/) || [])[0] || null;
+  const phone =
+    (String(text).match(/\+?\d[\d\s().-]{8,16}\d/g) || []).find((p) => {
+      const digits = p.replace(/\D/g, "").length;
+      return digits >= 10 && digits <= 13;
+    }) || null;
+  const first = header[0] || "";
+  const name =
+    /^[a-z][a-z.' ]{2,40}$/i.test(first) && first.trim().split(/\s+/).length <= 4
+      ? first.trim()
+      : null;
+  return { name, email, phone: phone && phone.trim() };
+};
+
+const LINK =
+  /(https?:\/\/)?(www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|in|io|dev|me|org|net|app|co|ai|xyz)(\/[^\s,;|)]*)?/gi;
+
+/**
+ * Reads the links and sorts out LinkedIn, GitHub and a portfolio. A bare
+ * domain needs a scheme, "www." or a path to count, so skills like "ASP.NET"
+ * or "Socket.io" aren't taken for links, and the domain of an email address
+ * never is.
+ * @param {string} text
+ * @returns {{linkedinUrl?: string, githubUrl?: string, portfolioUrl?: string, links?: Array<string>}}
+ */
+resumeHelper.parseLinks = function (text) {
+  const found = [];
+  for (const match of String(text).matchAll(LINK)) {
+    const [url, scheme, www, urlPath] = match;
+    const before = String(text)[match.index - 1] || "";
+    if (/[@\w.-]/.test(before)) continue;
+    if (!scheme && !www && !(urlPath && urlPath.length > 1)) continue;
+    found.push(url);
+  }
+  const urls = profileHelper.parseLinks(found);
+  const links = {};
+  const others = [];
+  for (const url of urls) {
+    if (/linkedin\.com\/in\//i.test(url) && !links.linkedinUrl) links.linkedinUrl = url;
+    else if (/github\.com\/[^/]+/i.test(url) && !links.githubUrl) links.githubUrl = url;
+    else if (/behance|dribbble|portfolio|\.dev\b|\.me\b/i.test(url) && !links.portfolioUrl) {
+      links.portfolioUrl = url;
+    } else if (!/(gmail|yahoo|outlook|hotmail)\.com/i.test(url)) others.push(url);
+  }
+  return others.length ? { ...links, links: others } : links;
+};
+
+/**
+ * Total years of experience over a set of jobs. Overlapping jobs count once,
+ * and a current job runs until `now`.
+ * @param {Array<Object>} jobs - Parsed jobs, see profileHelper.parseWorkHistory.
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} Rounded to half a year; null when no job has dates.
+ */
+resumeHelper.totalExperienceYears = function (jobs, now = new Date()) {
+  const ranges = (jobs || [])
+    .filter((job) => job.startDate)
+    .map((job) => [
+      new Date(job.startDate).getTime(),
+      job.current || !job.endDate ? now.getTime() : new Date(job.endDate).getTime(),
+    ])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+  if (ranges.length === 0) return null;
+
+  let total = 0;
+  let [start, end] = ranges[0];
+  for (const [nextStart, nextEnd] of ranges.slice(1)) {
+    if (nextStart <= end) {
+      end = Math.max(end, nextEnd);
+    } else {
+      total += end - start;
+      [start, end] = [nextStart, nextEnd];
+    }
+  }
+  total += end - start;
+  const years = total / (365.25 * 24 * 60 * 60 * 1000);
+  return Math.round(years * 2) / 2;
+};
+
+/**
+ * Parses resume text into profile fields: contact details, work history,
+ * education, skills, certifications, links and the total experience computed
+ * from the job dates. Runs in-process, no model involved; fields it can't
+ * find are left out.
+ * @param {string} text - Text extracted from the PDF/DOCX.
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - When current jobs end.
+ * @returns {Object} Normalized profile fields, see profileHelper.normalizeProfile.
+ */
+resumeHelper.parseResume = function (text, { now = new Date() } = {}) {
+  const sections = resumeHelper.splitSections(text);
+  const workHistory = profileHelper.parseWorkHistory(
+    resumeHelper.parseWorkHistory(sections.experience)
+  );
+  const profile = profileHelper.normalizeProfile({
+    contact: resumeHelper.parseContact(text, sections.header),
+    workHistory,
+    education: resumeHelper.parseEducation(sections.education),
+    certifications: resumeHelper.parseCertifications(sections.certifications),
+    ...resumeHelper.parseLinks(text),
+  });
+  const skills = resumeHelper.parseSkills(sections.skills);
+  if (skills.length) profile.skills = profileHelper.parseSkills(skills);
+  const years = resumeHelper.totalExperienceYears(workHistory, now);
+  if (years !== null) profile.yearsOfExperience = years;
+  return profile;
+};
+
+module.exports = resumeHelper;
@@ -0,0 +1,264 @@
+const scheduleHelper = {};
+
+const MINUTE_MS = 60 * 1000;
+// Slots further out than this are almost certainly a parsing mistake.
+const MAX_DAYS_AHEAD = 60;
+
+/**
+ * Tells whether a string is an IANA time zone the runtime knows ("Asia/Kolkata").
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+scheduleHelper.isValidTimeZone = function (timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * How far a time zone's wall clock is ahead of UTC at a given instant.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Milliseconds (e.g. +19800000 for IST).
+ */
+scheduleHelper.offsetMs = function (date, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  const wall = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Reads a wall-clock time in a time zone ("2025-10-21T15:00" in
+ * "Europe/London") as an instant.
+ * @param {string} local - "YYYY-MM-DDTHH:mm", without an offset.
+ * @param {string} timeZone
+ * @returns {Date|null} Null when the time can't be read.
+ */
+scheduleHelper.zonedToUtc = function (local, timeZone) {
+  const match = String(local || "").match(
+    /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/
+  );
+  if (!match) return null;
+  const [, y, mo, d, h, mi] = match.map(Number);
+  const asUtc = Date.UTC(y, mo - 1, d, h, mi);
+  // Guess with the offset at the naive instant, then correct once for DST edges.
+  let result = asUtc - scheduleHelper.offsetMs(new Date(asUtc), timeZone);
+  result = asUtc - scheduleHelper.offsetMs(new Date(result), timeZone);
+  return new Date(result);
+};
+
+/**
+ * Turns the availability read from a message into future time ranges.
+ * Ranges that can't be read, are over or lie too far ahead are dropped.
+ * @param {Array<{start: string, end: string}>} rawSlots - Wall-clock times in timeZone.
+ * @param {string} timeZone
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{start: Date, end: Date}>} Sorted by start.
+ */
+scheduleHelper.normalizeSlots = function (rawSlots, timeZone, now = new Date()) {
+  const latest = now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * MINUTE_MS;
+  const slots = [];
+  for (const raw of Array.isArray(rawSlots) ? rawSlots : []) {
+    const start = scheduleHelper.zonedToUtc(raw?.start, timeZone);
+    const end = scheduleHelper.zonedToUtc(raw?.end, timeZone);
+    if (!start || !end || end <= start || start.getTime() > latest) continue;
+    if (end <= now) continue;
+    slots.push({ start: start < now ? new Date(now) : start, end });
+  }
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Words that (nearly) every message giving times has; messages without them
+// aren't worth a model call to read availability from.
+const TIME_WORDS =
+  /\d|\b(mon|tues?|wed|wednes|thu|thur|thurs|fri|sat|satur|sun)(day)?\b|\b(today|tonight|tomorrow|tmrw|weekend|week|morning|afternoon|evening|noon|midnight|lunch|eod|anytime|any time)\b|\b(kal|parso|subah|shaam)\b/i;
+
+/**
+ * Tells whether a message may give times someone is free, e.g. "Tue 3-6pm"
+ * or "tomorrow morning". Cheap enough to run on every message.
+ * @param {string} text
+ * @returns {boolean}
+ */
+scheduleHelper.mentionsTime = function (text) {
+  return TIME_WORDS.test(String(text || ""));
+};
+
+/**
+ * Finds the times both sides are free for at least the meeting's length.
+ * @param {Array<{start: Date, end: Date}>} a
+ * @param {Array<{start: Date, end: Date}>} b
+ * @param {number} durationMinutes
+ * @returns {Array<{start: Date, end: Date}>} Earliest first.
+ */
+scheduleHelper.findOverlaps = function (a, b, durationMinutes) {
+  const overlaps = [];
+  for (const x of a) {
+    for (const y of b) {
+      const start = Math.max(new Date(x.start).getTime(), new Date(y.start).getTime());
+      const end = Math.min(new Date(x.end).getTime(), new Date(y.end).getTime());
+      if (end - start >= durationMinutes * MINUTE_MS) {
+        overlaps.push({ start: new Date(start), end: new Date(end) });
+      }
+    }
+  }
+  return overlaps.sort((p, q) => p.start - q.start);
+};
+
+/**
+ * Formats an instant for a chat message in the reader's time zone, e.g.
+ * "Wed 21 Oct, 3:30 pm GMT+5:30".
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+scheduleHelper.formatTime = function (date, timeZone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    timeZoneName: "short",
+  }).format(new Date(date));
+};
+
+/**
+ * Formats a list of ranges, one per line, in the reader's time zone.
+ * @param {Array<{start: Date, end: Date}>} slots
+ * @param {string} timeZone
+ * @returns {string}
+ */
+scheduleHelper.formatSlots = function (slots, timeZone) {
+  const endFormat = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+  return slots
+    .map(
+      (slot) =>
+        `• ${scheduleHelper.formatTime(slot.start, timeZone)} – ${endFormat.format(
+          new Date(slot.end)
+        )}`
+    )
+    .join("\n");
+};
+
+/**
+ * Says how long before something a reminder goes out ("1 day", "2 hours").
+ * @param {number} minutes
+ * @returns {string}
+ */
+scheduleHelper.formatLead = function (minutes) {
+  const [amount, unit] =
+    minutes >= 1440 && minutes % 1440 === 0
+      ? [minutes / 1440, "day"]
+      : minutes >= 60 && minutes % 60 === 0
+      ? [minutes / 60, "hour"]
+      : [minutes, "minute"];
+  return `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+};
+
+/**
+ * Formats an instant as an iCalendar UTC date-time (20251021T093000Z).
+ * @param {Date} date
+ * @returns {string}
+ */
+const icsDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * Escapes an iCalendar TEXT value.
+ * @param {string} text
+ * @returns {string}
+ */
+const icsText = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Folds an iCalendar content line to 75 characters, as RFC 5545 asks.
+ * @param {string} line
+ * @returns {string}
+ */
+const icsFold = (line) => {
+  const chunks = [];
+  for (let i = 0; i < line.length; i += i === 0 ? 75 : 74) {
+    chunks.push(line.slice(i, i + (i === 0 ? 75 : 74)));
+  }
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Builds an .ics calendar file with one event. Sending it again with the
+ * same uid and a higher sequence updates the event in the reader's calendar.
+ * @param {Object} event
+ * @param {string} event.uid - Stable id of the event.
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary - The event title.
+ * @param {string} [event.description]
+ * @param {number} [event.sequence=0]
+ * @param {Date} [event.now=new Date()]
+ * @returns {string}
+ */
+scheduleHelper.buildIcs = function ({
+  uid,
+  start,
+  end,
+  summary,
+  description = "",
+  sequence = 0,
+  now = new Date(),
+}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Maya//Interview Scheduler//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    "STATUS:CONFIRMED",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+};
+
+module.exports = scheduleHelper;
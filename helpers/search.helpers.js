@@ -0,0 +1,128 @@
+const profileHelper = require("./profile.helpers");
+
+const searchHelper = {};
+
+// Words that say nothing about a candidate and would only dilute the scores.
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is",
+  "it", "of", "on", "or", "the", "to", "with", "who", "we", "our", "looking",
+  "need", "needs", "someone", "candidate", "candidates", "years", "year",
+  "experience", "lpa", "ctc", "available", "work", "role",
+]);
+
+/**
+ * Splits text into search terms. Keeps tech spellings such as "c++" and "c#",
+ * and folds "node.js"/"nodejs"/"node" into one term.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+searchHelper.tokenize = function (text) {
+  const raw = String(text || "").toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [];
+  const terms = [];
+  for (let token of raw) {
+    token = token.replace(/\.+$/, "").replace(/\./g, "");
+    if (token.length > 4 && token.endsWith("js")) token = token.slice(0, -2);
+    if (token && !STOP_WORDS.has(token)) terms.push(token);
+  }
+  return terms;
+};
+
+/**
+ * Builds the searchable text of a user's profile for a role. Skills are
+ * repeated so that they weigh more than words in the free-text notes.
+ * @param {Object} user - A user document.
+ * @param {string} [role] - "candidate" or "freelancer".
+ * @returns {string}
+ */
+searchHelper.profileText = function (user, role) {
+  const profile = profileHelper.profileOf(user, role) || {};
+  const skills = (profile.skills || []).map((s) => s.name).join(" ");
+  const levels = (profile.skills || []).map((s) => s.level).filter(Boolean).join(" ");
+  const jobs = (profile.workHistory || []).map((j) => [j.title, j.company].filter(Boolean).join(" "));
+  return [
+    user.name,
+    skills,
+    skills,
+    levels,
+    jobs.join("\n"),
+    (profile.certifications || []).map((c) => c.name).join(" "),
+    (profile.locations || []).join(" "),
+    profile.workMode,
+    profile.notes,
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
+
+/**
+ * Ranks documents against a query with Okapi BM25.
+ * @param {Array<{id: string, text: string}>} documents
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.k1=1.2] - Term-frequency saturation.
+ * @param {number} [options.b=0.75] - Document-length normalization.
+ * @returns {Array<{id: string, score: number, matchedTerms: Array<string>}>} Best first; documents matching no term score 0.
+ */
+searchHelper.bm25 = function (documents, query, { k1 = 1.2, b = 0.75 } = {}) {
+  const queryTerms = [...new Set(searchHelper.tokenize(query))];
+  const docs = documents.map((d) => {
+    const tokens = searchHelper.tokenize(d.text);
+    const frequencies = new Map();
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    return { id: d.id, length: tokens.length, frequencies };
+  });
+  if (docs.length === 0) return [];
+
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+  const idf = new Map();
+  for (const term of queryTerms) {
+    const df = docs.filter((d) => d.frequencies.has(term)).length;
+    idf.set(term, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5)));
+  }
+
+  return docs
+    .map((d) => {
+      let score = 0;
+      const matchedTerms = [];
+      for (const term of queryTerms) {
+        const tf = d.frequencies.get(term);
+        if (!tf) continue;
+        matchedTerms.push(term);
+        score += (idf.get(term) * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * d.length) / avgLength));
+      }
+      return { id: d.id, score, matchedTerms };
+    })
+    .sort((x, y) => y.score - x.score);
+};
+
+/**
+ * Normalizes search filters as produced by the LLM (or typed by an operator).
+ * Values that can't be understood are dropped rather than guessed.
+ * @param {Object} [raw]
+ * @returns {{query: string, userType?: string, locations?: Array<string>, minExperience?: number, maxExperience?: number, minCtc?: number, maxCtc?: number, workMode?: string}}
+ */
+searchHelper.normalizeFilters = function (raw = {}) {
+  const filters = { query: String(raw.query || "").trim() };
+  if (["candidate", "freelancer"].includes(raw.userType)) filters.userType = raw.userType;
+
+  const locations = raw.locations || raw.location;
+  if (locations) {
+    const list = profileHelper.parseList(locations);
+    if (list.length) filters.locations = list;
+  }
+  for (const key of ["minExperience", "maxExperience"]) {
+    if (raw[key] === null || raw[key] === undefined || raw[key] === "") continue;
+    const years = profileHelper.parseYears(raw[key]);
+    if (years !== null) filters[key] = years;
+  }
+  for (const key of ["minCtc", "maxCtc"]) {
+    if (raw[key] === null || raw[key] === undefined || raw[key] === "") continue;
+    const ctc = profileHelper.parseCtc(raw[key]);
+    if (ctc !== null) filters[key] = ctc;
+  }
+  const workMode = raw.workMode && profileHelper.parseWorkMode(raw.workMode);
+  if (workMode && workMode !== "any") filters.workMode = workMode;
+  return filters;
+};
+
+module.exports = searchHelper;
@@ -0,0 +1,159 @@
+const shortlistHelper = {};
+
+// "shortlist 2", "reject 3 and 4", "more like #1", "schedule 2"
+const COMMAND_PATTERN =
+  /^\s*(shortlist|reject|more\s+like|schedule)\s+#?(\d+(?:\s*(?:,|&|and|\s)\s*#?\d+)*)\s*[.!]?\s*$/i;
+
+const STATUS_MARKS = { shortlisted: "✅", rejected: "❌" };
+const INTRODUCTION_LABELS = {
+  asked: "waiting for their OK to share contact",
+  declined: "didn't want to share contact",
+  done: "introduced",
+};
+
+const YES_WORDS = "yes|yeah|yep|yup|sure|ok|okay|go ahead|please do|haan|han|ha|ji|y";
+const NO_WORDS = "no|nope|nah|nahi|not now|not interested|don'?t|n";
+const YES_PATTERN = new RegExp(`^(${YES_WORDS})\\b`);
+const NO_PATTERN = new RegExp(`^(${NO_WORDS})\\b`);
+// The whole message is the answer, give or take punctuation and a "thanks".
+const BARE_TAIL = "(?:[\\s,]+(?:thanks|thank you|please|pls))?[\\s.!👍]*$";
+const BARE_YES_PATTERN = new RegExp(`^(?:${YES_WORDS})(?:[\\s,]+(?:${YES_WORDS}))*${BARE_TAIL}`, "u");
+const BARE_NO_PATTERN = new RegExp(`^(?:${NO_WORDS})${BARE_TAIL}`, "u");
+// Longer answers ("yes, but what's the salary?") are left to the conversation.
+const MAX_CONSENT_WORDS = 6;
+
+/**
+ * Reads a recruiter's reply to a shortlist.
+ * @param {string} text - The message.
+ * @returns {{action: "shortlist"|"reject"|"more"|"schedule", numbers: Array<number>}|null}
+ *   Null when the message isn't a shortlist command. "more" and "schedule" take one number.
+ */
+shortlistHelper.parseCommand = function (text) {
+  const match = String(text || "").match(COMMAND_PATTERN);
+  if (!match) return null;
+  const action = match[1].toLowerCase().startsWith("more")
+    ? "more"
+    : match[1].toLowerCase();
+  const numbers = [...new Set(match[2].match(/\d+/g).map(Number))];
+  const single = action === "more" || action === "schedule";
+  return { action, numbers: single ? numbers.slice(0, 1) : numbers };
+};
+
+/**
+ * Reads a short yes/no answer, e.g. to "Can I share your number?".
+ * @param {string} text - The message.
+ * @param {Object} [options]
+ * @param {boolean} [options.bare=false] - Only a message that is nothing but
+ *   the answer counts, so "no, budget is 25 LPA" or "ok but make it remote"
+ *   read as neither.
+ * @returns {boolean|null} Null when the message isn't a clear yes or no.
+ */
+shortlistHelper.parseConsent = function (text, { bare = false } = {}) {
+  const clean = String(text || "").trim().toLowerCase();
+  if (!clean || clean.split(/\s+/).length > MAX_CONSENT_WORDS) return null;
+  if (bare) {
+    if (/^👍[\s.!]*$/u.test(clean) || BARE_YES_PATTERN.test(clean)) return true;
+    if (BARE_NO_PATTERN.test(clean)) return false;
+    return null;
+  }
+  if (clean.startsWith("👍")) return true;
+  if (NO_PATTERN.test(clean)) return false;
+  if (YES_PATTERN.test(clean)) return true;
+  return null;
+};
+
+/**
+ * Shortens a query to fit in a message line.
+ * @param {string} text
+ * @param {number} [max=80]
+ * @returns {string}
+ */
+shortlistHelper.about = function (text, max = 80) {
+  const value = String(text || "");
+  return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+};
+
+/**
+ * Formats a search score as a match percentage.
+ * @param {number|null} score - 0..1.
+ * @returns {string|null}
+ */
+shortlistHelper.formatMatch = function (score) {
+  return typeof score === "number" ? `${Math.round(score * 100)}% match` : null;
+};
+
+/**
+ * Renders a shortlist as one WhatsApp message.
+ * @param {Object} query - The query document.
+ * @param {Array<Object>} entries - From QueryService.getShortlist.
+ * @param {Object} [options]
+ * @param {number} [options.freshCount] - Entries new in this delivery; 0 says so up front.
+ * @returns {string}
+ */
+shortlistHelper.formatShortlist = function (query, entries, { freshCount } = {}) {
+  const about = shortlistHelper.about(query.query);
+  const lines = [
+    freshCount === 0
+      ? `I couldn't find anyone new for "${about}" this time. Your shortlist is unchanged:`
+      : `📋 Shortlist for "${about}"`,
+    "",
+  ];
+  for (const entry of entries) {
+    const mark = STATUS_MARKS[entry.reachOut.status];
+    const details = [
+      shortlistHelper.formatMatch(entry.reachOut.score),
+      entry.reachOut.status === "qualify" ? null : entry.reachOut.status,
+      INTRODUCTION_LABELS[entry.reachOut.introduction?.status],
+    ].filter(Boolean);
+    lines.push(
+      `${entry.number}. ${mark ? `${mark} ` : ""}*${entry.name}*${
+        details.length ? ` (${details.join(", ")})` : ""
+      }`
+    );
+    const summary = (entry.summary || "").trim();
+    if (summary) {
+      lines.push(...summary.split("\n").map((line) => `   ${line.trim()}`));
+    }
+  }
+  lines.push(
+    "",
+    `Reply "shortlist 2" to move someone forward, "reject 3" to drop them, or "more like 1" to find similar people.`
+  );
+  return lines.join("\n");
+};
+
+/**
+ * Escapes one CSV field.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a shortlist as CSV, for the document attachment and the admin API.
+ * Contact details are left out; they are shared only with the candidate's
+ * consent.
+ * @param {Array<Object>} entries - From QueryService.getShortlist.
+ * @returns {string}
+ */
+shortlistHelper.toCsv = function (entries) {
+  const rows = [["#", "Name", "Status", "Introduction", "Match", "Summary"]];
+  for (const entry of entries) {
+    rows.push([
+      entry.number,
+      entry.name,
+      entry.reachOut.status,
+      entry.reachOut.introduction?.status || "",
+      typeof entry.reachOut.score === "number"
+        ? Math.round(entry.reachOut.score * 100)
+        : "",
+      (entry.summary || "").trim(),
+    ]);
+  }
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+};
+
+module.exports = shortlistHelper;
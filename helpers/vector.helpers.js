@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+
+const vectorHelper = {};
+
+/**
+ * Cosine similarity of two vectors of the same length.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} Between -1 and 1; 0 when either vector is empty or all zeros.
+ */
+vectorHelper.cosine = function (a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Keeps the k best-scoring items seen so far. Cheaper than sorting a whole
+ * collection when scanning many vectors.
+ * @param {number} k
+ * @returns {{push: Function, values: Function}}
+ */
+vectorHelper.topK = function (k) {
+  const items = [];
+  return {
+    push(item) {
+      if (items.length < k) {
+        items.push(item);
+      } else if (item.score > items[items.length - 1].score) {
+        items[items.length - 1] = item;
+      } else {
+        return;
+      }
+      items.sort((x, y) => y.score - x.score);
+    },
+    values() {
+      return [...items];
+    },
+  };
+};
+
+/**
+ * A deterministic, dependency-free stand-in for a real embedding model:
+ * hashed bag of words and character trigrams, L2-normalized. Texts sharing
+ * words get similar vectors, which is enough for tests and offline runs.
+ * @param {string} text
+ * @param {number} [dimensions=256]
+ * @returns {Array<number>}
+ */
+vectorHelper.hashEmbedding = function (text, dimensions = 256) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text || "").toLowerCase().match(/[a-z0-9+#]+/g) || [];
+  const features = [];
+  for (const word of words) {
+    features.push(word);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) features.push(padded.slice(i, i + 3));
+  }
+  for (const feature of features) {
+    const hash = crypto.createHash("md5").update(feature).digest();
+    const index = hash.readUInt32BE(0) % dimensions;
+    vector[index] += hash[4] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map((v) => v / norm);
+};
+
+module.exports = vectorHelper;
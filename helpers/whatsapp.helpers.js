@@ -1,5 +1,4 @@
-const pdfParse = require("pdf-parse");
-const mammoth = require("mammoth");
+const documentHelper = require("./document.helpers");
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
@@ -7,6 +6,21 @@ const path = require('path');
 
 const whatsAppHelper = {};
 
+// Keep the real container of voice notes (ogg/opus) and images so speech-to-text and OCR can read them.
+const MEDIA_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "audio/ogg": "ogg",
+  "audio/opus": "opus",
+  "audio/mp4": "m4a",
+  "audio/aac": "aac",
+  "audio/amr": "amr",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/webm": "webm",
+};
+
 whatsAppHelper.detectMessagemediaType = function(message,jid = null,fileBuffer = null) {
     if (!message?.message) {
         return { isMedia: false, mediaType: 'unknown' };
@@ -33,17 +47,19 @@ whatsAppHelper.detectMessagemediaType = function(message,jid = null,fileBuffer =
 
       // Here you’d normally decode/download the actual file buffer from WhatsApp message
       // For now, assume you already have the buffer + extension
+      const mimetype = (message.message[foundType].mimetype || "").split(";")[0].trim();
       const extension =
         message.extension ||
-        (fileType === "image"
-          ? "jpg"
-          : fileType === "video"
-          ? "mp4"
-          : fileType === "audio"
-          ? "mp3"
-          : fileType === "document"
-          ? "pdf"
-          : "bin");
+        (fileType === "document"
+          ? documentHelper.extensionOf(message.message[foundType]) || "bin"
+          : MEDIA_EXTENSIONS[mimetype] ||
+            (fileType === "image"
+              ? "jpg"
+              : fileType === "video"
+              ? "mp4"
+              : fileType === "audio"
+              ? "mp3"
+              : "bin"));
       let savedPath = null;
       if (fileBuffer) {
         savedPath = saveMediaFile(fileBuffer, jid, fileType, extension);
@@ -74,48 +90,48 @@ whatsAppHelper.detectMessagemediaType = function(message,jid = null,fileBuffer =
     return { isMedia: false, mediaType: 'unknown' };
 }
 
+/**
+ * Extracts the text of a document message and splits it into chunks of at
+ * most charLimit characters at page, then paragraph boundaries (see
+ * documentHelper.chunkPages), so a long resume isn't cut mid-job.
+ * @param {Object} message - A Baileys-shaped message with a documentMessage.
+ * @param {Function} downloadContentFromMessage - Resolves to an iterable of Buffers.
+ * @param {number} [charLimit=5000]
+ * @returns {Promise<{text: string, chunks: Array<string>}>} `text` is the
+ *   first chunk; both are empty when the document can't be read.
+ */
 whatsAppHelper.extractDocumentText = async function (
   message,
   downloadContentFromMessage,
   charLimit = 5000
 ) {
-  if (!message?.message?.documentMessage) return "";
+  if (!message?.message?.documentMessage) return { text: "", chunks: [] };
 
   const docMsg = message.message.documentMessage;
-  let extractedText = "";
+  const extension = documentHelper.extensionOf(docMsg);
+  if (!documentHelper.isReadable(extension)) {
+    console.warn(`⚠️ Can't read text from a .${extension || "?"} document (${docMsg.mimetype}).`);
+    return { text: "", chunks: [] };
+  }
 
   try {
     const stream = await downloadContentFromMessage(docMsg, "document");
-    const chunks = [];
-    for await (const chunk of stream) chunks.push(chunk);
-    const buffer = Buffer.concat(chunks);
-
-    const mime = (docMsg.mimetype || "").toLowerCase();
-
-    if (mime.includes("pdf")) {
-      const data = await pdfParse(buffer);
-      extractedText = data.text || "";
-    } else if (
-      mime.includes("wordprocessingml") ||
-      mime.includes("officedocument")
-    ) {
-      const { value } = await mammoth.extractRawText({ buffer });
-      extractedText = value || "";
-    } else if (mime.includes("text")) {
-      extractedText = buffer.toString("utf8");
-    }
-
-    if (extractedText.length > charLimit) {
-      extractedText = extractedText.slice(0, charLimit) + "... [truncated]";
+    const parts = [];
+    for await (const part of stream) parts.push(part);
+    const buffer = Buffer.concat(parts);
+
+    const pages = await documentHelper.extractPages(buffer, extension);
+    const chunks = documentHelper.chunkPages(pages, charLimit);
+    if (chunks.length > 1) {
+      console.log(`📄 .${extension} document: ${pages.length} page(s) in ${chunks.length} chunks.`);
     }
+    return { text: chunks[0] || "", chunks };
   } catch (err) {
     console.error("❌ Failed to extract document text:", err.message);
+    return { text: "", chunks: [] };
   }
-
-  return extractedText;
 };
 
-
 /**
  * Generate a random file name with extension
  */
@@ -173,5 +189,22 @@ function saveMediaFile(fileBuffer, jid, fileType, extension) {
 }
 
 
+/**
+ * Builds the vCard of a contact card, with the WhatsApp id so "Message"
+ * opens the chat directly.
+ * @param {{name: string, jid: string}} contact
+ * @returns {string}
+ */
+whatsAppHelper.buildVcard = function ({ name, jid }) {
+  const phone = String(jid).split("@")[0];
+  const safeName = String(name || phone).replace(/[\r\n;]/g, " ");
+  return [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${safeName}`,
+    `TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`,
+    "END:VCARD",
+  ].join("\n");
+};
 
 module.exports = whatsAppHelper;
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Builds the processor for the follow-up queue. Follow-ups are scheduled by the
+ * LLM through the `scheduleFollowUp` tool and are sent as a plain message when
+ * their delay runs out.
+ * @param {Object} services
+ * @param {UserService} services.userService
+ * @param {WhatsAppService} services.whatsAppService
+ * @returns {Function} The BullMQ job processor.
+ */
+const createFollowUpProcessor = ({ userService, whatsAppService }) => async (job) => {
+    const { jid, message, reason } = job.data;
+    console.log(`⏰ Sending follow-up ${job.id} to ${jid} (${reason || 'no reason given'})`);
+
+    const user = await userService.findUserByJid(jid);
+    if (!user) {
+        console.warn(`-- ❌ User ${jid} no longer exists. Dropping follow-up.`);
+        return { sent: false, reason: 'user not found' };
+    }
+    // An operator owns the chat; don't talk over them.
+    if (user.handoff?.active) {
+        console.log(`-- 🙋 ${jid} is handed off to a human. Skipping follow-up.`);
+        return { sent: false, reason: 'handoff active' };
+    }
+
+    await whatsAppService.sendMessage(jid, message);
+    await userService.saveMessage({
+        jid,
+        by: 'model',
+        type: user.type,
+        content: message,
+    });
+    return { sent: true };
+};
+
+module.exports = createFollowUpProcessor;
@@ -0,0 +1,24 @@
+/**
+ * Builds the processor for the meeting queue. Reminder jobs are scheduled by
+ * OutreachService.armMeetingReminders when an interview is confirmed, and
+ * skipped if the interview was moved or cancelled since. Expiry jobs are
+ * scheduled by OutreachService.armMeetingExpiry when one starts being arranged.
+ * @param {Object} services
+ * @param {OutreachService} services.outreachService
+ * @returns {Function} The BullMQ job processor.
+ */
+const createMeetingProcessor = ({ outreachService }) => async (job) => {
+    const { meetingId, minutesBefore } = job.data;
+    if (job.name === "meeting-expiry") {
+        console.log(`📅 Expiry check for meeting ${meetingId} (job ${job.id})`);
+        const outcome = await outreachService.expireMeeting(job.data);
+        console.log(`-- Meeting ${meetingId}: ${outcome}`);
+        return { outcome };
+    }
+    console.log(`📅 Reminder for meeting ${meetingId}, ${minutesBefore} minute(s) before (job ${job.id})`);
+    const outcome = await outreachService.remindMeeting(job.data);
+    console.log(`-- Meeting ${meetingId}: ${outcome}`);
+    return { outcome };
+};
+
+module.exports = createMeetingProcessor;
@@ -0,0 +1,17 @@
+/**
+ * Builds the processor for the nudge queue. Jobs are scheduled by
+ * OutreachService.armNudges whenever we write to the target of a reach-out,
+ * and check, once the silence interval is over, whether the target answered.
+ * @param {Object} services
+ * @param {OutreachService} services.outreachService
+ * @returns {Function} The BullMQ job processor.
+ */
+const createNudgeProcessor = ({ outreachService }) => async (job) => {
+    const { reachOutId } = job.data;
+    console.log(`🔔 Checking reach-out ${reachOutId} for an answer (job ${job.id})`);
+    const outcome = await outreachService.nudgeReachOut(job.data);
+    console.log(`-- Reach-out ${reachOutId}: ${outcome}`);
+    return { outcome };
+};
+
+module.exports = createNudgeProcessor;
@@ -1,69 +1,138 @@
-const UserService = require('../services/user.service');
-const LLMService = require('../services/llm.service');
-const ReachOutService = require('../services/reachOut.service');
-const QueryService = require('../services/query.service');
-const redisClient = require('../config/redis');
-
-// Initialize services needed for the job processor.
-// In a larger application, this might use a dependency injection container.
-const userService = new UserService(redisClient);
-const llmService = new LLMService();
-const reachOutService = new ReachOutService();
-const queryService = new QueryService();
+const searchHelper = require('../helpers/search.helpers');
+const profileHelper = require('../helpers/profile.helpers');
+const jdHelper = require('../helpers/jd.helpers');
 
+// Re-running the job of a closed query does nothing; any other query can be
+// searched again for more candidates.
+const PROCESSABLE_STATUSES = ['init', 'searching', 'outreach', 'ready', 'delivered'];
 
 /**
- * This is the core logic for the background job that processes a new query.
- * It follows the HR/Client flow from your diagram.
- * @param {Object} job - The job object from the BullMQ queue.
+ * Builds the processor for the outreach queue. Each `process-new-query` job
+ * processes one query, following the HR/Client flow: search our profiles, vet
+ * the results, create the reach-outs and start the conversations with the
+ * candidates. A `query-deadline` job applies the deadline rule once it's due.
+ *
+ * A job with `likeJid` is a "more like" round: it searches for profiles
+ * similar to that candidate's (their `likeRole` profile) instead of the query text.
+ *
+ * Every step is safe to repeat, so a retried or re-queued job picks up where
+ * the last run stopped: a candidate gets one reach-out per query, and
+ * `checkReachOut` only messages reach-outs still on hold.
+ *
+ * @param {Object} services
+ * @param {QueryService} services.queryService
+ * @param {OutreachService} services.outreachService - Provides search, vetting and reach-outs.
+ * @returns {Function} The BullMQ job processor.
  */
-const outreachJobProcessor = async (job) => {
-    const { queryId } = job.data;
+const createOutreachProcessor = ({ queryService, outreachService }) => async (job) => {
+    const { queryId, likeJid, likeRole } = job.data;
+    const { searchService, llmService, reachOutService, userService } = outreachService;
+
+    if (job.name === 'query-deadline') {
+        const current = await queryService.getQueryById(queryId);
+        // The deadline moved (another search round) since this job was scheduled.
+        if (current && job.data.deadline && new Date(current.deadline).getTime() !== job.data.deadline) {
+            return { skipped: 'stale deadline' };
+        }
+        console.log(`⌛ Deadline reached for Query ID: ${queryId}`);
+        const query = await queryService.evaluateCompletion(queryId, { deadlineHit: true });
+        if (query) await outreachService.surfaceQueryStatus(query);
+        return { status: query?.status || null };
+    }
     console.log(`💼 Processing outreach job for Query ID: ${queryId}`);
 
     // 1. Get the actual query details from the database.
-    const query = await queryService.getQueryById(queryId);
+    let query = await queryService.getQueryById(queryId);
     if (!query) {
         console.error(`-- ❌ Query with ID ${queryId} not found. Aborting job.`);
-        return;
+        return { skipped: 'query not found' };
     }
-
-    // 2. Get a list of potential users to reach out to from the database.
-    const potentialUsers = await userService.findPotentialCandidates();
-    if (!potentialUsers || potentialUsers.length === 0) {
-        console.log('-- 🤷 No potential candidates found. Ending job.');
-        await queryService.updateQueryStatus(queryId, 'closed_no_candidates');
-        return;
+    if (!PROCESSABLE_STATUSES.includes(query.status)) {
+        console.log(`-- ⏭️ Query ${queryId} is already ${query.status}. Nothing to do.`);
+        return { skipped: `query is ${query.status}` };
     }
-    console.log(`-- Found ${potentialUsers.length} potential candidates.`);
-
-    // 3. Iterate through the list of potential users.
-    for (const user of potentialUsers) {
-        // Ensure user has a profile to analyze. The user model should contain a 'profile' field.
-        const userProfileText = user.profile || 'No profile information available.';
-        console.log(`-- Vetting user ${user.name} for query ${queryId}`);
 
-        // 4. Use LLM to compare user profile with the query's needs.
-        const { decision } = await llmService.qualifyUserForReachOut(query, [{ from: 'system', text: `Profile: ${userProfileText}` }]);
+    const hadReachOuts = (await queryService.countReachOuts(queryId)).reachOutCount > 0;
+    try {
+        // 2. Turn the query into search filters (once; a JD's come with it) and search our profiles.
+        await queryService.updateQueryStatus(queryId, 'searching');
+        await job.updateProgress({ stage: 'searching', percent: 10 });
+        if (!query.filters) {
+            const raw = await llmService.extractSearchFilters(query.query);
+            const updates = { filters: searchHelper.normalizeFilters(raw) };
+            const shortlistSize = parseInt(raw.shortlistSize, 10);
+            if (shortlistSize > 0) updates.wantedCount = shortlistSize;
+            query = await queryService.updateQuery(queryId, updates);
+        }
+        await searchService.indexQuery(query);
+        let semanticText = jdHelper.describeQuery(query);
+        if (likeJid) {
+            const liked = await userService.findUserByJid(likeJid);
+            const likedProfile = profileHelper.profileOf(liked, likeRole);
+            if (!profileHelper.isEmpty(likedProfile)) semanticText = profileHelper.formatProfile(likedProfile);
+        }
+        // People already contacted for this query would only take up places. Those
+        // still on hold stay in, so reach-outs an interrupted run created get started.
+        const contacted = await reachOutService.listTargetIds(queryId, { status: { $ne: 'hold' } });
+        const candidates = await searchService.searchCandidates(query.filters, {
+            limit: Math.max(10, query.wantedCount * 3),
+            excludeJids: [query.author_id, ...contacted],
+            semanticText,
+        });
+        console.log(`-- Found ${candidates.length} potential candidates.`);
+        await job.updateProgress({ stage: 'vetting', percent: 30, found: candidates.length });
 
-        if (decision === 'qualify') {
-            console.log(`-- 👍 User ${user.name} is a good fit. Creating ReachOut.`);
-            // 5. Create the ReachOut document with status 'hold'.
-            await reachOutService.createReachOut({
-                targetId: user._id,
-                queryId: query._id,
-                type: query.type || 'ask', // Default to 'ask' if not specified
-                status: 'hold',
+        // 3. Let the LLM vet each result against the query.
+        const vetted = [];
+        for (const [index, candidate] of candidates.entries()) {
+            if (await llmService.vetCandidate(query, candidate)) {
+                console.log(`-- 👍 ${candidate.name || candidate.jid} is a good fit.`);
+                vetted.push(candidate);
+            } else {
+                console.log(`-- 👎 ${candidate.name || candidate.jid} is not a fit.`);
+            }
+            await job.updateProgress({
+                stage: 'vetting',
+                percent: 30 + Math.round((40 * (index + 1)) / candidates.length),
+                found: candidates.length,
+                vetted: vetted.length,
             });
-        } else {
-            console.log(`-- 👎 User ${user.name} is not a fit.`);
         }
-    }
 
-    // 6. Update the query status after the loop.
-    await queryService.updateQueryStatus(queryId, 'processing_complete');
-    console.log(`✅ Finished processing outreach job for Query ID: ${queryId}`);
-};
+        if (vetted.length === 0 && !hadReachOuts) {
+            console.log('-- 🤷 No suitable candidates found. Ending job.');
+            query = await queryService.updateQueryStatus(queryId, 'closed', { closedReason: 'no_candidates' });
+            await outreachService.surfaceQueryStatus(query);
+            await job.updateProgress({ stage: 'done', percent: 100, found: candidates.length, vetted: 0 });
+            return { found: candidates.length, vetted: 0, reachOuts: 0 };
+        }
+
+        // 4. Create the reach-outs and start talking to the candidates.
+        // A re-run finding nobody new goes back to waiting on earlier reach-outs.
+        await queryService.updateQueryStatus(queryId, 'outreach');
+        await job.updateProgress({ stage: 'outreach', percent: 70, found: candidates.length, vetted: vetted.length });
+        const reachOuts = await outreachService.makeReachOut(query, vetted);
 
-module.exports = outreachJobProcessor;
+        // 5. Some reach-outs (notifications) are answered at once; tell the author where we are.
+        query = await queryService.evaluateCompletion(queryId);
+        await outreachService.surfaceQueryStatus(query);
+
+        await job.updateProgress({
+            stage: 'done',
+            percent: 100,
+            found: candidates.length,
+            vetted: vetted.length,
+            reachOuts,
+        });
+        console.log(`✅ Finished processing outreach job for Query ID: ${queryId}`);
+        return { found: candidates.length, vetted: vetted.length, reachOuts };
+    } catch (error) {
+        // Leave the query open while BullMQ still retries the job.
+        if (job.attemptsMade + 1 >= (job.opts.attempts || 1) && !hadReachOuts) {
+            await queryService.updateQueryStatus(queryId, 'closed', { closedReason: 'error' });
+        }
+        throw error;
+    }
+};
 
+module.exports = createOutreachProcessor;
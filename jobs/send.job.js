@@ -0,0 +1,91 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+
+/**
+ * Tells socket drops, timeouts and rate limiting apart from errors that
+ * another attempt won't fix (e.g. an invalid number).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+const isTransientSendError = (err) => {
+    const status = err?.output?.statusCode || err?.response?.status || err?.statusCode;
+    if ([408, 428, 429, 500, 502, 503, 504].includes(status)) return true;
+    if (['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ECONNREFUSED', 'EAI_AGAIN'].includes(err?.code)) return true;
+    return /connection (closed|lost)|timed out|socket|stream errored/i.test(err?.message || '');
+};
+
+/**
+ * Builds the processor for the send queue. It must run with concurrency 1:
+ * the queue's order is then the delivery order, which keeps each chat's
+ * messages in sequence.
+ *
+ * Before each message the worker shows "typing..." for a human-looking,
+ * jittered pause: about as long as typing the text for the chat lane, and a
+ * longer random gap for the bulk lane. The overall messages-per-minute cap is
+ * the worker's BullMQ limiter (see app.js).
+ *
+ * Transient failures are retried in place with backoff, so later messages
+ * can't overtake the failing one; a message that still fails goes to the
+ * dead-letter list.
+ *
+ * @param {Object} services
+ * @param {WhatsAppService} services.whatsAppService - Delivers the messages.
+ * @param {SendQueueService} services.sendQueueService - Tracks lanes and dead letters.
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts=process.env.SEND_MAX_ATTEMPTS || 5]
+ * @param {number} [options.bulkMinGapMs=process.env.SEND_BULK_MIN_GAP_MS || 4000]
+ * @param {number} [options.bulkMaxGapMs=process.env.SEND_BULK_MAX_GAP_MS || 12000]
+ * @param {number} [options.chatMaxGapMs=process.env.SEND_CHAT_MAX_GAP_MS || 4000]
+ * @returns {Function} The BullMQ job processor.
+ */
+const createSendProcessor = (
+    { whatsAppService, sendQueueService },
+    {
+        maxAttempts = Number(process.env.SEND_MAX_ATTEMPTS || 5),
+        bulkMinGapMs = Number(process.env.SEND_BULK_MIN_GAP_MS || 4000),
+        bulkMaxGapMs = Number(process.env.SEND_BULK_MAX_GAP_MS || 12000),
+        chatMaxGapMs = Number(process.env.SEND_CHAT_MAX_GAP_MS || 4000)
+    } = {}
+) => async (job) => {
+    const { jid, lane, kind, text, media, contact } = job.data;
+
+    const gap = lane === 'chat'
+        ? Math.min(chatMaxGapMs, 500 + 30 * (text || '').length) * randomBetween(0.8, 1.2)
+        : randomBetween(bulkMinGapMs, bulkMaxGapMs);
+    await whatsAppService.transport.startTyping(jid).catch(() => {});
+    await sleep(gap);
+    await whatsAppService.transport.stopTyping(jid).catch(() => {});
+
+    try {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                if (kind === 'media') {
+                    const { bufferBase64, ...rest } = media;
+                    await whatsAppService.deliverMedia(jid, {
+                        ...rest,
+                        buffer: bufferBase64 ? Buffer.from(bufferBase64, 'base64') : undefined
+                    });
+                } else if (kind === 'contact') {
+                    await whatsAppService.deliverContact(jid, contact);
+                } else {
+                    await whatsAppService.deliverText(jid, text);
+                }
+                return { sent: true, attempts: attempt };
+            } catch (err) {
+                if (!isTransientSendError(err) || attempt >= maxAttempts) {
+                    const entry = await sendQueueService.deadLetter(job.data, err, attempt);
+                    console.error(`💀 Message to ${jid} dead-lettered as ${entry.id}: ${err.message}`);
+                    return { sent: false, deadLetterId: entry.id };
+                }
+                const wait = Math.min(30000, 1000 * 2 ** (attempt - 1)) + Math.floor(Math.random() * 1000);
+                console.warn(`⚠️ Sending to ${jid} failed (attempt ${attempt}/${maxAttempts}): ${err.message}. Retrying in ${wait}ms.`);
+                await sleep(wait);
+            }
+        }
+    } finally {
+        await sendQueueService.settle(jid, lane);
+    }
+};
+
+module.exports = createSendProcessor;
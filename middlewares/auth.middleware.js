@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+
+/**
+ * Compares two strings in constant time so the API key can't be guessed
+ * character by character from response timings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Express middleware that only lets through requests carrying the admin API key,
+ * either as an `x-api-key` header or as `Authorization: Bearer <key>`.
+ * If ADMIN_API_KEY is not configured every request is refused.
+ */
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res
+      .status(503)
+      .json({ error: "Admin API is disabled. Set ADMIN_API_KEY to enable it." });
+  }
+
+  const header = req.get("authorization") || "";
+  const provided =
+    req.get("x-api-key") ||
+    (header.toLowerCase().startsWith("bearer ") ? header.slice(7).trim() : "");
+
+  if (!provided || !safeEqual(provided, expected)) {
+    return res.status(401).json({ error: "Invalid or missing API key." });
+  }
+  next();
+}
+
+module.exports = { requireAdminKey };
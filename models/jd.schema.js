@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Mongoose sub-schema for the structured requirements read from a job
+ * description (see jdHelper.normalizeJd). Embedded in the Query document as
+ * `jd`, and in the User document as `jdDraft.jd` while the recruiter checks it.
+ */
+const jdSchema = new Schema(
+  {
+    /**
+     * The job title, e.g. "Senior Backend Engineer".
+     */
+    role: { type: String, default: null, trim: true },
+
+    employmentType: {
+      type: String,
+      enum: ["full-time", "contract", "freelance", "internship", null],
+      default: null,
+    },
+
+    /**
+     * The skills the JD asks for, most important first.
+     */
+    skills: { type: [String], default: undefined },
+
+    minExperience: { type: Number, default: null },
+    maxExperience: { type: Number, default: null },
+
+    /**
+     * The CTC band in rupees per year.
+     */
+    minCtc: { type: Number, default: null },
+    maxCtc: { type: Number, default: null },
+
+    locations: { type: [String], default: undefined },
+
+    workMode: {
+      type: String,
+      enum: ["remote", "hybrid", "onsite", null],
+      default: null,
+    },
+
+    /**
+     * One or two sentences about the work and the company.
+     */
+    summary: { type: String, default: null },
+
+    /**
+     * The file the JD was read from.
+     */
+    source: {
+      filePath: { type: String, default: null },
+      fileName: { type: String, default: null },
+      receivedAt: { type: Date, default: null },
+    },
+  },
+  { _id: false }
+);
+
+module.exports = { jdSchema };
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * One side of a meeting: when they said they are free and whether they
+ * agreed to the proposed time.
+ */
+const participantSchema = new Schema(
+  {
+    /**
+     * The participant's JID.
+     */
+    jid: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * IANA time zone their times are read and shown in.
+     */
+    timeZone: {
+      type: String,
+      default: "Asia/Kolkata",
+    },
+
+    /**
+     * The ranges they said they are free, latest answer only.
+     */
+    slots: {
+      type: [{ start: Date, end: Date, _id: false }],
+      default: [],
+    },
+
+    /**
+     * Whether they agreed to the proposed time.
+     */
+    confirmed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose schema for a Meeting document: an interview between a query's
+ * author (organizer) and a candidate they were introduced to (attendee).
+ */
+const meetingSchema = new Schema(
+  {
+    /**
+     * The reach-out that introduced the two.
+     * Links to the 'ReachOut' collection.
+     */
+    reachOutId: {
+      type: Schema.Types.ObjectId,
+      ref: "ReachOut",
+      required: true,
+    },
+
+    /**
+     * The query the interview is for.
+     * Links to the 'Query' collection.
+     */
+    queryId: {
+      type: Schema.Types.ObjectId,
+      ref: "Query",
+      required: true,
+    },
+
+    organizer: {
+      type: participantSchema,
+      required: true,
+    },
+
+    attendee: {
+      type: participantSchema,
+      required: true,
+    },
+
+    /**
+     * collecting (asking both sides when they're free) → proposed (a common
+     * time was offered) → confirmed (both agreed; invites sent). Either side
+     * sending new times goes back to collecting. A meeting nobody touched for
+     * MEETING_EXPIRE_HOURS before it was confirmed is expired.
+     */
+    status: {
+      type: String,
+      required: true,
+      enum: ["collecting", "proposed", "confirmed", "cancelled", "expired"],
+      default: "collecting",
+    },
+
+    durationMinutes: {
+      type: Number,
+      default: 30,
+      min: 5,
+    },
+
+    /**
+     * The proposed, then confirmed, time.
+     */
+    start: {
+      type: Date,
+      default: null,
+    },
+    end: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Bumped each time the calendar invite is sent, so calendars update the
+     * event instead of adding another.
+     */
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+); // Automatically adds createdAt and updatedAt fields
+
+meetingSchema.index({ "organizer.jid": 1, status: 1 });
+meetingSchema.index({ "attendee.jid": 1, status: 1 });
+
+// Create and export the model
+const Meeting = mongoose.model("Meeting", meetingSchema);
+
+module.exports = Meeting;
@@ -21,6 +21,8 @@ const messageSchema = new mongoose.Schema({
     default: "null" 
   },
   mediaUrl: { type: String, default: null },
+  // What was said in a voice note; also its content, so the history reads as text.
+  transcript: { type: String, default: null },
   timestamp: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,157 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Where a profile value came from. Every update is merged field by field, and
+ * values read off documents never replace what the user stated (see
+ * profileHelper.mergeProfile).
+ */
+const PROFILE_SOURCES = ["conversation", "tool", "resume", "linkedin", "search", "admin"];
+
+/**
+ * When and from where one profile field was last written.
+ */
+const fieldMetaSchema = new Schema(
+  {
+    updatedAt: { type: Date, required: true },
+    source: { type: String, enum: PROFILE_SOURCES, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Mongoose sub-schema for the structured profile of a candidate or freelancer.
+ * Embedded in the User document as `profile`.
+ */
+const profileSchema = new Schema(
+  {
+    /**
+     * Whether the user looks for a job (candidate) or for projects (freelancer).
+     * Mirrors User.role, so profile searches and the vector index can filter on it.
+     */
+    userType: {
+      type: String,
+      enum: ["candidate", "freelancer", null],
+      default: null,
+    },
+
+    /**
+     * Skills with an optional self-declared or inferred level.
+     */
+    skills: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        level: {
+          type: String,
+          enum: ["beginner", "intermediate", "advanced", "expert", null],
+          default: null,
+        },
+      },
+    ],
+
+    yearsOfExperience: { type: Number, default: null },
+
+    /**
+     * Compensation in rupees per year.
+     */
+    currentCtc: { type: Number, default: null },
+    expectedCtc: { type: Number, default: null },
+
+    noticePeriodDays: { type: Number, default: null },
+
+    /**
+     * Cities the user lives in or is willing to work from.
+     */
+    locations: { type: [String], default: undefined },
+
+    workMode: {
+      type: String,
+      enum: ["remote", "hybrid", "onsite", "any", null],
+      default: null,
+    },
+
+    portfolioUrl: { type: String, default: null, trim: true },
+    linkedinUrl: { type: String, default: null, trim: true },
+    githubUrl: { type: String, default: null, trim: true },
+
+    /**
+     * Other links the user shared (blog, Behance, Stack Overflow...).
+     */
+    links: { type: [String], default: undefined },
+
+    /**
+     * Contact details as written on the resume. The user is still reached
+     * on WhatsApp; these are kept for the record and never put in prompts.
+     */
+    contact: {
+      name: { type: String, default: null, trim: true },
+      email: { type: String, default: null, trim: true, lowercase: true },
+      phone: { type: String, default: null, trim: true },
+    },
+
+    /**
+     * Jobs, most recent first. `endDate` is null for the current job.
+     */
+    workHistory: {
+      type: [
+        {
+          _id: false,
+          company: { type: String, default: null, trim: true },
+          title: { type: String, default: null, trim: true },
+          startDate: { type: Date, default: null },
+          endDate: { type: Date, default: null },
+          current: { type: Boolean, default: false },
+        },
+      ],
+      default: undefined,
+    },
+
+    education: {
+      type: [
+        {
+          _id: false,
+          institution: { type: String, default: null, trim: true },
+          degree: { type: String, default: null, trim: true },
+          startYear: { type: Number, default: null },
+          endYear: { type: Number, default: null },
+        },
+      ],
+      default: undefined,
+    },
+
+    certifications: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true, trim: true },
+          issuer: { type: String, default: null, trim: true },
+          year: { type: Number, default: null },
+        },
+      ],
+      default: undefined,
+    },
+
+    /**
+     * The last resume the user sent.
+     */
+    resume: {
+      filePath: { type: String, default: null },
+      fileName: { type: String, default: null },
+      receivedAt: { type: Date, default: null },
+    },
+
+    /**
+     * Anything useful for future reach-outs that has no field of its own.
+     */
+    notes: { type: String, default: null },
+
+    /**
+     * Per-field provenance, keyed by field name (e.g. `fieldMeta.expectedCtc`).
+     */
+    fieldMeta: { type: Map, of: fieldMetaSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+module.exports = { profileSchema, PROFILE_SOURCES };
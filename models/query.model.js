@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { jdSchema } = require("./jd.schema");
 
 /**
  * Mongoose schema for a Query document.
@@ -15,17 +16,70 @@ const querySchema = new Schema(
       required: true,
     },
 
+    /**
+     * How many qualified candidates the author wants on the shortlist.
+     */
+    wantedCount: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
 
-    totalCount:{
+    /**
+     * Reach-outs created for the query, how many of them got an answer
+     * (qualified, failed or expired) and how many qualified, including those
+     * the author has since shortlisted or rejected. Refreshed by
+     * QueryService.evaluateCompletion.
+     */
+    reachOutCount: {
       type: Number,
       default: 0,
     },
-
-    count:{
+    respondedCount: {
+      type: Number,
+      default: 0,
+    },
+    qualifiedCount: {
       type: Number,
       default: 0,
     },
 
+    /**
+     * When the author gets whatever shortlist there is, even if it isn't full.
+     */
+    deadline: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Why the query was closed: its deadline passed or nobody qualified
+     * (evaluateCompletion), no candidates were found or the outreach job failed,
+     * an admin closed it, or it was closed when migrating a legacy status.
+     */
+    closedReason: {
+      type: String,
+      enum: ["deadline", "no_qualified_candidates", "no_candidates", "error", "admin", "legacy", null],
+      default: null,
+    },
+
+    /**
+     * The reach-outs delivered to the author, in the order they were numbered.
+     * Later deliveries append, so "reject 3" keeps meaning the same person.
+     */
+    shortlist: {
+      type: [{ type: Schema.Types.ObjectId, ref: "ReachOut" }],
+      default: [],
+    },
+
+    /**
+     * When the author last got the shortlist.
+     */
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * The text content of the query.
      */
@@ -34,6 +88,25 @@ const querySchema = new Schema(
       required: true,
     },
 
+    /**
+     * Structured search filters extracted from the query
+     * (see SearchService.searchCandidates).
+     */
+    filters: {
+      type: Object,
+      default: null,
+    },
+
+    /**
+     * The requirements of the JD the query was posted with, as the author
+     * confirmed them. When set, matching and reach-out prompts use it instead
+     * of the query text (see jdHelper.describeQuery).
+     */
+    jd: {
+      type: jdSchema,
+      default: null,
+    },
+
     /**
      * The type of user who created the query.
      */
@@ -44,13 +117,17 @@ const querySchema = new Schema(
     },
 
     /**
-     * The current status of the query.
-     * Must be one of the predefined values.
+     * The current status of the query. Transitions are enforced by
+     * QueryService (see QUERY_TRANSITIONS):
+     * init → searching (the outreach job is finding and vetting candidates)
+     * → outreach (reach-outs sent, waiting for answers) → ready (a completion
+     * rule was met) → delivered (the author got the shortlist) → closed.
+     * A query can be closed from any status.
      */
     status: {
       type: String,
       required: true,
-      enum: ["init", "success", "fail", "hold"],
+      enum: ["init", "searching", "outreach", "ready", "delivered", "closed"],
       default: "init",
     },
   },
@@ -27,15 +27,52 @@ const reachOutSchema = new Schema(
 
     /**
      * The current status of the reach-out process.
-     * Must be one of the predefined values.
+     * Must be one of the predefined values. "shortlisted" and "rejected" are
+     * the author's decisions on a qualified candidate.
      */
     status: {
       type: String,
       required: true,
-      enum: ["init", "qualify", "hold", "fail"],
+      enum: ["init", "qualify", "hold", "fail", "expired", "shortlisted", "rejected"],
       default: "hold",
     },
 
+    /**
+     * The role the target was found as ("candidate" or "freelancer"); picks
+     * which of their profiles the reach-out is about.
+     */
+    targetRole: {
+      type: String,
+      enum: ["candidate", "freelancer", null],
+      default: null,
+    },
+
+    /**
+     * The candidate's search score (0..1) when the reach-out was created.
+     * Ranks the shortlist.
+     */
+    score: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * When we last wrote to the target in this reach-out (the opening message
+     * or a nudge). Unanswered reach-outs are nudged counting from here.
+     */
+    lastContactAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * How many nudges were sent since the target last replied.
+     */
+    nudgeCount: {
+      type: Number,
+      default: 0,
+    },
+
     /**
      * The type of reach-out action.
      * Must be one of the predefined values.
@@ -55,6 +92,27 @@ const reachOutSchema = new Schema(
       default: "",
     },
 
+    /**
+     * Introducing a shortlisted target to the query's author. The target is
+     * asked first; once they agree, both get each other's contact card or a
+     * group with the two of them.
+     */
+    introduction: {
+      status: {
+        type: String,
+        enum: ["none", "asked", "declined", "done"],
+        default: "none",
+      },
+      method: {
+        type: String,
+        enum: ["contact", "group", null],
+        default: null,
+      },
+      groupJid: { type: String, default: null },
+      askedAt: { type: Date, default: null },
+      answeredAt: { type: Date, default: null },
+    },
+
     /**
      * Indicates if the reach-out process has ended.
      */
@@ -70,6 +128,9 @@ const reachOutSchema = new Schema(
   { timestamps: true }
 ); // Automatically adds createdAt and updatedAt fields
 
+// One reach-out per person per query, so re-running a query's job is harmless.
+reachOutSchema.index({ queryId: 1, targetId: 1 }, { unique: true });
+
 // Create and export the model
 const ReachOut = mongoose.model("ReachOut", reachOutSchema);
 
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { profileSchema } = require('./profile.schema');
+const { jdSchema } = require('./jd.schema');
+const conversationHelper = require('../helpers/conversation.helpers');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -17,11 +20,39 @@ const userSchema = new mongoose.Schema({
         unique: true,
         trim: true
     },
+    // The reach-out the user is answering while in the in-reachout state.
     currentReachout: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'ReachOut',
         default: null
     },
+    // Every role the user holds, e.g. a founder hiring freelancers (client)
+    // who also takes projects (freelancer). Kept across conversations.
+    roles: {
+        type: [String],
+        enum: conversationHelper.ROLES,
+        default: []
+    },
+    // The role of the current (or last) session, one of `roles`. Null until
+    // onboarding learns it.
+    role: {
+        type: String,
+        enum: [...conversationHelper.ROLES, null],
+        default: null
+    },
+    // Where the conversation stands. Only UserService.transition moves it,
+    // following the rules in helpers/conversation.helpers.js.
+    state: {
+        type: String,
+        enum: conversationHelper.STATES,
+        default: 'onboarding'
+    },
+    stateChangedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // The persona the bot talks to the user with (it picks the system prompt),
+    // derived from role and state on every transition.
     type: {
         type: String,
         required: true,
@@ -41,9 +72,69 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
-    metaData:{
-        type: Object,
-        default: null
+    // Structured profiles, one per role that has one, merged field by field.
+    // Hiring roles are described by their queries instead.
+    profiles: {
+        candidate: {
+            type: profileSchema,
+            default: undefined
+        },
+        freelancer: {
+            type: profileSchema,
+            default: undefined
+        }
+    },
+    // Documents the bot has asked for and is still waiting on (see the requestDocument tool).
+    pendingDocuments: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: ['resume', 'jd', 'portfolio'],
+            required: true
+        },
+        note: {
+            type: String,
+            default: null
+        },
+        requestedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // A JD a recruiter sent, read into requirements. "pending" until they confirm the
+    // summary; the next query they post is built from it (see OutreachService.handleQuery).
+    jdDraft: {
+        type: new mongoose.Schema({
+            jd: {
+                type: jdSchema,
+                required: true
+            },
+            status: {
+                type: String,
+                enum: ['pending', 'confirmed'],
+                default: 'pending'
+            },
+            updatedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }, { _id: false }),
+        default: undefined
+    },
+    // While a human operator owns the chat, the bot stays silent.
+    handoff: {
+        active: {
+            type: Boolean,
+            default: false
+        },
+        reason: {
+            type: String,
+            default: null
+        },
+        at: {
+            type: Date,
+            default: null
+        }
     }
 });
 
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/**
+ * Mongoose schema for one stored embedding (see vectorStores/mongo.store.js).
+ */
+const vectorSchema = new Schema(
+  {
+    /**
+     * What kind of thing is embedded, e.g. "profiles" or "queries".
+     */
+    namespace: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * Id of the embedded thing within its namespace (a JID, a query id...).
+     */
+    refId: {
+      type: String,
+      required: true,
+    },
+
+    vector: {
+      type: [Number],
+      required: true,
+    },
+
+    /**
+     * The embedded text, kept to tell whether a re-embed is needed.
+     */
+    text: {
+      type: String,
+      default: "",
+    },
+
+    metadata: {
+      type: Object,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+vectorSchema.index({ namespace: 1, refId: 1 }, { unique: true });
+
+const Vector = mongoose.model("Vector", vectorSchema);
+
+module.exports = Vector;
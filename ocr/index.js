@@ -0,0 +1,27 @@
+/**
+ * Registry of the available OCR engines. Modules are required lazily so that
+ * picking one never loads the others' dependencies.
+ */
+const ENGINES = {
+  tesseract: () => require("./tesseract.ocr"),
+  llm: () => require("./llm.ocr"),
+};
+
+/**
+ * Creates an OCR engine by name.
+ * @param {string} [name=process.env.OCR_PROVIDER || "tesseract"] - "tesseract" or "llm".
+ * @param {object} [options] - Passed to the engine's constructor ("llm" needs `llmService`).
+ * @returns {import('./ocrEngine')} The engine instance.
+ */
+function createOcrEngine(name = process.env.OCR_PROVIDER || "tesseract", options = {}) {
+  const load = ENGINES[name];
+  if (!load) {
+    throw new Error(
+      `Unknown OCR engine "${name}". Expected one of: ${Object.keys(ENGINES).join(", ")}`
+    );
+  }
+  const Engine = load();
+  return new Engine(options);
+}
+
+module.exports = { createOcrEngine };
@@ -0,0 +1,26 @@
+const OcrEngine = require("./ocrEngine");
+
+/**
+ * OCR by a multimodal model: the image is sent to the model routed to the
+ * "vision" task (LLM_ROUTE_VISION), which transcribes it. Copes better than
+ * Tesseract with photos taken at an angle, at the price of a model call.
+ */
+class LlmOcrEngine extends OcrEngine {
+  /**
+   * @param {object} opts
+   * @param {LLMService} opts.llmService
+   */
+  constructor({ llmService } = {}) {
+    super();
+    if (!llmService) {
+      throw new Error("LlmOcrEngine needs an llmService.");
+    }
+    this.llmService = llmService;
+  }
+
+  async recognize(image) {
+    return this.llmService.readImageText(image);
+  }
+}
+
+module.exports = LlmOcrEngine;
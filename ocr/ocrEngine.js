@@ -0,0 +1,24 @@
+/**
+ * @typedef {Object} ImageInput
+ * @property {string} filePath - Local path of the image (a saved photo or screenshot).
+ * @property {string} [mimetype] - e.g. "image/jpeg".
+ */
+
+/**
+ * Base class for OCR engines. An engine reads the text off an image, e.g. a
+ * screenshot of a resume or a photo of a job description.
+ *
+ * Subclasses must implement every method below.
+ */
+class OcrEngine {
+  /**
+   * Reads the text in an image. Must reject if the image could not be read.
+   * @param {ImageInput} image
+   * @returns {Promise<string>} The text, trimmed; empty when the image has none.
+   */
+  async recognize(image) {
+    throw new Error(`${this.constructor.name} does not implement recognize()`);
+  }
+}
+
+module.exports = OcrEngine;
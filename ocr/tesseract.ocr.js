@@ -0,0 +1,42 @@
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const OcrEngine = require("./ocrEngine");
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * OCR with the Tesseract command-line tool installed next to the app
+ * (`apt install tesseract-ocr`, plus a language pack per extra language).
+ */
+class TesseractOcrEngine extends OcrEngine {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.bin=process.env.OCR_TESSERACT_BIN || "tesseract"]
+   * @param {string} [opts.languages=process.env.OCR_LANGUAGES || "eng"] - Tesseract
+   *   language codes joined with "+", e.g. "eng+hin".
+   * @param {number} [opts.timeoutMs=60000]
+   */
+  constructor({
+    bin = process.env.OCR_TESSERACT_BIN || "tesseract",
+    languages = process.env.OCR_LANGUAGES || "eng",
+    timeoutMs = 60000,
+  } = {}) {
+    super();
+    this.bin = bin;
+    this.languages = languages;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async recognize({ filePath }) {
+    // "stdout" as the output base makes Tesseract print the text instead of writing a file.
+    const { stdout } = await execFileAsync(
+      this.bin,
+      [path.resolve(filePath), "stdout", "-l", this.languages],
+      { timeout: this.timeoutMs, maxBuffer: 10 * 1024 * 1024 }
+    );
+    return String(stdout).trim();
+  }
+}
+
+module.exports = TesseractOcrEngine;
@@ -0,0 +1,207 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const llmHelper = require("../helpers/llm.helpers");
+const vectorHelper = require("../helpers/vector.helpers");
+
+/**
+ * Deterministic, offline LLM provider for tests and the simulator.
+ *
+ * Every `sendMessage` is answered from, in order:
+ *   1. a queued failure (see `failNext`), which is thrown;
+ *   2. a scripted response (see `script`) whose `match` fits the call;
+ *   3. a fixture file keyed by a hash of the system prompt and the message;
+ *   4. in "record" mode, the wrapped real provider, whose answer is saved as a fixture;
+ *   5. otherwise the fallback text, or an error when `strict` is set.
+ *
+ * Responses have the same shape as the Gemini SDK so generateReply can't tell
+ * the difference. Embeddings are computed locally (see `embed`).
+ */
+class FakeProvider {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.fixturesDir] - Directory holding `<key>.json` fixtures.
+   * @param {"replay"|"record"} [opts.mode="replay"]
+   * @param {object} [opts.recordFrom] - Real provider to call (and record) on a fixture miss.
+   * @param {boolean} [opts.strict=false] - Throw instead of using the fallback on a miss.
+   * @param {string} [opts.fallbackText="ok"]
+   */
+  constructor({
+    fixturesDir = null,
+    mode = "replay",
+    recordFrom = null,
+    strict = false,
+    fallbackText = "ok",
+  } = {}) {
+    if (mode === "record" && (!recordFrom || !fixturesDir)) {
+      throw new Error("FakeProvider in record mode needs recordFrom and fixturesDir.");
+    }
+    this.fixturesDir = fixturesDir;
+    this.mode = mode;
+    this.recordFrom = recordFrom;
+    this.strict = strict;
+    this.fallbackText = fallbackText;
+    this.scripted = [];
+    this.failures = [];
+    // Every call made, for assertions: { key, model, systemInstruction, message, source }
+    this.calls = [];
+  }
+
+  /**
+   * Queues scripted responses. Each is used once, by the first call it matches.
+   * `match` is tested against the system prompt and the message; omit it to
+   * match anything.
+   * @param {Array<{match?: string|RegExp, text?: string, functionCalls?: Array<{name: string, args: object}>}>} responses
+   */
+  script(responses = []) {
+    this.scripted.push(...responses);
+    return this;
+  }
+
+  /**
+   * Makes the next `times` matching calls throw. The default error looks like a
+   * Gemini 503, which executeWithRetry treats as transient; pass a non-transient
+   * error to exercise the heuristic fallbacks instead.
+   * @param {object} [opts]
+   * @param {number} [opts.times=1]
+   * @param {number} [opts.status=503]
+   * @param {string} [opts.message="503 Service Unavailable: the model is overloaded"]
+   * @param {string|RegExp} [opts.match]
+   */
+  failNext({
+    times = 1,
+    status = 503,
+    message = "503 Service Unavailable: the model is overloaded",
+    match,
+  } = {}) {
+    for (let i = 0; i < times; i++) this.failures.push({ status, message, match });
+    return this;
+  }
+
+  /**
+   * Clears scripted responses, queued failures and the call log.
+   */
+  reset() {
+    this.scripted = [];
+    this.failures = [];
+    this.calls = [];
+  }
+
+  /**
+   * Computes the fixture key of a call.
+   * @param {string} systemInstruction
+   * @param {string|Array} message
+   * @returns {string}
+   */
+  static keyFor(systemInstruction, message) {
+    const body = typeof message === "string" ? message : JSON.stringify(message);
+    return crypto
+      .createHash("sha256")
+      .update(`${systemInstruction || ""}\n---\n${body}`)
+      .digest("hex")
+      .slice(0, 24);
+  }
+
+  startChat({ model, systemInstruction, tools, history = [] }) {
+    const provider = this;
+    let realChat = null;
+    return {
+      async sendMessage(message) {
+        const call = {
+          key: FakeProvider.keyFor(systemInstruction, message),
+          model,
+          systemInstruction,
+          message,
+        };
+        provider.calls.push(call);
+        const haystack = `${systemInstruction || ""}\n${
+          typeof message === "string" ? message : JSON.stringify(message)
+        }`;
+
+        const failureIndex = provider.failures.findIndex((f) => matches(f.match, haystack));
+        if (failureIndex !== -1) {
+          const failure = provider.failures.splice(failureIndex, 1)[0];
+          call.source = "failure";
+          const err = new Error(failure.message);
+          err.status = failure.status;
+          throw err;
+        }
+
+        const scriptIndex = provider.scripted.findIndex((s) => matches(s.match, haystack));
+        if (scriptIndex !== -1) {
+          call.source = "script";
+          return toResult(provider.scripted.splice(scriptIndex, 1)[0]);
+        }
+
+        const fixture = provider._readFixture(call.key);
+        if (fixture) {
+          call.source = "fixture";
+          return toResult(fixture);
+        }
+
+        if (provider.mode === "record") {
+          call.source = "recorded";
+          if (!realChat) {
+            realChat = provider.recordFrom.startChat({ model, systemInstruction, tools, history });
+          }
+          const result = await realChat.sendMessage(message);
+          const recorded = {
+            text: result.response.text(),
+            functionCalls: result.response.functionCalls() || [],
+          };
+          provider._writeFixture(call.key, { ...recorded, systemInstruction, message });
+          return toResult(recorded);
+        }
+
+        if (provider.strict) {
+          call.source = "miss";
+          throw new Error(`FakeProvider: no fixture or script for call ${call.key}`);
+        }
+        call.source = "fallback";
+        return toResult({ text: provider.fallbackText });
+      },
+    };
+  }
+
+  /**
+   * Embeds texts with vectorHelper.hashEmbedding, so similar texts get similar
+   * vectors without any model. Calls are logged with source "hash".
+   * @param {object} opts
+   * @param {string} opts.model
+   * @param {Array<string>} opts.texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed({ model, texts }) {
+    this.calls.push({ key: "embed", model, message: texts, source: "hash" });
+    return texts.map((text) => vectorHelper.hashEmbedding(text));
+  }
+
+  _fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  _readFixture(key) {
+    if (!this.fixturesDir) return null;
+    const file = this._fixturePath(key);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  _writeFixture(key, fixture) {
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(this._fixturePath(key), JSON.stringify(fixture, null, 2));
+    console.log(`📼 Recorded LLM fixture ${key}`);
+  }
+}
+
+function matches(pattern, haystack) {
+  if (!pattern) return true;
+  if (pattern instanceof RegExp) return pattern.test(haystack);
+  return haystack.includes(pattern);
+}
+
+function toResult({ text = "", functionCalls = [] }) {
+  return llmHelper.toGeminiResult(text, functionCalls);
+}
+
+module.exports = FakeProvider;
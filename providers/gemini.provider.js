@@ -0,0 +1,50 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+/**
+ * LLM provider backed by Google Gemini. The client is created on first use so
+ * that loading the module never needs an API key.
+ */
+class GeminiProvider {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.apiKey=process.env.GEMINI_API_KEY]
+   */
+  constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    this.apiKey = apiKey;
+    this.client = null;
+  }
+
+  /**
+   * Starts a chat session.
+   * @param {object} opts
+   * @param {string} opts.model - Model name, e.g. "gemini-2.5-pro".
+   * @param {string} opts.systemInstruction - The system prompt.
+   * @param {object|Array} [opts.tools] - Gemini tool declarations.
+   * @param {Array<object>} [opts.history] - Prior turns in Gemini `{ role, parts }` form.
+   * @returns {{ sendMessage: Function }} A chat whose `sendMessage(content)` resolves to
+   *   `{ response: { text(), functionCalls() } }`.
+   */
+  startChat({ model, systemInstruction, tools, history = [] }) {
+    if (!this.client) this.client = new GoogleGenerativeAI(this.apiKey);
+    return this.client
+      .getGenerativeModel({ model, systemInstruction, tools })
+      .startChat({ history });
+  }
+
+  /**
+   * Embeds texts in one batch.
+   * @param {object} opts
+   * @param {string} opts.model - Embedding model, e.g. "text-embedding-004".
+   * @param {Array<string>} opts.texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async embed({ model, texts }) {
+    if (!this.client) this.client = new GoogleGenerativeAI(this.apiKey);
+    const result = await this.client.getGenerativeModel({ model }).batchEmbedContents({
+      requests: texts.map((text) => ({ content: { role: "user", parts: [{ text }] } })),
+    });
+    return result.embeddings.map((e) => e.values);
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,57 @@
+/**
+ * Registry of LLM providers. Each factory reads its settings from the
+ * environment unless options are passed explicitly.
+ */
+const PROVIDERS = {
+  gemini: (opts) => {
+    const GeminiProvider = require("./gemini.provider");
+    return new GeminiProvider(opts);
+  },
+  openai: (opts) => {
+    const OpenAIProvider = require("./openai.provider");
+    return new OpenAIProvider(opts);
+  },
+  ollama: (opts) => {
+    const OllamaProvider = require("./ollama.provider");
+    return new OllamaProvider(opts);
+  },
+  fake: (opts) => {
+    const FakeProvider = require("./fake.provider");
+    const mode = opts.mode || process.env.LLM_FAKE_MODE || "replay";
+    return new FakeProvider({
+      fixturesDir: process.env.LLM_FIXTURES_DIR || null,
+      strict: process.env.LLM_FAKE_STRICT === "true",
+      recordFrom:
+        mode === "record" ? createProvider(require("../config/llm").recordProvider()) : null,
+      ...opts,
+      mode,
+    });
+  },
+};
+
+/**
+ * Creates an LLM provider by name.
+ * @param {string} [name=process.env.LLM_PROVIDER || "gemini"] - "gemini", "openai", "ollama" or "fake".
+ * @param {object} [options] - Passed to the provider's constructor.
+ * @returns {object} A provider exposing `startChat({ model, systemInstruction, tools, history })`
+ *   and `embed({ model, texts })`.
+ */
+function createProvider(name = process.env.LLM_PROVIDER || "gemini", options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+  return factory(options);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether a provider with that name exists.
+ */
+function isProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+module.exports = { createProvider, isProvider };
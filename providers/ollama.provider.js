@@ -0,0 +1,95 @@
+const axios = require("axios");
+const llmHelper = require("../helpers/llm.helpers");
+
+/**
+ * LLM provider for a local Ollama server (`/api/chat`).
+ */
+class OllamaProvider {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.baseUrl=process.env.OLLAMA_BASE_URL || "http://localhost:11434"]
+   * @param {number} [opts.timeoutMs=300000] - Local models can be slow to load.
+   */
+  constructor({
+    baseUrl = process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+    timeoutMs = 300000,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.timeoutMs = timeoutMs;
+  }
+
+  startChat({ model, systemInstruction, tools, history = [] }) {
+    const messages = [];
+    if (systemInstruction) messages.push({ role: "system", content: systemInstruction });
+    messages.push(...llmHelper.toChatMessages(history));
+    const ollamaTools = llmHelper.toOpenAITools(tools);
+
+    return {
+      sendMessage: async (content) => {
+        // The turn joins the history only once it was answered, so a retried
+        // call doesn't send it twice.
+        const turn = [];
+        for (const part of typeof content === "string" ? [{ text: content }] : content) {
+          if (part.functionResponse) {
+            turn.push({
+              role: "tool",
+              tool_name: part.functionResponse.name,
+              content: JSON.stringify(part.functionResponse.response),
+            });
+          } else if (part.text !== undefined) {
+            turn.push({ role: "user", content: part.text });
+          } else if (part.inlineData) {
+            // Images ride along with the text they were sent with.
+            const last = turn[turn.length - 1];
+            if (last?.role === "user") {
+              last.images = [...(last.images || []), part.inlineData.data];
+            } else {
+              turn.push({ role: "user", content: "", images: [part.inlineData.data] });
+            }
+          }
+        }
+
+        let data;
+        try {
+          ({ data } = await axios.post(
+            `${this.baseUrl}/api/chat`,
+            { model, messages: [...messages, ...turn], tools: ollamaTools, stream: false },
+            { timeout: this.timeoutMs }
+          ));
+        } catch (err) {
+          throw llmHelper.withStatus(err);
+        }
+
+        const reply = data.message || { role: "assistant", content: "" };
+        messages.push(...turn, reply);
+        const functionCalls = (reply.tool_calls || []).map((c) => ({
+          name: c.function.name,
+          args: c.function.arguments || {},
+        }));
+        return llmHelper.toGeminiResult(reply.content, functionCalls);
+      },
+    };
+  }
+
+  /**
+   * Embeds texts with `/api/embed`.
+   * @param {object} opts
+   * @param {string} opts.model - e.g. "nomic-embed-text".
+   * @param {Array<string>} opts.texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async embed({ model, texts }) {
+    try {
+      const { data } = await axios.post(
+        `${this.baseUrl}/api/embed`,
+        { model, input: texts },
+        { timeout: this.timeoutMs }
+      );
+      return data.embeddings;
+    } catch (err) {
+      throw llmHelper.withStatus(err);
+    }
+  }
+}
+
+module.exports = OllamaProvider;
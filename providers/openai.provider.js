@@ -0,0 +1,127 @@
+const axios = require("axios");
+const llmHelper = require("../helpers/llm.helpers");
+
+/**
+ * LLM provider for any OpenAI-compatible chat-completions endpoint (OpenAI,
+ * Azure-style gateways, vLLM, LM Studio, OpenRouter...).
+ */
+class OpenAIProvider {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.baseUrl=process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"]
+   * @param {string} [opts.apiKey=process.env.OPENAI_API_KEY]
+   * @param {number} [opts.timeoutMs=120000]
+   */
+  constructor({
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey = process.env.OPENAI_API_KEY,
+    timeoutMs = 120000,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  startChat({ model, systemInstruction, tools, history = [] }) {
+    const messages = [];
+    if (systemInstruction) messages.push({ role: "system", content: systemInstruction });
+    messages.push(...llmHelper.toChatMessages(history));
+    const openAITools = llmHelper.toOpenAITools(tools);
+    // Ids of the tool calls the model made last, so function responses can refer to them.
+    let pendingCalls = [];
+
+    return {
+      sendMessage: async (content) => {
+        // The turn joins the history only once it was answered, so a retried
+        // call sends it (and finds its tool call ids) again.
+        const turn = [];
+        const unanswered = [...pendingCalls];
+        for (const part of typeof content === "string" ? [{ text: content }] : content) {
+          if (part.functionResponse) {
+            const index = unanswered.findIndex((c) => c.name === part.functionResponse.name);
+            const call = index === -1 ? null : unanswered.splice(index, 1)[0];
+            turn.push({
+              role: "tool",
+              tool_call_id: call ? call.id : part.functionResponse.name,
+              content: JSON.stringify(part.functionResponse.response),
+            });
+          } else if (part.text !== undefined) {
+            turn.push({ role: "user", content: part.text });
+          } else if (part.inlineData) {
+            // Images ride along with the text they were sent with.
+            const image = {
+              type: "image_url",
+              image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` },
+            };
+            const last = turn[turn.length - 1];
+            if (last?.role === "user") {
+              last.content = [
+                ...(typeof last.content === "string" ? [{ type: "text", text: last.content }] : last.content),
+                image,
+              ];
+            } else {
+              turn.push({ role: "user", content: [image] });
+            }
+          }
+        }
+
+        let data;
+        try {
+          ({ data } = await axios.post(
+            `${this.baseUrl}/chat/completions`,
+            { model, messages: [...messages, ...turn], tools: openAITools },
+            {
+              headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+              timeout: this.timeoutMs,
+            }
+          ));
+        } catch (err) {
+          throw llmHelper.withStatus(err);
+        }
+
+        const reply = data.choices?.[0]?.message || {};
+        messages.push(...turn, reply);
+        pendingCalls = (reply.tool_calls || []).map((c) => ({ id: c.id, name: c.function.name }));
+        const functionCalls = (reply.tool_calls || []).map((c) => ({
+          name: c.function.name,
+          args: safeParse(c.function.arguments),
+        }));
+        return llmHelper.toGeminiResult(reply.content, functionCalls);
+      },
+    };
+  }
+
+  /**
+   * Embeds texts with the `/embeddings` endpoint.
+   * @param {object} opts
+   * @param {string} opts.model - e.g. "text-embedding-3-small".
+   * @param {Array<string>} opts.texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async embed({ model, texts }) {
+    let data;
+    try {
+      ({ data } = await axios.post(
+        `${this.baseUrl}/embeddings`,
+        { model, input: texts },
+        {
+          headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+          timeout: this.timeoutMs,
+        }
+      ));
+    } catch (err) {
+      throw llmHelper.withStatus(err);
+    }
+    return [...data.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  }
+}
+
+function safeParse(json) {
+  try {
+    return JSON.parse(json || "{}");
+  } catch (_) {
+    return {};
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,385 @@
+const express = require("express");
+const User = require("../models/user.model");
+const Query = require("../models/query.model");
+const ReachOut = require("../models/reachOut.model");
+const Message = require("../models/message.model");
+const Meeting = require("../models/meeting.model");
+const shortlistHelper = require("../helpers/shortlist.helpers");
+const profileHelper = require("../helpers/profile.helpers");
+
+const MAX_PAGE_SIZE = 200;
+// Reach-out statuses that end it; set through OutreachService.settleReachOut.
+const TERMINAL_REACHOUT_STATUSES = ["qualify", "fail", "expired"];
+
+/**
+ * Reads `limit` and `skip` from the query string, clamped to sane values.
+ * @param {Object} query - Express `req.query`.
+ * @returns {{limit: number, skip: number}}
+ */
+function parsePaging(query) {
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit, 10) || 50)
+  );
+  const skip = Math.max(0, parseInt(query.skip, 10) || 0);
+  return { limit, skip };
+}
+
+/**
+ * Copies the allowed keys that are present in the query string into a Mongo filter.
+ * @param {Object} query - Express `req.query`.
+ * @param {Array<string>} keys - Query-string keys that map 1:1 to document fields.
+ * @returns {Object} The filter.
+ */
+function pickFilter(query, keys) {
+  const filter = {};
+  for (const key of keys) {
+    if (typeof query[key] === "string" && query[key] !== "") {
+      filter[key] = query[key];
+    }
+  }
+  return filter;
+}
+
+/**
+ * Returns the allowed values of an enum path on a mongoose model.
+ * @param {mongoose.Model} model
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+function enumValues(model, path) {
+  return model.schema.path(path).enumValues;
+}
+
+/**
+ * Builds the authenticated admin REST API. Every read and write goes through the
+ * service instances created in `main()` so that caches (e.g. the Redis user cache)
+ * stay consistent with MongoDB.
+ *
+ * @param {Object} services
+ * @param {UserService} services.userService
+ * @param {QueryService} services.queryService
+ * @param {ReachOutService} services.reachOutService
+ * @param {OutreachService} services.outreachService - Ends reach-outs set to a final status.
+ * @param {MeetingService} [services.meetingService] - Backs the /meetings endpoints.
+ * @param {SearchService} [services.searchService] - Re-indexes profiles edited here.
+ * @param {SendQueueService} [services.sendQueueService] - Backs the /send endpoints.
+ * @returns {express.Router}
+ */
+function createAdminRouter({
+  userService,
+  queryService,
+  reachOutService,
+  outreachService,
+  meetingService,
+  searchService,
+  sendQueueService,
+}) {
+  const router = express.Router();
+
+  // ----------------------------- Users -----------------------------
+
+  router.get("/users", async (req, res) => {
+    const filter = pickFilter(req.query, ["type", "role", "roles", "state", "phone"]);
+    if (req.query.name) {
+      filter.name = { $regex: escapeRegex(req.query.name), $options: "i" };
+    }
+    const users = await userService.listUsers(filter, parsePaging(req.query));
+    res.json({ data: users });
+  });
+
+  router.get("/users/:jid", async (req, res) => {
+    const user = await userService.findUserByJid(req.params.jid);
+    if (!user) return res.status(404).json({ error: "User not found." });
+    res.json({ data: user });
+  });
+
+  // Forces a user's conversation state (and optionally a new role), e.g. to
+  // free a user stuck in a session. Role guards still apply, and in-reachout
+  // is only entered by starting a reach-out. Leaving it expires the current
+  // reach-out, so its query stops waiting on the answer.
+  router.patch("/users/:jid/state", async (req, res) => {
+    const { state, role } = req.body || {};
+    const allowed = enumValues(User, "state").filter((s) => s !== "in-reachout");
+    if (!allowed.includes(state)) {
+      return res
+        .status(400)
+        .json({ error: `state must be one of: ${allowed.join(", ")}` });
+    }
+    const roles = enumValues(User, "role").filter(Boolean);
+    if (role != null && !roles.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of: ${roles.join(", ")}` });
+    }
+    const user = await userService.findUserByJid(req.params.jid);
+    if (!user) return res.status(404).json({ error: "User not found." });
+
+    // Guard failures are a 409.
+    const updated = await userService.transition(user, state, {
+      role,
+      force: true,
+      reason: "set by admin",
+    });
+    if (user.currentReachout) {
+      const reachOut = await reachOutService.findReachOutById(user.currentReachout);
+      if (reachOut && ["init", "hold"].includes(reachOut.status)) {
+        await outreachService.settleReachOut(reachOut._id, "expired");
+      }
+    }
+    res.json({ data: updated });
+  });
+
+  // Corrects profile fields by hand. Fields are merged like any other update
+  // and recorded with source "admin". `?role=freelancer` picks the profile of
+  // a user holding several.
+  router.patch("/users/:jid/profile", async (req, res) => {
+    const updates = req.body || {};
+    if (typeof updates !== "object" || Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "Send the profile fields to update." });
+    }
+    const { role } = req.query;
+    if (role !== undefined && !profileHelper.PROFILE_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${profileHelper.PROFILE_ROLES.join(", ")}`,
+      });
+    }
+    const result = await userService.updateProfile(
+      req.params.jid,
+      updates,
+      "admin",
+      role
+    );
+    const { user, changed } = result;
+    if (!user) return res.status(404).json({ error: "User not found." });
+    if (changed.length > 0 && searchService) {
+      await searchService.indexProfile(user, result.role);
+    }
+    res.json({ data: user, role: result.role, changed });
+  });
+
+  // Starts or releases a human handoff. While it is active the bot doesn't
+  // reply to the user (see the escalateToHuman tool).
+  router.patch("/users/:jid/handoff", async (req, res) => {
+    const { active, reason } = req.body || {};
+    if (typeof active !== "boolean") {
+      return res.status(400).json({ error: "active must be true or false." });
+    }
+    const user = await userService.findUserByJid(req.params.jid);
+    if (!user) return res.status(404).json({ error: "User not found." });
+
+    const handoff = active
+      ? { active: true, reason: reason || "Started by an operator.", at: new Date() }
+      : { active: false, reason: null, at: null };
+    const updated = await userService.updateUser(user._id, { handoff });
+    res.json({ data: updated });
+  });
+
+  // ---------------------------- Queries ----------------------------
+
+  router.get("/queries", async (req, res) => {
+    const filter = pickFilter(req.query, ["status", "author_id", "author_type"]);
+    const queries = await queryService.listQueries(
+      filter,
+      parsePaging(req.query)
+    );
+    res.json({ data: queries });
+  });
+
+  router.get("/queries/:id", async (req, res) => {
+    const query = await queryService.getQueryById(req.params.id);
+    if (!query) return res.status(404).json({ error: "Query not found." });
+    const job = await queryService.getProcessingState(query._id);
+    res.json({ data: { ...query, job } });
+  });
+
+  // The query's shortlist as the author sees it; ?format=csv for a spreadsheet.
+  router.get("/queries/:id/shortlist", async (req, res) => {
+    const shortlist = await queryService.getShortlist(req.params.id);
+    if (!shortlist) return res.status(404).json({ error: "Query not found." });
+    if (req.query.format === "csv") {
+      res.type("text/csv");
+      res.attachment(`shortlist-${shortlist.query._id}.csv`);
+      return res.send(shortlistHelper.toCsv(shortlist.entries));
+    }
+    const data = shortlist.entries.map(({ number, delivered, name, summary, reachOut }) => ({
+      number,
+      delivered,
+      name,
+      summary,
+      reachOut,
+    }));
+    res.json({ data });
+  });
+
+  // Re-runs a query's outreach job, e.g. after new profiles came in. Candidates
+  // already reached out to for the query are skipped.
+  router.post("/queries/:id/process", async (req, res) => {
+    const query = await queryService.getQueryById(req.params.id);
+    if (!query) return res.status(404).json({ error: "Query not found." });
+    await queryService.enqueueProcessing(query._id);
+    res.status(202).json({ data: await queryService.getProcessingState(query._id) });
+  });
+
+  router.patch("/queries/:id/status", async (req, res) => {
+    const { status } = req.body || {};
+    const allowed = enumValues(Query, "status");
+    if (!allowed.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${allowed.join(", ")}` });
+    }
+    const { reason = "admin" } = req.body;
+    const reasons = enumValues(Query, "closedReason").filter(Boolean);
+    if (status === "closed" && !reasons.includes(reason)) {
+      return res
+        .status(400)
+        .json({ error: `reason must be one of: ${reasons.join(", ")}` });
+    }
+    // Only transitions QueryService allows; anything else is a 409.
+    const updated = await queryService.updateQueryStatus(
+      req.params.id,
+      status,
+      status === "closed" ? { closedReason: reason } : {}
+    );
+    if (!updated) return res.status(404).json({ error: "Query not found." });
+    res.json({ data: updated });
+  });
+
+  // --------------------------- ReachOuts ---------------------------
+
+  router.get("/reachouts", async (req, res) => {
+    const filter = pickFilter(req.query, [
+      "status",
+      "type",
+      "targetId",
+      "queryId",
+    ]);
+    const reachOuts = await reachOutService.listReachOuts(
+      filter,
+      parsePaging(req.query)
+    );
+    res.json({ data: reachOuts });
+  });
+
+  router.get("/reachouts/:id", async (req, res) => {
+    const reachOut = await reachOutService.findReachOutById(req.params.id);
+    if (!reachOut) return res.status(404).json({ error: "ReachOut not found." });
+    res.json({ data: reachOut });
+  });
+
+  router.patch("/reachouts/:id/status", async (req, res) => {
+    const { status } = req.body || {};
+    const allowed = enumValues(ReachOut, "status");
+    if (!allowed.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${allowed.join(", ")}` });
+    }
+    // Outcomes that end the reach-out also free the target and re-evaluate the query.
+    const updated = TERMINAL_REACHOUT_STATUSES.includes(status)
+      ? await outreachService.settleReachOut(req.params.id, status)
+      : await reachOutService.updateReachOutStatus(req.params.id, status);
+    if (!updated) return res.status(404).json({ error: "ReachOut not found." });
+    res.json({ data: updated });
+  });
+
+  // ---------------------------- Meetings ---------------------------
+
+  router.get("/meetings", async (req, res) => {
+    const filter = pickFilter(req.query, ["status", "queryId", "reachOutId"]);
+    const meetings = await meetingService.listMeetings(
+      filter,
+      parsePaging(req.query)
+    );
+    res.json({ data: meetings });
+  });
+
+  router.get("/meetings/:id", async (req, res) => {
+    const meeting = await meetingService.findMeetingById(req.params.id);
+    if (!meeting) return res.status(404).json({ error: "Meeting not found." });
+    res.json({ data: meeting });
+  });
+
+  // Cancelling a confirmed meeting also stops its reminders.
+  router.patch("/meetings/:id/status", async (req, res) => {
+    const { status } = req.body || {};
+    const allowed = enumValues(Meeting, "status");
+    if (!allowed.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${allowed.join(", ")}` });
+    }
+    const updated = await meetingService.updateMeeting(req.params.id, {
+      status,
+    });
+    if (!updated) return res.status(404).json({ error: "Meeting not found." });
+    res.json({ data: updated });
+  });
+
+  // ---------------------------- Messages ---------------------------
+
+  router.get("/messages", async (req, res) => {
+    const filter = pickFilter(req.query, ["jid", "by", "type", "mediaType"]);
+    if (filter.by && !enumValues(Message, "by").includes(filter.by)) {
+      return res.status(400).json({ error: "by must be 'user' or 'model'." });
+    }
+    const messages = await userService.listMessages(
+      filter,
+      parsePaging(req.query)
+    );
+    res.json({ data: messages });
+  });
+
+  router.get("/messages/:id", async (req, res) => {
+    const message = await userService.findMessageById(req.params.id);
+    if (!message) return res.status(404).json({ error: "Message not found." });
+    res.json({ data: message });
+  });
+
+  // --------------------------- Send queue --------------------------
+
+  // Everything below needs the send queue (SEND_QUEUE_ENABLED is not "false").
+  router.use("/send", (req, res, next) => {
+    if (!sendQueueService) {
+      return res.status(404).json({ error: "The send queue is disabled." });
+    }
+    next();
+  });
+
+  router.get("/send/stats", async (req, res) => {
+    res.json({ data: await sendQueueService.getStats() });
+  });
+
+  router.get("/send/dead-letters", async (req, res) => {
+    const deadLetters = await sendQueueService.listDeadLetters(
+      parsePaging(req.query)
+    );
+    res.json({ data: deadLetters });
+  });
+
+  router.post("/send/dead-letters/:id/retry", async (req, res) => {
+    const job = await sendQueueService.retryDeadLetter(req.params.id);
+    if (!job) return res.status(404).json({ error: "Dead letter not found." });
+    res.status(202).json({ data: { jobId: job.id } });
+  });
+
+  router.delete("/send/dead-letters/:id", async (req, res) => {
+    const removed = await sendQueueService.removeDeadLetter(req.params.id);
+    if (!removed) return res.status(404).json({ error: "Dead letter not found." });
+    res.json({ data: removed });
+  });
+
+  return router;
+}
+
+/**
+ * Escapes user input so it can be used literally inside a RegExp.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = createAdminRouter;
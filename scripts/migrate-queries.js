@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Moves queries saved with the statuses used before the query status machine
+ * (init, hold, success, fail and the outreach job's old markers) onto the
+ * current ones, and fills in their reach-out counts. Queries left on an old
+ * status can't be moved on (or closed) by QueryService, so run this once
+ * after deploying.
+ *
+ * Usage:
+ *   npm run migrate-queries
+ */
+require("dotenv").config();
+
+const connectDB = require("../config/mongoose");
+const Query = require("../models/query.model");
+const ReachOut = require("../models/reachOut.model");
+
+// Old status → new status (and closedReason, for closed ones). "init" is
+// only old when the query already reached out to someone.
+const LEGACY_STATUSES = {
+  processing_complete: { status: "outreach" },
+  hold: { status: "ready" },
+  success: { status: "delivered" },
+  fail: { status: "closed", closedReason: "legacy" },
+  closed_no_candidates: { status: "closed", closedReason: "no_candidates" },
+};
+const CURRENT_STATUSES = Query.schema.path("status").enumValues;
+const RESPONDED = ["fail", "expired", "qualify", "shortlisted", "rejected"];
+const QUALIFIED = ["qualify", "shortlisted", "rejected"];
+
+async function main() {
+  await connectDB();
+
+  let migrated = 0;
+  const cursor = Query.find({
+    $or: [{ status: { $nin: CURRENT_STATUSES } }, { status: "init", reachOutCount: { $in: [null, 0] } }],
+  })
+    .lean()
+    .cursor();
+  for await (const query of cursor) {
+    const reachOuts = await ReachOut.find({ queryId: query._id }, { status: 1 }).lean();
+    let update = LEGACY_STATUSES[query.status];
+    if (query.status === "init") {
+      if (reachOuts.length === 0) continue;
+      update = { status: "outreach" };
+    }
+    if (!update) {
+      console.warn(`⚠️ Query ${query._id} has an unknown status "${query.status}"; closing it.`);
+      update = { status: "closed", closedReason: "legacy" };
+    }
+    const count = (statuses) => reachOuts.filter((r) => statuses.includes(r.status)).length;
+    await Query.updateOne(
+      { _id: query._id },
+      {
+        ...update,
+        reachOutCount: count(["hold", "init", ...RESPONDED]),
+        respondedCount: count(RESPONDED),
+        qualifiedCount: count(QUALIFIED),
+      }
+    );
+    migrated++;
+  }
+  console.log(`✅ Migrated ${migrated} quer${migrated === 1 ? "y" : "ies"}.`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
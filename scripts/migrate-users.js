@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Brings users saved before roles, conversation states and per-role profiles
+ * up to date: state and roles are read from the old `type`, the single
+ * `profile` moves to `profiles.<role>` and is re-embedded under its per-role
+ * vector id. Users are also migrated one by one when they next message, but
+ * search only finds migrated profiles, so run this once after deploying.
+ *
+ * Usage:
+ *   npm run migrate-users
+ */
+require("dotenv").config();
+
+const connectDB = require("../config/mongoose");
+const LLMService = require("../services/llm.service");
+const SearchService = require("../services/search.service");
+const User = require("../models/user.model");
+const conversationHelper = require("../helpers/conversation.helpers");
+
+async function main() {
+  await connectDB();
+  const searchService = new SearchService(new LLMService());
+
+  let migrated = 0;
+  for await (const user of User.find({}).lean().cursor()) {
+    if (!conversationHelper.isLegacy(user)) continue;
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      conversationHelper.legacyUpdate(user),
+      { new: true }
+    ).lean();
+    // The old vector was keyed by the bare JID.
+    await searchService.vectorStore?.remove("profiles", [user.jid]);
+    await searchService.indexProfile(updated);
+    migrated++;
+  }
+  console.log(`✅ Migrated ${migrated} user(s). Cached users expire within an hour.`);
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
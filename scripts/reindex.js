@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Re-embeds every user profile (and, with --queries, every query) into the
+ * configured vector store. Run it after switching VECTOR_STORE or the
+ * embedding model, or to backfill profiles created before semantic search.
+ *
+ * Usage:
+ *   npm run reindex
+ *   npm run reindex -- --queries
+ */
+require("dotenv").config();
+
+const connectDB = require("../config/mongoose");
+const LLMService = require("../services/llm.service");
+const SearchService = require("../services/search.service");
+const User = require("../models/user.model");
+const Query = require("../models/query.model");
+
+async function main() {
+  const withQueries = process.argv.includes("--queries");
+  await connectDB();
+
+  const searchService = new SearchService(new LLMService());
+  if (!searchService.vectorStore) {
+    throw new Error("No vector store configured (VECTOR_STORE=none).");
+  }
+
+  let profiles = 0;
+  for await (const user of User.find({}).lean().cursor()) {
+    await searchService.indexProfile(user);
+    profiles++;
+  }
+  console.log(`✅ Re-indexed ${profiles} profile(s).`);
+
+  if (withQueries) {
+    let queries = 0;
+    for await (const query of Query.find({}).lean().cursor()) {
+      await searchService.indexQuery(query);
+      queries++;
+    }
+    console.log(`✅ Re-indexed ${queries} quer${queries === 1 ? "y" : "ies"}.`);
+  }
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error("❌ Reindex failed:", err);
+  process.exit(1);
+});
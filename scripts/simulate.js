@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * Conversation simulator for Maya. Talks to the bot as one or more JIDs without
+ * a phone: messages go through the loopback transport into the real
+ * OutreachService, against the local MongoDB/Redis, with a scripted LLM.
+ * Alternatively the real LLMService can run on the fake provider, replaying
+ * (or recording) fixtures.
+ *
+ * Usage:
+ *   npm run simulate -- --jid 919000000001@s.whatsapp.net        (interactive)
+ *   npm run simulate -- --script scripts/scenarios/new-hr-idol.json
+ *
+ * Options:
+ *   --script <file>   Replay a JSON or YAML script of turns, then exit.
+ *   --jid <jid>       JID to impersonate in interactive mode (repeatable).
+ *   --reset           Delete users, messages, queries and reach-outs of the
+ *                     script's JIDs before starting, for deterministic runs.
+ *   --settle <ms>     Time to wait after each turn for background work (default 1500).
+ *   --verbose         Keep the application's own console logging.
+ *   --llm <kind>      "scripted" (default): LLMService methods answer from the
+ *                     script's `llm` entries. "fake": the real LLMService on the
+ *                     fake provider; `llm` entries become provider scripts
+ *                     (matched by `match`), everything else replays fixtures.
+ *   --fixtures <dir>  Fixture directory for --llm fake.
+ *   --record          With --llm fake, call Gemini on fixture misses and save them.
+ *
+ * Interactive commands:
+ *   /as <jid>                 Switch the JID you are typing as.
+ *   /doc <path> [mimetype]    Send a document attachment.
+ *   /voice <transcript>       Send a voice note that says <transcript>.
+ *   /image <text>             Send a screenshot whose text is <text>.
+ *   /llm <text>               Queue the next LLM reply.
+ *   /tool <name> <json>       Queue an LLM reply that calls a tool.
+ *   /quit                     Exit.
+ *
+ * Script format (JSON or YAML):
+ *   Users with a `state` (and `role`) or `profile` are created up front, e.g.
+ *   candidates the search should find.
+ *
+ *   {
+ *     "users": [{ "jid": "919000000001@s.whatsapp.net", "pushName": "Asha" },
+ *               { "jid": "918826019356@s.whatsapp.net", "pushName": "Aaditya",
+ *                 "state": "idle", "role": "candidate",
+ *                 "profile": { "skills": "Node.js, MongoDB" } }],
+ *     "turns": [
+ *       {
+ *         "from": "919000000001@s.whatsapp.net",
+ *         "text": "hi",
+ *         "document": { "filePath": "cv.pdf", "mimetype": "application/pdf" },
+ *         "voice": { "transcript": "I'm a React developer", "filePath": "note.ogg" },
+ *         "image": { "text": "Asha Rao, Senior React Developer...", "filePath": "cv.png" },
+ *         "llm": [{ "text": "Hey!", "method": "generateGeneralReply",
+ *                   "toolCalls": [{ "name": "handleEndOfSession", "args": {} }] }],
+ *         "expect": ["Hey"]
+ *       }
+ *     ]
+ *   }
+ */
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const originalLog = console.log;
+const print = (line = "") => process.stdout.write(`${line}\n`);
+
+function parseArgs(argv) {
+  const args = {
+    jids: [],
+    settle: 1500,
+    reset: false,
+    verbose: false,
+    llm: "scripted",
+    fixtures: null,
+    record: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--script") args.script = argv[++i];
+    else if (arg === "--jid") args.jids.push(...argv[++i].split(","));
+    else if (arg === "--settle") args.settle = Number(argv[++i]);
+    else if (arg === "--reset") args.reset = true;
+    else if (arg === "--verbose") args.verbose = true;
+    else if (arg === "--llm") args.llm = argv[++i];
+    else if (arg === "--fixtures") args.fixtures = path.resolve(argv[++i]);
+    else if (arg === "--record") args.record = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return args;
+}
+
+function loadScript(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  if (/\.ya?ml$/i.test(file)) return require("yaml").parse(raw);
+  return JSON.parse(raw);
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Builds the LLM service for the chosen --llm mode.
+ */
+function createLlmService(args) {
+  if (args.llm === "scripted") {
+    const ScriptedLLMService = require("./simulator/scriptedLlm");
+    return new ScriptedLLMService({ onEvent: printLlmEvent });
+  }
+  if (args.llm === "fake") {
+    const LLMService = require("../services/llm.service");
+    const { createProvider } = require("../providers");
+    const provider = createProvider("fake", {
+      fixturesDir: args.fixtures,
+      mode: args.record ? "record" : "replay",
+    });
+    const llmService = new LLMService({ provider });
+    // Same interface as the scripted service so the runner doesn't care.
+    llmService.enqueue = (responses) =>
+      provider.script(
+        responses.map((r) => ({ match: r.match, text: r.text, functionCalls: r.toolCalls || [] }))
+      );
+    llmService.printCalls = () => {
+      for (const call of provider.calls.splice(0)) {
+        print(`   🧠 ${call.model} (${call.source}, fixture ${call.key})`);
+      }
+    };
+    const generateGeneralReply = llmService.generateGeneralReply.bind(llmService);
+    llmService.generateGeneralReply = async (...args) => {
+      const reply = await generateGeneralReply(...args);
+      for (const call of reply.toolCalls) printLlmEvent({ kind: "tool", ...call, result: call.response });
+      return reply;
+    };
+    Object.defineProperty(llmService, "queue", { get: () => provider.scripted });
+    return llmService;
+  }
+  throw new Error(`Unknown --llm mode "${args.llm}". Use "scripted" or "fake".`);
+}
+
+/**
+ * Wires the application the same way app.js does, but with the loopback
+ * transport and a stubbed LLM.
+ */
+async function setup(args) {
+  const connectDB = require("../config/mongoose");
+  const redisClient = require("../config/redis");
+  const UserService = require("../services/user.service");
+  const QueryService = require("../services/query.service");
+  const OutreachService = require("../services/outreach.service");
+  const WhatsAppService = require("../services/whatsApp.service");
+  const ToolDeclarations = require("../config/tools");
+  const { createTransport } = require("../transports");
+  const { registerWorker } = require("../config/bullmq");
+  const createOutreachProcessor = require("../jobs/outreach.job");
+  const ScriptedSpeechToText = require("./simulator/scriptedStt");
+  const ScriptedOcrEngine = require("./simulator/scriptedOcr");
+
+  await connectDB();
+  if (!redisClient.isOpen) await redisClient.connect();
+
+  const llmService = createLlmService(args);
+  const userService = new UserService(redisClient);
+  const queryService = new QueryService();
+  const speechToText = new ScriptedSpeechToText();
+  const ocrEngine = new ScriptedOcrEngine();
+  const outreachService = new OutreachService(userService, queryService, llmService, {
+    speechToText,
+    ocrEngine,
+  });
+  const transport = createTransport("loopback");
+  // Each turn is handled as soon as it is sent; scripts wait with --settle instead.
+  const whatsAppService = new WhatsAppService(outreachService, transport, { debounceMs: 0 });
+  outreachService.setWhatsAppService(whatsAppService);
+  llmService.registerTools([
+    {
+      declaration: ToolDeclarations.handleEndOfSession(),
+      execute: outreachService.handleEndOfSession.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.scheduleFollowUp(),
+      execute: outreachService.scheduleFollowUp.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.saveProfileField(),
+      execute: outreachService.saveProfileField.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.requestDocument(),
+      execute: outreachService.requestDocument.bind(outreachService),
+    },
+    {
+      declaration: ToolDeclarations.escalateToHuman(),
+      execute: outreachService.escalateToHuman.bind(outreachService),
+    },
+  ]);
+
+  // Queries are processed by the outreach worker, as in app.js.
+  registerWorker("outreach-queue", createOutreachProcessor({ queryService, outreachService }));
+
+  await transport.initialize();
+  transport.on("sent", (sent) => {
+    const body = sent.kind === "media" ? `[${sent.media.mediaType}] ${sent.text}` : sent.text;
+    print(`🤖 Maya → ${sent.jid}: ${body}`);
+  });
+
+  return {
+    redisClient,
+    llmService,
+    speechToText,
+    ocrEngine,
+    userService,
+    outreachService,
+    transport,
+    whatsAppService,
+  };
+}
+
+function printLlmEvent(event) {
+  if (event.kind === "llm") {
+    const source = event.scripted ? "scripted" : "default";
+    print(`   🧠 ${event.method} (${source})`);
+  } else if (event.kind === "tool") {
+    const outcome = event.error ? `error: ${event.error}` : JSON.stringify(event.result);
+    print(`   🛠  ${event.name}(${JSON.stringify(event.args || {})}) → ${outcome}`);
+  }
+}
+
+/**
+ * Removes everything the simulator's JIDs have left in MongoDB and Redis.
+ */
+async function reset(ctx, jids) {
+  const User = require("../models/user.model");
+  const Message = require("../models/message.model");
+  const Query = require("../models/query.model");
+  const ReachOut = require("../models/reachOut.model");
+
+  const queries = await Query.find({ author_id: { $in: jids } }, { _id: 1 }).lean();
+  await ReachOut.deleteMany({
+    $or: [{ targetId: { $in: jids } }, { queryId: { $in: queries.map((q) => q._id) } }],
+  });
+  await Query.deleteMany({ author_id: { $in: jids } });
+  await Message.deleteMany({ jid: { $in: jids } });
+  await User.deleteMany({ jid: { $in: jids } });
+  for (const jid of jids) {
+    await ctx.redisClient.del([`user:${jid}`, `history:${jid}`]);
+  }
+  await ctx.outreachService.searchService.removeProfiles(jids);
+  print(`🧹 Reset data for ${jids.length} JID(s).`);
+}
+
+/**
+ * Creates the script's users that come with a state or a profile, so searches
+ * have someone to find.
+ */
+async function seedUsers(ctx, users) {
+  for (const u of users) {
+    if (!u.state && !u.profile) continue;
+    let user = await ctx.userService.findOrCreateUser(u.jid, u.pushName);
+    if (u.state) {
+      user = await ctx.userService.transition(user, u.state, {
+        role: u.role,
+        force: true,
+        reason: "seeded",
+      });
+    }
+    // Through OutreachService so the profile is also embedded for semantic search.
+    if (u.profile) await ctx.outreachService.updateProfile(u.jid, u.profile, "admin", u.role);
+    print(`🌱 Seeded ${u.pushName || u.jid} (${user.role || "no role"}, ${user.state}).`);
+  }
+}
+
+/**
+ * Sends one turn through the transport and waits for the bot to settle.
+ * @returns {Promise<Array<object>>} Everything the bot sent during the turn.
+ */
+async function sendTurn(ctx, jid, input, settleMs) {
+  const label = input.document
+    ? `[document] ${input.document.filePath}`
+    : input.audio
+    ? `[voice] ${input.audio.transcript}`
+    : input.image
+    ? `[image] ${input.image.text}`
+    : input.text;
+  print(`👤 ${input.pushName || "User"} (${jid}): ${label}`);
+  if (input.audio) ctx.speechToText.enqueue(input.audio.transcript);
+  if (input.image) ctx.ocrEngine.enqueue(input.image.text);
+  const before = ctx.transport.outbox.length;
+  const message = await ctx.transport.receive(jid, input);
+  await ctx.whatsAppService.receive(message);
+  // OutreachService fires some work (reach-outs, session changes) without awaiting it.
+  await delay(settleMs);
+  if (ctx.llmService.printCalls) ctx.llmService.printCalls();
+  return ctx.transport.outbox.slice(before);
+}
+
+async function runScript(ctx, script, scriptDir, settleMs) {
+  const names = new Map((script.users || []).map((u) => [u.jid, u.pushName]));
+  const failures = [];
+
+  for (const [index, turn] of (script.turns || []).entries()) {
+    ctx.llmService.enqueue(turn.llm || []);
+    const input = { text: turn.text || "", pushName: names.get(turn.from) };
+    if (turn.document) {
+      input.document = {
+        ...turn.document,
+        filePath: path.resolve(scriptDir, turn.document.filePath),
+      };
+    }
+    if (turn.voice) {
+      // The audio itself is optional: the scripted transcript is what gets "heard".
+      input.audio = {
+        ...turn.voice,
+        filePath: turn.voice.filePath ? path.resolve(scriptDir, turn.voice.filePath) : null,
+      };
+    }
+    if (turn.image) {
+      input.image = {
+        ...turn.image,
+        filePath: turn.image.filePath ? path.resolve(scriptDir, turn.image.filePath) : null,
+      };
+    }
+    const sent = await sendTurn(ctx, turn.from, input, settleMs);
+
+    for (const expected of turn.expect || []) {
+      if (!sent.some((s) => String(s.text).includes(expected))) {
+        failures.push(`turn ${index + 1}: expected a reply containing "${expected}"`);
+      }
+    }
+  }
+
+  if (ctx.llmService.queue.length > 0) {
+    print(`⚠️  ${ctx.llmService.queue.length} scripted LLM response(s) were never used.`);
+  }
+  if (failures.length) {
+    print(`\n❌ ${failures.length} expectation(s) failed:`);
+    failures.forEach((f) => print(`   - ${f}`));
+    return false;
+  }
+  print(`\n✅ Script finished: ${(script.turns || []).length} turn(s).`);
+  return true;
+}
+
+async function runInteractive(ctx, jids, settleMs) {
+  let current = jids[0];
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const prompt = () => {
+    rl.setPrompt(`${current}> `);
+    rl.prompt();
+  };
+  print("Type a message, or /as, /doc, /voice, /image, /llm, /tool, /quit.");
+  prompt();
+
+  for await (const line of rl) {
+    const [command, ...rest] = line.trim().split(" ");
+    try {
+      if (command === "/quit") break;
+      else if (command === "/as") current = rest[0];
+      else if (command === "/llm") ctx.llmService.enqueue([{ text: rest.join(" ") }]);
+      else if (command === "/tool") {
+        const [name, ...json] = rest;
+        const args = json.length ? JSON.parse(json.join(" ")) : {};
+        ctx.llmService.enqueue([{ text: "", method: "generateGeneralReply", toolCalls: [{ name, args }] }]);
+      } else if (command === "/doc") {
+        await sendTurn(ctx, current, { document: { filePath: path.resolve(rest[0]), mimetype: rest[1] } }, settleMs);
+      } else if (command === "/voice") {
+        await sendTurn(ctx, current, { audio: { transcript: rest.join(" ") } }, settleMs);
+      } else if (command === "/image") {
+        await sendTurn(ctx, current, { image: { text: rest.join(" ") } }, settleMs);
+      } else if (line.trim()) {
+        await sendTurn(ctx, current, { text: line }, settleMs);
+      }
+    } catch (err) {
+      print(`❌ ${err.message}`);
+    }
+    prompt();
+  }
+  rl.close();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const script = args.script ? loadScript(args.script) : null;
+  const jids = script
+    ? [...new Set([...(script.users || []).map((u) => u.jid), ...(script.turns || []).map((t) => t.from)])]
+    : args.jids;
+  if (!jids.length) throw new Error("Pass --script <file> or at least one --jid.");
+
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const ctx = await setup(args);
+  if (args.reset || script?.reset) await reset(ctx, jids);
+  if (script) await seedUsers(ctx, script.users || []);
+
+  let ok = true;
+  if (script) {
+    ok = await runScript(ctx, script, path.dirname(path.resolve(args.script)), args.settle);
+  } else {
+    await runInteractive(ctx, jids, args.settle);
+  }
+
+  console.log = originalLog;
+  // The BullMQ worker and DB clients keep the event loop alive.
+  process.exit(ok ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.log = originalLog;
+  console.error("❌ Simulator failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+const LLMService = require("../../services/llm.service");
+const FakeProvider = require("../../providers/fake.provider");
+const textHelper = require("../../helpers/text.helpers");
+
+/**
+ * A stand-in for LLMService that never calls a model. Responses are queued by
+ * the simulator (one or more per scripted turn) and consumed in order by
+ * whichever LLM method runs next. A queued response may name the method it is
+ * meant for; otherwise it is taken by the first caller.
+ *
+ * Tool calls in a queued response are executed against the tools registered by
+ * app-style wiring, exactly like the real service does after a model call.
+ */
+class ScriptedLLMService extends LLMService {
+  /**
+   * @param {object} [opts]
+   * @param {(event: object) => void} [opts.onEvent] - Receives { kind: "llm"|"tool", ... } for printing.
+   */
+  constructor({ onEvent = () => {} } = {}) {
+    // Nothing here reaches a provider, but make sure nothing could reach the network.
+    super({ provider: new FakeProvider({ strict: true }) });
+    this.queue = [];
+    this.onEvent = onEvent;
+  }
+
+  /**
+   * Queues scripted responses.
+   * @param {Array<{text?: string, method?: string, toolCalls?: Array<{name: string, args: object}>}>} responses
+   */
+  enqueue(responses = []) {
+    this.queue.push(...responses);
+  }
+
+  _take(method, fallback) {
+    const index = this.queue.findIndex((r) => !r.method || r.method === method);
+    const response = index === -1 ? { text: fallback } : this.queue.splice(index, 1)[0];
+    this.onEvent({ kind: "llm", method, text: response.text, scripted: index !== -1 });
+    return response;
+  }
+
+  /**
+   * Runs a scripted response's tool calls, like generateReply does for a model's.
+   * @returns {Promise<Array<object>>} The tool trace, in generateReply's format.
+   */
+  async _runTools(jid, response) {
+    const trace = [];
+    for (const call of response.toolCalls || []) {
+      const tool = this.registeredTools.get(call.name);
+      const args = { ...call.args, jid };
+      let result;
+      if (!tool) {
+        this.onEvent({ kind: "tool", name: call.name, error: "not registered" });
+        result = { error: `Unknown tool: ${call.name}` };
+      } else {
+        result = await tool.execute(args);
+        this.onEvent({ kind: "tool", name: call.name, args, result });
+      }
+      trace.push({ round: 1, name: call.name, args, response: result });
+    }
+    return trace;
+  }
+
+  async generateGeneralReply(user, prompt, messageHistory) {
+    const response = this._take(
+      "generateGeneralReply",
+      `(stub reply as ${user.type} to: ${String(prompt).slice(0, 60)})`
+    );
+    const toolCalls = await this._runTools(user.jid, response);
+    return { text: response.text, toolCalls };
+  }
+
+  async generateCustomReply(sysPrompt, prompt, messageHistory) {
+    return this._take("generateCustomReply", "(stub opening message)").text;
+  }
+
+  async classifyDocumentText(jid, resumeText, messageHistory = []) {
+    const scripted = this.queue.find((r) => r.method === "classifyDocumentText");
+    if (scripted) return JSON.parse(this._take("classifyDocumentText").text);
+    return textHelper.heuristicClassifyDocumentText(resumeText);
+  }
+
+  async classifyPortfolioMatchFromHistory(jid, messageHistory = [], lastMessage = "") {
+    const text = this._take(
+      "classifyPortfolioMatchFromHistory",
+      JSON.stringify({ isPortfolioOfUser: true, confidence: 1, match_reasons: [], combined_profile: {} })
+    ).text;
+    return JSON.parse(text);
+  }
+
+  async classifyLinkedinMatchFromHistory(jid, messageHistory = [], lastMessage = "") {
+    const text = this._take(
+      "classifyLinkedinMatchFromHistory",
+      JSON.stringify({ isLinkedinUserSame: true, confidence: 1, match_reasons: [], combined_profile: {} })
+    ).text;
+    return JSON.parse(text);
+  }
+
+  async extractProfile(jid, messageHistory, currentProfile) {
+    const scripted = this.queue.find((r) => r.method === "extractProfile");
+    if (!scripted) return {};
+    return JSON.parse(this._take("extractProfile").text);
+  }
+
+  async parseJobDescription(jid, documentText, messageHistory = []) {
+    const text = this._take(
+      "parseJobDescription",
+      JSON.stringify({ isJd: true, jd: { summary: String(documentText).slice(0, 200) } })
+    ).text;
+    return JSON.parse(text);
+  }
+
+  async reviseJobDescription(jid, jd, message) {
+    // Only scripted answers: a stray message should never look like a correction.
+    if (!this.queue.some((r) => r.method === "reviseJobDescription")) return null;
+    return JSON.parse(this._take("reviseJobDescription").text);
+  }
+
+  async findAndAnalyzeCandidates(messageHistory) {
+    return this._take("findAndAnalyzeCandidates", "(stub search query)").text;
+  }
+
+  async extractSearchFilters(nlpQuery) {
+    const scripted = this.queue.find((r) => r.method === "extractSearchFilters");
+    if (!scripted) return { query: nlpQuery };
+    return JSON.parse(this._take("extractSearchFilters").text);
+  }
+
+  async vetCandidate(query, candidate) {
+    // Runs in the outreach worker, so never take replies meant for the chat.
+    const scripted = this.queue.find((r) => r.method === "vetCandidate");
+    if (!scripted) return true;
+    return !/\bfail\b/i.test(this._take("vetCandidate").text);
+  }
+
+  async qualifyUserForReachOut(userType, reachOut, messageHistory) {
+    return this._take("qualifyUserForReachOut", "qualify").text.trim().toLowerCase();
+  }
+
+  async extractAvailability(text, { timeZone }) {
+    // Only scripted answers: a stray message should never look like availability.
+    if (!this.queue.some((r) => r.method === "extractAvailability")) return { slots: [] };
+    return JSON.parse(this._take("extractAvailability").text);
+  }
+
+  async genrateTheReachOutInfo(user, query, type, ptype, role) {
+    return this._take("genrateTheReachOutInfo", `(stub info about ${user.name || user.jid})`).text;
+  }
+}
+
+module.exports = ScriptedLLMService;
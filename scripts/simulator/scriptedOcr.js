@@ -0,0 +1,26 @@
+const OcrEngine = require("../../ocr/ocrEngine");
+
+/**
+ * A stand-in OCR engine: each image is "read" as the next text the simulator
+ * queued for it, so scripts don't need real screenshots.
+ */
+class ScriptedOcrEngine extends OcrEngine {
+  constructor() {
+    super();
+    this.queue = [];
+  }
+
+  /**
+   * Queues the text of the next image.
+   * @param {string} text
+   */
+  enqueue(text) {
+    this.queue.push(text);
+  }
+
+  async recognize() {
+    return String(this.queue.shift() || "").trim();
+  }
+}
+
+module.exports = ScriptedOcrEngine;
@@ -0,0 +1,26 @@
+const SpeechToText = require("../../speechToText/speechToText");
+
+/**
+ * A stand-in speech-to-text backend: each voice note is "heard" as the next
+ * transcript the simulator queued for it, so scripts don't need real audio.
+ */
+class ScriptedSpeechToText extends SpeechToText {
+  constructor() {
+    super();
+    this.queue = [];
+  }
+
+  /**
+   * Queues what the next voice note says.
+   * @param {string} transcript
+   */
+  enqueue(transcript) {
+    this.queue.push(transcript);
+  }
+
+  async transcribe() {
+    return String(this.queue.shift() || "").trim();
+  }
+}
+
+module.exports = ScriptedSpeechToText;
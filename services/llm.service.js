@@ -1,15 +1,17 @@
 // src/ai/geminiService.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const fs = require("fs");
 const { getSysPrompt } = require("../prompts/getPrompt");
-const axios = require("axios");
 const { createTool } = require("./tool.service");
 const textHelper = require("../helpers/text.helpers");
+const llmHelper = require("../helpers/llm.helpers");
+const profileHelper = require("../helpers/profile.helpers");
+const jdHelper = require("../helpers/jd.helpers");
+const { createProvider } = require("../providers");
+const { loadRoutes } = require("../config/llm");
 
 require("dotenv").config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 async function sleep(ms) {
   return new Promise((res) => setTimeout(res, ms));
 }
@@ -68,7 +70,45 @@ async function executeWithRetry(op, opts = {}) {
   throw new Error("executeWithRetry: exhausted retries");
 }
 
+// What the vision model answers for an image without text.
+const NO_TEXT_IN_IMAGE = "NO_TEXT";
+
+// Upper bound on model → tool → model round trips in a single reply, so a model
+// that keeps calling tools can't loop forever.
+const MAX_TOOL_ROUNDS = 5;
+
+// What the calls past MAX_TOOL_ROUNDS get back instead of running.
+const TOOL_LIMIT_REACHED = "Too many tool calls. Answer the user now, without calling tools.";
+
+// Sent when the model still has no text for the user after the tool rounds.
+const NO_REPLY_FALLBACK = "Sorry, I couldn't put a reply together just now. Could you say that again?";
+
+const RETRY_OPTIONS = {
+  maxAttempts: 5, // total attempts (tune as needed)
+  baseDelayMs: 200, // initial backoff
+  maxDelayMs: 4000, // max backoff
+  onRetry: ({ attempt, maxAttempts, err, wait }) => {
+    console.warn(
+      `[AI retry] attempt ${attempt}/${maxAttempts} - will retry in ${wait}ms. error:`,
+      err && (err.message || err)
+    );
+  },
+};
+
+/**
+ * Runs one model turn through the provider and model chosen for the task.
+ * Every function call the model requests is executed, its result is sent back
+ * as a function response, and this repeats (up to MAX_TOOL_ROUNDS) until the
+ * model answers with plain text. Calls past that limit aren't run: the model
+ * is told to answer without tools, and if it still has no text the user gets
+ * NO_REPLY_FALLBACK.
+ *
+ * @param {{provider: object, model: string}} route - From LLMService.resolveRoute().
+ * @returns {Promise<{text: string, toolCalls: Array<{round: number, name: string, args: object, response: object}>}>}
+ *   The model's final text and a trace of every tool invocation.
+ */
 async function generateReply(
+  route,
   jid,
   messageContent,
   context,
@@ -91,64 +131,135 @@ async function generateReply(
     }
   }
 
+  const toolCalls = [];
   try {
-    const model = genAI.getGenerativeModel({
-      model: "gemini-2.5-pro",
+    const chat = route.provider.startChat({
+      model: route.model,
       systemInstruction: sysPrompt,
       tools,
+      history,
     });
-
-    const chat = model.startChat({ history });
-    const result = await executeWithRetry(
+    let result = await executeWithRetry(
       () => chat.sendMessage(messageContent),
-      {
-        maxAttempts: 5, // total attempts (tune as needed)
-        baseDelayMs: 200, // initial backoff
-        maxDelayMs: 4000, // max backoff
-        onRetry: ({ attempt, maxAttempts, err, wait }) => {
-          console.warn(
-            `[AI retry] attempt ${attempt}/${maxAttempts} - will retry in ${wait}ms. error:`,
-            err && (err.message || err)
-          );
-        },
-      }
+      RETRY_OPTIONS
     );
-    const response = result.response;
-    const functionCalls = response.functionCalls();
-    console.log("functionCalls", functionCalls);
-    if (isTransientError(response.text()))
-      return "Sorry, we are overloaded plz try again later.";
-    if (functionCalls && functionCalls.length > 0) {
-      console.log("Gemini requested a tool call:", functionCalls[0].name);
-      const call = functionCalls[0];
-      console.log("Calls", call);
-
-      if (toolFunctions[call.name]) {
-        // The arguments from the AI are in call.args
-        console.log(call.args);
-        call.args.jid = jid; // Always pass the jid to the tool
-        const apiResponse = await toolFunctions[call.name](call.args);
-        // const result2 = await chat.sendMessage([
-        //   { functionResponse: { name: call.name, response: apiResponse } },
-        // ]);
-        //return "Session Changed!";
-      } else {
-        return "Sorry, I tried to use a tool that I don't recognize.";
+
+    for (let round = 1; ; round++) {
+      const functionCalls = result.response.functionCalls() || [];
+      if (functionCalls.length === 0) break;
+      if (round > MAX_TOOL_ROUNDS) {
+        console.warn(
+          `Stopping after ${MAX_TOOL_ROUNDS} tool rounds for ${jid}; asking for a text reply.`
+        );
+        // The calls still need responses; they ask for the final answer.
+        const refusals = functionCalls.map((call) => ({
+          functionResponse: { name: call.name, response: { error: TOOL_LIMIT_REACHED } },
+        }));
+        result = await executeWithRetry(() => chat.sendMessage(refusals), RETRY_OPTIONS);
+        break;
       }
+      console.log(
+        `Model requested ${functionCalls.length} tool call(s) in round ${round}:`,
+        functionCalls.map((c) => c.name)
+      );
+
+      const functionResponses = [];
+      for (const call of functionCalls) {
+        // Always pass the jid to the tool
+        const args = { ...(call.args || {}), jid };
+        const response = await runTool(toolFunctions, call.name, args);
+        toolCalls.push({ round, name: call.name, args, response });
+        functionResponses.push({ functionResponse: { name: call.name, response } });
+      }
+      result = await executeWithRetry(
+        () => chat.sendMessage(functionResponses),
+        RETRY_OPTIONS
+      );
     }
-    console.log(`Generated reply for ${jid}: ${response.text()}`);
-    return response.text();
+
+    const text = result.response.text();
+    if (isTransientError(text)) {
+      return { text: "Sorry, we are overloaded plz try again later.", toolCalls };
+    }
+    if (!text.trim()) {
+      console.warn(`No text from the model for ${jid}; sending the fallback reply.`);
+      return { text: NO_REPLY_FALLBACK, toolCalls };
+    }
+    console.log(`Generated reply for ${jid}: ${text}`);
+    return { text, toolCalls };
   } catch (error) {
     console.error("Error during Gemini AI call:", error);
-    return `Sorry, I had a little trouble thinking. Could you please try again? \n ${error}`;
+    return {
+      text: `Sorry, I had a little trouble thinking. Could you please try again? \n ${error}`,
+      toolCalls,
+    };
+  }
+}
+
+/**
+ * Executes a tool requested by the model. Failures and unknown tools are
+ * reported back to the model as an `error` instead of aborting the reply.
+ * @returns {Promise<object>} The function response to send to the model.
+ */
+async function runTool(toolFunctions, name, args) {
+  if (!toolFunctions[name]) {
+    console.warn(`Model requested unknown tool "${name}".`);
+    return { error: `Unknown tool: ${name}` };
+  }
+  try {
+    const output = await toolFunctions[name](args);
+    // Function responses must be objects.
+    return output !== null && typeof output === "object" ? output : { result: output };
+  } catch (err) {
+    console.error(`Tool "${name}" failed:`, err);
+    return { error: err.message };
   }
 }
 
 class LLMService {
-  constructor() {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.provider] - A provider to use for every task, e.g. a
+   *   FakeProvider in tests. Models still come from the routes.
+   * @param {object} [opts.routes] - Task → { provider, model } table. Defaults to
+   *   the environment-driven routes from config/llm.js.
+   */
+  constructor({ provider = null, routes } = {}) {
+    this.provider = provider;
+    this.routes = routes || loadRoutes();
+    // Provider instances by name, created on first use.
+    this.providers = new Map();
     // Use a Map to store registered tools by name for easy access.
     this.registeredTools = new Map();
   }
+
+  /**
+   * Picks the provider and model for a kind of work.
+   * @param {string} task - "chat", "classifier", "summary", "nlp", "vision" or "embedding".
+   * @returns {{provider: object, model: string}}
+   */
+  resolveRoute(task) {
+    const route = this.routes[task] || this.routes.chat;
+    if (this.provider) return { provider: this.provider, model: route.model };
+    if (!this.providers.has(route.provider)) {
+      this.providers.set(route.provider, createProvider(route.provider));
+    }
+    return { provider: this.providers.get(route.provider), model: route.model };
+  }
+  /**
+   * Embeds texts with the model routed to the "embedding" task.
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+   */
+  async embed(texts) {
+    if (texts.length === 0) return [];
+    const route = this.resolveRoute("embedding");
+    return executeWithRetry(
+      () => route.provider.embed({ model: route.model, texts }),
+      RETRY_OPTIONS
+    );
+  }
+
   /**
    * Registers a list of custom tools that the AI can use.
    * @param {Array<object>} tools - An array of tool configuration objects.
@@ -193,7 +304,8 @@ class LLMService {
       try {
         // Convert the candidates data to a string to be included in the prompt.
         const candidatesString = JSON.stringify(candidates, null, 2);
-        const responseText = await generateReply(
+        const { text: responseText } = await generateReply(
+          this.resolveRoute("nlp"),
           {}, // jid (not needed for this specific task)
           `Here is the list of candidates:\n${candidatesString}`,
           messageHistory,
@@ -291,7 +403,8 @@ class LLMService {
       attempts++;
       try {
         // pass messageHistory as context so generateReply can include it in the model call
-        const responseRaw = await generateReply(
+        const { text: responseRaw } = await generateReply(
+          this.resolveRoute("classifier"),
           jid,
           resumeText,
           messageHistory,
@@ -555,7 +668,8 @@ class LLMService {
       attempts++;
       try {
         // Pass messageHistory as context so your generateReply can include full history in the model call.
-        const responseRaw = await generateReply(
+        const { text: responseRaw } = await generateReply(
+          this.resolveRoute("classifier"),
           jid,
           lastMessage,
           messageHistory,
@@ -810,7 +924,8 @@ class LLMService {
       try {
         // Pass messageHistory as context so your generateReply can include full history in the model call.
         // adapt the extra context args to your generateReply signature if needed
-        const responseRaw = await generateReply(
+        const { text: responseRaw } = await generateReply(
+          this.resolveRoute("classifier"),
           jid,
           lastMessage,
           messageHistory,
@@ -1039,7 +1154,8 @@ class LLMService {
     // --- Step 1: Generate the NLP query from the conversation ---
     const nlpGenerationPrompt = `Based on the following conversation history, create a detailed summary ideal for searching candidate looking for job or a freelancer in vector DB. This summary will be used as a search query. For example: "a senior javascript developer with react and node.js experience located in san francisco of range 12-14lpa available for onsite work ".`;
 
-    const nlpQuery = await generateReply(
+    const { text: nlpQuery } = await generateReply(
+      this.resolveRoute("nlp"),
       {}, // jid
       "Generate a search query from this conversation. Mention All possible info so that it can also be used as reference for asking relevant questions to candidates or freelancers on a reachOut.",
       messageHistory,
@@ -1053,27 +1169,139 @@ class LLMService {
       return null;
     }
     console.log(`Generated NLP Query: "${nlpQuery}"`);
+    // Candidates are found with SearchService; see extractSearchFilters.
+    return nlpQuery;
+  }
 
-    // --- Step 2: Get the list of candidates using the NLP query ---
-    // This is where you call your actual candidate retrieval function.
-    console.log("Performing hybrid search for candidates...");
-    // const initialCandidates = await callHybridSearch(nlpQuery);
-
-    // if (!initialCandidates || initialCandidates.length === 0) {
-    //   console.log("Hybrid search returned no candidates.");
-    //   return []; // Return an empty array as no candidates were found
-    // }
-    // console.log(`Found ${initialCandidates.length} potential candidates.`);
-
-    // --- Step 3: Analyze the candidates and return the final list ---
-    console.log("Analyzing and formatting the candidate list...");
-    // const finalList = await this.generateCandidateList(
-    //   nlpQuery,
-    //   initialCandidates,
-    //   messageHistory
-    // );
+  /**
+   * Turns a hiring query into filters for SearchService.searchCandidates.
+   * @param {string} nlpQuery - The search summary from findAndAnalyzeCandidates.
+   * @returns {Promise<Object>} Raw filters; at least `{ query }` even when the model fails.
+   */
+  async extractSearchFilters(nlpQuery) {
+    const sysPrompt = `You turn a hiring request into search filters over candidate profiles.
+Return ONLY one JSON object (no prose, no markdown) with these keys, leaving out anything the request doesn't say:
+{
+  "query": "<the skills, role and domain keywords only, e.g. 'backend node.js mongodb fintech'>",
+  "userType": "candidate|freelancer",
+  "locations": ["<city>"],
+  "minExperience": <years>,
+  "maxExperience": <years>,
+  "minCtc": "<bottom of the budget as stated, e.g. '18 LPA'>",
+  "maxCtc": "<top of the budget as stated>",
+  "workMode": "remote|hybrid|onsite",
+  "shortlistSize": <how many profiles the requester wants to see, if they say>
+}
+Use "candidate" for full-time or contract jobs and "freelancer" for projects or gigs.`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      "search filters",
+      nlpQuery,
+      [],
+      sysPrompt
+    );
+    const parsed = llmHelper.parseJsonObject(response);
+    if (!parsed) {
+      console.warn("[extractSearchFilters] No JSON filters in the answer; searching on the text only.");
+      return { query: nlpQuery };
+    }
+    return { ...parsed, query: parsed.query || nlpQuery };
+  }
 
-    return nlpQuery;
+  /**
+   * Decides whether a search result is worth reaching out to for a query.
+   * Search ranks on keywords and similarity; this reads the profile the way a
+   * recruiter would (seniority, budget, location, stated preferences).
+   * @param {Object} query - The query document.
+   * @param {{name: string, metadata: Object, reasons: Array<string>}} candidate - A search result.
+   * @returns {Promise<boolean>} True to reach out. Anything but a clear "fail" counts as a fit.
+   */
+  async vetCandidate(query, candidate) {
+    const sysPrompt = `You screen candidates for a hiring request before anyone contacts them.
+Answer in one WORD from [qualify, fail]. Answer fail only when the profile clearly contradicts the request; missing information is not a reason to fail.`;
+    const prompt = `Request: "${jdHelper.describeQuery(query)}"
+
+Candidate: ${candidate.name || "unknown"}
+${profileHelper.formatProfile(candidate.metadata)}
+Search notes: ${(candidate.reasons || []).join("; ") || "none"}`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      "vetting",
+      prompt,
+      [],
+      sysPrompt
+    );
+    return !/\bfail\b/i.test(response || "");
+  }
+
+  /**
+   * Reads when someone is free from a chat message ("Tue 3-6pm, Wed after 11").
+   * @param {string} text - The message.
+   * @param {Object} options
+   * @param {string} options.timeZone - The sender's time zone as far as we know.
+   * @param {Date} [options.now=new Date()]
+   * @returns {Promise<{timeZone?: string, slots: Array<{start: string, end: string}>}>}
+   *   Wall-clock "YYYY-MM-DDTHH:mm" ranges in the sender's time zone; no slots when
+   *   the message gives no times.
+   */
+  async extractAvailability(text, { timeZone, now = new Date() }) {
+    const today = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      dateStyle: "full",
+      timeStyle: "short",
+    }).format(now);
+    const sysPrompt = `You read when someone is free for a meeting from their WhatsApp message.
+It is now ${today} for them (time zone ${timeZone}).
+Return ONLY one JSON object (no prose, no markdown):
+{
+  "timeZone": "<IANA time zone, only if the message names a different place or zone>",
+  "slots": [{ "start": "YYYY-MM-DDTHH:mm", "end": "YYYY-MM-DDTHH:mm" }]
+}
+Times are wall-clock times where the sender is. "After 11am" ends at 18:00, "before 1pm" starts at 10:00 and a whole day is 10:00-18:00. Weekday names mean the next such day. Use an empty slots list if the message gives no times.`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      "availability",
+      text,
+      [],
+      sysPrompt
+    );
+    const parsed = llmHelper.parseJsonObject(response);
+    if (!parsed || !Array.isArray(parsed.slots)) return { slots: [] };
+    return parsed;
+  }
+
+  /**
+   * Reads the text off an image (a screenshot of a resume, a photo of a JD...)
+   * with the model routed to the "vision" task.
+   * @param {Object} image
+   * @param {string} image.filePath - Local path of the image.
+   * @param {string} [image.mimetype="image/jpeg"]
+   * @returns {Promise<string>} The text; empty when the image has none.
+   *   Rejects when the model can't be reached, so callers can tell "no text" from a failure.
+   */
+  async readImageText({ filePath, mimetype = "image/jpeg" }) {
+    const sysPrompt = `You transcribe the text in images. Copy every piece of readable text in reading order, keeping line breaks between sections. Don't describe, summarise or correct it.
+If there is no readable text, answer exactly: ${NO_TEXT_IN_IMAGE}`;
+    const route = this.resolveRoute("vision");
+    const chat = route.provider.startChat({
+      model: route.model,
+      systemInstruction: sysPrompt,
+    });
+    const result = await executeWithRetry(
+      () =>
+        chat.sendMessage([
+          { text: "Transcribe this image." },
+          {
+            inlineData: {
+              mimeType: mimetype,
+              data: fs.readFileSync(filePath).toString("base64"),
+            },
+          },
+        ]),
+      RETRY_OPTIONS
+    );
+    const text = String(result.response.text() || "").trim();
+    return text === NO_TEXT_IN_IMAGE ? "" : text;
   }
 
   async determineUserType(messageHistory) {
@@ -1081,48 +1309,168 @@ class LLMService {
             Analyze the following conversation history to determine the user's professional type.
             The possible types are: 'candidate', 'freelancer', 'client' or 'hr'.
         `;
-    const response = await generateReply(jid, prompt, messageHistory, sp);
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      jid,
+      prompt,
+      messageHistory,
+      sp
+    );
     return response;
   }
 
   async qualifyUserForReachOut(userType, reachOut, messageHistory) {
     const prompt = `
-            Analyze the user's response for the outreach regarding: "${reachOut.queryId.query}".
+            Analyze the user's response for the outreach regarding: "${jdHelper.describeQuery(reachOut.queryId)}".
             Based on the conversation history, determine if they qualify.
             and answer in one WORD from [qualify, fail].
         `;
     const sp = await getSysPrompt(userType);
-    const response = await generateReply("...", prompt, messageHistory, sp);
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      "...",
+      prompt,
+      messageHistory,
+      sp
+    );
     return response.trim().toLowerCase();
   }
 
-  async generateCustomReply(sysPrompt, prompt, messageHistory) {
-    const response = await generateReply("", prompt, messageHistory, sysPrompt);
-    return response;
+  /**
+   * Extracts structured profile fields from a conversation. Only facts the
+   * user actually stated are returned; merging into the stored profile is up
+   * to the caller (see UserService.updateProfile).
+   * @param {string} jid - The user's JID.
+   * @param {Array<object>} messageHistory - The conversation, oldest first.
+   * @param {Object} [currentProfile] - The stored profile, given as context.
+   * @returns {Promise<Object>} Raw profile fields; empty when nothing was found.
+   */
+  async extractProfile(jid, messageHistory, currentProfile) {
+    const sysPrompt = `You extract a job seeker's profile from a WhatsApp conversation.
+Return ONLY one JSON object (no prose, no markdown) with any of these keys, and only for facts the user clearly stated:
+{
+  "skills": [{ "name": "React", "level": "beginner|intermediate|advanced|expert|null" }],
+  "yearsOfExperience": <number>,
+  "currentCtc": "<as stated, e.g. '12 LPA'>",
+  "expectedCtc": "<as stated>",
+  "noticePeriodDays": "<as stated, e.g. '2 months' or 'immediate'>",
+  "locations": ["<city>"],
+  "workMode": "remote|hybrid|onsite|any",
+  "portfolioUrl": "<url>",
+  "linkedinUrl": "<url>",
+  "githubUrl": "<url>",
+  "notes": "<one or two sentences of other facts useful for future job matches>"
+}
+Leave out anything that is unknown. Do not repeat the current profile unless the user changed it.
+
+Current profile:
+${profileHelper.formatProfile(currentProfile)}`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      jid,
+      "Extract the profile from the conversation above.",
+      messageHistory,
+      sysPrompt
+    );
+    const parsed = llmHelper.parseJsonObject(response);
+    if (!parsed) {
+      console.warn(`[extractProfile] No JSON profile in the answer for ${jid}.`);
+      return {};
+    }
+    return parsed;
   }
 
-  async genrateQuerySummary(reachouts, messageHistory, ptype) {
-    const sysPrompt = await getSysPrompt(
-      ptype == "hr" ? "hr_summary" : "client_summary"
+  /**
+   * Tells whether a document is a job description and, if so, reads its
+   * requirements.
+   * @param {string} jid - The sender, for logging.
+   * @param {string} documentText - Text extracted from the document or image.
+   * @param {Array<Object>} [messageHistory] - The conversation, for context.
+   * @returns {Promise<{isJd: boolean, jd: Object}|null>} Raw requirements (see
+   *   jdHelper.normalizeJd); null when the model gave no usable answer.
+   */
+  async parseJobDescription(jid, documentText, messageHistory = []) {
+    const sysPrompt = `You read documents recruiters send on WhatsApp.
+Return ONLY one JSON object (no prose, no markdown):
+{
+  "is_jd": true|false,
+  "role": "<job title>",
+  "employmentType": "full-time|contract|freelance|internship",
+  "skills": ["<required skill, most important first>"],
+  "minExperience": <years>,
+  "maxExperience": <years>,
+  "minCtc": "<bottom of the pay band as stated, e.g. '18 LPA'>",
+  "maxCtc": "<top of the pay band as stated>",
+  "locations": ["<city>"],
+  "workMode": "remote|hybrid|onsite",
+  "summary": "<one or two sentences about the work and the company>"
+}
+is_jd is true only for a job description, a scope of work or a hiring brief. Leave out anything the document doesn't say; don't guess.`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      jid,
+      `DOCUMENT:\n${documentText}`,
+      messageHistory,
+      sysPrompt
+    );
+    const parsed = llmHelper.parseJsonObject(response);
+    if (!parsed || typeof parsed.is_jd !== "boolean") {
+      console.warn(`[parseJobDescription] No usable answer for ${jid}.`);
+      return null;
+    }
+    const { is_jd: isJd, ...jd } = parsed;
+    return { isJd, jd };
+  }
+
+  /**
+   * Applies a recruiter's corrections ("budget is 20-25 LPA") to the
+   * requirements read from their JD.
+   * @param {string} jid - The recruiter, for logging.
+   * @param {Object} jd - The current requirements.
+   * @param {string} message - The recruiter's message.
+   * @returns {Promise<Object|null>} The changed fields only (raw, see
+   *   jdHelper.normalizeJd); null when the message changes nothing.
+   */
+  async reviseJobDescription(jid, jd, message) {
+    const sysPrompt = `A recruiter is checking the requirements read from their job description:
+${jdHelper.formatJd(jd)}
+
+Return ONLY one JSON object (no prose, no markdown) with the fields their message changes, using these keys:
+"role", "employmentType", "skills" (the full new list), "minExperience", "maxExperience", "minCtc", "maxCtc" (as stated, e.g. '20 LPA'), "locations", "workMode", "summary".
+Return {} if the message doesn't change any requirement.`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("classifier"),
+      jid,
+      message,
+      [],
+      sysPrompt
     );
-    const response = await generateReply(
-      "genrating the query summary",
-      `${reachouts} Summarize the above in the required format accoording to the system prompt only.`,
+    const parsed = llmHelper.parseJsonObject(response);
+    return parsed && Object.keys(parsed).length > 0 ? parsed : null;
+  }
+
+  async generateCustomReply(sysPrompt, prompt, messageHistory) {
+    const { text: response } = await generateReply(
+      this.resolveRoute("chat"),
+      "",
+      prompt,
       messageHistory,
       sysPrompt
     );
     return response;
   }
 
-  async genrateTheReachOutInfo(user, query, type, ptype) {
+  async genrateTheReachOutInfo(user, query, type, ptype, role) {
     const sysPrompt = await getSysPrompt(
       ptype == "hr" ? "roc_info" : "rof_info"
     );
+    const info = profileHelper.formatProfile(profileHelper.profileOf(user, role));
     const prompt =
       type == "ask"
-        ? `genarate reply according to system prompt for following user name:${user.name} and info: ${user.metadata} based on conversation and base on query: ${query.query} and author type: ${query.author_type} based on conversation`
-        : `genarate reply according to system prompt for following user name:${user.name} and info: ${user.metadata}, base on query: ${query.query} and author type: ${query.author_type} based on conversation`;
-    const response = await generateReply(
+        ? `genarate reply according to system prompt for following user name:${user.name} and info: ${info} based on conversation and base on query: ${jdHelper.describeQuery(query)} and author type: ${query.author_type} based on conversation`
+        : `genarate reply according to system prompt for following user name:${user.name} and info: ${info}, base on query: ${jdHelper.describeQuery(query)} and author type: ${query.author_type} based on conversation`;
+    const { text: response } = await generateReply(
+      this.resolveRoute("summary"),
       "genrating the reachout info",
       prompt,
       [],
@@ -1131,6 +1479,11 @@ class LLMService {
     return response;
   }
 
+  /**
+   * Replies to a user with their type's system prompt, letting the model call
+   * any registered tool along the way.
+   * @returns {Promise<{text: string, toolCalls: Array<object>}>} The final reply and the tool trace.
+   */
   async generateGeneralReply(user, prompt, messageHistory) {
     const sysPrompt = await getSysPrompt(user.type);
 
@@ -1146,7 +1499,8 @@ class LLMService {
     }
     const tools = { functionDeclarations };
 
-    const response = await generateReply(
+    return generateReply(
+      this.resolveRoute("chat"),
       user.jid,
       prompt,
       messageHistory,
@@ -1154,37 +1508,7 @@ class LLMService {
       tools,
       toolFunctions
     );
-    return response;
   }
 }
 
-/**
- * Calls the external hybrid search API.
- * @param {string} query The search query.
- * @returns {Promise<object>} The API response.
- */
-const callHybridSearch = async (query) => {
-  console.log(`Executing hybrid search for query: "${query}"`);
-  try {
-    const response = await axios.post(
-      "http://35.170.249.113:8000/api/v1/hybridsearch",
-      new URLSearchParams({ prompt: query }),
-      {
-        headers: {
-          accept: "application/json",
-          "x-api-key": "ok",
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      }
-    );
-    return response.data;
-  } catch (error) {
-    console.error("Hybrid Search API Error:", error.message);
-    if (error.response) {
-      console.error("Error Response:", error.response.data);
-    }
-    return { error: `API call failed: ${error.message}` };
-  }
-};
-
 module.exports = LLMService;
@@ -0,0 +1,83 @@
+const Meeting = require("../models/meeting.model");
+
+class MeetingService {
+  /**
+   * Manages all database interactions related to Meeting documents.
+   */
+
+  /**
+   * Creates a new Meeting in the collecting status.
+   * @param {Object} meetingData - Data for the new meeting.
+   * @returns {Promise<Object>} The created meeting.
+   */
+  async createMeeting(meetingData) {
+    const meeting = await Meeting.create(meetingData);
+    return meeting.toObject();
+  }
+
+  /**
+   * Finds a Meeting by its ID.
+   * @param {string} meetingId - The MongoDB ObjectId of the meeting.
+   * @returns {Promise<Object|null>} The meeting, with its query populated.
+   */
+  async findMeetingById(meetingId) {
+    return Meeting.findById(meetingId).populate("queryId").lean();
+  }
+
+  /**
+   * Finds the meeting of a reach-out that is still being arranged.
+   * @param {string} reachOutId - The MongoDB ObjectId of the reach-out.
+   * @returns {Promise<Object|null>}
+   */
+  async findOpenMeetingForReachOut(reachOutId) {
+    return Meeting.findOne({
+      reachOutId,
+      status: { $in: ["collecting", "proposed"] },
+    }).lean();
+  }
+
+  /**
+   * Finds the meetings a user is arranging, on either side.
+   * @param {string} jid - The user's JID.
+   * @returns {Promise<Array<Object>>} Latest first, with their queries populated.
+   */
+  async findOpenMeetingsForUser(jid) {
+    return Meeting.find({
+      $or: [{ "organizer.jid": jid }, { "attendee.jid": jid }],
+      status: { $in: ["collecting", "proposed"] },
+    })
+      .sort({ updatedAt: -1 })
+      .populate("queryId")
+      .lean();
+  }
+
+  /**
+   * Lists Meetings matching a filter, newest first.
+   * @param {Object} [filter={}] - A MongoDB filter on the Meeting collection.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of meetings to return.
+   * @param {number} [options.skip=0] - Number of meetings to skip (for paging).
+   * @returns {Promise<Array<Object>>} A list of meeting documents.
+   */
+  async listMeetings(filter = {}, { limit = 50, skip = 0 } = {}) {
+    return Meeting.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Updates fields of a Meeting.
+   * @param {string} meetingId - The MongoDB ObjectId of the meeting.
+   * @param {Object} updates - The fields to set.
+   * @returns {Promise<Object|null>} The updated meeting, with its query populated.
+   */
+  async updateMeeting(meetingId, updates) {
+    return Meeting.findByIdAndUpdate(meetingId, updates, { new: true })
+      .populate("queryId")
+      .lean();
+  }
+}
+
+module.exports = MeetingService;
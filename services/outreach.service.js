@@ -1,9 +1,50 @@
+const path = require("path");
 const { response } = require("express");
 const { getSysPrompt } = require("../prompts/getPrompt");
 const ReachOutService = require("./reachOut.service");
+const MeetingService = require("./meeting.service");
+const SearchService = require("./search.service");
 const pythonHelper = require("../helpers/python.helper");
+const profileHelper = require("../helpers/profile.helpers");
+const shortlistHelper = require("../helpers/shortlist.helpers");
+const scheduleHelper = require("../helpers/schedule.helpers");
+const conversationHelper = require("../helpers/conversation.helpers");
+const jdHelper = require("../helpers/jd.helpers");
+const resumeHelper = require("../helpers/resume.helpers");
+const { followUpQueue, nudgeQueue, meetingQueue } = require("../config/bullmq");
+const { createSpeechToText } = require("../speechToText");
+const { createOcrEngine } = require("../ocr");
 
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Follow-ups further out than this are almost certainly a model mistake.
+const MAX_FOLLOW_UP_DELAY_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+// Hours of silence before each nudge of an unanswered reach-out, e.g. "24,48".
+const NUDGE_AFTER_HOURS = String(process.env.REACH_OUT_NUDGE_HOURS || "24,48")
+  .split(",")
+  .map(Number)
+  .filter((hours) => hours > 0);
+// Hours of silence after the last nudge before the reach-out expires.
+const EXPIRE_AFTER_HOURS = Number(process.env.REACH_OUT_EXPIRE_HOURS || 48);
+const HOUR_MS = 60 * 60 * 1000;
+// Set to "csv" to send the shortlist as a document along with the message.
+const SHORTLIST_ATTACHMENT = String(process.env.SHORTLIST_ATTACHMENT || "none").toLowerCase();
+// "contact" sends both sides each other's contact card; "group" creates a
+// WhatsApp group with the two of them (falling back to contact cards).
+const INTRODUCTION_MODE = String(process.env.INTRODUCTION_MODE || "contact").toLowerCase();
+const MEETING_DURATION_MINUTES = Number(process.env.MEETING_DURATION_MINUTES || 30);
+// Minutes before an interview that both sides are reminded, e.g. "1440,60".
+const MEETING_REMINDER_MINUTES = String(process.env.MEETING_REMINDER_MINUTES || "1440,60")
+  .split(",")
+  .map(Number)
+  .filter((minutes) => minutes > 0);
+// An interview still being arranged after this long without either side
+// answering is given up on.
+const MEETING_EXPIRE_HOURS = Number(process.env.MEETING_EXPIRE_HOURS || 72);
+// Availability is read in this time zone until a user names another.
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "Asia/Kolkata";
+// Images with less text than this are photos, not documents.
+const OCR_MIN_CHARS = Number(process.env.OCR_MIN_CHARS || 40);
+// The same cap the transports put on text extracted from documents.
+const OCR_CHAR_LIMIT = 3000;
 
 class OutreachService {
   /**
@@ -11,12 +52,27 @@ class OutreachService {
    * @param {UserService} userService - Service for user-related operations.
    * @param {QueryService} queryService - Service for query-related operations.
    * @param {LLMService} llmService - Service for LLM interactions.
+   * @param {object} [options]
+   * @param {import('../speechToText/speechToText')|null} [options.speechToText] - Transcribes
+   *   voice notes. Defaults to createSpeechToText(); null (or STT_PROVIDER=none) turns it off.
+   * @param {import('../ocr/ocrEngine')|null} [options.ocrEngine] - Reads text off images.
+   *   Defaults to createOcrEngine(); null (or OCR_PROVIDER=none) turns it off.
    */
-  constructor(userService, queryService, llmService) {
+  constructor(userService, queryService, llmService, { speechToText, ocrEngine } = {}) {
     this.userService = userService;
     this.queryService = queryService;
     this.llmService = llmService;
     this.reachOutService = new ReachOutService(); // Instantiate the new service here
+    this.meetingService = new MeetingService();
+    this.searchService = new SearchService(llmService);
+    if (speechToText === undefined) {
+      speechToText = process.env.STT_PROVIDER === "none" ? null : createSpeechToText();
+    }
+    this.speechToText = speechToText;
+    if (ocrEngine === undefined) {
+      ocrEngine = process.env.OCR_PROVIDER === "none" ? null : createOcrEngine(undefined, { llmService });
+    }
+    this.ocrEngine = ocrEngine;
     this.whatsAppService = null;
   }
 
@@ -37,6 +93,19 @@ class OutreachService {
       messageData.jid,
       messageData.pushName
     );
+    // A voice note is handled as the text that was said.
+    if (messageData.mediaType == "audio") {
+      const transcript = await this.transcribeVoiceNote(messageData);
+      if (transcript) messageData = { ...messageData, content: transcript, transcript };
+    }
+    // A screenshot of a resume or JD goes down the same path as a document.
+    if (messageData.mediaType == "image" && !messageData.retrievedText) {
+      const imageText = await this.readImageText(messageData);
+      if (imageText) messageData = { ...messageData, retrievedText: imageText };
+    }
+    const hasDocumentText =
+      messageData.mediaType == "document" ||
+      (messageData.mediaType == "image" && !!messageData.retrievedText);
     // Save the incoming message to the database
     // also update the redis cache within the same function
     await this.userService.saveMessage({
@@ -47,21 +116,62 @@ class OutreachService {
 
       hasMedia: messageData.isMedia || false,
       mediaType: messageData.mediaType || "null",
-      mediaUrl: messageData.mediaUrl || null, //need to be done from s3/aws
+      mediaUrl: messageData.mediaUrl || messageData.filePath || null, //need to be done from s3/aws
+      transcript: messageData.transcript || null,
     });
 
+    // A human operator owns this chat: pass the message on and stay quiet.
+    if (user.handoff?.active) {
+      await this.forwardToOperator(user, messageData.content);
+      return null;
+    }
+
+    if (messageData.mediaType == "audio" && !messageData.transcript) {
+      const reply =
+        "Sorry, I couldn't make out that voice note. Could you type it out or send it again?";
+      await this.userService.saveMessage({
+        jid: user.jid,
+        by: "model",
+        type: user.type,
+        content: reply,
+      });
+      return reply;
+    }
+
+    // A recruiter checking the summary of their JD, answers to a delivered
+    // shortlist ("shortlist 2", "reject 3", "more like 1"), a shortlisted
+    // candidate agreeing to be introduced, or either side of an interview
+    // saying when they're free.
+    if (!messageData.isMedia || messageData.transcript) {
+      const reply =
+        (await this.handleJdConfirmation(user, messageData.content)) ||
+        (await this.handleShortlistCommand(user, messageData.content)) ||
+        (await this.handleIntroductionAnswer(user, messageData.content)) ||
+        (await this.handleMeetingMessage(user, messageData.content));
+      if (reply) {
+        await this.userService.saveMessage({
+          jid: user.jid,
+          by: "model",
+          type: user.type,
+          content: reply,
+        });
+        return reply;
+      }
+    }
+
+    const role = conversationHelper.roleOf(user);
     if (messageData.isMedia && messageData.mediaType == "linkedinUrl") {
       const shudContinue = await this.handleLinkedinFlow(messageData, user);
       if (!shudContinue) return;
     } else if (
-      user.type == "candidate" &&
+      role == "candidate" &&
       messageData.isMedia &&
-      messageData.mediaType == "document"
+      hasDocumentText
     ) {
       const shudContinue = await this.handleCandidateDocFlow(messageData, user);
       if (!shudContinue) return;
     } else if (
-      user.type == "freelancer" &&
+      role == "freelancer" &&
       messageData.isMedia &&
       messageData.mediaType == "url"
     ) {
@@ -72,28 +182,36 @@ class OutreachService {
       //await this.whatsAppService.sendMessage(messageData.jid,"hn bhai milgyi teri url");
       return;
     } else if (
-      user.type == "freelancer" &&
+      role == "freelancer" &&
       messageData.isMedia &&
-      messageData.mediaType == "document"
+      hasDocumentText
     ) {
       const shudContinue = await this.handleCandidateDocFlow(messageData, user);
       if (!shudContinue) return;
     }
 
+    if (
+      (role == "hr" || role == "client") &&
+      messageData.isMedia &&
+      hasDocumentText
+    ) {
+      return this.handleJdDocFlow(messageData, user);
+    }
+
     // Fetch the user's message history
     const messageHistory = await this.userService.getMessageHistory(user.jid);
     // console.log(JSON.stringify(messageHistory.reverse(), null, 2));
     // return;
-    // Now route based on user type
+    // Now route based on the conversation state
     let prompt = messageData.content;
-    if (user.type === "rof" || user.type === "roc") {
+    if (conversationHelper.stateOf(user) === "in-reachout") {
       const reachOut = await this.reachOutService.findReachOutById(
         user.currentReachout
       );
       const author = await this.userService.findOrCreateUser(
         reachOut.queryId.author_id
       );
-      const NLP = reachOut.queryId.query;
+      const NLP = jdHelper.describeQuery(reachOut.queryId);
 
       prompt = `CONTEXT FOR THE REACHOUT: ${
         author.name || "A user"
@@ -101,22 +219,213 @@ class OutreachService {
         
         
         USER MESSAGE: ${messageData.content}`;
+    } else if (
+      conversationHelper.stateOf(user) === "idle" &&
+      conversationHelper.rolesOf(user).length > 0
+    ) {
+      // Users holding several roles are asked which one today is about.
+      const roles = conversationHelper.rolesOf(user);
+      prompt = `CONTEXT: The user's roles: ${roles.join(", ")}.${
+        user.role ? ` Their last session was as ${user.role}.` : ""
+      }${
+        conversationHelper.hasMixedRoles(user)
+          ? ` If they want to start something and it's unclear which role it is for, ask "Are you hiring or looking today?" before calling handleEndOfSession.`
+          : ""
+      }
+
+        USER MESSAGE: ${messageData.content}`;
+    } else if (conversationHelper.stateOf(user) === "querying") {
+      // Each hiring role has its own query history.
+      const earlier = await this.queryService.listQueries(
+        { author_id: user.jid, author_type: user.role },
+        { limit: 3 }
+      );
+      if (earlier.length > 0) {
+        prompt = `CONTEXT: Their earlier searches as ${user.role}: ${earlier
+          .map((q) => `"${shortlistHelper.about(q.query)}" (${q.status})`)
+          .join("; ")}.
+
+        USER MESSAGE: ${messageData.content}`;
+      }
     }
-    const llmRes = await this.llmService.generateGeneralReply(
+    const { text: llmRes, toolCalls } = await this.llmService.generateGeneralReply(
       user,
       prompt,
       messageHistory.reverse()
     );
+    if (toolCalls.length > 0) {
+      console.log(
+        `🛠️ Tools used for ${user.jid}:`,
+        toolCalls.map((c) => c.name).join(", ")
+      );
+    }
     this.userService.saveMessage({
       jid: user.jid,
       by: "model",
       type: user.type,
       content: llmRes,
     });
+    // The target is talking to us: restart the nudge schedule from this reply.
+    if (user.currentReachout) await this.armNudges(user.currentReachout);
     return llmRes;
   }
 
+  /**
+   * Transcribes a voice note with the speech-to-text backend.
+   * @param {Object} messageData - The inbound message; its filePath is the saved audio.
+   * @returns {Promise<string|null>} The transcript, or null when there is none
+   *   (no backend, no file, nothing said, or the backend failed).
+   */
+  async transcribeVoiceNote(messageData) {
+    if (!this.speechToText || !messageData.filePath) return null;
+    try {
+      const transcript = await this.speechToText.transcribe({
+        filePath: messageData.filePath,
+      });
+      console.log(`🎙️ Voice note from ${messageData.jid} transcribed: "${transcript}"`);
+      return transcript || null;
+    } catch (err) {
+      console.error(`❌ Failed to transcribe voice note from ${messageData.jid}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reads a JD an HR or client user sent (a document, or an image OCR read)
+   * into structured requirements and asks them to confirm the summary. The
+   * draft is kept on the user until their next query is posted with it.
+   * @param {Object} messageData - The inbound message, with retrievedText.
+   * @param {Object} user - The recruiter.
+   * @returns {Promise<string>} The reply.
+   */
+  async handleJdDocFlow(messageData, user) {
+    const messageHistory = await this.userService.getMessageHistory(user.jid);
+    const waitMssg = "Give me a minute... I am reading the JD you sent";
+    this.whatsAppService.sendMessage(messageData.jid, waitMssg);
+    await this.userService.saveMessage({
+      jid: user.jid,
+      by: "model",
+      type: user.type,
+      content: waitMssg,
+    });
+
+    const parsed = messageData.retrievedText
+      ? await this.llmService.parseJobDescription(
+          user.jid,
+          messageData.retrievedText,
+          messageHistory.reverse()
+        )
+      : null;
+    let reply;
+    if (!parsed) {
+      reply =
+        "Sorry, I couldn't read that file. Could you send it as a PDF, or just tell me about the role?";
+    } else if (!parsed.isJd) {
+      reply =
+        "Hmm, that doesn't look like a job description. Could you send the JD, or just tell me about the role?";
+    } else {
+      const jd = {
+        ...jdHelper.normalizeJd(parsed.jd),
+        source: {
+          filePath: messageData.filePath || null,
+          fileName: messageData.filePath ? path.basename(messageData.filePath) : null,
+          receivedAt: new Date(),
+        },
+      };
+      // A JD sent between sessions starts one: the recruiter is posting a role.
+      if (!conversationHelper.checkTransition(user, "querying")) {
+        user = await this.userService.transition(user, "querying", {
+          reason: "JD received",
+        });
+      }
+      await this.userService.updateUser(user._id, {
+        jdDraft: { jd, status: "pending", updatedAt: new Date() },
+      });
+      await this.clearPendingDocument(user.jid, "jd");
+      console.log(`📄 JD from ${user.jid} read: ${jdHelper.toQueryText(jd)}`);
+      reply = `Here's what I got from the JD:\n\n${jdHelper.formatJd(
+        jd
+      )}\n\nDid I get that right? Reply *yes* to go with it, or tell me what to change.`;
+    }
+    await this.userService.saveMessage({
+      jid: user.jid,
+      by: "model",
+      type: user.type,
+      content: reply,
+    });
+    return reply;
+  }
+
+  /**
+   * Handles a recruiter's answer to the summary of their JD: "yes" confirms
+   * it, corrections ("budget is 20-25 LPA") are applied and shown again.
+   * @param {Object} user - The sender.
+   * @param {string} text - The message.
+   * @returns {Promise<string|null>} The reply, or null when there is no JD
+   *   waiting for confirmation or the message isn't about it.
+   */
+  async handleJdConfirmation(user, text) {
+    if (user.jdDraft?.status !== "pending") return null;
+    // Anything more than a bare yes/no may carry a correction.
+    const consent = shortlistHelper.parseConsent(text, { bare: true });
+    if (consent === true) {
+      await this.userService.updateUser(user._id, {
+        "jdDraft.status": "confirmed",
+        "jdDraft.updatedAt": new Date(),
+      });
+      console.log(`📄 JD of ${user.jid} confirmed.`);
+      return "Perfect, I'll go with this JD. Anything specific you'd like me to check with candidates (e.g. startup experience, a particular industry)? If not, just say so and I'll start reaching out.";
+    }
+    if (consent === false) {
+      return 'No problem. Tell me what to change, e.g. "budget is 20-25 LPA".';
+    }
+
+    const changes = await this.llmService.reviseJobDescription(
+      user.jid,
+      user.jdDraft.jd,
+      text
+    );
+    if (!changes) return null;
+    const jd = { ...user.jdDraft.jd, ...jdHelper.normalizeJd(changes) };
+    await this.userService.updateUser(user._id, {
+      "jdDraft.jd": jd,
+      "jdDraft.updatedAt": new Date(),
+    });
+    return `Updated:\n\n${jdHelper.formatJd(
+      jd
+    )}\n\nIs it right now? Reply *yes* to go with it, or tell me what else to change.`;
+  }
+
+  /**
+   * Reads the text off a photo or screenshot with the OCR engine.
+   * @param {Object} messageData - The inbound message; its filePath is the saved image.
+   * @returns {Promise<string|null>} The text, or null when there is too little to be
+   *   a document (or no engine, no file, or the engine failed).
+   */
+  async readImageText(messageData) {
+    if (!this.ocrEngine || !messageData.filePath) return null;
+    try {
+      const text = await this.ocrEngine.recognize({ filePath: messageData.filePath });
+      console.log(`🖼️ Read ${text.length} chars off an image from ${messageData.jid}.`);
+      if (text.length < OCR_MIN_CHARS) return null;
+      return text.length > OCR_CHAR_LIMIT
+        ? text.slice(0, OCR_CHAR_LIMIT) + "... [truncated]"
+        : text;
+    } catch (err) {
+      console.error(`❌ Failed to read text off an image from ${messageData.jid}:`, err.message);
+      return null;
+    }
+  }
+
   async handleLinkedinFlow(messageData, user) {
+    // The profile itself isn't read yet; keep the link on the talent profile.
+    const role = conversationHelper.talentRoleOf(user);
+    const linkedinUrl = profileHelper.parseUrl(
+      (String(messageData.content).match(/(https?:\/\/)?(www\.)?linkedin\.com\/in\/[^\s]+/i) || [])[0]
+    );
+    if (role && linkedinUrl) {
+      await this.updateProfile(user.jid, { linkedinUrl }, "linkedin", role);
+    }
     return true;
     //to be implemented
     const messageHistory = await this.userService.getMessageHistory(user.jid);
@@ -189,9 +498,21 @@ class OutreachService {
       messageHistory.reverse()
     );
     if (resumeJson.isResume) {
+      // The parser reads the whole resume, not only the chunk the classifier saw.
+      const parsedResume = resumeHelper.parseResume(
+        messageData.documentChunks?.length
+          ? messageData.documentChunks.join("\n\n")
+          : messageData.retrievedText
+      );
+      console.log(
+        `📄 Resume of ${user.jid} parsed: ${Object.keys(parsedResume).join(", ") || "nothing"}`
+      );
       const gotResumeMssg =
         "Yes, we have recieved your resume, thnx for sharing that";
-      const gotResumeMssgToSave = gotResumeMssg + JSON.stringify(resumeJson);
+      const gotResumeMssgToSave =
+        gotResumeMssg +
+        JSON.stringify(resumeJson) +
+        `\n\nRead from the resume:\n${profileHelper.formatProfile(parsedResume)}`;
       this.whatsAppService.sendMessage(messageData.jid, gotResumeMssg);
       await this.userService.saveMessage({
         jid: user.jid,
@@ -205,10 +526,30 @@ class OutreachService {
         type: user.type,
         content: "Ok! So now you have got my resume, whats the next step?",
       });
-      pythonHelper.uploadSingleFile({
-        filePath: messageData.filePath,
-        isCandidate: true
-      })
+      // The vector server parses the file itself, and only documents.
+      if (messageData.mediaType == "document") {
+        pythonHelper.uploadSingleFile({
+          filePath: messageData.filePath,
+          isCandidate: true
+        })
+      }
+      await this.clearPendingDocument(user.jid, "resume");
+      const { name, email, phone } = resumeJson.key_fields || {};
+      await this.updateProfile(
+        user.jid,
+        {
+          // The classifier's guesses, where the parser found nothing better.
+          ...resumeJson.key_fields,
+          ...parsedResume,
+          contact: { name, email, phone, ...parsedResume.contact },
+          resume: {
+            filePath: messageData.filePath || null,
+            fileName: messageData.filePath ? path.basename(messageData.filePath) : null,
+            receivedAt: new Date(),
+          },
+        },
+        "resume"
+      );
     } else {
       const notResumeMssg =
         "Sorry the doc you provided, we were not able to detect if that was your resume, plz try again.";
@@ -235,20 +576,19 @@ class OutreachService {
       type: user.type,
       content: waitMssg,
     });
-    console.log(JSON.stringify(messageHistory.reverse(), null, 2));
     const resultAfterUrlCheck =
       await this.llmService.classifyPortfolioMatchFromHistory(
         messageData.jid,
-        messageHistory.reverse(),
+        [...messageHistory].reverse(),
         messageData.content
       );
     if (resultAfterUrlCheck.isPortfolioOfUser) {
       const gotPortfolioMssg =
-        "Yes, we have recieved your portfolio, thnx for sharing that" +
-        JSON.stringify(resultAfterUrlCheck);
+        "Yes, we have recieved your portfolio, thnx for sharing that";
+      // The classifier's verdict stays in the saved history, not the chat.
       const gotPortfolioMssgToSave =
         gotPortfolioMssg + JSON.stringify(resultAfterUrlCheck);
-      this.whatsAppService.sendMessage(messageData.jid, gotResumeMssg);
+      this.whatsAppService.sendMessage(messageData.jid, gotPortfolioMssg);
       await this.userService.saveMessage({
         jid: user.jid,
         by: "model",
@@ -261,6 +601,13 @@ class OutreachService {
         type: user.type,
         content: "Ok! So now you have got my portfolio, whats the next step?",
       });
+      await this.clearPendingDocument(user.jid, "portfolio");
+      const portfolioUrl = profileHelper.parseUrl(
+        (String(messageData.content).match(/https?:\/\/[^\s]+/i) || [])[0]
+      );
+      if (portfolioUrl) {
+        await this.updateProfile(user.jid, { portfolioUrl }, "conversation", "freelancer");
+      }
       //we need to call the vectorFastApi server here
     } else {
       const notPortfolioMssg =
@@ -277,59 +624,31 @@ class OutreachService {
     return true;
   }
 
-  // Tool handler for ending a session and updating user type
+  /**
+   * Tool handler for ending a session. The user's conversation state picks
+   * the handler that wraps the session up (see conversationHelper); the
+   * model's own idea of the user's type is only logged.
+   * @param {{jid: string, userType?: string, newUserType?: string}} args
+   *   newUserType is the role picked when a new session starts.
+   */
   async handleEndOfSession(args) {
     const { jid, userType, newUserType } = args;
-
-    console.log(
-      `[Tool Executed] Ending session for ${userType} with JID: ${jid}. Assigning new type: ${newUserType}.`
-    );
     let result;
     try {
-      switch (userType) {
-        case "new":
-          if (!newUserType) {
-            console.warn("New user type not provided for 'new' user.");
-            result =
-              "Please specify if they are a candidate, freelancer, client, or HR.";
-            break;
-          }
-          // Update user type in DB and cache
-          const user = await this.userService.findOrCreateUser(jid);
-          await this.userService.updateUser(user._id, { type: newUserType });
-          // Inform the user about their updated status
-          result = `now reply as if you were an established ${newUserType}.`;
-          break;
-
-        case "idol":
-          result = this.handleIdolUser(jid, newUserType);
-          break;
-
-        case "roc":
-        case "rof": // Combines 'roc' and 'rof'
-          result = this.handleReachOutUser(jid);
-          break;
-
-        case "candidate":
-        case "freelancer":
-          result = this.handleProfileUpdate(jid);
-          break;
-
-        case "client":
-        case "hr":
-          result = this.handleQuery(jid);
-          break;
-
-        default:
-          console.warn(`Unhandled user type: ${userType}`);
-          result = "I'm not sure what you mean.";
-      }
-      const sessionChangedText = `Session changed to ${newUserType}`;
+      const user = await this.userService.findOrCreateUser(jid);
+      const handler = conversationHelper.endOfSessionHandler(user);
+      console.log(
+        `[Tool Executed] Ending ${conversationHelper.stateOf(user)} session for ${jid} (model saw ${userType}, asked for ${newUserType}). Dispatching to ${handler}.`
+      );
+      result = await this[handler](user, newUserType);
+
+      const updated = await this.userService.findOrCreateUser(jid);
+      const sessionChangedText = `Session changed to ${updated.type}`;
       await this.whatsAppService.sendMessage(jid, sessionChangedText);
       this.userService.saveMessage({
-        jid: user.jid,
+        jid,
         by: "model",
-        type: newUserType,
+        type: updated.type,
         content: sessionChangedText,
       });
       return { success: true, status: result };
@@ -341,28 +660,298 @@ class OutreachService {
     }
   }
 
-  //--------------------------------separate functions to handle each user type----------------------------
+  // Tool handler for sending the user a message later
+  async scheduleFollowUp(args) {
+    const { jid, message, sendAt, delayMinutes, reason } = args;
+    let at;
+    if (sendAt) {
+      at = new Date(sendAt);
+    } else if (delayMinutes !== undefined && delayMinutes !== null) {
+      at = new Date(Date.now() + Number(delayMinutes) * 60 * 1000);
+    }
+    if (!at || isNaN(at.getTime())) {
+      return {
+        success: false,
+        status: "Give a valid ISO 8601 'sendAt' or a number of 'delayMinutes'.",
+      };
+    }
+    const delayMs = at.getTime() - Date.now();
+    if (delayMs <= 0 || delayMs > MAX_FOLLOW_UP_DELAY_MS) {
+      return {
+        success: false,
+        status: "The follow-up must be in the future and within 30 days.",
+      };
+    }
+
+    const job = await followUpQueue.add(
+      "follow-up",
+      { jid, message, reason: reason || null },
+      { delay: delayMs, removeOnComplete: 100, removeOnFail: 500 }
+    );
+    console.log(
+      `[Tool Executed] Follow-up ${job.id} for ${jid} scheduled at ${at.toISOString()}.`
+    );
+    return {
+      success: true,
+      status: `Follow-up scheduled for ${at.toISOString()}.`,
+      jobId: job.id,
+    };
+  }
+
+  // Tool handler for saving one structured profile field to the user's profile
+  async saveProfileField(args) {
+    const { jid, field, value } = args;
+    let parsed;
+    try {
+      parsed = profileHelper.parseField(field, value);
+    } catch (error) {
+      return { success: false, status: error.message };
+    }
+    const user = await this.userService.findOrCreateUser(jid);
+    if (conversationHelper.isHiringOnly(user)) {
+      return {
+        success: false,
+        status: "The user is only hiring, so they have no profile. Start a candidate or freelancer session first.",
+      };
+    }
+    await this.updateProfile(jid, { [field]: parsed }, "tool");
+    console.log(`[Tool Executed] Saved ${field} for ${jid}:`, parsed);
+    return { success: true, status: `Saved ${field}.`, value: parsed };
+  }
+
+  // Tool handler for tracking a document the bot has asked the user for
+  async requestDocument(args) {
+    const { jid, documentType, note } = args;
+    const user =
+      (await this.userService.findUserByJid(jid)) ||
+      (await this.userService.findOrCreateUser(jid));
+    const pending = user.pendingDocuments || [];
+    if (pending.some((d) => d.type === documentType)) {
+      return {
+        success: true,
+        status: `Already waiting for the user's ${documentType}.`,
+      };
+    }
+    await this.userService.updateUser(user._id, {
+      $push: { pendingDocuments: { type: documentType, note: note || null } },
+    });
+    console.log(`[Tool Executed] Waiting for ${documentType} from ${jid}.`);
+    return {
+      success: true,
+      status: `Now waiting for the user's ${documentType}. Ask them to send it as a document.`,
+    };
+  }
+
+  /**
+   * Merges fields into one of a user's profiles and re-embeds it for
+   * semantic search when anything changed.
+   * @param {string} jid - The user's JID.
+   * @param {Object} updates - Raw or normalized profile fields.
+   * @param {string} source - Provenance, e.g. "conversation".
+   * @param {string} [role] - The profile's role; see UserService.updateProfile.
+   * @returns {Promise<{user: Object|null, changed: Array<string>, role: string|null}>}
+   */
+  async updateProfile(jid, updates, source, role) {
+    const result = await this.userService.updateProfile(jid, updates, source, role);
+    if (result.changed.length > 0) {
+      await this.searchService.indexProfile(result.user, result.role);
+    }
+    return result;
+  }
+
+  /**
+   * Marks a requested document as received, if it was pending.
+   * @param {string} jid - The user's JID.
+   * @param {"resume"|"jd"|"portfolio"} documentType
+   */
+  async clearPendingDocument(jid, documentType) {
+    const user = await this.userService.findUserByJid(jid);
+    if (!user || !(user.pendingDocuments || []).some((d) => d.type === documentType)) {
+      return;
+    }
+    await this.userService.updateUser(user._id, {
+      $pull: { pendingDocuments: { type: documentType } },
+    });
+    console.log(`📎 Received the pending ${documentType} from ${jid}.`);
+  }
+
+  // Tool handler for handing the chat over to a human operator
+  async escalateToHuman(args) {
+    const { jid, reason } = args;
+    const user = await this.userService.findOrCreateUser(jid);
+    await this.userService.updateUser(user._id, {
+      handoff: { active: true, reason: reason || null, at: new Date() },
+    });
+    console.log(`[Tool Executed] Handing ${jid} over to a human: ${reason}`);
+
+    const operatorJid = process.env.OPERATOR_JID;
+    if (operatorJid) {
+      await this.whatsAppService.sendMessage(
+        operatorJid,
+        `🙋 ${user.name || "A user"} (+${user.phone}) needs a human.\nReason: ${
+          reason || "not given"
+        }\nThe bot is paused for them until the handoff is released from the admin API.`
+      );
+    } else {
+      console.warn("OPERATOR_JID is not set; nobody was notified of the handoff.");
+    }
+    return {
+      success: true,
+      status:
+        "A human operator is taking over. Tell the user someone from the team will get back to them shortly.",
+    };
+  }
 
-  async handleIdolUser(jid, newUserType) {
-    // Custom logic for 'idol' users
-    const haveReachOuts = await this.checkReachOut(jid);
+  /**
+   * Relays a message from a handed-off user to the operator.
+   * @param {Object} user - The user document.
+   * @param {string} content - The user's message.
+   */
+  async forwardToOperator(user, content) {
+    const operatorJid = process.env.OPERATOR_JID;
+    if (!operatorJid) return;
+    await this.whatsAppService.sendMessage(
+      operatorJid,
+      `💬 ${user.name || "User"} (+${user.phone}): ${content}`
+    );
+  }
+
+  //--------------------------------unanswered reach-outs----------------------------
+
+  /**
+   * Records that we just wrote to the target of a reach-out and schedules the
+   * next silence check. Every call starts a new schedule; checks queued by
+   * earlier calls notice and do nothing.
+   * @param {string} reachOutId - The reach-out waiting for an answer.
+   * @param {Object} [options]
+   * @param {boolean} [options.reset=true] - Whether the target replied, which
+   *   starts the nudges over. False after sending a nudge.
+   */
+  async armNudges(reachOutId, { reset = true } = {}) {
+    const reachOut = await this.reachOutService.findReachOutById(reachOutId);
+    if (!reachOut || reachOut.status !== "init") return;
+    const nudgeCount = reset ? 0 : reachOut.nudgeCount;
+    const lastContactAt = new Date();
+    await this.reachOutService.updateReachOut(reachOutId, {
+      lastContactAt,
+      nudgeCount,
+    });
+    const hours =
+      nudgeCount < NUDGE_AFTER_HOURS.length
+        ? NUDGE_AFTER_HOURS[nudgeCount]
+        : EXPIRE_AFTER_HOURS;
+    await nudgeQueue.add(
+      "nudge-reach-out",
+      { reachOutId: String(reachOutId), contactAt: lastContactAt.toISOString() },
+      {
+        delay: hours * HOUR_MS,
+        jobId: `${reachOutId}-${lastContactAt.getTime()}`,
+        removeOnComplete: 100,
+        removeOnFail: 500,
+      }
+    );
+    console.log(
+      `[armNudges] Checking reach-out ${reachOutId} for an answer in ${hours}h.`
+    );
+  }
+
+  /**
+   * Runs a silence check scheduled by armNudges: sends an LLM-written nudge,
+   * or, once every nudge went unanswered, expires the reach-out and moves the
+   * target on to their next held reach-out.
+   * @param {{reachOutId: string, contactAt: string}} args - The nudge job's data.
+   * @returns {Promise<string>} What was done, for the job's result.
+   */
+  async nudgeReachOut({ reachOutId, contactAt }) {
+    const reachOut = await this.reachOutService.findReachOutById(reachOutId);
+    if (!reachOut || reachOut.status !== "init") return "reach-out no longer open";
+    if (reachOut.lastContactAt?.toISOString() !== contactAt) {
+      return "superseded by a newer contact";
+    }
+    const user = await this.userService.findUserByJid(reachOut.targetId);
+    if (!user || String(user.currentReachout) !== String(reachOut._id)) {
+      return "target is no longer in this reach-out";
+    }
+    // An operator owns the chat; don't talk over them.
+    if (user.handoff?.active) return "handoff active";
+    const queryClosed = reachOut.queryId.status === "closed";
+    const [lastMessage] = await this.userService.listMessages(
+      { jid: user.jid },
+      { limit: 1 }
+    );
+    if (lastMessage?.by === "user") return "target replied; the reply is pending";
+
+    // No point chasing an answer for a search that is already over.
+    if (queryClosed || reachOut.nudgeCount >= NUDGE_AFTER_HOURS.length) {
+      console.log(
+        `[nudgeReachOut] Reach-out ${reachOut._id} went unanswered. Expiring it.`
+      );
+      await this.reachOutService.updateReachOutStatus(reachOut._id, "expired");
+      await this.reachOutService.endReachOut(reachOut._id);
+      await this.closeReachOut(user, reachOut, "expired");
+      return "expired";
+    }
+
+    const messageHistory = await this.userService.getMessageHistory(user.jid);
+    const context = `
+            You reached out to ${user.name || "a user"} about: "${jdHelper.describeQuery(reachOut.queryId)}".
+            They haven't answered your last message.
+          `;
+    const task =
+      "Write one short, friendly nudge asking whether they are interested. Don't repeat the whole pitch and don't be pushy.";
+    const nudge = await this.llmService.generateCustomReply(
+      await getSysPrompt(user.type),
+      `${context}\n\n${task}`,
+      messageHistory
+    );
+    await this.userService.saveMessage({
+      jid: user.jid,
+      by: "model",
+      type: user.type,
+      content: nudge,
+    });
+    await this.whatsAppService.sendMessage(user.jid, nudge);
+    await this.reachOutService.updateReachOut(reachOut._id, {
+      nudgeCount: reachOut.nudgeCount + 1,
+    });
+    await this.armNudges(reachOut._id, { reset: false });
+    return `nudge ${reachOut.nudgeCount + 1} sent`;
+  }
+
+  //--------------------------------separate functions to handle each conversation state----------------------------
+
+  async handleOnboarding(user, newUserType) {
+    return this.startSession(user, newUserType);
+  }
+
+  async handleIdolUser(user, newUserType) {
+    const haveReachOuts = await this.checkReachOut(user.jid);
     if (haveReachOuts) {
       return "reachOuts sent";
     }
-    if (!newUserType) {
-      console.warn("New user type not provided for 'new' user.");
+    if (newUserType === "idol") return "Nothing to wrap up; the user stays idle.";
+    return this.startSession(user, newUserType);
+  }
+
+  /**
+   * Starts the session of a role: profile building for candidates and
+   * freelancers, a new query for HR and clients.
+   * @param {Object} user
+   * @param {string} role - The role the model picked.
+   * @returns {Promise<string>} The tool result for the model.
+   */
+  async startSession(user, role) {
+    const to = conversationHelper.sessionStateFor(role);
+    if (!to) {
+      console.warn(`No role given to start a session for ${user.jid} (got ${role}).`);
       return "Please specify if they are a candidate, freelancer, client, or HR.";
     }
-    // Update user type in DB and cache
-    const user = await this.userService.findOrCreateUser(jid);
-    await this.userService.updateUser(user._id, { type: newUserType });
-    // Inform the user about their updated status
-    return `now reply as if you were an established ${newUserType}.`;
+    await this.userService.transition(user, to, { role, reason: "session started" });
+    return `now reply as if you were an established ${role}.`;
   }
 
-  async handleReachOutUser(jid) {
-    const user = await this.userService.findOrCreateUser(jid);
-    const getConversation = await this.userService.getMessageHistory(jid);
+  async handleReachOutUser(user) {
+    const getConversation = await this.userService.getMessageHistory(user.jid);
     const reachOut = await this.reachOutService.findReachOutById(
       user.currentReachout
     );
@@ -374,121 +963,827 @@ class OutreachService {
 
     if (isQualify === "qualify") {
       await this.reachOutService.updateReachOutStatus(reachOut._id, "qualify");
-      const userInfo = await this.llmService.genrateTheReachOutInfo(
-        user,
-        reachOut.queryId.query,
-        reachOut.type,
-        reachOut.queryId.author_type
-      );
-      await this.reachOutService.updateReachOutUserInfo(reachOut._id, userInfo);
+      await this.recordQualification(user, reachOut);
     } else if (isQualify === "fail") {
       await this.reachOutService.updateReachOutStatus(reachOut._id, "fail");
     } else {
       return;
     }
-    const done = await this.queryService.isQuerySuccessful(
-      reachOut.queryId._id
+    await this.closeReachOut(user, reachOut, isQualify);
+    return "reachOut ended";
+  }
+
+  /**
+   * Writes the summary of a qualified target the author's shortlist shows.
+   * @param {Object} user - The target.
+   * @param {Object} reachOut - The reach-out, with its query populated.
+   */
+  async recordQualification(user, reachOut) {
+    const userInfo = await this.llmService.genrateTheReachOutInfo(
+      user,
+      reachOut.queryId,
+      reachOut.type,
+      reachOut.queryId.author_type,
+      reachOut.targetRole
     );
-    if (done) {
-      const author = await this.userService.findOrCreateUser(
-        reachOut.queryId.author_id
-      );
-      if (author && author.type === "idol") {
-        await this.checkReachOut(author.jid);
+    await this.reachOutService.updateReachOutUserInfo(reachOut._id, userInfo);
+  }
+
+  /**
+   * Ends a reach-out with an outcome an operator chose ("qualify", "fail" or
+   * "expired"), with the same bookkeeping as when the target answers: the
+   * query is re-evaluated and, if the target is still in this reach-out, they
+   * are freed and move on to their next held one.
+   * @param {string} reachOutId
+   * @param {string} status
+   * @returns {Promise<Object|null>} The updated reach-out, or null if it doesn't exist.
+   */
+  async settleReachOut(reachOutId, status) {
+    const reachOut = await this.reachOutService.findReachOutById(reachOutId);
+    if (!reachOut) return null;
+    await this.reachOutService.updateReachOutStatus(reachOut._id, status);
+    await this.reachOutService.endReachOut(reachOut._id);
+    const user = await this.userService.findUserByJid(reachOut.targetId);
+    if (status === "qualify" && user) await this.recordQualification(user, reachOut);
+    if (user && String(user.currentReachout) === String(reachOut._id)) {
+      await this.closeReachOut(user, reachOut, status);
+    } else {
+      const query = await this.queryService.evaluateCompletion(reachOut.queryId._id);
+      if (query && query.status !== reachOut.queryId.status) {
+        await this.surfaceQueryStatus(query);
       }
     }
-    //update user.type to idol and currentReachout to null
-    await this.userService.updateUser(user._id, {
-      type: "idol",
-      currentReachout: null,
-    });
-    await this.checkReachOut(jid);
-    return "reachOut ended";
+    return this.reachOutService.findReachOutById(reachOut._id);
+  }
 
-    // Custom logic for 'roc' and 'rof' users
+  /**
+   * Wraps up a reach-out that got its answer (or expired): counts it towards
+   * its query, frees the target and moves them on to their next held reach-out.
+   * @param {Object} user - The target.
+   * @param {Object} reachOut - The reach-out, with its query populated.
+   * @param {string} outcome - How it ended, for the transition log.
+   */
+  async closeReachOut(user, reachOut, outcome) {
+    const query = await this.queryService.evaluateCompletion(
+      reachOut.queryId._id
+    );
+    if (query && query.status !== reachOut.queryId.status) {
+      await this.surfaceQueryStatus(query);
+    }
+    await this.userService.transition(user, "idle", {
+      reason: `reach-out ${reachOut._id} ${outcome}`,
+    });
+    await this.checkReachOut(user.jid);
   }
 
-  async handleQuery(jid) {
-    const messageHistory = await this.userService.getMessageHistory(jid);
-    // update user type user type to idol and reply
-    // const candidates = await this.llmService.findAndAnalyzeCandidates(
-    //   messageHistory
-    // );
-    // analyze using LLM get candidates list
-    const NLP = await this.llmService.findAndAnalyzeCandidates(messageHistory);
-    await this.makeReachOut(jid, NLP, [
-      { name: "Aaditya mathur", phone: "918826019356", metadata: {} },
-    ]);
-    const user = await this.userService.findOrCreateUser(jid);
-    await this.userService.updateUser(user._id, {
-      type: "idol",
-      currentReachout: null,
+  async handleQuery(user) {
+    let query;
+    if (user.jdDraft?.status === "confirmed") {
+      // The JD the recruiter confirmed is the requirement; its filters need no model.
+      const { jd } = user.jdDraft;
+      query = await this.queryService.createQuery(
+        user.jid,
+        jdHelper.toQueryText(jd),
+        jdHelper.toFilters(jd),
+        { jd }
+      );
+    } else {
+      const messageHistory = await this.userService.getMessageHistory(user.jid);
+      // Summarize the request; searching and reaching out run in the outreach job.
+      const NLP = await this.llmService.findAndAnalyzeCandidates(messageHistory);
+      if (!NLP) {
+        return "Could not understand the requirement. Ask the user to describe the role again.";
+      }
+      query = await this.queryService.createQuery(user.jid, NLP);
+    }
+    // A JD is used for one query; an unconfirmed one is dropped with the session.
+    if (user.jdDraft) {
+      user = await this.userService.updateUser(user._id, { $unset: { jdDraft: 1 } });
+    }
+    console.log(`[handleQuery] Query ${query._id} queued for ${user.jid}.`);
+    await this.userService.transition(user, "idle", {
+      reason: `query ${query._id} posted`,
     });
-    await this.checkReachOut(jid);
-    return "Query processed and reachOuts initiated.";
+    await this.checkReachOut(user.jid);
+    return "Query saved. We are now searching for matching candidates; tell the user we will update them as candidates respond.";
   }
 
-  async handleProfileUpdate(jid) {
-    const user = await this.userService.findOrCreateUser(jid);
-    const messageHistory = await this.userService.getMessageHistory(jid);
-    //update user.metadata
-    const updatedInfo = await this.llmService.generateGeneralReply(
-      user,
-      `Based on the user convo history and user current profile give all the new things that user have told and will be useful for his future reachouts 
-    
-    user current profile : ${user.metadata}`,
-      messageHistory
+  async handleProfileUpdate(user) {
+    const messageHistory = await this.userService.getMessageHistory(user.jid);
+    // Pull whatever the user told us this session into the structured profile.
+    const extracted = await this.llmService.extractProfile(
+      user.jid,
+      messageHistory.reverse(),
+      profileHelper.profileOf(user, user.role)
     );
-    // user.metadata.updatedInfo = updatedInfo;
-    //save user.type == "idol"
-    await this.userService.updateUser(user._id, {
-      type: "idol",
-      metadata: user.metadata,
+    const { changed } = await this.updateProfile(
+      user.jid,
+      extracted,
+      "conversation",
+      user.role
+    );
+    await this.userService.transition(user, "idle", {
+      reason: "profile session ended",
     });
-    await this.checkReachOut(jid);
-    //checkReachOut(jid)
+    await this.checkReachOut(user.jid);
+    return changed.length > 0
+      ? `Profile updated: ${changed.join(", ")}.`
+      : "Profile is up to date.";
   }
 
   //-------------------------Supporting functions----------------------------
 
   /**
-   * Checks for and processes held queries for a given user.
-   * @param {*} user
-   * @param {*} messageHistory
-   * @returns {boolean} True if a query was processed, false otherwise.
+   * Delivers the shortlists of the author's ready queries.
+   * @param {Object} user - The author.
+   * @returns {Promise<boolean>} True if a shortlist was delivered, false otherwise.
    */
   async checkQuery(user) {
-    const queries = await this.queryService.getHeldQeryByAuthorId(user.jid);
+    const queries = await this.queryService.getReadyQueriesByAuthorId(user.jid);
     if (!queries || queries.length < 1) return false;
     for (const query of queries) {
-      const reachouts = this.reachOutService.findReachOutsByQueryIdAndStatus(
-        query._id,
-        "qualify"
+      await this.deliverShortlist(user, query);
+    }
+    return true;
+  }
+
+  /**
+   * Sends a query's shortlist to its author as a ranked, numbered message
+   * (plus a CSV document with SHORTLIST_ATTACHMENT=csv) and marks the query
+   * delivered. Candidates delivered before keep their numbers.
+   * @param {Object} user - The author.
+   * @param {Object} query - A ready query.
+   */
+  async deliverShortlist(user, query) {
+    const { entries } = await this.queryService.getShortlist(query._id);
+    const fresh = entries.filter((entry) => !entry.delivered);
+    const text = shortlistHelper.formatShortlist(query, entries, {
+      freshCount: fresh.length,
+    });
+    await this.userService.saveMessage({
+      jid: user.jid,
+      by: "model",
+      type: user.type,
+      content: text,
+    });
+    await this.whatsAppService.sendMessage(user.jid, text);
+    if (SHORTLIST_ATTACHMENT === "csv" && fresh.length > 0) {
+      await this.whatsAppService.sendMedia(user.jid, {
+        mediaType: "document",
+        buffer: Buffer.from(shortlistHelper.toCsv(entries)),
+        mimetype: "text/csv",
+        fileName: `shortlist-${query._id}.csv`,
+      });
+    }
+    await this.queryService.updateQueryStatus(query._id, "delivered", {
+      shortlist: [
+        ...(query.shortlist || []),
+        ...fresh.map((entry) => entry.reachOut._id),
+      ],
+      deliveredAt: new Date(),
+    });
+  }
+
+  /**
+   * Applies an author's command to their latest delivered shortlist:
+   * "shortlist 2" moves #2 forward and asks them to be introduced, "reject 3"
+   * drops #3, "more like 1" searches again for people similar to #1 and
+   * "schedule 2" starts arranging an interview with #2.
+   * @param {Object} user - The author.
+   * @param {string} text - Their message.
+   * @returns {Promise<string|null>} The reply, or null if the message isn't a
+   *   command for an open shortlist.
+   */
+  async handleShortlistCommand(user, text) {
+    const command = shortlistHelper.parseCommand(text);
+    if (!command) return null;
+    const latest = await this.queryService.getLatestShortlistQuery(user.jid);
+    if (!latest) return null;
+    const { query, entries } = await this.queryService.getShortlist(latest._id);
+    const about = shortlistHelper.about(query.query);
+
+    const picked = command.numbers.map((number) =>
+      entries.find((entry) => entry.delivered && entry.number === number)
+    );
+    const missing = command.numbers.filter((number, i) => !picked[i]);
+    if (missing.length > 0) {
+      return `There's no #${missing.join(", #")} on your shortlist for "${about}". Use the numbers from the list I sent.`;
+    }
+
+    if (command.action === "schedule") {
+      return this.startScheduling(user, picked[0], query);
+    }
+
+    if (command.action === "more") {
+      const [entry] = picked;
+      if (await this.queryService.isProcessing(query._id)) {
+        return `I'm still searching for "${about}". Ask me for more like ${entry.name} once I've sent you what I find.`;
+      }
+      await this.queryService.searchMore(query._id, {
+        likeJid: entry.reachOut.targetId,
+        likeRole: entry.reachOut.targetRole,
+      });
+      return `On it! I'm looking for more people like ${entry.name} for "${about}" and will send them over once they're interested.`;
+    }
+
+    const status = command.action === "shortlist" ? "shortlisted" : "rejected";
+    for (const entry of picked) {
+      if (entry.reachOut.status === status) continue;
+      await this.reachOutService.updateReachOutStatus(entry.reachOut._id, status);
+      if (
+        status === "shortlisted" &&
+        entry.user &&
+        entry.reachOut.introduction?.status !== "done"
+      ) {
+        await this.askIntroductionConsent(user, entry, query);
+      }
+    }
+    const names = picked.map((entry) => `#${entry.number} ${entry.name}`).join(", ");
+    if (status === "shortlisted") {
+      return `Done, ${names} ${
+        picked.length > 1 ? "are" : "is"
+      } shortlisted. I'm checking they're happy to share their contact, then I'll introduce you.`;
+    }
+    const left = entries.filter(
+      (entry) =>
+        entry.delivered &&
+        entry.reachOut.status !== "rejected" &&
+        !picked.includes(entry)
+    );
+    return left.length > 0
+      ? `Done, I've dropped ${names} from the shortlist.`
+      : `Done, I've dropped ${names}. That was everyone on the list; reply "more like <number>" to search for similar people, or tell me what to change.`;
+  }
+
+  /**
+   * Asks a shortlisted candidate whether their number may be shared with the
+   * query's author. Their answer is handled by handleIntroductionAnswer.
+   * @param {Object} author - The query's author.
+   * @param {Object} entry - The candidate's shortlist entry (QueryService.getShortlist).
+   * @param {Object} query - The query document.
+   */
+  async askIntroductionConsent(author, entry, query) {
+    const ask = `Good news! ${
+      author.name || "The recruiter"
+    } shortlisted your profile for "${shortlistHelper.about(
+      query.query
+    )}" and would like to talk to you. Can I share your number with them? Reply YES or NO.`;
+    await this.userService.saveMessage({
+      jid: entry.user.jid,
+      by: "model",
+      type: entry.user.type,
+      content: ask,
+    });
+    await this.whatsAppService.sendMessage(entry.user.jid, ask);
+    await this.reachOutService.updateReachOut(entry.reachOut._id, {
+      "introduction.status": "asked",
+      "introduction.askedAt": new Date(),
+    });
+  }
+
+  /**
+   * Handles a candidate's yes or no to being introduced. While they are in
+   * another reach-out's conversation their messages belong to it, so the
+   * question stays open until they answer outside of one.
+   * @param {Object} user - The candidate.
+   * @param {string} text - Their message.
+   * @returns {Promise<string|null>} The reply, or null if the message isn't an
+   *   answer to a pending introduction.
+   */
+  async handleIntroductionAnswer(user, text) {
+    if (user.currentReachout) return null;
+    const consent = shortlistHelper.parseConsent(text);
+    if (consent === null) return null;
+    const reachOut = await this.reachOutService.findPendingIntroduction(user.jid);
+    if (!reachOut) return null;
+    const query = reachOut.queryId;
+    const author = await this.userService.findUserByJid(query.author_id);
+    if (!author) return null;
+    const about = shortlistHelper.about(query.query);
+    const authorName = author.name || "the recruiter";
+    const candidateName = user.name || "The candidate";
+
+    if (!consent) {
+      await this.reachOutService.updateReachOut(reachOut._id, {
+        "introduction.status": "declined",
+        "introduction.answeredAt": new Date(),
+      });
+      const news = `${candidateName} would rather not share their contact for "${about}" right now.`;
+      await this.userService.saveMessage({
+        jid: author.jid,
+        by: "model",
+        type: author.type,
+        content: news,
+      });
+      await this.whatsAppService.sendMessage(author.jid, news);
+      return "No problem, I won't share your number. I'll keep you posted on other opportunities.";
+    }
+
+    const { method, groupJid } = await this.introduce(author, user, query);
+    await this.reachOutService.updateReachOut(reachOut._id, {
+      "introduction.status": "done",
+      "introduction.method": method,
+      "introduction.groupJid": groupJid,
+      "introduction.answeredAt": new Date(),
+    });
+    const number =
+      (query.shortlist || []).map(String).indexOf(String(reachOut._id)) + 1;
+    if (number > 0) {
+      const hint = `Whenever you're ready, reply "schedule ${number}" and I'll find an interview time that suits you both.`;
+      await this.userService.saveMessage({
+        jid: author.jid,
+        by: "model",
+        type: author.type,
+        content: hint,
+      });
+      await this.whatsAppService.sendMessage(author.jid, hint);
+    }
+    return method === "group"
+      ? `Great! I've started a WhatsApp group with you and ${authorName}. Say hi there 👋`
+      : `Great! I've shared your number with ${authorName} and sent you theirs. They'll reach out soon; feel free to say hi too.`;
+  }
+
+  /**
+   * Connects a query's author and a candidate who agreed to it: a WhatsApp
+   * group with both of them when INTRODUCTION_MODE is "group" and the
+   * transport supports it, each other's contact cards otherwise.
+   * @param {Object} author - The query's author.
+   * @param {Object} candidate - The candidate.
+   * @param {Object} query - The query document.
+   * @returns {Promise<{method: "group"|"contact", groupJid: string|null}>}
+   */
+  async introduce(author, candidate, query) {
+    const about = shortlistHelper.about(query.query);
+    const authorName = author.name || "the recruiter";
+    const candidateName = candidate.name || "the candidate";
+
+    if (INTRODUCTION_MODE === "group") {
+      try {
+        const groupJid = await this.whatsAppService.createGroup(
+          `${candidateName} & ${authorName}`.slice(0, 100),
+          [author.jid, candidate.jid]
+        );
+        await this.whatsAppService.sendMessage(
+          groupJid,
+          `Hi ${authorName} and ${candidateName} 👋 ${authorName} is hiring for "${about}" and ${candidateName} is keen to talk. I'll leave you two to it!`
+        );
+        return { method: "group", groupJid };
+      } catch (error) {
+        console.warn(
+          `[introduce] Couldn't create a group (${error.message}); sending contact cards instead.`
+        );
+      }
+    }
+
+    const news = `${candidateName} is happy to talk about "${about}". Here's their contact:`;
+    await this.userService.saveMessage({
+      jid: author.jid,
+      by: "model",
+      type: author.type,
+      content: news,
+    });
+    await this.whatsAppService.sendMessage(author.jid, news);
+    await this.whatsAppService.sendContact(author.jid, {
+      name: candidate.name || candidate.jid.split("@")[0],
+      jid: candidate.jid,
+    });
+    await this.whatsAppService.sendContact(candidate.jid, {
+      name: author.name || author.jid.split("@")[0],
+      jid: author.jid,
+    });
+    return { method: "contact", groupJid: null };
+  }
+
+  /**
+   * Starts arranging an interview between an author and a candidate they
+   * were introduced to: both are asked when they're free.
+   * @param {Object} author - The query's author.
+   * @param {Object} entry - The candidate's shortlist entry (QueryService.getShortlist).
+   * @param {Object} query - The query document.
+   * @returns {Promise<string>} The reply to the author.
+   */
+  async startScheduling(author, entry, query) {
+    if (entry.reachOut.introduction?.status !== "done" || !entry.user) {
+      return `I can set up an interview once ${entry.name} has agreed to be introduced. Reply "shortlist ${entry.number}" if you haven't yet.`;
+    }
+    const open = await this.meetingService.findOpenMeetingForReachOut(
+      entry.reachOut._id
+    );
+    if (open) {
+      return `I'm already finding a time with ${entry.name}. Just tell me when you're free.`;
+    }
+    const meeting = await this.meetingService.createMeeting({
+      reachOutId: entry.reachOut._id,
+      queryId: query._id,
+      durationMinutes: MEETING_DURATION_MINUTES,
+      organizer: { jid: author.jid, timeZone: DEFAULT_TIME_ZONE },
+      attendee: { jid: entry.user.jid, timeZone: DEFAULT_TIME_ZONE },
+    });
+    await this.armMeetingExpiry(meeting);
+    const ask = `${author.name || "The recruiter"} would like to set up a ${MEETING_DURATION_MINUTES}-minute interview for "${shortlistHelper.about(
+      query.query
+    )}". When are you free over the next few days? For example: "Tue 3-6pm, Wed after 11am". Tell me your city if you're not in ${DEFAULT_TIME_ZONE}.`;
+    await this.userService.saveMessage({
+      jid: entry.user.jid,
+      by: "model",
+      type: entry.user.type,
+      content: ask,
+    });
+    await this.whatsAppService.sendMessage(entry.user.jid, ask);
+    return `Sure! When are you free for a ${MEETING_DURATION_MINUTES}-minute interview with ${entry.name}? For example: "Tue 3-6pm, Wed after 11am". I'll find a time that suits you both.`;
+  }
+
+  /**
+   * Negotiates the time of an interview being arranged with either side:
+   * reads the times they're free, proposes the earliest time both are free
+   * and confirms it once the other side agrees. Whoever's times produced the
+   * proposal has agreed to it already.
+   * @param {Object} user - The organizer or the attendee.
+   * @param {string} text - Their message.
+   * @returns {Promise<string|null>} The reply, or null if the message isn't
+   *   about the interview.
+   */
+  async handleMeetingMessage(user, text) {
+    if (user.currentReachout) return null;
+    const meetings = await this.meetingService.findOpenMeetingsForUser(user.jid);
+    if (meetings.length === 0) return null;
+    const consent = shortlistHelper.parseConsent(text);
+    // Most messages are about something else; only read times off those that may give some.
+    const mentionsTime = scheduleHelper.mentionsTime(text);
+    if (consent === null && !mentionsTime) return null;
+    const { meeting, reply } = await this.pickMeeting(user, meetings, text, consent);
+    if (!meeting) return reply;
+    const side = meeting.organizer.jid === user.jid ? "organizer" : "attendee";
+    const otherSide = side === "organizer" ? "attendee" : "organizer";
+    const me = meeting[side];
+    const other = meeting[otherSide];
+    const otherUser = (await this.userService.findUserByJid(other.jid)) || {
+      jid: other.jid,
+    };
+    const otherName =
+      otherUser.name || (side === "organizer" ? "the candidate" : "the recruiter");
+
+    if (meeting.status === "proposed") {
+      if (consent === true) {
+        const updated = await this.meetingService.updateMeeting(meeting._id, {
+          [`${side}.confirmed`]: true,
+        });
+        if (updated[otherSide].confirmed) {
+          await this.confirmMeeting(updated);
+          return "All set ✅ The calendar invite is above.";
+        }
+        return `Thanks! I'll confirm as soon as ${otherName} agrees too.`;
+      }
+      if (consent === false) {
+        await this.meetingService.updateMeeting(meeting._id, {
+          status: "collecting",
+          start: null,
+          end: null,
+          "organizer.confirmed": false,
+          "attendee.confirmed": false,
+          [`${side}.slots`]: [],
+        });
+        await this.notifyUser(
+          otherUser,
+          `${user.name || "They"} can't make ${scheduleHelper.formatTime(
+            meeting.start,
+            other.timeZone
+          )} after all. I'm asking for other times and will get back to you.`
+        );
+        return "No problem. When else are you free?";
+      }
+    }
+    if (!mentionsTime) return null;
+
+    const raw = await this.llmService.extractAvailability(text, {
+      timeZone: me.timeZone,
+    });
+    const timeZone = scheduleHelper.isValidTimeZone(raw.timeZone)
+      ? raw.timeZone
+      : me.timeZone;
+    const slots = scheduleHelper.normalizeSlots(raw.slots, timeZone);
+    // Not about the interview; the conversation handles it.
+    if (slots.length === 0) return null;
+
+    const updated = await this.meetingService.updateMeeting(meeting._id, {
+      status: "collecting",
+      start: null,
+      end: null,
+      "organizer.confirmed": false,
+      "attendee.confirmed": false,
+      [`${side}.slots`]: slots,
+      [`${side}.timeZone`]: timeZone,
+    });
+    if (other.slots.length === 0) {
+      return `Got it, you're free:
+${scheduleHelper.formatSlots(
+        slots,
+        timeZone
+      )}
+I'll check with ${otherName} and get back to you.`;
+    }
+    const [overlap] = scheduleHelper.findOverlaps(
+      slots,
+      other.slots,
+      updated.durationMinutes
+    );
+    if (!overlap) {
+      return `Those times don't overlap with ${otherName}'s. They're free:
+${scheduleHelper.formatSlots(
+        other.slots,
+        timeZone
+      )}
+Could any of these work? Otherwise send me other times.`;
+    }
+
+    const start = overlap.start;
+    const proposed = await this.meetingService.updateMeeting(meeting._id, {
+      status: "proposed",
+      start,
+      end: new Date(start.getTime() + updated.durationMinutes * 60 * 1000),
+      [`${side}.confirmed`]: true,
+    });
+    await this.notifyUser(
+      otherUser,
+      `${user.name || "They"} can do ${scheduleHelper.formatTime(
+        start,
+        other.timeZone
+      )} for the ${proposed.durationMinutes}-minute interview about "${shortlistHelper.about(
+        proposed.queryId.query
+      )}". Does that work for you? Reply YES to confirm or send other times.`
+    );
+    return `${otherName} is free then too, so I've suggested ${scheduleHelper.formatTime(
+      start,
+      timeZone
+    )}. I'll confirm once they agree.`;
+  }
+
+  /**
+   * Works out which of the interviews a user is arranging a message is about:
+   * the only one, the one whose other side it names or, for a yes/no, the only
+   * one waiting for their answer. Otherwise they're asked which one.
+   * @param {Object} user - The organizer or the attendee.
+   * @param {Array<Object>} meetings - Their open meetings.
+   * @param {string} text - Their message.
+   * @param {boolean|null} consent - The message read as a yes/no.
+   * @returns {Promise<{meeting: Object|null, reply: string|null}>}
+   */
+  async pickMeeting(user, meetings, text, consent) {
+    if (meetings.length === 1) return { meeting: meetings[0], reply: null };
+    const sideOf = (meeting) => (meeting.organizer.jid === user.jid ? "organizer" : "attendee");
+    const names = await Promise.all(
+      meetings.map(async (meeting) => {
+        const other = meeting[sideOf(meeting) === "organizer" ? "attendee" : "organizer"];
+        const otherUser = await this.userService.findUserByJid(other.jid);
+        return otherUser?.name || null;
+      })
+    );
+    const words = String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    const named = meetings.filter((meeting, i) => {
+      const firstName = names[i]?.split(/\s+/)[0].toLowerCase();
+      return firstName && words.includes(firstName);
+    });
+    if (named.length === 1) return { meeting: named[0], reply: null };
+    if (consent !== null) {
+      const waiting = meetings.filter(
+        (meeting) => meeting.status === "proposed" && !meeting[sideOf(meeting)].confirmed
       );
-      const response = await this.llmService.genrateQuerySummary(
-        reachouts,
-        [
-          {
-            role: "user",
-            parts: [
-              {
-                text: `Arrange the candidates form following reachouts according to this query: ${query.query}`,
-              },
-            ],
-          },
-        ],
-        query.author_type
+      if (waiting.length === 1) return { meeting: waiting[0], reply: null };
+    }
+    // A yes or no that fits none of them is left to the conversation.
+    if (!scheduleHelper.mentionsTime(text)) return { meeting: null, reply: null };
+
+    const labels = meetings.map(
+      (meeting, i) =>
+        names[i] ||
+        `${sideOf(meeting) === "organizer" ? "the candidate" : "the recruiter"} for "${shortlistHelper.about(
+          meeting.queryId?.query,
+          40
+        )}"`
+    );
+    const example = names.find(Boolean)?.split(/\s+/)[0] || "Name";
+    return {
+      meeting: null,
+      reply: `I'm arranging ${meetings.length} interviews for you, with ${labels.join(
+        ", "
+      )}. Which one is this about? Send it again with their name, e.g. "${example}: Tue 3-6pm".`,
+    };
+  }
+
+  /**
+   * Schedules the check that gives up on an interview nobody answered about
+   * for MEETING_EXPIRE_HOURS.
+   * @param {Object} meeting - The meeting.
+   * @param {Date} [dueAt] - When to check; defaults to MEETING_EXPIRE_HOURS from now.
+   */
+  async armMeetingExpiry(meeting, dueAt = new Date(Date.now() + MEETING_EXPIRE_HOURS * HOUR_MS)) {
+    await meetingQueue.add(
+      "meeting-expiry",
+      { meetingId: String(meeting._id) },
+      {
+        jobId: `${meeting._id}-expiry-${dueAt.getTime()}`,
+        delay: Math.max(0, dueAt.getTime() - Date.now()),
+        removeOnComplete: true,
+        removeOnFail: 100,
+      }
+    );
+  }
+
+  /**
+   * Runs an expiry check scheduled by armMeetingExpiry: expires an interview
+   * still being arranged with no answer since MEETING_EXPIRE_HOURS and tells
+   * both sides. If someone answered in the meantime, checks again later.
+   * @param {{meetingId: string}} job - The job data.
+   * @returns {Promise<string>} What happened, for the job log.
+   */
+  async expireMeeting({ meetingId }) {
+    const meeting = await this.meetingService.findMeetingById(meetingId);
+    if (!meeting || !["collecting", "proposed"].includes(meeting.status)) {
+      return "no longer being arranged";
+    }
+    const dueAt = new Date(new Date(meeting.updatedAt).getTime() + MEETING_EXPIRE_HOURS * HOUR_MS);
+    if (dueAt > new Date()) {
+      await this.armMeetingExpiry(meeting, dueAt);
+      return "answered since, checking again later";
+    }
+    await this.meetingService.updateMeeting(meeting._id, { status: "expired" });
+    const [organizer, attendee] = await Promise.all([
+      this.userService.findUserByJid(meeting.organizer.jid),
+      this.userService.findUserByJid(meeting.attendee.jid),
+    ]);
+    const about = shortlistHelper.about(meeting.queryId?.query);
+    await this.notifyUser(
+      organizer || { jid: meeting.organizer.jid },
+      `I couldn't find a time for the interview with ${
+        attendee?.name || "the candidate"
+      } for "${about}", so I've stopped trying. Reply "schedule <number>" to start again.`
+    );
+    await this.notifyUser(
+      attendee || { jid: meeting.attendee.jid },
+      `I couldn't find a time for the interview with ${
+        organizer?.name || "the recruiter"
+      } for "${about}", so I've put it on hold. They'll reach out again if they'd still like to talk.`
+    );
+    return "expired";
+  }
+
+  /**
+   * Confirms an interview both sides agreed to: sends each of them an .ics
+   * calendar invite and schedules the reminders.
+   * @param {Object} meeting - The meeting, with its query populated.
+   */
+  async confirmMeeting(meeting) {
+    const confirmed = await this.meetingService.updateMeeting(meeting._id, {
+      status: "confirmed",
+      $inc: { sequence: 1 },
+    });
+    const [organizer, attendee] = await Promise.all([
+      this.userService.findUserByJid(confirmed.organizer.jid),
+      this.userService.findUserByJid(confirmed.attendee.jid),
+    ]);
+    const organizerName = organizer?.name || "the recruiter";
+    const attendeeName = attendee?.name || "the candidate";
+    const ics = scheduleHelper.buildIcs({
+      uid: `${confirmed._id}@maya`,
+      start: confirmed.start,
+      end: confirmed.end,
+      summary: `Interview: ${attendeeName} with ${organizerName}`,
+      description: `About "${confirmed.queryId.query}". Arranged over WhatsApp by Maya.`,
+      sequence: confirmed.sequence,
+    });
+    for (const [participant, user, otherName] of [
+      [confirmed.organizer, organizer, attendeeName],
+      [confirmed.attendee, attendee, organizerName],
+    ]) {
+      const caption = `📅 Interview confirmed with ${otherName}: ${scheduleHelper.formatTime(
+        confirmed.start,
+        participant.timeZone
+      )} (${confirmed.durationMinutes} min). Open the invite to add it to your calendar.`;
+      if (user) {
+        await this.userService.saveMessage({
+          jid: user.jid,
+          by: "model",
+          type: user.type,
+          content: caption,
+        });
+      }
+      await this.whatsAppService.sendMedia(participant.jid, {
+        mediaType: "document",
+        buffer: Buffer.from(ics),
+        mimetype: "text/calendar",
+        fileName: "interview.ics",
+        caption,
+      });
+    }
+    await this.armMeetingReminders(confirmed);
+    console.log(`📅 Meeting ${confirmed._id} confirmed for ${confirmed.start.toISOString()}.`);
+  }
+
+  /**
+   * Schedules the reminders of a confirmed interview (MEETING_REMINDER_MINUTES
+   * before it starts). Reminders already due are skipped.
+   * @param {Object} meeting - The meeting.
+   */
+  async armMeetingReminders(meeting) {
+    const start = new Date(meeting.start).getTime();
+    for (const minutesBefore of MEETING_REMINDER_MINUTES) {
+      const delay = start - minutesBefore * 60 * 1000 - Date.now();
+      if (delay <= 0) continue;
+      await meetingQueue.add(
+        "meeting-reminder",
+        { meetingId: String(meeting._id), start, minutesBefore },
+        {
+          jobId: `${meeting._id}-${start}-${minutesBefore}`,
+          delay,
+          removeOnComplete: true,
+          removeOnFail: 100,
+        }
       );
+    }
+  }
+
+  /**
+   * Runs a reminder job: reminds both sides of a confirmed interview, unless
+   * it was cancelled or moved since the job was scheduled.
+   * @param {{meetingId: string, start: number, minutesBefore: number}} job - The job data.
+   * @returns {Promise<string>} What happened, for the job log.
+   */
+  async remindMeeting({ meetingId, start, minutesBefore }) {
+    const meeting = await this.meetingService.findMeetingById(meetingId);
+    if (!meeting || meeting.status !== "confirmed") return "not confirmed, skipped";
+    if (new Date(meeting.start).getTime() !== start) return "moved, skipped";
+    const [organizer, attendee] = await Promise.all([
+      this.userService.findUserByJid(meeting.organizer.jid),
+      this.userService.findUserByJid(meeting.attendee.jid),
+    ]);
+    for (const [participant, user, other] of [
+      [meeting.organizer, organizer, attendee?.name || "the candidate"],
+      [meeting.attendee, attendee, organizer?.name || "the recruiter"],
+    ]) {
+      await this.notifyUser(
+        user || { jid: participant.jid },
+        `⏰ Reminder: your interview with ${other} starts in ${scheduleHelper.formatLead(
+          minutesBefore
+        )}, at ${scheduleHelper.formatTime(meeting.start, participant.timeZone)}.`
+      );
+    }
+    return "reminded";
+  }
+
+  /**
+   * Saves a message to a user's history and sends it.
+   * @param {Object} user - The recipient (at least their jid).
+   * @param {string} text
+   */
+  async notifyUser(user, text) {
+    if (user.type) {
       await this.userService.saveMessage({
         jid: user.jid,
         by: "model",
         type: user.type,
-        content: response,
+        content: text,
       });
-      await this.whatsAppService.sendMessage(user.jid, response);
-      //if any reachOuts found send the update to user
     }
-    return true;
+    await this.whatsAppService.sendMessage(user.jid, text);
+  }
+
+  /**
+   * Tells a query's author where their query stands after the outreach job
+   * or a completion rule moved it on. A ready shortlist is delivered right
+   * away if the author is free, otherwise by their next checkReachOut.
+   * @param {Object} query - The query document.
+   */
+  async surfaceQueryStatus(query) {
+    if (!query) return;
+    const about = shortlistHelper.about(query.query);
+    let text;
+    if (query.status === "outreach") {
+      const by = query.deadline
+        ? new Date(query.deadline).toDateString()
+        : "the deadline";
+      text = `Update on "${about}": I've reached out to ${query.reachOutCount} candidate(s). You'll get the shortlist as soon as ${query.wantedCount} are interested, or by ${by}.`;
+    } else if (query.status === "ready") {
+      const author = await this.userService.findOrCreateUser(query.author_id);
+      if (conversationHelper.stateOf(author) === "idle") {
+        await this.checkQuery(author);
+      }
+      return;
+    } else if (query.status === "closed") {
+      text =
+        query.closedReason === "no_candidates"
+          ? `I couldn't find anyone matching "${about}" in my network yet. Tell me if I should widen the search (skills, location or budget).`
+          : `None of the candidates I contacted for "${about}" were interested, so I've closed this search. Tell me if I should try again with different requirements.`;
+    } else {
+      return;
+    }
+    const author = await this.userService.findOrCreateUser(query.author_id);
+    await this.userService.saveMessage({
+      jid: author.jid,
+      by: "model",
+      type: author.type,
+      content: text,
+    });
+    await this.whatsAppService.sendMessage(author.jid, text);
   }
 
   /**
@@ -512,7 +1807,16 @@ class OutreachService {
       let user = await this.userService.findOrCreateUser(jid);
 
       //check if any successfull query results left
-      this.checkQuery(user);
+      await this.checkQuery(user);
+
+      // Someone posting a query or already answering a reach-out isn't
+      // interrupted; their reach-outs stay on hold until the session ends.
+      if (reachOuts && reachOuts.length > 0 && !conversationHelper.isReachable(user)) {
+        console.log(
+          `[checkReachOut] ${jid} is ${conversationHelper.stateOf(user)}. Keeping reach-outs on hold.`
+        );
+        return false;
+      }
 
       if (reachOuts && reachOuts.length > 0) {
         console.log(
@@ -520,7 +1824,7 @@ class OutreachService {
         );
 
         // Engage with the user and provide updates
-        if (user.type === "new") {
+        if (conversationHelper.stateOf(user) === "onboarding") {
           await this.whatsAppService.sendMessage(
             jid,
             `Hey 👋, it’s Maya! Go ahead & save my contact. I have a cool opportunity for you.`
@@ -538,23 +1842,17 @@ class OutreachService {
           );
 
           if (reachOut.type === "ask") {
-            const newUserType =
-              reachOut.queryId.author_type == "hr" ? "roc" : "rof";
-            const sysPrompt = getSysPrompt(newUserType);
-
-            console.log(
-              `[checkReachOut] Updating user ${user._id} type to '${newUserType}' and setting currentReachout to ${reachOut._id}.`
-            );
-            user = await this.userService.updateUser(user._id, {
-              type: newUserType,
-              currentReachout: reachOut._id,
+            user = await this.userService.transition(user, "in-reachout", {
+              reachOut,
+              reason: `reach-out ${reachOut._id} started`,
             });
+            const sysPrompt = await getSysPrompt(user.type);
 
             const context = `
             You are about to start a conversation with user: ${
               user.name || "a user"
             }.
-            The opportunity is about: "${reachOut.queryId.query}".
+            The opportunity is about: "${jdHelper.describeQuery(reachOut.queryId)}".
             This opportunity was created by a user who is a(n) "${
               reachOut.queryId.author_type
             } ".
@@ -595,6 +1893,7 @@ class OutreachService {
               reachOut._id,
               "init"
             );
+            await this.armNudges(reachOut._id);
 
             console.log(
               `[checkReachOut] Finished 'ask' flow for one reach-out. Returning true.`
@@ -603,7 +1902,7 @@ class OutreachService {
           }
 
           // Handle 'notify' type
-          const sysPrompt = getSysPrompt("notify");
+          const sysPrompt = await getSysPrompt("notify");
 
           console.log(
             `[checkReachOut] Generating LLM response for 'notify' flow.`
@@ -613,7 +1912,7 @@ class OutreachService {
             You are about to start a conversation with user: ${
               user.name || "a user"
             }.
-            The opportunity is about: "${reachOut.queryId.query}".
+            The opportunity is about: "${jdHelper.describeQuery(reachOut.queryId)}".
             This opportunity was created by a user who is a(n) "${
               reachOut.queryId.author_type
             }".
@@ -671,20 +1970,19 @@ class OutreachService {
   }
 
   /**
-   * Function to create reachOuts based on candidates from LLM analysis
-   * @param {*} authorId
-   * @param {string} NLP
-   * @param {Array<{name: string, phone: string, metadata: object}>} candidates
+   * Creates the reach-outs of a query for its vetted candidates and starts
+   * the conversations. Called from the outreach job; candidates that already
+   * have a reach-out for the query are left alone.
+   * @param {Object} query - The query document.
+   * @param {Array<{name: string, phone: string, jid: string, metadata: object}>} candidates - Search results.
+   * @returns {Promise<number>} The number of reach-outs created.
    */
-  async makeReachOut(authorId, NLP, candidates) {
-    console.log(
-      `[makeReachOut] Initiating reachOut creation for authorId: ${authorId}`
-    );
-    // make a query with status init and get queryId
-    const query = await this.queryService.createQuery(authorId, NLP);
+  async makeReachOut(query, candidates) {
+    const authorId = query.author_id;
     console.log(
-      `[makeReachOut] Query created with ID: ${query._id} for NLP: "${NLP}"`
+      `[makeReachOut] Initiating reachOut creation for query ${query._id} by ${authorId}`
     );
+    let created = 0;
     // loop through the candidates format : [{name,phone, metadata}, {name,phone, metadata}]
     for (const candidate of candidates) {
       if (!candidate || !candidate.phone ||  candidate.phone.length < 10) {
@@ -695,7 +1993,7 @@ class OutreachService {
         );
         continue;
       }
-      const jid = `${candidate.phone}@s.whatsapp.net`;
+      const jid = candidate.jid || `${candidate.phone}@s.whatsapp.net`;
       if( jid==authorId){
         console.warn(
           `[makeReachOut] Skipping candidate (same as author): ${JSON.stringify(
@@ -707,18 +2005,37 @@ class OutreachService {
       console.log(
         `[makeReachOut] Processing candidate: ${candidate.name}, JID: ${jid}`
       );
+      const [existing] = await this.reachOutService.listReachOuts(
+        { queryId: query._id, targetId: jid },
+        { limit: 1 }
+      );
+      if (existing) {
+        console.log(
+          `[makeReachOut] ${jid} already has a reachOut for query ${query._id}.`
+        );
+        // It may still be on hold if an earlier run was interrupted.
+        await this.checkReachOut(jid);
+        continue;
+      }
       // check candidate in db if not found create as user as "new"
-      const user = await this.userService.findOrCreateUser(jid, candidate.name);
+      let user = await this.userService.findOrCreateUser(jid, candidate.name);
       console.log(
         `[makeReachOut] User found/created with ID: ${user._id}, type: ${user.type}`
       );
-      // update profile user.metadata==candidate.metdata
-      if (!user.metadata) {
-        await this.userService.updateUser(user._id, {
-          metadata: candidate.metadata,
-        });
+      // seed the profile from the search result if we know nothing about the user yet
+      if (
+        profileHelper.isEmpty(profileHelper.profileOf(user, candidate.role)) &&
+        candidate.metadata
+      ) {
+        const seeded = await this.updateProfile(
+          jid,
+          candidate.metadata,
+          "search",
+          candidate.role
+        );
+        user = seeded.user || user;
         console.log(
-          `[makeReachOut] Updated user metadata for user ID: ${user._id}`
+          `[makeReachOut] Seeded profile from search for user ID: ${user._id}`
         );
       }
       // here anaylze based on user profile that wether need to ask user or notify him
@@ -726,7 +2043,8 @@ class OutreachService {
       let userInfo;
       if (
         query.author_type == "client" ||
-        (query.author_type == "hr" && user.type == "new")
+        (query.author_type == "hr" &&
+          conversationHelper.stateOf(user) === "onboarding")
       ) {
         type = "ask";
       } else {
@@ -734,33 +2052,38 @@ class OutreachService {
           user,
           query,
           type,
-          query.author_type
+          query.author_type,
+          candidate.role
         );
       }
       console.log(
         `[makeReachOut] Determined reachOut type: ${type} for user ID: ${user._id}`
       );
       // save a reachOut to him from author with status:hold
-      await this.reachOutService.createReachOut({
+      const { created: isNew } = await this.reachOutService.createReachOut({
         targetId: user.jid,
         queryId: query._id,
         status: "hold",
         type: type,
+        targetRole: candidate.role || null,
         userInfo: userInfo || "",
+        score: typeof candidate.score === "number" ? candidate.score : null,
       });
+      if (isNew) created++;
       console.log(
         `[makeReachOut] Created reachOut for user JID: ${user.jid}, query ID: ${query._id}, type: ${type}`
       );
+      // Messages are paced by the send queue, not here.
       await this.checkReachOut(user.jid);
-      await delay(1000); // Adding a small delay to avoid overwhelming the system
       console.log(
         `[makeReachOut] checkReachOut triggered for user JID: ${user.jid}`
       );
     }
     console.log(
-      `[makeReachOut] Finished processing all candidates for authorId: ${authorId}`
+      `[makeReachOut] Finished processing all candidates for query ${query._id}: ${created} new reachOut(s)`
     );
     // loop end
+    return created;
   }
 }
 
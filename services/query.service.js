@@ -1,33 +1,68 @@
+const mongoose = require("mongoose");
+const profileHelper = require("../helpers/profile.helpers");
+const conversationHelper = require("../helpers/conversation.helpers");
 const Query = require("../models/query.model");
 const User = require("../models/user.model");
 // Import the queue to add new jobs.
 const { outreachQueue } = require("../config/bullmq");
 const ReachOut = require("../models/reachOut.model");
 
+/**
+ * The statuses a query may move to from each status. Closing is always
+ * allowed; a query can go back to searching to look for more candidates.
+ */
+const QUERY_TRANSITIONS = {
+  init: ["searching", "closed"],
+  searching: ["outreach", "closed"],
+  outreach: ["searching", "ready", "closed"],
+  ready: ["searching", "delivered", "closed"],
+  delivered: ["searching", "closed"],
+  closed: [],
+};
+const DEFAULT_WANTED_COUNT = Number(process.env.QUERY_WANTED_COUNT || 3);
+const DEFAULT_DEADLINE_DAYS = Number(process.env.QUERY_DEADLINE_DAYS || 7);
+// Reach-out statuses of candidates who qualified, before and after the author decided.
+const SHORTLIST_STATUSES = ["qualify", "shortlisted", "rejected"];
+// Statuses in which a query no longer reaches out; its unstarted reach-outs are dropped.
+const STOPPED_STATUSES = ["ready", "delivered", "closed"];
+
 class QueryService {
   /**
    * Manages the lifecycle of recruitment queries.
+   * @param {string} authorId - The author's JID; must be an HR or client user.
+   * @param {string} queryText - What the author is looking for.
+   * @param {Object} [filters] - Search filters, if already known.
+   * @param {Object} [options]
+   * @param {number} [options.wantedCount=process.env.QUERY_WANTED_COUNT || 3] - Shortlist size wanted.
+   * @param {Date} [options.deadline] - Defaults to QUERY_DEADLINE_DAYS (7) days from now.
+   * @param {Object} [options.jd] - The confirmed requirements of the author's JD (see jdSchema).
+   * @returns {Promise<Object>} The new query.
    */
-  async createQuery(authorId, queryText) {
+  async createQuery(authorId, queryText, filters = null, { wantedCount, deadline, jd } = {}) {
     const author = await User.findOne({ jid: authorId }).lean();
     console.log(author);
 
-    if (!author || !["hr", "client"].includes(author.type)) {
+    const role = author ? conversationHelper.roleOf(author) : null;
+    if (!["hr", "client"].includes(role)) {
       throw new Error("Only HR or Client users can create queries.");
     }
 
     const newQuery = await Query.create({
       author_id: authorId,
-      author_type: author.type,
+      author_type: role,
       query: queryText,
+      filters,
+      jd: jd || null,
+      wantedCount: wantedCount || DEFAULT_WANTED_COUNT,
+      deadline:
+        deadline || new Date(Date.now() + DEFAULT_DEADLINE_DAYS * 24 * 60 * 60 * 1000),
       status: "init",
     });
 
-    // This is the critical change: Instead of processing here,
-    // we add a job to the BullMQ queue. The worker will pick it up asynchronously.
-    // await outreachQueue.add("process-new-query", {
-    //   queryId: newQuery._id,
-    // });
+    // Searching, vetting and reaching out run in the outreach worker
+    // (jobs/outreach.job.js) so the author's chat turn isn't blocked.
+    await this.enqueueProcessing(newQuery._id);
+    await this.scheduleDeadline(newQuery);
 
     console.log(
       `✅ Query ${newQuery._id} created and job added to the outreach queue.`
@@ -35,6 +70,110 @@ class QueryService {
     return newQuery;
   }
 
+  /**
+   * Has the outreach worker apply the deadline rule when the query's deadline
+   * is due. The job carries the deadline, so moving the deadline leaves the
+   * earlier job stale.
+   * @param {Object} query - The query document.
+   * @returns {Promise<Object>} The BullMQ job.
+   */
+  async scheduleDeadline(query) {
+    const deadline = new Date(query.deadline).getTime();
+    return outreachQueue.add(
+      "query-deadline",
+      { queryId: String(query._id), deadline },
+      {
+        jobId: `deadline-${query._id}-${deadline}`,
+        delay: Math.max(0, deadline - Date.now()),
+        removeOnComplete: true,
+        removeOnFail: 100,
+      }
+    );
+  }
+
+  /**
+   * Queues the outreach job of a query. The job ID is the query ID, so a
+   * query already waiting or running isn't queued twice; once its job is done
+   * the query can be queued again (e.g. to look for more candidates).
+   * @param {string} queryId - The ID of the query.
+   * @param {Object} [options]
+   * @param {string} [options.likeJid] - Search for people similar to this candidate.
+   * @param {string} [options.likeRole] - Which of their profiles to compare with.
+   * @returns {Promise<Object>} The BullMQ job.
+   */
+  async enqueueProcessing(queryId, { likeJid, likeRole } = {}) {
+    return outreachQueue.add(
+      "process-new-query",
+      {
+        queryId: String(queryId),
+        ...(likeJid ? { likeJid, likeRole: likeRole || null } : {}),
+      },
+      {
+        jobId: String(queryId),
+        attempts: 3,
+        backoff: { type: "exponential", delay: 5000 },
+        removeOnComplete: true,
+        removeOnFail: true,
+      }
+    );
+  }
+
+  /**
+   * Starts another search round for a delivered query, e.g. when the author
+   * asks for "more like 1". The round gets a fresh deadline.
+   * @param {string} queryId - The ID of the query.
+   * @param {Object} [options]
+   * @param {string} [options.likeJid] - Search for people similar to this candidate.
+   * @param {string} [options.likeRole] - Which of their profiles to compare with.
+   * @returns {Promise<Object|null>} The query, or null if it doesn't exist.
+   */
+  async searchMore(queryId, { likeJid, likeRole } = {}) {
+    const query = await this.updateQuery(queryId, {
+      deadline: new Date(Date.now() + DEFAULT_DEADLINE_DAYS * 24 * 60 * 60 * 1000),
+    });
+    if (!query) return null;
+    await this.enqueueProcessing(queryId, { likeJid, likeRole });
+    await this.scheduleDeadline(query);
+    return query;
+  }
+
+  /**
+   * Reports where a query's outreach job is.
+   * @param {string} queryId - The ID of the query.
+   * @returns {Promise<{state: string, progress: Object|number, attemptsMade: number}|null>}
+   *   Null when no job is queued or running for the query.
+   */
+  async getProcessingState(queryId) {
+    const job = await outreachQueue.getJob(String(queryId));
+    if (!job) return null;
+    return {
+      state: await job.getState(),
+      progress: job.progress,
+      attemptsMade: job.attemptsMade,
+    };
+  }
+
+  /**
+   * Whether a query's outreach job is waiting or running. A job queued then
+   * would be dropped, as it shares the job ID.
+   * @param {string} queryId - The ID of the query.
+   * @returns {Promise<boolean>}
+   */
+  async isProcessing(queryId) {
+    const job = await this.getProcessingState(queryId);
+    return Boolean(job) && !["completed", "failed", "unknown"].includes(job.state);
+  }
+
+  /**
+   * Updates fields of a query.
+   * @param {string} queryId - The ID of the query.
+   * @param {Object} updates - The fields to set.
+   * @returns {Promise<Object|null>} The updated query document.
+   */
+  async updateQuery(queryId, updates) {
+    return Query.findByIdAndUpdate(queryId, updates, { new: true }).lean();
+  }
+
   /**
    * Retrieves a single query document by its MongoDB ObjectId.
    * @param {string} queryId - The ID of the query.
@@ -45,55 +184,193 @@ class QueryService {
     return Query.findById(queryId).lean();
   }
 
-  async updateQueryStatus(queryId, newStatus) {
-    return await Query.findByIdAndUpdate(
-      queryId,
-      { status: newStatus },
-      { new: true }
-    );
+  /**
+   * Lists queries matching a filter, newest first.
+   * @param {Object} [filter={}] - A MongoDB filter on the Query collection.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of queries to return.
+   * @param {number} [options.skip=0] - Number of queries to skip (for paging).
+   * @returns {Promise<Array<Object>>} A list of query documents.
+   */
+  async listQueries(filter = {}, { limit = 50, skip = 0 } = {}) {
+    return Query.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
   }
 
-  async updateQueryCount(queryId) {
-    // Atomically increment the count field by 1
-    let updatedQuery = await Query.findByIdAndUpdate(
-      queryId,
-      { $inc: { count: 1 } },
+  /**
+   * Moves a query to a new status, if QUERY_TRANSITIONS allows it from the
+   * status it is in now. The check and the write are one atomic update. A
+   * query that stops reaching out drops the reach-outs still held for busy
+   * targets, so they neither linger nor hold up its counts; a later round may
+   * reach the same people afresh.
+   * @param {string} queryId - The ID of the query.
+   * @param {string} newStatus - The status to move to.
+   * @param {Object} [fields={}] - Other fields to set along with the status.
+   * @returns {Promise<Object|null>} The updated query, or null if it doesn't exist.
+   * @throws {Error} With `status` 409 when the transition isn't allowed.
+   */
+  async updateQueryStatus(queryId, newStatus, fields = {}) {
+    const allowedFrom = Object.keys(QUERY_TRANSITIONS).filter(
+      (from) => from === newStatus || QUERY_TRANSITIONS[from].includes(newStatus)
+    );
+    // Closing works from any status, also one saved before these statuses.
+    const from = newStatus === "closed" ? { $ne: "closed" } : { $in: allowedFrom };
+    const updated = await Query.findOneAndUpdate(
+      { _id: queryId, status: from },
+      { ...fields, status: newStatus },
       { new: true }
+    ).lean();
+    if (updated) {
+      console.log(`🔀 Query ${queryId} is now ${newStatus}.`);
+      if (!STOPPED_STATUSES.includes(newStatus)) return updated;
+      const { deletedCount } = await ReachOut.deleteMany({ queryId, status: "hold" });
+      if (deletedCount === 0) return updated;
+      console.log(`🧹 Dropped ${deletedCount} held reach-out(s) of query ${queryId}.`);
+      return Query.findByIdAndUpdate(queryId, await this.countReachOuts(queryId), {
+        new: true,
+      }).lean();
+    }
+    const current = await Query.findById(queryId).lean();
+    if (!current) return null;
+    const error = new Error(
+      `Query ${queryId} can't go from "${current.status}" to "${newStatus}".`
     );
+    error.status = 409;
+    throw error;
+  }
 
-    if (updatedQuery.count > updatedQuery.totalCount / 2) {
-      updatedQuery = await this.updateQueryStatus(queryId, "hold");
+  /**
+   * Counts a query's reach-outs by outcome.
+   * @param {string} queryId - The ID of the query.
+   * @returns {Promise<{reachOutCount: number, respondedCount: number, qualifiedCount: number}>}
+   */
+  async countReachOuts(queryId) {
+    const byStatus = await ReachOut.aggregate([
+      { $match: { queryId: new mongoose.Types.ObjectId(String(queryId)) } },
+      { $group: { _id: "$status", n: { $sum: 1 } } },
+    ]);
+    const count = (statuses) =>
+      byStatus
+        .filter((s) => statuses.includes(s._id))
+        .reduce((sum, s) => sum + s.n, 0);
+    return {
+      reachOutCount: count(["hold", "init", "fail", "expired", ...SHORTLIST_STATUSES]),
+      respondedCount: count(["fail", "expired", ...SHORTLIST_STATUSES]),
+      qualifiedCount: count(SHORTLIST_STATUSES),
+    };
+  }
+
+  /**
+   * Refreshes a query's counts and applies the completion rules. A query in
+   * outreach is ready once any of these holds:
+   * - enough candidates qualified (wantedCount) who aren't on the shortlist yet,
+   * - every reach-out got an answer,
+   * - the deadline passed.
+   * If nobody qualified by then, the query is closed instead. Queries in any
+   * other status only get their counts refreshed.
+   * @param {string} queryId - The ID of the query.
+   * @param {Object} [options]
+   * @param {boolean} [options.deadlineHit=false] - Set by the deadline job.
+   * @returns {Promise<Object|null>} The query after evaluation.
+   */
+  async evaluateCompletion(queryId, { deadlineHit = false } = {}) {
+    const counts = await this.countReachOuts(queryId);
+    const query = await Query.findByIdAndUpdate(queryId, counts, {
+      new: true,
+    }).lean();
+    if (!query || query.status !== "outreach") return query;
+
+    const fresh = counts.qualifiedCount - (query.shortlist?.length || 0);
+    let rule = null;
+    if (fresh >= query.wantedCount) rule = "enough_qualified";
+    else if (counts.reachOutCount > 0 && counts.respondedCount >= counts.reachOutCount) rule = "all_responded";
+    else if (deadlineHit || (query.deadline && query.deadline <= new Date())) rule = "deadline";
+    if (!rule) return query;
+
+    console.log(`🏁 Query ${queryId} met its completion rule: ${rule}.`);
+    if (counts.qualifiedCount === 0) {
+      return this.updateQueryStatus(queryId, "closed", {
+        closedReason: rule === "deadline" ? "deadline" : "no_qualified_candidates",
+      });
     }
-    return updatedQuery;
+    return this.updateQueryStatus(queryId, "ready");
   }
 
-  async getSuccessfulQuery(queryId) {
-    const queries = await Query.find({ _id: queryId, status: "success" });
-    return queries;
+  /**
+   * Builds a query's shortlist: the delivered entries keep their numbers, and
+   * qualified candidates not delivered yet follow, best search score first.
+   * @param {string} queryId - The ID of the query.
+   * @returns {Promise<{query: Object, entries: Array<{number: number, delivered: boolean,
+   *   reachOut: Object, user: Object|null, name: string, summary: string}>}|null>}
+   *   Null if the query doesn't exist.
+   */
+  async getShortlist(queryId) {
+    const query = await Query.findById(queryId).lean();
+    if (!query) return null;
+    const reachOuts = await ReachOut.find({
+      queryId: query._id,
+      status: { $in: SHORTLIST_STATUSES },
+    }).lean();
+    const byId = new Map(reachOuts.map((r) => [String(r._id), r]));
+    const delivered = (query.shortlist || []).map(String);
+    const fresh = reachOuts
+      .filter((r) => !delivered.includes(String(r._id)))
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.updatedAt - b.updatedAt);
+    const users = await User.find({
+      jid: { $in: reachOuts.map((r) => r.targetId) },
+    }).lean();
+    const byJid = new Map(users.map((u) => [u.jid, u]));
+
+    const entries = [
+      ...delivered.map((id) => ({ reachOut: byId.get(id), delivered: true })),
+      ...fresh.map((reachOut) => ({ reachOut, delivered: false })),
+    ]
+      .map((entry, index) => ({ ...entry, number: index + 1 }))
+      // A delivered reach-out moved out of the shortlist statuses keeps its number free.
+      .filter((entry) => entry.reachOut)
+      .map((entry) => {
+        const user = byJid.get(entry.reachOut.targetId) || null;
+        return {
+          ...entry,
+          user,
+          name: user?.name || `Candidate ${entry.number}`,
+          summary:
+            entry.reachOut.userInfo ||
+            profileHelper.formatProfile(
+              profileHelper.profileOf(user, entry.reachOut.targetRole)
+            ),
+        };
+      });
+    return { query, entries };
   }
 
-  async getHeldQeryByAuthorId(authorId){
-    const queries = await Query.find({ author_id: authorId, status: "hold" });
-    return queries;
-    
+  /**
+   * Finds the author's most recently delivered shortlist that is still open,
+   * which is what their shortlist commands refer to.
+   * @param {string} authorId - The author's JID.
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestShortlistQuery(authorId) {
+    return Query.findOne({
+      author_id: authorId,
+      status: { $ne: "closed" },
+      "shortlist.0": { $exists: true },
+    })
+      .sort({ deliveredAt: -1 })
+      .lean();
   }
 
-  async isQuerySuccessful(queryId) {
-    const updatedQuery = await this.updateQueryCount(queryId);
-    if (updatedQuery.status == "hold") {
-      return true;
-    } else return false;
+  /**
+   * Lists an author's queries whose shortlist is ready to be delivered.
+   * @param {string} authorId - The author's JID.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getReadyQueriesByAuthorId(authorId) {
+    return Query.find({ author_id: authorId, status: "ready" }).lean();
   }
-  //   const reachOuts = await ReachOut.find({ queryId });
-  //   const qualifyCount = reachOuts.filter(
-  //     (ro) => ro.status === "qualify"
-  //   ).length;
-  //   if (qualifyCount > reachOuts.length / 2) {
-  //     await this.updateQueryStatus(queryId, "success");
-  //     return true;
-  //   }
-  //   return false;
-  // }
 }
 
 module.exports = QueryService;
@@ -6,12 +6,22 @@ class ReachOutService {
    */
 
   /**
-   * Creates a new ReachOut document in the database.
+   * Creates a new ReachOut document in the database. A target gets at most
+   * one reach-out per query: if one exists it is returned unchanged.
    * @param {Object} reachOutData - Data for the new reachOut.
-   * @returns {Promise<Object>} The created ReachOut document.
+   * @returns {Promise<{reachOut: Object, created: boolean}>} The reachOut and whether it is new.
    */
   async createReachOut(reachOutData) {
-    return ReachOut.create(reachOutData);
+    const { queryId, targetId, ...rest } = reachOutData;
+    const result = await ReachOut.findOneAndUpdate(
+      { queryId, targetId },
+      { $setOnInsert: rest },
+      { upsert: true, new: true, includeResultMetadata: true, setDefaultsOnInsert: true }
+    );
+    return {
+      reachOut: result.value,
+      created: !result.lastErrorObject?.updatedExisting,
+    };
   }
 
   /**
@@ -25,16 +35,31 @@ class ReachOutService {
 
   /**
    * Finds all ReachOuts for a specific user that are on 'hold'.
-   * This is used for the "idol" user flow.
+   * This is used for the "idol" user flow. Reach-outs of queries that stopped
+   * reaching out (ready, delivered or closed) are left out.
    * @param {string} userId - The MongoDB ObjectId of the user.
    * @returns {Promise<Array<Object>>} A list of held reachOuts, sorted by time.
    */
   async findHeldReachOutsForUser(userId) {
     // Populate the queryId to get the actual query text
-    return ReachOut.find({ targetId: userId, status: "hold" })
+    const reachOuts = await ReachOut.find({ targetId: userId, status: "hold" })
       .sort({ createdAt: "asc" })
       .populate("queryId") // <-- This is the key change
       .lean();
+    return reachOuts.filter((r) => r.queryId?.status === "outreach");
+  }
+
+  /**
+   * Finds the latest reach-out whose target was asked to be introduced to
+   * the query's author and hasn't answered yet.
+   * @param {string} targetId - The target's JID.
+   * @returns {Promise<Object|null>} The reachOut, with its query populated.
+   */
+  async findPendingIntroduction(targetId) {
+    return ReachOut.findOne({ targetId, "introduction.status": "asked" })
+      .sort({ "introduction.askedAt": -1 })
+      .populate("queryId")
+      .lean();
   }
 
   /**
@@ -63,6 +88,43 @@ class ReachOutService {
       .lean();
   }
 
+  /**
+   * Lists who a query has reached out to.
+   * @param {string} queryId - The MongoDB ObjectId of the query.
+   * @param {Object} [filter={}] - Further conditions on the reach-outs (e.g. status).
+   * @returns {Promise<Array<string>>} The targets' JIDs.
+   */
+  async listTargetIds(queryId, filter = {}) {
+    return ReachOut.distinct("targetId", { ...filter, queryId });
+  }
+
+  /**
+   * Lists ReachOuts matching a filter, newest first.
+   * @param {Object} [filter={}] - A MongoDB filter on the ReachOut collection.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of reachOuts to return.
+   * @param {number} [options.skip=0] - Number of reachOuts to skip (for paging).
+   * @returns {Promise<Array<Object>>} A list of reachOut documents.
+   */
+  async listReachOuts(filter = {}, { limit = 50, skip = 0 } = {}) {
+    return ReachOut.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("queryId")
+      .lean();
+  }
+
+  /**
+   * Updates fields of a ReachOut.
+   * @param {string} reachOutId - The MongoDB ObjectId of the reachOut.
+   * @param {Object} updates - The fields to set.
+   * @returns {Promise<Object>} The updated reachOut document.
+   */
+  async updateReachOut(reachOutId, updates) {
+    return ReachOut.findByIdAndUpdate(reachOutId, updates, { new: true });
+  }
+
   /**
    * Updates the userInfo field for a specific ReachOut.
    * @param {string} reachOutId - The MongoDB ObjectId of the reachOut.
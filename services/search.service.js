@@ -0,0 +1,323 @@
+const User = require("../models/user.model");
+const searchHelper = require("../helpers/search.helpers");
+const profileHelper = require("../helpers/profile.helpers");
+const { createVectorStore } = require("../vectorStores");
+
+// Users already answering a reach-out aren't offered another. Users in other
+// sessions (posting a query, say) are: the reach-out is held until they're
+// reachable, see conversationHelper.isReachable.
+const BUSY_STATE = "in-reachout";
+// Upper bound on profiles scored in memory for one search.
+const MAX_SCANNED = 2000;
+const PROFILES = "profiles";
+const QUERIES = "queries";
+
+class SearchService {
+  /**
+   * @param {LLMService} [llmService] - Used for embeddings. Without it (or
+   *   with VECTOR_STORE=none) search is keyword-only.
+   * @param {object} [options]
+   * @param {import('../vectorStores/vectorStore')|null} [options.vectorStore] - Defaults to createVectorStore().
+   * @param {number} [options.alpha=process.env.SEARCH_HYBRID_ALPHA || 0.6] - Weight of semantic
+   *   similarity against the keyword score in the hybrid ranking (0..1).
+   * @param {number} [options.minSimilarity=process.env.SEARCH_MIN_SIMILARITY || 0.55] - Profiles
+   *   matching no keyword still count as candidates from this similarity up.
+   */
+  constructor(
+    llmService = null,
+    {
+      vectorStore,
+      alpha = Number(process.env.SEARCH_HYBRID_ALPHA || 0.6),
+      minSimilarity = Number(process.env.SEARCH_MIN_SIMILARITY || 0.55),
+    } = {}
+  ) {
+    this.llmService = llmService;
+    if (vectorStore === undefined) {
+      vectorStore = process.env.VECTOR_STORE === "none" ? null : createVectorStore();
+    }
+    this.vectorStore = llmService ? vectorStore : null;
+    this.alpha = alpha;
+    this.minSimilarity = minSimilarity;
+  }
+
+  /**
+   * (Re-)embeds a user's profiles, one vector per role (see profileVectorId).
+   * Failures are logged, never thrown: a stale vector only makes search a
+   * little worse.
+   * @param {Object} user - The user document, with its current profiles.
+   * @param {string} [role] - Only this role's profile; all of them by default.
+   */
+  async indexProfile(user, role) {
+    if (!this.vectorStore || !user) return;
+    for (const profileRole of role ? [role] : profileHelper.PROFILE_ROLES) {
+      const id = profileVectorId(user.jid, profileRole);
+      const profile = profileHelper.profileOf(user, profileRole);
+      try {
+        if (profileHelper.isEmpty(profile)) {
+          await this.vectorStore.remove(PROFILES, [id]);
+          continue;
+        }
+        const text = `${user.name || ""}\n${profileHelper.formatProfile(profile)}`.trim();
+        await this.vectorStore.upsert(PROFILES, [
+          {
+            id,
+            vector: await this.embedOne(text),
+            text,
+            metadata: { jid: user.jid, userType: profileRole },
+          },
+        ]);
+        console.log(`🧭 Indexed ${profileRole} profile of ${user.jid}.`);
+      } catch (error) {
+        console.error(`❌ Failed to index ${profileRole} profile of ${user.jid}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Removes every profile vector of some users.
+   * @param {Array<string>} jids
+   */
+  async removeProfiles(jids) {
+    if (!this.vectorStore || jids.length === 0) return;
+    await this.vectorStore.remove(
+      PROFILES,
+      jids.flatMap((jid) => profileHelper.PROFILE_ROLES.map((role) => profileVectorId(jid, role)))
+    );
+  }
+
+  /**
+   * Embeds a hiring query so it can later be matched against new profiles.
+   * @param {Object} query - The query document.
+   */
+  async indexQuery(query) {
+    if (!this.vectorStore || !query) return;
+    try {
+      await this.vectorStore.upsert(QUERIES, [
+        {
+          id: String(query._id),
+          vector: await this.embedOne(query.query),
+          text: query.query,
+          metadata: { authorId: query.author_id, filters: query.filters || null },
+        },
+      ]);
+    } catch (error) {
+      console.error(`❌ Failed to index query ${query._id}:`, error.message);
+    }
+  }
+
+  async embedOne(text) {
+    if (!this.vectorStore.needsVectors) return null;
+    const [vector] = await this.llmService.embed([text]);
+    return vector;
+  }
+
+  /**
+   * Semantic similarity of the closest profiles to a text.
+   * @returns {Promise<Map<string, number>>} Profile vector id → cosine similarity; empty when unavailable.
+   */
+  async semanticScores(text, topK) {
+    if (!this.vectorStore || !text) return new Map();
+    try {
+      const matches = await this.vectorStore.query(PROFILES, {
+        vector: await this.embedOne(text),
+        text,
+        topK,
+      });
+      return new Map(matches.map((m) => [m.id, m.score]));
+    } catch (error) {
+      console.warn(`⚠️ Semantic search unavailable, using keywords only: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Searches our own User profiles for people matching a query. Structured
+   * filters narrow the pool in MongoDB, then the remaining profiles are ranked
+   * by a mix of semantic similarity (from the vector store) and BM25 on their
+   * text. A user with both a candidate and a freelancer profile is ranked on
+   * each and returned once, as the role that matched best.
+   *
+   * A profile that doesn't state a filtered value (e.g. no expected CTC yet)
+   * is kept rather than excluded, since most profiles are partial; the reasons
+   * say which values are unknown.
+   *
+   * @param {Object} filters - See searchHelper.normalizeFilters.
+   * @param {Object} [options]
+   * @param {number} [options.limit=10] - Maximum number of candidates to return.
+   * @param {Array<string>} [options.excludeJids=[]] - JIDs to leave out (e.g. the query's author).
+   * @param {string} [options.semanticText] - Fuller description to embed for the semantic
+   *   part (e.g. the query's NLP summary); defaults to the keyword query.
+   * @returns {Promise<Array<{name: string, phone: string, jid: string, role: string, metadata: Object, score: number, reasons: Array<string>}>>}
+   *   Best match first.
+   */
+  async searchCandidates(filters, { limit = 10, excludeJids = [], semanticText } = {}) {
+    const normalized = searchHelper.normalizeFilters(filters);
+    const roles = normalized.userType ? [normalized.userType] : profileHelper.PROFILE_ROLES;
+    // One document per (user, role) profile that passes the filters.
+    const byId = new Map();
+    for (const role of roles) {
+      const users = await User.find(this.buildFilter(normalized, excludeJids, role))
+        .limit(MAX_SCANNED)
+        .lean();
+      for (const user of users) byId.set(profileVectorId(user.jid, role), { user, role });
+    }
+    console.log(
+      `🔎 Search "${normalized.query}" scanned ${byId.size} profile(s).`
+    );
+    if (byId.size === 0) return [];
+
+    const keyword = searchHelper.bm25(
+      [...byId].map(([id, { user, role }]) => ({
+        id,
+        text: searchHelper.profileText(user, role),
+      })),
+      normalized.query
+    );
+    const semantic = await this.semanticScores(
+      semanticText || normalized.query,
+      Math.max(limit * 5, 50)
+    );
+    const hasTerms = searchHelper.tokenize(normalized.query).length > 0;
+    const maxKeyword = Math.max(0, ...keyword.map((k) => k.score)) || 1;
+
+    const ranked = [];
+    for (const k of keyword) {
+      const similarity = semantic.get(k.id);
+      // With a text query, people matching neither its words nor its meaning aren't candidates.
+      if (hasTerms && k.score === 0 && !(similarity >= this.minSimilarity)) continue;
+      const keywordScore = k.score / maxKeyword;
+      const score =
+        semantic.size > 0
+          ? this.alpha * Math.max(0, similarity || 0) + (1 - this.alpha) * keywordScore
+          : keywordScore;
+      ranked.push({ ...k, similarity, score });
+    }
+    ranked.sort((x, y) => y.score - x.score);
+
+    const seen = new Set();
+    const results = [];
+    for (const r of ranked) {
+      const { user, role } = byId.get(r.id);
+      if (seen.has(user.jid)) continue;
+      seen.add(user.jid);
+      const profile = profileHelper.profileOf(user, role);
+      const reasons = this.explain(profile, normalized, r.matchedTerms);
+      if (r.similarity !== undefined) {
+        reasons.unshift(`semantic match ${r.similarity.toFixed(2)}`);
+      }
+      results.push({
+        name: user.name,
+        phone: user.phone,
+        jid: user.jid,
+        role,
+        metadata: profile,
+        score: Number(r.score.toFixed(4)),
+        reasons,
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+
+  /**
+   * Translates normalized filters into a MongoDB filter on the User
+   * collection, over the profile of one role.
+   * @param {Object} filters - Normalized filters.
+   * @param {Array<string>} excludeJids
+   * @param {string} role - "candidate" or "freelancer".
+   * @returns {Object}
+   */
+  buildFilter(filters, excludeJids, role) {
+    const path = (field) => `profiles.${role}.${field}`;
+    const and = [
+      { roles: role },
+      { state: { $ne: BUSY_STATE } },
+      { [`profiles.${role}`]: { $ne: null } },
+      { "handoff.active": { $ne: true } },
+    ];
+    if (excludeJids.length) and.push({ jid: { $nin: excludeJids } });
+    if (filters.minExperience !== undefined || filters.maxExperience !== undefined) {
+      and.push(orUnknown(path("yearsOfExperience"), range(filters.minExperience, filters.maxExperience)));
+    }
+    // The salary band is the employer's budget: the candidate's expectation must
+    // not exceed its top. Expecting less than the bottom is no reason to skip someone.
+    if (filters.maxCtc !== undefined) {
+      and.push(orUnknown(path("expectedCtc"), { $lte: filters.maxCtc }));
+    }
+    if (filters.locations) {
+      const anyLocation = filters.locations.map(
+        (l) => new RegExp(`^\\s*${escapeRegex(l)}\\s*$`, "i")
+      );
+      and.push({
+        $or: [
+          { [path("locations")]: { $in: anyLocation } },
+          { [path("locations")]: { $exists: false } },
+          { [path("locations")]: { $size: 0 } },
+          // Remote workers don't need to be in the same city.
+          { [path("workMode")]: { $in: ["remote", "any"] } },
+        ],
+      });
+    }
+    if (filters.workMode) {
+      and.push(orUnknown(path("workMode"), { $in: [filters.workMode, "any"] }));
+    }
+    return { $and: and };
+  }
+
+  /**
+   * Lists, in plain words, why a profile matched.
+   * @returns {Array<string>}
+   */
+  explain(profile, filters, matchedTerms) {
+    profile = profile || {};
+    const reasons = [];
+    if (matchedTerms.length) reasons.push(`matches: ${matchedTerms.join(", ")}`);
+    if (filters.minExperience !== undefined || filters.maxExperience !== undefined) {
+      reasons.push(
+        profile.yearsOfExperience != null
+          ? `${profile.yearsOfExperience} years of experience`
+          : "experience unknown"
+      );
+    }
+    if (filters.maxCtc !== undefined) {
+      reasons.push(
+        profile.expectedCtc != null
+          ? `expects ${profileHelper.formatCtc(profile.expectedCtc)}`
+          : "expected CTC unknown"
+      );
+    }
+    if (filters.locations) {
+      if (profile.locations?.length) reasons.push(`based in ${profile.locations.join(", ")}`);
+      else reasons.push("location unknown");
+      if (["remote", "any"].includes(profile.workMode)) reasons.push("open to remote");
+    }
+    return reasons;
+  }
+}
+
+/**
+ * The vector store id of one of a user's profiles.
+ */
+function profileVectorId(jid, role) {
+  return `${jid}#${role}`;
+}
+
+/**
+ * Matches documents where a field satisfies a condition or isn't known yet.
+ */
+function orUnknown(path, condition) {
+  return { $or: [{ [path]: condition }, { [path]: null }] };
+}
+
+function range(min, max) {
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return condition;
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = SearchService;
@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const { sendQueue } = require("../config/bullmq");
+
+// Constants for Redis keys.
+const INBOUND_PREFIX = "send:inbound:";
+const PENDING_BULK_PREFIX = "send:pending-bulk:";
+const DEAD_LETTER_KEY = "send:dead-letter";
+const MAX_DEAD_LETTERS = 1000;
+const PENDING_EXPIRATION_SECONDS = 24 * 3600; // Safety net if a counter is never settled.
+
+// BullMQ runs lower priority numbers first.
+const PRIORITIES = { chat: 1, bulk: 10 };
+
+class SendQueueService {
+  /**
+   * Puts outbound WhatsApp messages on the persistent send queue, whose single
+   * worker (jobs/send.job.js) spaces and rate-limits them.
+   *
+   * Messages travel in one of two lanes. "chat" is for people who wrote to us
+   * recently and goes first; "bulk" is everything else (reach-outs to people
+   * who haven't spoken to us, follow-ups) and is spaced out the most. A JID
+   * with bulk messages still waiting stays in the bulk lane, so that its
+   * messages are never delivered out of order.
+   *
+   * @param {RedisClientType} redisClient - The connected Redis client instance.
+   * @param {Object} [options]
+   * @param {Queue} [options.queue] - The BullMQ send queue.
+   * @param {number} [options.chatWindowMs=process.env.SEND_CHAT_WINDOW_MS || 10 minutes] - How long
+   *   after their last message a user's replies use the chat lane.
+   */
+  constructor(
+    redisClient,
+    {
+      queue = sendQueue,
+      chatWindowMs = Number(process.env.SEND_CHAT_WINDOW_MS || 10 * 60 * 1000),
+    } = {}
+  ) {
+    this.redis = redisClient;
+    this.queue = queue;
+    this.chatWindowMs = chatWindowMs;
+  }
+
+  /**
+   * Records that a user just wrote to us.
+   * @param {string} jid
+   */
+  async noteInbound(jid) {
+    await this.redis.set(`${INBOUND_PREFIX}${jid}`, "1", { PX: this.chatWindowMs });
+  }
+
+  /**
+   * Picks the lane for a new message to jid.
+   * @param {string} jid
+   * @returns {Promise<"chat"|"bulk">}
+   */
+  async laneFor(jid) {
+    const [pending, inbound] = await Promise.all([
+      this.redis.get(`${PENDING_BULK_PREFIX}${jid}`),
+      this.redis.exists(`${INBOUND_PREFIX}${jid}`),
+    ]);
+    if (Number(pending) > 0) return "bulk";
+    return inbound ? "chat" : "bulk";
+  }
+
+  /**
+   * Queues a message.
+   * @param {string} jid - The recipient's JID.
+   * @param {{kind: "text", text: string}|{kind: "media", media: Object}|{kind: "contact", contact: Object}} message - Media
+   *   buffers are sent base64-encoded as `media.bufferBase64`.
+   * @returns {Promise<Object>} The BullMQ job.
+   */
+  async enqueue(jid, message) {
+    const lane = await this.laneFor(jid);
+    if (lane === "bulk") {
+      const key = `${PENDING_BULK_PREFIX}${jid}`;
+      await this.redis.incr(key);
+      await this.redis.expire(key, PENDING_EXPIRATION_SECONDS);
+    }
+    return this.queue.add(
+      "send",
+      { jid, lane, ...message },
+      { priority: PRIORITIES[lane], removeOnComplete: true, removeOnFail: true }
+    );
+  }
+
+  /**
+   * Called by the worker once a message is delivered or dead-lettered.
+   * @param {string} jid
+   * @param {"chat"|"bulk"} lane
+   */
+  async settle(jid, lane) {
+    if (lane !== "bulk") return;
+    const key = `${PENDING_BULK_PREFIX}${jid}`;
+    if ((await this.redis.decr(key)) <= 0) await this.redis.del(key);
+  }
+
+  /**
+   * Stores a message that could not be delivered.
+   * @param {Object} data - The job data.
+   * @param {Error} error - The last delivery error.
+   * @param {number} attempts - How many times delivery was tried.
+   * @returns {Promise<Object>} The dead-letter entry.
+   */
+  async deadLetter(data, error, attempts) {
+    const entry = {
+      id: crypto.randomUUID(),
+      ...data,
+      error: error.message,
+      attempts,
+      failedAt: new Date().toISOString(),
+    };
+    await this.redis.lPush(DEAD_LETTER_KEY, JSON.stringify(entry));
+    await this.redis.lTrim(DEAD_LETTER_KEY, 0, MAX_DEAD_LETTERS - 1);
+    return entry;
+  }
+
+  /**
+   * Lists dead-lettered messages, most recent first.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.skip=0]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeadLetters({ limit = 50, skip = 0 } = {}) {
+    const raw = await this.redis.lRange(DEAD_LETTER_KEY, skip, skip + limit - 1);
+    return raw.map((item) => JSON.parse(item));
+  }
+
+  /**
+   * Removes a dead-lettered message.
+   * @param {string} id - The entry's id.
+   * @returns {Promise<Object|null>} The removed entry, or null if not found.
+   */
+  async removeDeadLetter(id) {
+    const raw = await this.redis.lRange(DEAD_LETTER_KEY, 0, -1);
+    const item = raw.find((r) => JSON.parse(r).id === id);
+    if (!item) return null;
+    await this.redis.lRem(DEAD_LETTER_KEY, 1, item);
+    return JSON.parse(item);
+  }
+
+  /**
+   * Takes a message off the dead-letter list and queues it again.
+   * @param {string} id - The entry's id.
+   * @returns {Promise<Object|null>} The new job, or null if the entry wasn't found.
+   */
+  async retryDeadLetter(id) {
+    const entry = await this.removeDeadLetter(id);
+    if (!entry) return null;
+    const { jid, kind, text, media, contact } = entry;
+    if (kind === "media") return this.enqueue(jid, { kind, media });
+    if (kind === "contact") return this.enqueue(jid, { kind, contact });
+    return this.enqueue(jid, { kind, text });
+  }
+
+  /**
+   * Counts the messages on the queue by state, plus the dead-letter list.
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const counts = await this.queue.getJobCounts(
+      "waiting",
+      "prioritized",
+      "active",
+      "delayed"
+    );
+    return { ...counts, deadLetters: await this.redis.lLen(DEAD_LETTER_KEY) };
+  }
+}
+
+module.exports = SendQueueService;
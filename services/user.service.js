@@ -1,5 +1,7 @@
 const User = require("../models/user.model");
 const Message = require("../models/message.model"); // Import the Message model
+const profileHelper = require("../helpers/profile.helpers");
+const conversationHelper = require("../helpers/conversation.helpers");
 
 // Constants for cache keys and expiration times.
 const USER_CACHE_PREFIX = "user:";
@@ -39,9 +41,15 @@ class UserService {
         phone: jid.split("@")[0],
         name: pushName,
         type: "new",
-        profile: "Newly created user.",
       });
       user = newUser.toObject();
+    } else if (conversationHelper.isLegacy(user)) {
+      // Saved before roles, states and per-role profiles.
+      user = await User.findByIdAndUpdate(
+        user._id,
+        conversationHelper.legacyUpdate(user),
+        { new: true }
+      ).lean();
     }
 
     await this.redis.set(cacheKey, JSON.stringify(user), {
@@ -51,15 +59,66 @@ class UserService {
   }
 
   /**
-   * Finds potential candidates ("idol" users not in an active conversation).
+   * Finds a user by JID without creating one. Bypasses the cache so the
+   * result always reflects MongoDB.
+   * @param {string} jid - The user's JID.
+   * @returns {Promise<Object|null>} The user document or null if not found.
+   */
+  async findUserByJid(jid) {
+    return User.findOne({ jid }).lean();
+  }
+
+  /**
+   * Lists users matching a filter, newest first.
+   * @param {Object} [filter={}] - A MongoDB filter on the User collection.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of users to return.
+   * @param {number} [options.skip=0] - Number of users to skip (for paging).
+   * @returns {Promise<Array<Object>>} A list of user documents.
+   */
+  async listUsers(filter = {}, { limit = 50, skip = 0 } = {}) {
+    return User.find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Lists stored messages matching a filter, newest first.
+   * @param {Object} [filter={}] - A MongoDB filter on the Message collection.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Maximum number of messages to return.
+   * @param {number} [options.skip=0] - Number of messages to skip (for paging).
+   * @returns {Promise<Array<Object>>} A list of message documents.
+   */
+  async listMessages(filter = {}, { limit = 50, skip = 0 } = {}) {
+    return Message.find(filter)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Finds a single stored message by its ID.
+   * @param {string} messageId - The MongoDB ObjectId of the message.
+   * @returns {Promise<Object|null>} The message document or null if not found.
+   */
+  async findMessageById(messageId) {
+    return Message.findById(messageId).lean();
+  }
+
+  /**
+   * Finds potential candidates (idle users not in an active conversation).
    * @returns {Promise<Array<Object>>} A list of potential user documents.
    */
   async findPotentialCandidates() {
     console.log(
-      "🔎 Searching for potential candidates (type: idol) in the database..."
+      "🔎 Searching for potential candidates (state: idle) in the database..."
     );
     return User.find({
-      type: "idol",
+      state: "idle",
       currentReachout: null,
     }).lean();
   }
@@ -84,6 +143,97 @@ class UserService {
     return updatedUser;
   }
 
+  /**
+   * Moves a user to another conversation state, if the rules in
+   * helpers/conversation.helpers.js allow it from the state they are in now.
+   * Role, persona (type) and current reach-out are updated with it, in one
+   * atomic update that fails if the state changed meanwhile.
+   * @param {Object} user - The user document.
+   * @param {string} to - The state to move to.
+   * @param {Object} [context={}]
+   * @param {string} [context.role] - A role to take on (onboarding, or switching roles).
+   * @param {Object} [context.reachOut] - The reach-out to answer, with its query; for in-reachout.
+   * @param {string} [context.reason] - Why, for the log.
+   * @param {boolean} [context.force=false] - Skip the "allowed from" check (admin corrections).
+   * @returns {Promise<Object>} The updated user document.
+   * @throws {Error} With `status` 409 when the transition isn't allowed.
+   */
+  async transition(user, to, { reason = null, force = false, ...context } = {}) {
+    const from = conversationHelper.stateOf(user);
+    const problem = conversationHelper.checkTransition(user, to, context, { force });
+    const filter = { _id: user._id };
+    // Users saved before states existed have none stored yet.
+    if (!force) filter.state = { $in: [from, null] };
+    const updated = problem
+      ? null
+      : await User.findOneAndUpdate(
+          filter,
+          conversationHelper.buildTransition(user, to, context),
+          { new: true }
+        ).lean();
+    if (!updated) {
+      const error = new Error(
+        `${user.jid} can't go from "${from}" to "${to}": ${problem || "their state changed meanwhile"}.`
+      );
+      error.status = 409;
+      throw error;
+    }
+    console.log(
+      `🔀 ${updated.jid}: ${from} → ${to} as ${updated.role || "no role"}, persona ${updated.type}${
+        reason ? ` (${reason})` : ""
+      }.`
+    );
+    await this.redis.set(`${USER_CACHE_PREFIX}${updated.jid}`, JSON.stringify(updated), {
+      EX: CACHE_EXPIRATION_SECONDS,
+    });
+    return updated;
+  }
+
+  /**
+   * Merges structured fields into one of a user's profiles, field by field,
+   * recording when and from where each changed field was written. Writing a
+   * role's profile also adds the role to the ones the user holds.
+   * @param {string} jid - The user's JID.
+   * @param {Object} updates - Raw or normalized profile fields.
+   * @param {string} source - Provenance, one of PROFILE_SOURCES (e.g. "conversation").
+   * @param {string} [role] - "candidate" or "freelancer". Defaults to the
+   *   `userType` in the updates, then to the user's only such role, then to candidate.
+   * @returns {Promise<{user: Object|null, changed: Array<string>, role: string|null}>}
+   *   The updated user, the fields that changed and the profile's role.
+   */
+  async updateProfile(jid, updates, source, role) {
+    // Merge against MongoDB, not the cache, so concurrent writers don't clobber each other.
+    let user = await User.findOne({ jid }).lean();
+    if (!user) return { user: null, changed: [], role: null };
+    if (conversationHelper.isLegacy(user)) {
+      user = await this.updateUser(user._id, conversationHelper.legacyUpdate(user));
+    }
+
+    const { resume, ...fields } = updates || {};
+    const normalized = profileHelper.normalizeProfile(fields);
+    role =
+      role ||
+      normalized.userType ||
+      conversationHelper.talentRoleOf(user) ||
+      "candidate";
+    // The profile is the role's; a stray userType in the updates doesn't move it.
+    normalized.userType = role;
+    if (resume) normalized.resume = resume;
+    const { profile, changed } = profileHelper.mergeProfile(
+      profileHelper.profileOf(user, role),
+      normalized,
+      { source }
+    );
+    if (changed.length === 0) return { user, changed, role };
+
+    const updatedUser = await this.updateUser(user._id, {
+      [`profiles.${role}`]: profile,
+      $addToSet: { roles: role },
+    });
+    console.log(`🧾 ${role} profile of ${jid} updated (${source}): ${changed.join(", ")}`);
+    return { user: updatedUser, changed, role };
+  }
+
   /**
    * Retrieves the recent conversation history. It first tries the Redis cache.
    * If the cache is empty, it falls back to MongoDB and repopulates the cache.
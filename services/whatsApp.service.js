@@ -1,128 +1,180 @@
-// const {
-//     default: makeWASocket,
-//     useMultiFileAuthState,
-//     DisconnectReason,
-//     fetchLatestBaileysVersion
-//} = require('@whiskeysockets/baileys');
-const pino = require('pino');
-const qrcode = require('qrcode-terminal');
-const TypingManager = require('./typing.manager');
-const whatsAppHelper = require('../helpers/whatsapp.helpers');
-
-let makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, downloadContentFromMessage;
-
-async function loadBaileys() {
-    const baileys = await import('@whiskeysockets/baileys');
-    makeWASocket = baileys.default;
-    useMultiFileAuthState = baileys.useMultiFileAuthState;
-    DisconnectReason = baileys.DisconnectReason;
-    fetchLatestBaileysVersion = baileys.fetchLatestBaileysVersion;
-    downloadContentFromMessage = baileys.downloadContentFromMessage;
-}
+/**
+ * Merges a burst of messages from one chat into as few turns as possible:
+ * consecutive plain texts become one message with one line per text, while
+ * media and links stay turns of their own.
+ * @param {Array<import('../transports/transport').InboundMessage>} messages - Oldest first.
+ * @returns {Array<import('../transports/transport').InboundMessage>}
+ */
+const coalesceMessages = (messages) => {
+    const turns = [];
+    for (const message of messages) {
+        const last = turns[turns.length - 1];
+        if (last && !last.isMedia && !message.isMedia) {
+            turns[turns.length - 1] = {
+                ...message,
+                content: [last.content, message.content].filter(Boolean).join('\n')
+            };
+        } else {
+            turns.push(message);
+        }
+    }
+    return turns;
+};
+
 class WhatsAppService {
     /**
-     * This service is a dedicated connector to the WhatsApp platform.
-     * It handles all the specifics of the Baileys library, including connection,
-     * authentication, and message parsing. Its sole responsibility is to act
-     * as a bridge between WhatsApp and the application's core logic.
+     * This service is the app's messaging gateway. It sits between a messaging
+     * transport (Baileys, Cloud API, loopback...) and the application's core logic:
+     * inbound normalized messages are handed to the OutreachService, and all
+     * outbound text and media go through the transport.
+     *
+     * Inbound messages of one chat are handled one turn at a time. Messages
+     * sent in quick succession are collected for a short debounce window and
+     * answered as a single turn, with "typing..." shown while they wait.
+     *
      * @param {OutreachService} outreachService - The core service that handles business logic.
+     * @param {import('../transports/transport')} transport - The messaging transport to use.
+     * @param {Object} [options]
+     * @param {SendQueueService} [options.sendQueueService] - When given, outbound messages go
+     *   through the rate-limited send queue instead of straight to the transport.
+     * @param {number} [options.debounceMs=process.env.INBOUND_DEBOUNCE_MS || 2500] - Quiet time
+     *   after a user's last message before the burst is handled; 0 handles each message at once.
+     * @param {number} [options.maxWaitMs=process.env.INBOUND_MAX_WAIT_MS || 10000] - Longest a
+     *   burst waits for its first message, so a user who keeps typing still gets an answer.
      */
-    constructor(outreachService) {
-        this.sock = null;
+    constructor(
+        outreachService,
+        transport,
+        {
+            sendQueueService = null,
+            debounceMs = Number(process.env.INBOUND_DEBOUNCE_MS ?? 2500),
+            maxWaitMs = Number(process.env.INBOUND_MAX_WAIT_MS || 10000)
+        } = {}
+    ) {
         this.outreachService = outreachService;
+        this.transport = transport;
+        this.sendQueueService = sendQueueService;
+        this.debounceMs = debounceMs;
+        this.maxWaitMs = maxWaitMs;
+        // Map<jid, { messages: Array<InboundMessage>, firstAt: number, timer: NodeJS.Timeout }>
+        this.pending = new Map();
+        // Map<jid, Promise> - the tail of each chat's chain of turns.
+        this.chains = new Map();
     }
 
     /**
-     * Initializes the Baileys client, sets up event listeners, and connects to WhatsApp.
+     * Subscribes to inbound messages and connects the transport.
      */
     async initialize() {
-        if (!makeWASocket) await loadBaileys();
-
-        const { state, saveCreds } = await useMultiFileAuthState('baileys_auth_info');
-        const { version } = await fetchLatestBaileysVersion();
-
-        this.sock = makeWASocket({
-            version,
-            logger: pino({ level: 'silent' }),
-            printQRInTerminal: false,
-            auth: state,
+        this.transport.on('message', (message) => {
+            this.receive(message).catch((err) => {
+                console.error(`❌ Failed to handle message from ${message.jid}:`, err);
+            });
         });
-
-        this.setupEventListeners(saveCreds);
-        this.typing = new TypingManager(this.sock, { heartbeatMs: 4000 });
+        await this.transport.initialize();
     }
 
     /**
-     * Centralizes all Baileys event listeners for clean initialization.
+     * Collects an inbound message into its chat's pending burst and (re)starts
+     * the debounce timer.
+     * @param {import('../transports/transport').InboundMessage} message
      */
-    setupEventListeners(saveCreds) {
-        this.sock.ev.on('connection.update', this.handleConnectionUpdate.bind(this));
-        this.sock.ev.on('creds.update', saveCreds);
-        this.sock.ev.on('messages.upsert', this.handleMessagesUpsert.bind(this));
+    async receive(message) {
+        const { jid } = message;
+        // Bookkeeping happens before any await so a burst keeps its order.
+        let burst = this.pending.get(jid);
+        const isNewBurst = !burst;
+        if (isNewBurst) {
+            burst = { messages: [], firstAt: Date.now(), timer: null };
+            this.pending.set(jid, burst);
+        }
+        burst.messages.push(message);
+        clearTimeout(burst.timer);
+        const wait = Math.min(this.debounceMs, this.maxWaitMs - (Date.now() - burst.firstAt));
+        if (wait > 0) {
+            burst.timer = setTimeout(() => {
+                this.flush(jid).catch((err) => {
+                    console.error(`❌ Failed to handle messages from ${jid}:`, err);
+                });
+            }, wait);
+        }
+
+        await this.markLastMessageRead(message);
+        if (isNewBurst) await this.transport.startTyping(jid).catch(() => {});
+        if (wait <= 0) await this.flush(jid);
     }
 
     /**
-     * Handles connection status changes, including QR code generation and reconnection logic.
+     * Handles a chat's pending burst once the chat's previous turn is done.
+     * @param {string} jid
      */
-    handleConnectionUpdate(update) {
-        const { connection, lastDisconnect, qr } = update;
-        if (qr) {
-            console.log('⚡ Scan this QR code with your WhatsApp:');
-            qrcode.generate(qr, { small: true });
-        }
-        if (connection === 'close') {
-            const shouldReconnect = (lastDisconnect.error)?.output?.statusCode !== DisconnectReason.loggedOut;
-            console.log('❌ Connection closed. Reconnecting:', shouldReconnect);
-            if (shouldReconnect) this.initialize();
-        } else if (connection === 'open') {
-            console.log('✅ WhatsApp connection established.');
+    async flush(jid) {
+        const burst = this.pending.get(jid);
+        if (!burst) return;
+        this.pending.delete(jid);
+        clearTimeout(burst.timer);
+
+        const turns = coalesceMessages(burst.messages);
+        if (burst.messages.length > 1) {
+            console.log(`🧺 Coalesced ${burst.messages.length} messages from ${jid} into ${turns.length} turn(s).`);
         }
+        await this.runExclusive(jid, async () => {
+            for (const turn of turns) await this.handleIncoming(turn);
+        });
     }
 
-    async streamToBuffer(stream) {
-        const chunks = [];
-        for await (const chunk of stream) chunks.push(chunk);
-        return Buffer.concat(chunks);
+    /**
+     * Runs fn after every earlier task of the same chat has finished, so two
+     * turns of one user never race (LLM replies, user updates...). Different
+     * chats still run concurrently.
+     * @param {string} jid
+     * @param {Function} fn
+     * @returns {Promise<*>} What fn returns.
+     */
+    runExclusive(jid, fn) {
+        const previous = this.chains.get(jid) || Promise.resolve();
+        const run = previous.then(fn);
+        const tail = run.catch(() => {});
+        this.chains.set(jid, tail);
+        tail.then(() => {
+            if (this.chains.get(jid) === tail) this.chains.delete(jid);
+        });
+        return run;
     }
 
     /**
-     * This is the main listener for incoming messages. It parses the raw Baileys message,
-     * creates a clean data object, and hands it off to the OutreachService for processing.
+     * Handles one turn: hands a normalized (possibly coalesced) message off to
+     * the OutreachService and sends back its reply.
+     * @param {import('../transports/transport').InboundMessage} message
      */
-    async handleMessagesUpsert(m) {
-        const message = m.messages[0];
-        // Ignore notifications, status updates, and messages sent by the bot itself.
-        if (!message.message || message.key.fromMe) return;
-        const jid = message.key.remoteJid;
-        const content = message.message.conversation || message.message.extendedTextMessage?.text || '';
-        const pushName = message.pushName || 'User';
-
-        // if (!jid || jid != "919718325800@s.whatsapp.net") return;
-        if(!jid) return;
-
+    async handleIncoming(message) {
+        const { jid, content, pushName } = message;
         console.log(`\n📥 [${new Date().toLocaleTimeString()}] Message from ${pushName} (${jid}): "${content}"`);
 
-        // If it's a document message, download first so we can parse/save it
-        let fileBuffer = null;
-        if (message.message.documentMessage) {
-            try {
-            const stream = await downloadContentFromMessage(message.message.documentMessage, 'document');
-            fileBuffer = await this.streamToBuffer(stream);
-            console.log('✅ Document downloaded, bytes:', fileBuffer.length);
-            } catch (err) {
-            console.error('❌ downloadContentFromMessage failed:', err);
+        if (this.sendQueueService) {
+            await this.sendQueueService.noteInbound(jid).catch((err) => {
+                console.error(`❌ Failed to note inbound message from ${jid}:`, err.message);
+            });
+        }
+        await this.transport.startTyping(jid).catch(() => {});
+        let replyText;
+        try {
+            replyText = await this.outreachService.handleIncomingMessage({
+                jid,
+                content,
+                pushName,
+                isMedia: message.isMedia,
+                mediaType: message.mediaType,
+                retrievedText: message.retrievedText,
+                documentChunks: message.documentChunks,
+                filePath: message.filePath,
+            });
+        } finally {
+            // Keep typing if more messages from this user are already waiting.
+            if (!this.pending.has(jid)) {
+                await this.transport.stopTyping(jid).catch(() => {});
             }
         }
-
-        const {isMedia,mediaType,savedPath} = whatsAppHelper.detectMessagemediaType(message,jid,fileBuffer);
-        let retrievedText = "";
-        if ( isMedia && mediaType == "document" ) retrievedText = await whatsAppHelper.extractDocumentText(message,downloadContentFromMessage,3000);
-        // more for audio and all
-        // Pass the clean message data to the core logic handler.
-        await this.markLastMessageRead(message);
-        await this.typing.startTyping(jid);
-        const replyText = await this.outreachService.handleIncomingMessage({ jid, content, pushName, isMedia, mediaType, retrievedText, filePath: savedPath });
-        await this.typing.stopTyping(jid);
         // If the handler returns a reply, send it back to the user.
         if (replyText) {
             await this.sendMessage(jid, replyText);
@@ -130,23 +182,113 @@ class WhatsAppService {
     }
 
     /**
-     * A simple method to send a text message to a specified JID.
+     * Sends a text message to a specified JID, through the send queue when
+     * there is one. Failures are logged, not thrown.
      * @param {string} jid - The recipient's JID.
      * @param {string} text - The message content.
      */
     async sendMessage(jid, text) {
         try {
-            await this.sock.sendMessage(jid, { text });
-            console.log(`📤 [${new Date().toLocaleTimeString()}] Sent reply to ${jid}: "${text}"`);
+            if (this.sendQueueService) {
+                await this.sendQueueService.enqueue(jid, { kind: 'text', text });
+                console.log(`📨 [${new Date().toLocaleTimeString()}] Queued message to ${jid}: "${text}"`);
+                return;
+            }
+            await this.deliverText(jid, text);
         } catch (error) {
             console.error(`❌ Failed to send message to ${jid}:`, error);
         }
     }
 
+    /**
+     * Sends a media message (document, image, audio or video), through the
+     * send queue when there is one. Failures are logged, not thrown.
+     * @param {string} jid - The recipient's JID.
+     * @param {import('../transports/transport').OutboundMedia} media - The media to send.
+     */
+    async sendMedia(jid, media) {
+        try {
+            if (this.sendQueueService) {
+                const { buffer, ...rest } = media;
+                await this.sendQueueService.enqueue(jid, {
+                    kind: 'media',
+                    media: buffer ? { ...rest, bufferBase64: buffer.toString('base64') } : rest
+                });
+                console.log(`📨 [${new Date().toLocaleTimeString()}] Queued ${media.mediaType} to ${jid}`);
+                return;
+            }
+            await this.deliverMedia(jid, media);
+        } catch (error) {
+            console.error(`❌ Failed to send ${media.mediaType} to ${jid}:`, error);
+        }
+    }
+
+    /**
+     * Sends a contact card, through the send queue when there is one.
+     * Failures are logged, not thrown.
+     * @param {string} jid - The recipient's JID.
+     * @param {import('../transports/transport').OutboundContact} contact - Whose card to send.
+     */
+    async sendContact(jid, contact) {
+        try {
+            if (this.sendQueueService) {
+                await this.sendQueueService.enqueue(jid, { kind: 'contact', contact });
+                console.log(`📨 [${new Date().toLocaleTimeString()}] Queued contact card of ${contact.jid} to ${jid}`);
+                return;
+            }
+            await this.deliverContact(jid, contact);
+        } catch (error) {
+            console.error(`❌ Failed to send contact card to ${jid}:`, error);
+        }
+    }
+
+    /**
+     * Creates a WhatsApp group right away. Rejects on failure, including on
+     * transports without groups.
+     * @param {string} subject - The group name.
+     * @param {Array<string>} participantJids - Everyone to add besides us.
+     * @returns {Promise<string>} The group's JID.
+     */
+    async createGroup(subject, participantJids) {
+        const groupJid = await this.transport.createGroup(subject, participantJids);
+        console.log(`👥 Created group "${subject}" (${groupJid}) with ${participantJids.join(', ')}`);
+        return groupJid;
+    }
+
+    /**
+     * Hands a text message to the transport right away. Rejects on failure.
+     * @param {string} jid - The recipient's JID.
+     * @param {string} text - The message content.
+     */
+    async deliverText(jid, text) {
+        await this.transport.sendText(jid, text);
+        console.log(`📤 [${new Date().toLocaleTimeString()}] Sent reply to ${jid}: "${text}"`);
+    }
+
+    /**
+     * Hands a media message to the transport right away. Rejects on failure.
+     * @param {string} jid - The recipient's JID.
+     * @param {import('../transports/transport').OutboundMedia} media - The media to send.
+     */
+    async deliverMedia(jid, media) {
+        await this.transport.sendMedia(jid, media);
+        console.log(`📤 [${new Date().toLocaleTimeString()}] Sent ${media.mediaType} to ${jid}`);
+    }
+
+    /**
+     * Hands a contact card to the transport right away. Rejects on failure.
+     * @param {string} jid - The recipient's JID.
+     * @param {import('../transports/transport').OutboundContact} contact - Whose card to send.
+     */
+    async deliverContact(jid, contact) {
+        await this.transport.sendContact(jid, contact);
+        console.log(`📤 [${new Date().toLocaleTimeString()}] Sent contact card of ${contact.jid} to ${jid}`);
+    }
+
     async markLastMessageRead(message) {
         try {
-            await this.sock.readMessages([message.key]);
-            console.log(`✅ Marked message from ${message.key.remoteJid} as read`);
+            await this.transport.markRead(message);
+            console.log(`✅ Marked message from ${message.jid} as read`);
         } catch (err) {
             console.error("❌ Failed to mark last message as read", err);
         }
@@ -154,4 +296,4 @@ class WhatsAppService {
 
 }
 
-module.exports = WhatsAppService;
\ No newline at end of file
+module.exports = WhatsAppService;
@@ -0,0 +1,27 @@
+/**
+ * Registry of the available speech-to-text backends. Modules are required
+ * lazily so that picking one never loads the others' dependencies.
+ */
+const BACKENDS = {
+  whisper: () => require("./whisper.stt"),
+  "whisper-cli": () => require("./whisperCli.stt"),
+};
+
+/**
+ * Creates a speech-to-text backend by name.
+ * @param {string} [name=process.env.STT_PROVIDER || "whisper"] - "whisper" (a local server) or "whisper-cli".
+ * @param {object} [options] - Passed to the backend's constructor.
+ * @returns {import('./speechToText')} The backend instance.
+ */
+function createSpeechToText(name = process.env.STT_PROVIDER || "whisper", options = {}) {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(
+      `Unknown speech-to-text backend "${name}". Expected one of: ${Object.keys(BACKENDS).join(", ")}`
+    );
+  }
+  const Backend = load();
+  return new Backend(options);
+}
+
+module.exports = { createSpeechToText };
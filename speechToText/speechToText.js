@@ -0,0 +1,25 @@
+/**
+ * @typedef {Object} AudioInput
+ * @property {string} filePath - Local path of the audio file (a saved voice note).
+ * @property {string} [mimetype] - e.g. "audio/ogg; codecs=opus".
+ * @property {string} [language] - ISO 639-1 hint ("en", "hi"); omitted to auto-detect.
+ */
+
+/**
+ * Base class for speech-to-text backends. A backend turns a recorded voice
+ * note into the text the user said.
+ *
+ * Subclasses must implement every method below.
+ */
+class SpeechToText {
+  /**
+   * Transcribes an audio file. Must reject if the audio could not be transcribed.
+   * @param {AudioInput} audio
+   * @returns {Promise<string>} The transcript, trimmed; empty when nothing was said.
+   */
+  async transcribe(audio) {
+    throw new Error(`${this.constructor.name} does not implement transcribe()`);
+  }
+}
+
+module.exports = SpeechToText;
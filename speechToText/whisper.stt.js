@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const SpeechToText = require("./speechToText");
+
+/**
+ * Speech-to-text through a Whisper server running next to the app. The
+ * defaults fit the whisper.cpp server (`/inference`, started with --convert so
+ * it accepts WhatsApp's ogg/opus); OpenAI-compatible servers (faster-whisper,
+ * LocalAI...) work with STT_WHISPER_PATH=/v1/audio/transcriptions and STT_MODEL.
+ */
+class WhisperSpeechToText extends SpeechToText {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.baseUrl=process.env.STT_WHISPER_URL || "http://localhost:8080"]
+   * @param {string} [opts.path=process.env.STT_WHISPER_PATH || "/inference"]
+   * @param {string} [opts.model=process.env.STT_MODEL] - Sent as the `model` field when set.
+   * @param {string} [opts.language=process.env.STT_LANGUAGE] - Default language hint.
+   * @param {number} [opts.timeoutMs=120000]
+   */
+  constructor({
+    baseUrl = process.env.STT_WHISPER_URL || "http://localhost:8080",
+    path: endpoint = process.env.STT_WHISPER_PATH || "/inference",
+    model = process.env.STT_MODEL,
+    language = process.env.STT_LANGUAGE,
+    timeoutMs = 120000,
+  } = {}) {
+    super();
+    this.url = `${baseUrl.replace(/\/+$/, "")}${endpoint}`;
+    this.model = model;
+    this.language = language;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe({ filePath, mimetype, language = this.language }) {
+    const form = new FormData();
+    form.append(
+      "file",
+      new Blob([fs.readFileSync(filePath)], { type: mimetype || "application/octet-stream" }),
+      path.basename(filePath)
+    );
+    form.append("response_format", "json");
+    if (this.model) form.append("model", this.model);
+    if (language) form.append("language", language);
+
+    const { data } = await axios.post(this.url, form, { timeout: this.timeoutMs });
+    return String(data?.text || "").trim();
+  }
+}
+
+module.exports = WhisperSpeechToText;
@@ -0,0 +1,59 @@
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const SpeechToText = require("./speechToText");
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Speech-to-text by running the Whisper command-line tool (`pip install
+ * openai-whisper`, which needs ffmpeg) once per voice note. Slow, since the
+ * model loads on every call, but needs no server.
+ */
+class WhisperCliSpeechToText extends SpeechToText {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.bin=process.env.STT_WHISPER_BIN || "whisper"]
+   * @param {string} [opts.model=process.env.STT_MODEL || "base"]
+   * @param {string} [opts.language=process.env.STT_LANGUAGE] - Default language hint.
+   * @param {number} [opts.timeoutMs=300000]
+   */
+  constructor({
+    bin = process.env.STT_WHISPER_BIN || "whisper",
+    model = process.env.STT_MODEL || "base",
+    language = process.env.STT_LANGUAGE,
+    timeoutMs = 300000,
+  } = {}) {
+    super();
+    this.bin = bin;
+    this.model = model;
+    this.language = language;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe({ filePath, language = this.language }) {
+    const outputDir = await fsp.mkdtemp(path.join(os.tmpdir(), "whisper-"));
+    try {
+      const args = [
+        path.resolve(filePath),
+        "--model",
+        this.model,
+        "--output_format",
+        "txt",
+        "--output_dir",
+        outputDir,
+      ];
+      if (language) args.push("--language", language);
+      await execFileAsync(this.bin, args, { timeout: this.timeoutMs });
+      // Whisper names the transcript after the audio file.
+      const txtName = `${path.basename(filePath, path.extname(filePath))}.txt`;
+      return (await fsp.readFile(path.join(outputDir, txtName), "utf8")).trim();
+    } finally {
+      await fsp.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = WhisperCliSpeechToText;
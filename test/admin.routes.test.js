@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("../config/server");
+
+const QUERY_ID = "64b000000000000000000001";
+
+/**
+ * Starts the admin API on a free port with the given services and returns a
+ * fetch for its routes, already carrying the API key.
+ */
+async function useServer(t, services) {
+  process.env.ADMIN_API_KEY = "test-key";
+  const server = await startServer(services, 0);
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/admin`;
+  return (path, { body, ...init } = {}) =>
+    fetch(base + path, {
+      ...init,
+      headers: { "x-api-key": "test-key", "content-type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+}
+
+test("closing a query records the reason given, admin by default", async (t) => {
+  const calls = [];
+  const queryService = {
+    updateQueryStatus: async (id, status, fields) => {
+      calls.push(fields);
+      return { _id: id, status, ...fields };
+    },
+  };
+  const request = await useServer(t, { queryService });
+  const path = `/queries/${QUERY_ID}/status`;
+
+  let res = await request(path, { method: "PATCH", body: { status: "closed" } });
+  assert.equal(res.status, 200);
+  res = await request(path, { method: "PATCH", body: { status: "closed", reason: "no_candidates" } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls, [{ closedReason: "admin" }, { closedReason: "no_candidates" }]);
+});
+
+test("closing a query with an unknown reason is a 400", async (t) => {
+  const queryService = {
+    updateQueryStatus: async () => assert.fail("the query must not be updated"),
+  };
+  const request = await useServer(t, { queryService });
+  const res = await request(`/queries/${QUERY_ID}/status`, {
+    method: "PATCH",
+    body: { status: "closed", reason: "because" },
+  });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /^reason must be one of: deadline, /);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const OpenAIProvider = require("../providers/openai.provider");
+const OllamaProvider = require("../providers/ollama.provider");
+
+/**
+ * Replaces axios.post for one test: fails the first `failures` requests with a
+ * 503, then answers with the given replies in order. Every request body is kept.
+ */
+function stubPost(t, replies, { failures = 0 } = {}) {
+  const bodies = [];
+  t.mock.method(axios, "post", async (url, body) => {
+    bodies.push(structuredClone(body));
+    if (bodies.length <= failures) {
+      const err = new Error("Service Unavailable");
+      err.response = { status: 503 };
+      throw err;
+    }
+    return { data: replies.shift() };
+  });
+  return bodies;
+}
+
+test("OpenAIProvider resends a failed turn once, with its tool call id", async (t) => {
+  const bodies = stubPost(
+    t,
+    [
+      {
+        choices: [
+          {
+            message: {
+              role: "assistant",
+              content: null,
+              tool_calls: [{ id: "call_1", function: { name: "saveProfileField", arguments: "{}" } }],
+            },
+          },
+        ],
+      },
+      { choices: [{ message: { role: "assistant", content: "Saved." } }] },
+    ],
+    { failures: 1 }
+  );
+  const chat = new OpenAIProvider({ apiKey: "k" }).startChat({ model: "gpt-4o", systemInstruction: "sys" });
+
+  await assert.rejects(chat.sendMessage("hi"));
+  const first = await chat.sendMessage("hi");
+  assert.deepEqual(first.response.functionCalls(), [{ name: "saveProfileField", args: {} }]);
+  const turn = [{ functionResponse: { name: "saveProfileField", response: { ok: true } } }];
+  const second = await chat.sendMessage(turn);
+
+  assert.equal(second.response.text(), "Saved.");
+  assert.deepEqual(
+    bodies[2].messages.map((m) => [m.role, m.tool_call_id || m.content]),
+    [
+      ["system", "sys"],
+      ["user", "hi"],
+      ["assistant", null],
+      ["tool", "call_1"],
+    ]
+  );
+});
+
+test("OllamaProvider adds a turn to the history only once it was answered", async (t) => {
+  const bodies = stubPost(t, [{ message: { role: "assistant", content: "Hello!" } }], {
+    failures: 2,
+  });
+  const chat = new OllamaProvider().startChat({ model: "llama3.1:8b" });
+
+  await assert.rejects(chat.sendMessage("hi"));
+  await assert.rejects(chat.sendMessage("hi"));
+  const result = await chat.sendMessage("hi");
+
+  assert.equal(result.response.text(), "Hello!");
+  assert.deepEqual(bodies[2].messages, [{ role: "user", content: "hi" }]);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { once } = require("events");
+const express = require("express");
+const CloudApiTransport = require("../transports/cloudApi.transport");
+
+const PAYLOAD = JSON.stringify({
+  entry: [
+    {
+      changes: [
+        {
+          value: {
+            contacts: [{ wa_id: "911234567890", profile: { name: "Asha" } }],
+            messages: [
+              { from: "911234567890", id: "wamid.1", type: "text", text: { body: "hi" } },
+            ],
+          },
+        },
+      ],
+    },
+  ],
+});
+
+const sign = (secret, body) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+/**
+ * Serves the transport's webhook router on a free port and returns a POST for it.
+ */
+async function useWebhook(t, transport) {
+  const app = express();
+  app.use("/webhook", transport.createWebhookRouter());
+  const server = app.listen(0);
+  await once(server, "listening");
+  t.after(() => server.close());
+  return (body, headers = {}) =>
+    fetch(`http://127.0.0.1:${server.address().port}/webhook`, {
+      method: "POST",
+      headers: { "content-type": "application/json", ...headers },
+      body,
+    });
+}
+
+test("a webhook signed with the app secret is accepted and its messages emitted", async (t) => {
+  const transport = new CloudApiTransport({ appSecret: "s3cret" });
+  const post = await useWebhook(t, transport);
+  const received = once(transport, "message");
+
+  const res = await post(PAYLOAD, { "x-hub-signature-256": sign("s3cret", PAYLOAD) });
+  assert.equal(res.status, 200);
+  const [message] = await received;
+  assert.equal(message.jid, "911234567890@s.whatsapp.net");
+  assert.equal(message.content, "hi");
+});
+
+test("a webhook with a missing or wrong signature is a 401", async (t) => {
+  const transport = new CloudApiTransport({ appSecret: "s3cret" });
+  transport.on("message", () => assert.fail("no message may be emitted"));
+  const post = await useWebhook(t, transport);
+
+  assert.equal((await post(PAYLOAD)).status, 401);
+  const forged = await post(PAYLOAD, { "x-hub-signature-256": sign("guess", PAYLOAD) });
+  assert.equal(forged.status, 401);
+});
+
+test("without an app secret the webhook refuses every message", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const transport = new CloudApiTransport({ appSecret: "" });
+  const post = await useWebhook(t, transport);
+
+  const res = await post(PAYLOAD, { "x-hub-signature-256": sign("", PAYLOAD) });
+  assert.equal(res.status, 503);
+  assert.equal(transport.isValidSignature({ get: () => sign("", PAYLOAD), rawBody: PAYLOAD }), false);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const conversationHelper = require("../helpers/conversation.helpers");
+
+const reachOut = { _id: "r1", queryId: { author_type: "hr" } };
+
+test("checkTransition allows only the declared moves", () => {
+  const idle = { state: "idle", role: "candidate", roles: ["candidate"] };
+  assert.equal(conversationHelper.checkTransition(idle, "profile-building"), null);
+  assert.equal(conversationHelper.checkTransition(idle, "onboarding"), "not allowed from there");
+  assert.equal(conversationHelper.checkTransition(idle, "dreaming"), 'unknown state "dreaming"');
+  // A recruiter describing a role isn't pulled into a reach-out.
+  const querying = { state: "querying", role: "hr", roles: ["hr"] };
+  assert.equal(
+    conversationHelper.checkTransition(querying, "in-reachout", { reachOut }),
+    "not allowed from there"
+  );
+});
+
+test("checkTransition applies role guards, also when forced", () => {
+  const hr = { state: "idle", role: "hr", roles: ["hr"] };
+  assert.equal(
+    conversationHelper.checkTransition(hr, "profile-building"),
+    "only candidates and freelancers build a profile"
+  );
+  assert.equal(
+    conversationHelper.checkTransition(hr, "profile-building", {}, { force: true }),
+    "only candidates and freelancers build a profile"
+  );
+  assert.equal(conversationHelper.checkTransition(hr, "profile-building", { role: "freelancer" }), null);
+  assert.equal(conversationHelper.checkTransition(hr, "querying", { role: "boss" }), 'unknown role "boss"');
+  assert.equal(
+    conversationHelper.checkTransition(hr, "in-reachout"),
+    "a reach-out (with its query) is needed"
+  );
+});
+
+test("buildTransition sets the persona and clears the reach-out on leaving it", () => {
+  const user = { state: "idle", role: "freelancer", roles: ["freelancer"] };
+  const entering = conversationHelper.buildTransition(user, "in-reachout", { reachOut });
+  assert.equal(entering.type, "roc");
+  assert.equal(entering.currentReachout, "r1");
+  const leaving = conversationHelper.buildTransition(
+    { ...user, state: "in-reachout", currentReachout: "r1" },
+    "idle"
+  );
+  assert.equal(leaving.type, "idol");
+  assert.equal(leaving.currentReachout, null);
+  assert.deepEqual(leaving.$addToSet, { roles: "freelancer" });
+});
+
+test("users saved with only a type read as their role and state", () => {
+  assert.deepEqual(conversationHelper.fromLegacyType("roc"), { role: null, state: "in-reachout" });
+  assert.deepEqual(conversationHelper.fromLegacyType("whatever"), { role: null, state: "onboarding" });
+  const legacy = { type: "hr" };
+  assert.equal(conversationHelper.isLegacy(legacy), true);
+  assert.equal(conversationHelper.stateOf(legacy), "querying");
+  assert.equal(conversationHelper.roleOf(legacy), "hr");
+  assert.deepEqual(conversationHelper.rolesOf(legacy), ["hr"]);
+  // An idle user's role comes from their old single profile.
+  assert.equal(conversationHelper.roleOf({ type: "idol", profile: { userType: "freelancer" } }), "freelancer");
+});
+
+test("legacyUpdate moves the single profile under its role", () => {
+  const update = conversationHelper.legacyUpdate({
+    type: "idol",
+    profile: { userType: "freelancer", name: "Asha" },
+  });
+  assert.equal(update.state, "idle");
+  assert.equal(update.role, "freelancer");
+  assert.deepEqual(update.roles, ["freelancer"]);
+  assert.deepEqual(update["profiles.freelancer"], { userType: "freelancer", name: "Asha" });
+  assert.deepEqual(update.$unset, { profile: 1 });
+  assert.equal(
+    conversationHelper.isLegacy({ state: "idle", role: null, roles: [] }),
+    false
+  );
+});
@@ -0,0 +1,20 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const documentHelper = require("../helpers/document.helpers");
+
+test("chunkPages packs whole pages while they fit", () => {
+  assert.deepEqual(documentHelper.chunkPages(["aaaa", "bbbb", "cccc"], 12), [
+    "aaaa\n\nbbbb",
+    "cccc",
+  ]);
+});
+
+test("chunkPages splits a long page between paragraphs, then lines", () => {
+  const page = "one one\n\ntwo two\nthree three";
+  assert.deepEqual(documentHelper.chunkPages([page], 12), ["one one", "two two", "three three"]);
+});
+
+test("chunkPages cuts mid-line only when a line alone is too long", () => {
+  assert.deepEqual(documentHelper.chunkPages(["abcdefghij"], 4), ["abcd", "efgh", "ij"]);
+  assert.ok(documentHelper.chunkPages(["x".repeat(50), "y"], 10).every((c) => c.length <= 10));
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FakeProvider = require("../providers/fake.provider");
+const llmHelper = require("../helpers/llm.helpers");
+
+test("failNext throws queued failures before answering", async () => {
+  const provider = new FakeProvider({ fallbackText: "fine" });
+  provider.failNext({ times: 2 });
+  const chat = provider.startChat({ model: "m", systemInstruction: "sys" });
+
+  await assert.rejects(chat.sendMessage("hi"), (err) => err.status === 503);
+  await assert.rejects(chat.sendMessage("hi"), /overloaded/);
+  const result = await chat.sendMessage("hi");
+  assert.equal(result.response.text(), "fine");
+  assert.deepEqual(
+    provider.calls.map((call) => call.source),
+    ["failure", "failure", "fallback"]
+  );
+});
+
+test("scripted responses are used once, by the first call they match", async () => {
+  const provider = new FakeProvider({ strict: true });
+  provider.script([{ match: /resume/, text: "a resume" }, { text: "anything" }]);
+  const chat = provider.startChat({ model: "m" });
+
+  assert.equal((await chat.sendMessage("hello")).response.text(), "anything");
+  assert.equal((await chat.sendMessage("is this a resume?")).response.text(), "a resume");
+  await assert.rejects(chat.sendMessage("hello"), /no fixture or script/);
+});
+
+test("record mode saves the real provider's answer and replay mode reads it back", async (t) => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "fake-provider-"));
+  t.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+  let realCalls = 0;
+  const real = {
+    startChat: () => ({
+      sendMessage: async () => {
+        realCalls++;
+        return llmHelper.toGeminiResult("", [{ name: "lookup", args: { q: "x" } }]);
+      },
+    }),
+  };
+
+  const recorder = new FakeProvider({ fixturesDir, mode: "record", recordFrom: real });
+  await recorder.startChat({ model: "m", systemInstruction: "sys" }).sendMessage("find x");
+  assert.equal(realCalls, 1);
+  assert.equal(fs.readdirSync(fixturesDir).length, 1);
+
+  const player = new FakeProvider({ fixturesDir, strict: true });
+  const result = await player.startChat({ model: "m", systemInstruction: "sys" }).sendMessage("find x");
+  assert.deepEqual(result.response.functionCalls(), [{ name: "lookup", args: { q: "x" } }]);
+  assert.equal(player.calls[0].source, "fixture");
+  assert.equal(realCalls, 1);
+});
+
+test("record mode needs a real provider and a fixtures directory", () => {
+  assert.throws(() => new FakeProvider({ mode: "record" }), /recordFrom and fixturesDir/);
+});
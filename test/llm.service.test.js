@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const LLMService = require("../services/llm.service");
+const FakeProvider = require("../providers/fake.provider");
+
+const DECLARATION = {
+  name: "saveProfileField",
+  description: "Saves one profile field.",
+  parameters: {
+    type: "object",
+    properties: { field: { type: "string" }, value: { type: "string" } },
+  },
+};
+
+function setUp(execute) {
+  const provider = new FakeProvider({ strict: true });
+  const llmService = new LLMService({ provider });
+  llmService.registerTools([{ declaration: DECLARATION, execute }]);
+  return { provider, llmService };
+}
+
+test("generateGeneralReply runs tool calls until the model answers in text", async () => {
+  const saved = [];
+  const { provider, llmService } = setUp(async (args) => {
+    saved.push(args);
+    return { saved: args.field };
+  });
+  provider.script([
+    { functionCalls: [{ name: "saveProfileField", args: { field: "expectedCtc", value: "20 LPA" } }] },
+    { match: "functionResponse", text: "Noted, 20 LPA it is." },
+  ]);
+
+  const reply = await llmService.generateGeneralReply(
+    { jid: "911234567890@s.whatsapp.net", type: "candidate" },
+    "I'm expecting 20 LPA",
+    []
+  );
+
+  assert.equal(reply.text, "Noted, 20 LPA it is.");
+  assert.deepEqual(saved, [
+    { field: "expectedCtc", value: "20 LPA", jid: "911234567890@s.whatsapp.net" },
+  ]);
+  assert.deepEqual(
+    reply.toolCalls.map(({ round, name, response }) => ({ round, name, response })),
+    [{ round: 1, name: "saveProfileField", response: { saved: "expectedCtc" } }]
+  );
+  assert.equal(provider.calls.length, 2);
+  assert.deepEqual(provider.calls[1].message, [
+    { functionResponse: { name: "saveProfileField", response: { saved: "expectedCtc" } } },
+  ]);
+});
+
+test("generateGeneralReply reports a failing or unknown tool back to the model", async () => {
+  const { provider, llmService } = setUp(async () => {
+    throw new Error("database is down");
+  });
+  provider.script([
+    {
+      functionCalls: [
+        { name: "saveProfileField", args: { field: "skills", value: "Go" } },
+        { name: "bookFlight", args: {} },
+      ],
+    },
+    { match: "functionResponse", text: "Sorry, I couldn't save that." },
+  ]);
+
+  const reply = await llmService.generateGeneralReply(
+    { jid: "911234567890@s.whatsapp.net", type: "candidate" },
+    "I know Go",
+    []
+  );
+
+  assert.equal(reply.text, "Sorry, I couldn't save that.");
+  assert.deepEqual(
+    reply.toolCalls.map((call) => call.response),
+    [{ error: "database is down" }, { error: "Unknown tool: bookFlight" }]
+  );
+});
+
+test("generateGeneralReply asks for a text answer once the tool rounds run out", async () => {
+  const { provider, llmService } = setUp(async (args) => ({ saved: args.field }));
+  const call = { functionCalls: [{ name: "saveProfileField", args: { field: "skills" } }] };
+  provider.script([
+    call,
+    ...Array.from({ length: 5 }, () => ({ match: "functionResponse", ...call })),
+    { match: "Too many tool calls", text: "Saved your skills." },
+  ]);
+
+  const reply = await llmService.generateGeneralReply(
+    { jid: "911234567890@s.whatsapp.net", type: "candidate" },
+    "I know Go",
+    []
+  );
+
+  assert.equal(reply.text, "Saved your skills.");
+  // The sixth round's call was answered with the limit, not run.
+  assert.equal(reply.toolCalls.length, 5);
+  assert.deepEqual(provider.calls.at(-1).message, [
+    {
+      functionResponse: {
+        name: "saveProfileField",
+        response: { error: "Too many tool calls. Answer the user now, without calling tools." },
+      },
+    },
+  ]);
+});
+
+test("generateGeneralReply sends a fallback when the model has no text", async () => {
+  const { provider, llmService } = setUp(async () => ({}));
+  provider.script([{ text: "" }]);
+
+  const reply = await llmService.generateGeneralReply(
+    { jid: "911234567890@s.whatsapp.net", type: "candidate" },
+    "hello?",
+    []
+  );
+
+  assert.match(reply.text, /^Sorry, I couldn't put a reply together/);
+});
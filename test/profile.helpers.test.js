@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const profileHelper = require("../helpers/profile.helpers");
+
+test("parseCtc reads lakhs, crores and plain rupees", () => {
+  assert.equal(profileHelper.parseCtc("12 LPA"), 1200000);
+  assert.equal(profileHelper.parseCtc("1.2 cr"), 12000000);
+  assert.equal(profileHelper.parseCtc("expecting 18"), 1800000);
+  assert.equal(profileHelper.parseCtc("15,00,000"), 1500000);
+  assert.equal(profileHelper.parseCtc("negotiable"), null);
+});
+
+test("parseNoticePeriodDays and parseYears read what people type", () => {
+  assert.equal(profileHelper.parseNoticePeriodDays("2 months"), 60);
+  assert.equal(profileHelper.parseNoticePeriodDays("immediate joiner"), 0);
+  assert.equal(profileHelper.parseYears("5+ years"), 5);
+  assert.equal(profileHelper.parseYears("fresher"), 0);
+});
+
+test("parseSkills keeps levels given in any of the usual forms", () => {
+  assert.deepEqual(profileHelper.parseSkills("React: expert, Node (advanced), AWS"), [
+    { name: "React", level: "expert" },
+    { name: "Node", level: "advanced" },
+    { name: "AWS", level: null },
+  ]);
+});
+
+test("parseUrl adds a missing scheme and rejects non-URLs", () => {
+  assert.equal(profileHelper.parseUrl("example.com/work"), "https://example.com/work");
+  assert.equal(profileHelper.parseUrl("not a url"), null);
+  assert.equal(profileHelper.parseUrl(""), null);
+});
+
+test("mergeProfile unions skills and records which fields changed", () => {
+  const now = new Date("2024-01-01T00:00:00Z");
+  const { profile, changed } = profileHelper.mergeProfile(
+    { skills: [{ name: "React", level: "expert" }] },
+    profileHelper.normalizeProfile({ skills: "react, Go", expectedCtc: "20 LPA" }),
+    { source: "conversation", now }
+  );
+  assert.deepEqual(profile.skills, [
+    { name: "React", level: "expert" },
+    { name: "Go", level: null },
+  ]);
+  assert.equal(profile.expectedCtc, 2000000);
+  assert.deepEqual(changed, ["skills", "expectedCtc"]);
+  assert.deepEqual(profile.fieldMeta.expectedCtc, { updatedAt: now, source: "conversation" });
+});
+
+test("mergeProfile doesn't let a resume overwrite what the user said", () => {
+  const current = {
+    expectedCtc: 2000000,
+    fieldMeta: { expectedCtc: { updatedAt: new Date(0), source: "conversation" } },
+  };
+  const { profile, changed } = profileHelper.mergeProfile(
+    current,
+    { expectedCtc: 1500000 },
+    { source: "resume" }
+  );
+  assert.equal(profile.expectedCtc, 2000000);
+  assert.deepEqual(changed, []);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./support/queues");
+const Query = require("../models/query.model");
+const ReachOut = require("../models/reachOut.model");
+const QueryService = require("../services/query.service");
+
+const QUERY_ID = "64b000000000000000000001";
+
+/**
+ * Backs the Query and ReachOut model calls QueryService makes with one query
+ * and a list of reach-outs held in memory.
+ */
+function useDb(t, query, reachOutStatuses) {
+  const db = {
+    query: { _id: QUERY_ID, wantedCount: 2, shortlist: [], ...query },
+    reachOuts: reachOutStatuses.map((status) => ({ queryId: QUERY_ID, status })),
+  };
+  const lean = (value) => ({ lean: async () => (value ? { ...value } : null) });
+  const statusMatches = (filter) =>
+    !filter ||
+    (filter.$in ? filter.$in.includes(db.query.status) : filter.$ne !== db.query.status);
+  t.mock.method(Query, "findByIdAndUpdate", (id, update) => {
+    Object.assign(db.query, update);
+    return lean(db.query);
+  });
+  t.mock.method(Query, "findOneAndUpdate", (filter, update) => {
+    if (!statusMatches(filter.status)) return lean(null);
+    Object.assign(db.query, update);
+    return lean(db.query);
+  });
+  t.mock.method(Query, "findById", () => lean(db.query));
+  t.mock.method(ReachOut, "aggregate", async () => {
+    const counts = new Map();
+    for (const r of db.reachOuts) counts.set(r.status, (counts.get(r.status) || 0) + 1);
+    return [...counts].map(([status, n]) => ({ _id: status, n }));
+  });
+  t.mock.method(ReachOut, "deleteMany", async ({ status }) => {
+    const before = db.reachOuts.length;
+    db.reachOuts = db.reachOuts.filter((r) => r.status !== status);
+    return { deletedCount: before - db.reachOuts.length };
+  });
+  return db;
+}
+
+test("evaluateCompletion makes a query ready once enough candidates qualified", async (t) => {
+  const db = useDb(t, { status: "outreach" }, ["qualify", "qualify", "init", "hold"]);
+  const query = await new QueryService().evaluateCompletion(QUERY_ID);
+  assert.equal(query.status, "ready");
+  // The held reach-out was never started and no longer counts.
+  assert.deepEqual(
+    db.reachOuts.map((r) => r.status),
+    ["qualify", "qualify", "init"]
+  );
+  assert.equal(query.reachOutCount, 3);
+});
+
+test("evaluateCompletion closes a query everyone answered but nobody qualified for", async (t) => {
+  useDb(t, { status: "outreach" }, ["fail", "expired"]);
+  const query = await new QueryService().evaluateCompletion(QUERY_ID);
+  assert.equal(query.status, "closed");
+  assert.equal(query.closedReason, "no_qualified_candidates");
+});
+
+test("evaluateCompletion applies the deadline rule when the deadline job fires", async (t) => {
+  useDb(t, { status: "outreach" }, ["qualify", "init"]);
+  const service = new QueryService();
+  assert.equal((await service.evaluateCompletion(QUERY_ID)).status, "outreach");
+  assert.equal((await service.evaluateCompletion(QUERY_ID, { deadlineHit: true })).status, "ready");
+});
+
+test("evaluateCompletion only refreshes the counts of a query not in outreach", async (t) => {
+  useDb(t, { status: "delivered" }, ["qualify", "qualify", "fail"]);
+  const query = await new QueryService().evaluateCompletion(QUERY_ID);
+  assert.equal(query.status, "delivered");
+  assert.deepEqual(
+    [query.reachOutCount, query.respondedCount, query.qualifiedCount],
+    [3, 3, 2]
+  );
+});
+
+test("updateQueryStatus refuses transitions QUERY_TRANSITIONS doesn't allow", async (t) => {
+  useDb(t, { status: "delivered" }, []);
+  await assert.rejects(new QueryService().updateQueryStatus(QUERY_ID, "ready"), (err) => {
+    assert.equal(err.status, 409);
+    assert.match(err.message, /can't go from "delivered" to "ready"/);
+    return true;
+  });
+});
+
+test("updateQueryStatus closes a query from any status, also a legacy one", async (t) => {
+  useDb(t, { status: "hold" }, []);
+  const query = await new QueryService().updateQueryStatus(QUERY_ID, "closed", {
+    closedReason: "admin",
+  });
+  assert.equal(query.status, "closed");
+  await assert.rejects(new QueryService().updateQueryStatus(QUERY_ID, "closed"), /can't go/);
+});
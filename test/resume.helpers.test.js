@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const resumeHelper = require("../helpers/resume.helpers");
+
+const RESUME = `Priya Sharma
+priya@example.com | +91 98765 43210 | linkedin.com/in/priya-sharma | github.com/priyas
+
+Experience
+Senior Software Engineer, Acme Corp
+Jan 2021 - Present
+- Built payment APIs in ASP.NET
+Software Engineer at Globex
+Jun 2018 - Dec 2020
+
+Education
+B.Tech Computer Science, IIT Delhi
+2014 - 2018
+
+Skills
+Languages: C#, JavaScript
+Frameworks: ASP.NET, Socket.io, React
+`;
+const NOW = new Date("2024-01-01T00:00:00Z");
+
+test("parseResume reads contact details, jobs, education and skills", () => {
+  const profile = resumeHelper.parseResume(RESUME, { now: NOW });
+  assert.deepEqual(profile.contact, {
+    name: "Priya Sharma",
+    email: "priya@example.com",
+    phone: "+919876543210",
+  });
+  assert.deepEqual(
+    profile.workHistory.map(({ company, title, current }) => ({ company, title, current })),
+    [
+      { company: "Acme Corp", title: "Senior Software Engineer", current: true },
+      { company: "Globex", title: "Software Engineer", current: false },
+    ]
+  );
+  assert.equal(profile.education[0].institution, "IIT Delhi");
+  assert.equal(profile.education[0].endYear, 2018);
+  assert.deepEqual(
+    profile.skills.map((skill) => skill.name),
+    ["C#", "JavaScript", "ASP.NET", "Socket.io", "React"]
+  );
+  assert.equal(profile.yearsOfExperience, 5.5);
+});
+
+test("parseResume keeps email domains and dotted skills out of the links", () => {
+  const profile = resumeHelper.parseResume(RESUME, { now: NOW });
+  assert.equal(profile.linkedinUrl, "https://linkedin.com/in/priya-sharma");
+  assert.equal(profile.githubUrl, "https://github.com/priyas");
+  assert.equal(profile.links, undefined);
+});
+
+test("parseLinks needs a scheme, www. or a path for a bare domain", () => {
+  assert.deepEqual(
+    resumeHelper.parseLinks("priya@acme.com, ASP.NET, https://priya.dev, www.acme.com/team"),
+    { portfolioUrl: "https://priya.dev/", links: ["https://www.acme.com/team"] }
+  );
+});
+
+test("totalExperienceYears counts overlapping jobs once", () => {
+  const jobs = [
+    { startDate: new Date("2018-01-01"), endDate: new Date("2020-01-01") },
+    { startDate: new Date("2019-01-01"), endDate: new Date("2021-01-01") },
+    { startDate: new Date("2022-01-01"), current: true },
+  ];
+  assert.equal(resumeHelper.totalExperienceYears(jobs, NOW), 5);
+  assert.equal(resumeHelper.totalExperienceYears([], NOW), null);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const scheduleHelper = require("../helpers/schedule.helpers");
+
+const slot = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+test("zonedToUtc reads wall-clock times in the given time zone", () => {
+  assert.equal(
+    scheduleHelper.zonedToUtc("2024-03-05T15:00", "Asia/Kolkata").toISOString(),
+    "2024-03-05T09:30:00.000Z"
+  );
+  // London is on summer time (UTC+1) after the last Sunday of March.
+  assert.equal(
+    scheduleHelper.zonedToUtc("2024-04-02T10:00", "Europe/London").toISOString(),
+    "2024-04-02T09:00:00.000Z"
+  );
+  assert.equal(scheduleHelper.zonedToUtc("tomorrow", "Asia/Kolkata"), null);
+});
+
+test("findOverlaps keeps common times long enough for the meeting, earliest first", () => {
+  const a = [
+    slot("2024-03-06T09:00Z", "2024-03-06T12:00Z"),
+    slot("2024-03-05T09:00Z", "2024-03-05T10:00Z"),
+  ];
+  const b = [
+    slot("2024-03-05T09:45Z", "2024-03-05T11:00Z"),
+    slot("2024-03-06T11:00Z", "2024-03-06T13:00Z"),
+  ];
+  assert.deepEqual(scheduleHelper.findOverlaps(a, b, 30), [
+    slot("2024-03-06T11:00Z", "2024-03-06T12:00Z"),
+  ]);
+  assert.equal(scheduleHelper.findOverlaps(a, b, 15).length, 2);
+});
+
+test("normalizeSlots drops past, inverted and far-off ranges", () => {
+  const now = new Date("2024-03-05T00:00:00Z");
+  const slots = scheduleHelper.normalizeSlots(
+    [
+      { start: "2024-03-04T10:00", end: "2024-03-04T11:00" },
+      { start: "2024-03-06T12:00", end: "2024-03-06T11:00" },
+      { start: "2024-09-01T10:00", end: "2024-09-01T11:00" },
+      { start: "2024-03-06T10:00", end: "2024-03-06T11:00" },
+    ],
+    "UTC",
+    now
+  );
+  assert.deepEqual(slots, [slot("2024-03-06T10:00Z", "2024-03-06T11:00Z")]);
+});
+
+test("mentionsTime spots messages that may give times", () => {
+  assert.equal(scheduleHelper.mentionsTime("Tue 3-6pm"), true);
+  assert.equal(scheduleHelper.mentionsTime("tomorrow morning works"), true);
+  assert.equal(scheduleHelper.mentionsTime("Thursday after lunch"), true);
+  assert.equal(scheduleHelper.mentionsTime("I'm satisfied with the role"), false);
+  assert.equal(scheduleHelper.mentionsTime("thanks!"), false);
+});
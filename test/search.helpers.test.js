@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const searchHelper = require("../helpers/search.helpers");
+
+test("bm25 ranks documents matching more and rarer terms first", () => {
+  const documents = [
+    { id: "java", text: "Java Spring backend developer" },
+    { id: "react", text: "React frontend developer" },
+    { id: "full", text: "React Node full stack developer" },
+    { id: "none", text: "Chartered accountant" },
+  ];
+  const ranked = searchHelper.bm25(documents, "react node developer");
+  assert.deepEqual(
+    ranked.map((r) => r.id),
+    ["full", "react", "java", "none"]
+  );
+  assert.deepEqual(ranked[0].matchedTerms.sort(), ["developer", "node", "react"]);
+  assert.equal(ranked[3].score, 0);
+  assert.deepEqual(ranked[3].matchedTerms, []);
+});
+
+test("bm25 handles an empty collection", () => {
+  assert.deepEqual(searchHelper.bm25([], "react"), []);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sendQueue } = require("./support/queues");
+const createRedis = require("./support/redis");
+const SendQueueService = require("../services/sendQueue.service");
+const createSendProcessor = require("../jobs/send.job");
+
+const JID = "911234567890@s.whatsapp.net";
+
+function setUp() {
+  sendQueue.jobs.length = 0;
+  return new SendQueueService(createRedis());
+}
+
+test("replies to someone who just wrote go in the chat lane, first", async () => {
+  const service = setUp();
+  await service.noteInbound(JID);
+  await service.enqueue(JID, { kind: "text", text: "Thanks for writing" });
+  await service.enqueue("919876543210@s.whatsapp.net", { kind: "text", text: "A role you might like" });
+
+  assert.deepEqual(
+    sendQueue.jobs.map((job) => [job.data.lane, job.opts.priority]),
+    [["chat", 1], ["bulk", 10]]
+  );
+});
+
+test("a chat keeps using the bulk lane until its bulk messages are sent", async () => {
+  const service = setUp();
+  await service.enqueue(JID, { kind: "text", text: "A role you might like" });
+  await service.noteInbound(JID);
+  assert.equal(await service.laneFor(JID), "bulk");
+
+  await service.settle(JID, "bulk");
+  assert.equal(await service.laneFor(JID), "chat");
+  await service.enqueue(JID, { kind: "text", text: "Great, tell me more" });
+  assert.deepEqual(sendQueue.jobs.at(-1).data, { jid: JID, lane: "chat", kind: "text", text: "Great, tell me more" });
+  assert.equal(sendQueue.jobs.at(-1).opts.priority, 1);
+});
+
+test("dead letters are listed newest first and can be queued again", async () => {
+  const service = setUp();
+  const first = await service.deadLetter({ jid: JID, lane: "bulk", kind: "text", text: "one" }, new Error("bad number"), 1);
+  await service.deadLetter({ jid: JID, lane: "chat", kind: "text", text: "two" }, new Error("timed out"), 5);
+
+  assert.deepEqual(
+    (await service.listDeadLetters()).map((entry) => [entry.text, entry.error, entry.attempts]),
+    [["two", "timed out", 5], ["one", "bad number", 1]]
+  );
+  await service.retryDeadLetter(first.id);
+  assert.deepEqual(sendQueue.jobs.map((job) => job.data.text), ["one"]);
+  assert.equal((await service.listDeadLetters()).length, 1);
+  assert.equal(await service.retryDeadLetter(first.id), null);
+});
+
+test("the send worker dead-letters a message it can't deliver and settles its lane", async (t) => {
+  const service = setUp();
+  t.mock.method(console, "error", () => {});
+  await service.enqueue(JID, { kind: "text", text: "A role you might like" });
+  const noop = async () => {};
+  const whatsAppService = {
+    transport: { startTyping: noop, stopTyping: noop },
+    deliverText: async () => {
+      throw Object.assign(new Error("not on WhatsApp"), { statusCode: 400 });
+    },
+  };
+  const processJob = createSendProcessor(
+    { whatsAppService, sendQueueService: service },
+    { bulkMinGapMs: 0, bulkMaxGapMs: 0 }
+  );
+
+  const result = await processJob(sendQueue.jobs[0]);
+  assert.equal(result.sent, false);
+  const [entry] = await service.listDeadLetters();
+  assert.equal(entry.id, result.deadLetterId);
+  assert.deepEqual([entry.text, entry.error, entry.attempts], ["A role you might like", "not on WhatsApp", 1]);
+  // Nothing is pending any more, so a fresh reply may use the chat lane.
+  await service.noteInbound(JID);
+  assert.equal(await service.laneFor(JID), "chat");
+});
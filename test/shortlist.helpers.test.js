@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const shortlistHelper = require("../helpers/shortlist.helpers");
+
+test("parseCommand reads shortlist, reject, more-like and schedule commands", () => {
+  assert.deepEqual(shortlistHelper.parseCommand("shortlist 2"), { action: "shortlist", numbers: [2] });
+  assert.deepEqual(shortlistHelper.parseCommand("Reject #3 and 4, 3"), {
+    action: "reject",
+    numbers: [3, 4],
+  });
+  assert.deepEqual(shortlistHelper.parseCommand("more like 1 and 2"), { action: "more", numbers: [1] });
+  assert.deepEqual(shortlistHelper.parseCommand("schedule 2."), { action: "schedule", numbers: [2] });
+});
+
+test("parseCommand ignores ordinary messages", () => {
+  assert.equal(shortlistHelper.parseCommand("can you shortlist someone senior?"), null);
+  assert.equal(shortlistHelper.parseCommand("shortlist"), null);
+});
+
+test("parseConsent reads short yes/no answers", () => {
+  assert.equal(shortlistHelper.parseConsent("Yes!"), true);
+  assert.equal(shortlistHelper.parseConsent("👍"), true);
+  assert.equal(shortlistHelper.parseConsent("haan ji"), true);
+  assert.equal(shortlistHelper.parseConsent("nope"), false);
+  assert.equal(shortlistHelper.parseConsent("not now, thanks"), false);
+  assert.equal(shortlistHelper.parseConsent("what's the salary?"), null);
+  assert.equal(
+    shortlistHelper.parseConsent("yes, but first tell me more about the team please"),
+    null
+  );
+});
+
+test("parseConsent in bare mode leaves answers with more to them", () => {
+  const bare = { bare: true };
+  assert.equal(shortlistHelper.parseConsent("yes", bare), true);
+  assert.equal(shortlistHelper.parseConsent("ok, thanks!", bare), true);
+  assert.equal(shortlistHelper.parseConsent("no.", bare), false);
+  assert.equal(shortlistHelper.parseConsent("ok but make it remote", bare), null);
+  assert.equal(shortlistHelper.parseConsent("no, budget is 25 LPA", bare), null);
+});
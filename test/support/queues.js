@@ -0,0 +1,42 @@
+/**
+ * Stands in for config/bullmq in tests, so requiring a service doesn't open
+ * Redis connections. Every queue records the jobs added to it.
+ * Require this before the service under test.
+ */
+const path = require("path");
+
+function createQueue(name) {
+  return {
+    name,
+    jobs: [],
+    async add(jobName, data, options = {}) {
+      const job = { id: options.jobId || String(this.jobs.length + 1), name: jobName, data, opts: options };
+      this.jobs.push(job);
+      return job;
+    },
+    async getJob(id) {
+      return this.jobs.find((job) => job.id === id) || null;
+    },
+  };
+}
+
+const queues = {
+  outreachQueue: createQueue("outreach-queue"),
+  followUpQueue: createQueue("followup-queue"),
+  sendQueue: createQueue("send-queue"),
+  nudgeQueue: createQueue("nudge-queue"),
+  meetingQueue: createQueue("meeting-queue"),
+  registerWorker: () => null,
+};
+
+const file = path.join(__dirname, "..", "..", "config", "bullmq.js");
+require.cache[file] = { id: file, filename: file, loaded: true, exports: queues };
+
+/**
+ * Forgets the jobs added so far.
+ */
+queues.reset = () => {
+  for (const queue of Object.values(queues)) if (queue.jobs) queue.jobs.length = 0;
+};
+
+module.exports = queues;
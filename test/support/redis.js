@@ -0,0 +1,59 @@
+/**
+ * An in-memory stand-in for the node-redis client, with just the commands the
+ * services call. Expiry options are accepted and ignored.
+ */
+function createRedis() {
+  const store = new Map();
+  const list = (key) => store.get(key) || [];
+  const range = (items, start, stop) => items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1);
+  return {
+    store,
+    async get(key) {
+      return store.has(key) ? String(store.get(key)) : null;
+    },
+    async set(key, value) {
+      store.set(key, String(value));
+      return "OK";
+    },
+    async exists(key) {
+      return store.has(key) ? 1 : 0;
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    },
+    async expire() {
+      return 1;
+    },
+    async incr(key) {
+      store.set(key, String(Number(store.get(key) || 0) + 1));
+      return Number(store.get(key));
+    },
+    async decr(key) {
+      store.set(key, String(Number(store.get(key) || 0) - 1));
+      return Number(store.get(key));
+    },
+    async lPush(key, value) {
+      store.set(key, [value, ...list(key)]);
+      return list(key).length;
+    },
+    async lTrim(key, start, stop) {
+      store.set(key, range(list(key), start, stop));
+      return "OK";
+    },
+    async lRange(key, start, stop) {
+      return range(list(key), start, stop);
+    },
+    async lRem(key, count, value) {
+      const items = list(key);
+      const index = items.indexOf(value);
+      if (index === -1) return 0;
+      store.set(key, items.filter((_, i) => i !== index));
+      return 1;
+    },
+    async lLen(key) {
+      return list(key).length;
+    },
+  };
+}
+
+module.exports = createRedis;
@@ -0,0 +1,184 @@
+const pino = require('pino');
+const qrcode = require('qrcode-terminal');
+const MessagingTransport = require('./transport');
+const TypingManager = require('../services/typing.manager');
+const whatsAppHelper = require('../helpers/whatsapp.helpers');
+
+let makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, downloadContentFromMessage;
+
+async function loadBaileys() {
+    const baileys = await import('@whiskeysockets/baileys');
+    makeWASocket = baileys.default;
+    useMultiFileAuthState = baileys.useMultiFileAuthState;
+    DisconnectReason = baileys.DisconnectReason;
+    fetchLatestBaileysVersion = baileys.fetchLatestBaileysVersion;
+    downloadContentFromMessage = baileys.downloadContentFromMessage;
+}
+
+class BaileysTransport extends MessagingTransport {
+    /**
+     * Transport backed by the unofficial Baileys WhatsApp Web client.
+     * It handles connection, QR authentication, media download and
+     * parsing of raw Baileys messages into normalized inbound messages.
+     * @param {object} [opts]
+     * @param {string} [opts.authDir='baileys_auth_info'] - Where Baileys keeps its session.
+     * @param {number} [opts.documentCharLimit=3000] - Max chars per chunk of document text.
+     */
+    constructor({ authDir = 'baileys_auth_info', documentCharLimit = 3000 } = {}) {
+        super();
+        this.sock = null;
+        this.typing = null;
+        this.authDir = authDir;
+        this.documentCharLimit = documentCharLimit;
+    }
+
+    /**
+     * Initializes the Baileys client, sets up event listeners, and connects to WhatsApp.
+     */
+    async initialize() {
+        if (!makeWASocket) await loadBaileys();
+
+        const { state, saveCreds } = await useMultiFileAuthState(this.authDir);
+        const { version } = await fetchLatestBaileysVersion();
+
+        this.sock = makeWASocket({
+            version,
+            logger: pino({ level: 'silent' }),
+            printQRInTerminal: false,
+            auth: state,
+        });
+
+        this.setupEventListeners(saveCreds);
+        if (this.typing) await this.typing.stopAll();
+        this.typing = new TypingManager(this.sock, { heartbeatMs: 4000 });
+    }
+
+    /**
+     * Centralizes all Baileys event listeners for clean initialization.
+     */
+    setupEventListeners(saveCreds) {
+        this.sock.ev.on('connection.update', this.handleConnectionUpdate.bind(this));
+        this.sock.ev.on('creds.update', saveCreds);
+        this.sock.ev.on('messages.upsert', this.handleMessagesUpsert.bind(this));
+    }
+
+    /**
+     * Handles connection status changes, including QR code generation and reconnection logic.
+     */
+    handleConnectionUpdate(update) {
+        const { connection, lastDisconnect, qr } = update;
+        if (qr) {
+            console.log('⚡ Scan this QR code with your WhatsApp:');
+            qrcode.generate(qr, { small: true });
+        }
+        if (connection === 'close') {
+            const shouldReconnect = (lastDisconnect.error)?.output?.statusCode !== DisconnectReason.loggedOut;
+            console.log('❌ Connection closed. Reconnecting:', shouldReconnect);
+            if (shouldReconnect) this.initialize();
+        } else if (connection === 'open') {
+            console.log('✅ WhatsApp connection established.');
+        }
+    }
+
+    async streamToBuffer(stream) {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Parses a raw Baileys `messages.upsert` event into a normalized inbound
+     * message and emits it.
+     */
+    async handleMessagesUpsert(m) {
+        const message = m.messages[0];
+        // Ignore notifications, status updates, and messages sent by the bot itself.
+        if (!message.message || message.key.fromMe) return;
+        const jid = message.key.remoteJid;
+        const content = message.message.conversation || message.message.extendedTextMessage?.text ||
+            message.message.imageMessage?.caption || message.message.documentMessage?.caption || '';
+        const pushName = message.pushName || 'User';
+
+        // Groups are where we introduce people to each other; the bot stays quiet there.
+        if (!jid || jid.endsWith('@g.us')) return;
+
+        // Documents, voice notes and images are downloaded first so we can parse/transcribe/OCR and save them
+        let fileBuffer = null;
+        const downloadType = ['document', 'audio', 'image'].find((type) => message.message[`${type}Message`]);
+        if (downloadType) {
+            try {
+                const stream = await downloadContentFromMessage(message.message[`${downloadType}Message`], downloadType);
+                fileBuffer = await this.streamToBuffer(stream);
+                console.log(`✅ ${downloadType} downloaded, bytes:`, fileBuffer.length);
+            } catch (err) {
+                console.error('❌ downloadContentFromMessage failed:', err);
+            }
+        }
+
+        const { isMedia, mediaType, savedPath } = whatsAppHelper.detectMessagemediaType(message, jid, fileBuffer);
+        let retrievedText = '';
+        let documentChunks = [];
+        if (isMedia && mediaType == 'document') {
+            // Read the bytes downloaded above instead of fetching the document again.
+            const download = fileBuffer ? async () => [fileBuffer] : downloadContentFromMessage;
+            ({ text: retrievedText, chunks: documentChunks } = await whatsAppHelper.extractDocumentText(message, download, this.documentCharLimit));
+        }
+
+        this.emitMessage({ jid, content, pushName, isMedia, mediaType, retrievedText, documentChunks, filePath: savedPath, raw: message });
+    }
+
+    async sendText(jid, text) {
+        await this.sock.sendMessage(jid, { text });
+    }
+
+    async sendMedia(jid, media) {
+        const source = media.buffer || { url: media.filePath };
+        let content;
+        switch (media.mediaType) {
+            case 'image':
+                content = { image: source, caption: media.caption, mimetype: media.mimetype };
+                break;
+            case 'video':
+                content = { video: source, caption: media.caption, mimetype: media.mimetype };
+                break;
+            case 'audio':
+                content = { audio: source, mimetype: media.mimetype || 'audio/mp4' };
+                break;
+            default:
+                content = {
+                    document: source,
+                    mimetype: media.mimetype || 'application/octet-stream',
+                    fileName: media.fileName,
+                    caption: media.caption,
+                };
+        }
+        await this.sock.sendMessage(jid, content);
+    }
+
+    async sendContact(jid, contact) {
+        await this.sock.sendMessage(jid, {
+            contacts: { displayName: contact.name, contacts: [{ vcard: whatsAppHelper.buildVcard(contact) }] }
+        });
+    }
+
+    async createGroup(subject, participantJids) {
+        const group = await this.sock.groupCreate(subject, participantJids);
+        return group.id;
+    }
+
+    async startTyping(jid) {
+        // No duration: typing runs until stopTyping is called.
+        await this.typing.startTyping(jid, null);
+    }
+
+    async stopTyping(jid) {
+        await this.typing.stopTyping(jid);
+    }
+
+    async markRead(message) {
+        if (!message.raw?.key) return;
+        await this.sock.readMessages([message.raw.key]);
+    }
+}
+
+module.exports = BaileysTransport;
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const express = require("express");
+const MessagingTransport = require("./transport");
+const whatsAppHelper = require("../helpers/whatsapp.helpers");
+
+const GRAPH_URL = "https://graph.facebook.com";
+
+// Cloud API message types mapped to the Baileys message keys our helpers understand.
+const CLOUD_TO_BAILEYS_TYPE = {
+  image: "imageMessage",
+  video: "videoMessage",
+  audio: "audioMessage",
+  sticker: "stickerMessage",
+  document: "documentMessage",
+  contacts: "contactMessage",
+  location: "locationMessage",
+};
+
+/**
+ * Transport for the official WhatsApp Business Cloud API. Outbound messages are
+ * sent through the Graph API; inbound messages arrive on the webhook router
+ * returned by `createWebhookRouter()`, which the HTTP server mounts.
+ *
+ * JIDs stay in the `<phone>@s.whatsapp.net` form used everywhere else in the app
+ * and are converted to plain phone numbers at the API boundary.
+ */
+class CloudApiTransport extends MessagingTransport {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.token=process.env.WA_CLOUD_TOKEN] - Permanent access token.
+   * @param {string} [opts.phoneNumberId=process.env.WA_CLOUD_PHONE_NUMBER_ID]
+   * @param {string} [opts.verifyToken=process.env.WA_CLOUD_VERIFY_TOKEN] - Webhook verification token.
+   * @param {string} [opts.appSecret=process.env.WA_CLOUD_APP_SECRET] - Used to check webhook signatures.
+   * @param {string} [opts.apiVersion=process.env.WA_CLOUD_API_VERSION || "v21.0"]
+   * @param {number} [opts.documentCharLimit=3000] - Max chars per chunk of document text.
+   */
+  constructor({
+    token = process.env.WA_CLOUD_TOKEN,
+    phoneNumberId = process.env.WA_CLOUD_PHONE_NUMBER_ID,
+    verifyToken = process.env.WA_CLOUD_VERIFY_TOKEN,
+    appSecret = process.env.WA_CLOUD_APP_SECRET,
+    apiVersion = process.env.WA_CLOUD_API_VERSION || "v21.0",
+    documentCharLimit = 3000,
+  } = {}) {
+    super();
+    this.token = token;
+    this.phoneNumberId = phoneNumberId;
+    this.verifyToken = verifyToken;
+    this.appSecret = appSecret;
+    this.apiVersion = apiVersion;
+    this.documentCharLimit = documentCharLimit;
+    // The typing indicator is tied to the last inbound message id of a chat.
+    this.lastInboundId = new Map();
+  }
+
+  async initialize() {
+    if (!this.token || !this.phoneNumberId) {
+      throw new Error(
+        "CloudApiTransport requires WA_CLOUD_TOKEN and WA_CLOUD_PHONE_NUMBER_ID."
+      );
+    }
+    console.log("☁️ WhatsApp Cloud API transport ready. Waiting for webhooks.");
+  }
+
+  /**
+   * Express router for the Meta webhook: GET performs the subscription
+   * handshake, POST receives message events. Without WA_CLOUD_APP_SECRET
+   * signatures can't be checked, so message events are refused.
+   * @returns {express.Router}
+   */
+  createWebhookRouter() {
+    const router = express.Router();
+    if (!this.appSecret) {
+      console.warn(
+        "⚠️ WA_CLOUD_APP_SECRET is not set: the Cloud API webhook refuses inbound messages until it is."
+      );
+    }
+
+    router.get("/", (req, res) => {
+      const mode = req.query["hub.mode"];
+      const token = req.query["hub.verify_token"];
+      if (mode === "subscribe" && token && token === this.verifyToken) {
+        return res.status(200).send(req.query["hub.challenge"]);
+      }
+      res.sendStatus(403);
+    });
+
+    router.post(
+      "/",
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      }),
+      (req, res) => {
+        if (!this.appSecret) {
+          return res
+            .status(503)
+            .json({ error: "Webhook is disabled. Set WA_CLOUD_APP_SECRET to enable it." });
+        }
+        if (!this.isValidSignature(req)) return res.sendStatus(401);
+        // Acknowledge straight away; Meta retries slow webhooks.
+        res.sendStatus(200);
+        this.handleWebhook(req.body).catch((err) =>
+          console.error("❌ Failed to process Cloud API webhook:", err)
+        );
+      }
+    );
+
+    return router;
+  }
+
+  /**
+   * Checks the X-Hub-Signature-256 header against the raw body.
+   * @param {express.Request} req
+   * @returns {boolean} False when there is no app secret to check with.
+   */
+  isValidSignature(req) {
+    if (!this.appSecret) return false;
+    const header = req.get("x-hub-signature-256") || "";
+    const expected =
+      "sha256=" +
+      crypto
+        .createHmac("sha256", this.appSecret)
+        .update(req.rawBody || "")
+        .digest("hex");
+    return (
+      header.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected))
+    );
+  }
+
+  /**
+   * Normalizes every message in a webhook payload and emits it.
+   * @param {object} body - The parsed webhook payload.
+   */
+  async handleWebhook(body) {
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const names = new Map(
+          (value.contacts || []).map((c) => [c.wa_id, c.profile?.name])
+        );
+        for (const msg of value.messages || []) {
+          const message = await this.normalize(msg, names.get(msg.from));
+          if (message) this.emitMessage(message);
+        }
+      }
+    }
+  }
+
+  async normalize(msg, pushName) {
+    const jid = `${msg.from}@s.whatsapp.net`;
+    this.lastInboundId.set(jid, msg.id);
+
+    const payload = msg[msg.type] || {};
+    const content =
+      msg.type === "text" ? msg.text?.body || "" : payload.caption || "";
+
+    // Shape the message like Baileys so the shared helpers can classify it.
+    const raw = { key: { remoteJid: jid, id: msg.id }, message: {} };
+    const baileysKey = CLOUD_TO_BAILEYS_TYPE[msg.type];
+    if (baileysKey) {
+      raw.message[baileysKey] = {
+        mimetype: payload.mime_type,
+        fileName: payload.filename,
+        caption: payload.caption,
+      };
+    } else {
+      raw.message.conversation = content;
+    }
+
+    let fileBuffer = null;
+    if (["document", "audio", "image"].includes(msg.type) && payload.id) {
+      try {
+        fileBuffer = await this.downloadMedia(payload.id);
+      } catch (err) {
+        console.error("❌ Cloud API media download failed:", err.message);
+      }
+    }
+
+    const { isMedia, mediaType, savedPath } =
+      whatsAppHelper.detectMessagemediaType(raw, jid, fileBuffer);
+    let retrievedText = "";
+    let documentChunks = [];
+    if (isMedia && mediaType == "document" && fileBuffer) {
+      ({ text: retrievedText, chunks: documentChunks } =
+        await whatsAppHelper.extractDocumentText(
+          raw,
+          async () => [fileBuffer],
+          this.documentCharLimit
+        ));
+    }
+
+    return {
+      jid,
+      content,
+      pushName: pushName || "User",
+      isMedia,
+      mediaType,
+      retrievedText,
+      documentChunks,
+      filePath: savedPath,
+      raw: msg,
+    };
+  }
+
+  /**
+   * Resolves a media id to its URL and downloads the bytes.
+   * @param {string} mediaId
+   * @returns {Promise<Buffer>}
+   */
+  async downloadMedia(mediaId) {
+    const { data: meta } = await axios.get(
+      `${GRAPH_URL}/${this.apiVersion}/${mediaId}`,
+      { headers: this._headers() }
+    );
+    const { data } = await axios.get(meta.url, {
+      headers: this._headers(),
+      responseType: "arraybuffer",
+    });
+    return Buffer.from(data);
+  }
+
+  async sendText(jid, text) {
+    await this._post("messages", {
+      messaging_product: "whatsapp",
+      to: toPhone(jid),
+      type: "text",
+      text: { body: text },
+    });
+  }
+
+  async sendMedia(jid, media) {
+    const type = ["image", "audio", "video"].includes(media.mediaType)
+      ? media.mediaType
+      : "document";
+    const mediaId = await this.uploadMedia(media);
+    const body = { id: mediaId };
+    if (media.caption && type !== "audio") body.caption = media.caption;
+    if (type === "document") {
+      body.filename =
+        media.fileName || (media.filePath && path.basename(media.filePath));
+    }
+    await this._post("messages", {
+      messaging_product: "whatsapp",
+      to: toPhone(jid),
+      type,
+      [type]: body,
+    });
+  }
+
+  async sendContact(jid, contact) {
+    const phone = toPhone(contact.jid);
+    await this._post("messages", {
+      messaging_product: "whatsapp",
+      to: toPhone(jid),
+      type: "contacts",
+      contacts: [
+        {
+          name: { formatted_name: contact.name, first_name: contact.name },
+          phones: [{ phone: `+${phone}`, wa_id: phone, type: "CELL" }],
+        },
+      ],
+    });
+  }
+
+  async createGroup(subject, participantJids) {
+    // Business numbers can't add people to a group; callers fall back to contact cards.
+    throw new Error("The WhatsApp Cloud API transport does not support creating groups.");
+  }
+
+  /**
+   * Uploads a file to the Cloud API media store.
+   * @param {import('./transport').OutboundMedia} media
+   * @returns {Promise<string>} The media id.
+   */
+  async uploadMedia(media) {
+    const buffer = media.buffer || fs.readFileSync(media.filePath);
+    const mimetype = media.mimetype || "application/octet-stream";
+    const form = new FormData();
+    form.append("messaging_product", "whatsapp");
+    form.append("type", mimetype);
+    form.append(
+      "file",
+      new Blob([buffer], { type: mimetype }),
+      media.fileName || (media.filePath && path.basename(media.filePath)) || "file"
+    );
+    const { data } = await axios.post(
+      `${GRAPH_URL}/${this.apiVersion}/${this.phoneNumberId}/media`,
+      form,
+      { headers: this._headers() }
+    );
+    return data.id;
+  }
+
+  async startTyping(jid) {
+    const messageId = this.lastInboundId.get(jid);
+    if (!messageId) return;
+    // The Cloud API shows typing as part of a read receipt; it clears itself
+    // when we reply or after ~25 seconds.
+    await this._post("messages", {
+      messaging_product: "whatsapp",
+      status: "read",
+      message_id: messageId,
+      typing_indicator: { type: "text" },
+    }).catch(() => {});
+  }
+
+  async stopTyping(jid) {
+    // Nothing to do: the Cloud API has no explicit "paused" presence.
+  }
+
+  async markRead(message) {
+    if (!message.raw?.id) return;
+    await this._post("messages", {
+      messaging_product: "whatsapp",
+      status: "read",
+      message_id: message.raw.id,
+    });
+  }
+
+  async _post(endpoint, body) {
+    const { data } = await axios.post(
+      `${GRAPH_URL}/${this.apiVersion}/${this.phoneNumberId}/${endpoint}`,
+      body,
+      { headers: this._headers() }
+    );
+    return data;
+  }
+
+  _headers() {
+    return { Authorization: `Bearer ${this.token}` };
+  }
+}
+
+function toPhone(jid) {
+  return String(jid).split("@")[0];
+}
+
+module.exports = CloudApiTransport;
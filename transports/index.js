@@ -0,0 +1,28 @@
+/**
+ * Registry of the available messaging transports. Modules are required lazily
+ * so that, for example, the loopback transport works without Baileys installed.
+ */
+const TRANSPORTS = {
+  baileys: () => require("./baileys.transport"),
+  loopback: () => require("./loopback.transport"),
+  cloud: () => require("./cloudApi.transport"),
+};
+
+/**
+ * Creates a messaging transport by name.
+ * @param {string} [name=process.env.MESSAGING_TRANSPORT || "baileys"] - "baileys", "loopback" or "cloud".
+ * @param {object} [options] - Passed to the transport's constructor.
+ * @returns {import('./transport')} The transport instance.
+ */
+function createTransport(name = process.env.MESSAGING_TRANSPORT || "baileys", options = {}) {
+  const load = TRANSPORTS[name];
+  if (!load) {
+    throw new Error(
+      `Unknown messaging transport "${name}". Expected one of: ${Object.keys(TRANSPORTS).join(", ")}`
+    );
+  }
+  const Transport = load();
+  return new Transport(options);
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const path = require("path");
+const MessagingTransport = require("./transport");
+const whatsAppHelper = require("../helpers/whatsapp.helpers");
+
+/**
+ * In-memory transport with no network behind it. Inbound messages are injected
+ * with `receive()`, and everything the app sends is recorded in `outbox` and
+ * re-emitted as a `sent` event. Used by tests and the conversation simulator.
+ */
+class LoopbackTransport extends MessagingTransport {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.documentCharLimit=3000] - Max chars per chunk of document text.
+   */
+  constructor({ documentCharLimit = 3000 } = {}) {
+    super();
+    this.documentCharLimit = documentCharLimit;
+    // [{ jid, kind: "text"|"media"|"contact", text?, media?, contact?, at }]
+    this.outbox = [];
+    // [{ jid, subject, participants }]
+    this.groups = [];
+    this.typing = new Set();
+    this.readReceipts = [];
+  }
+
+  async initialize() {
+    console.log("🔁 Loopback transport ready.");
+  }
+
+  /**
+   * Injects an inbound message as if jid had sent it.
+   * @param {string} jid
+   * @param {string|object} input - Text, or { text, pushName, document: { filePath, mimetype, fileName } }
+   *   or { pushName, audio: { filePath, mimetype } } for a voice note (filePath may be
+   *   omitted when the speech-to-text backend doesn't listen, as in the simulator),
+   *   or { text, pushName, image: { filePath, mimetype } } for a photo or screenshot
+   *   (filePath may likewise be omitted when OCR is scripted).
+   * @returns {Promise<import('./transport').InboundMessage>} The emitted message.
+   */
+  async receive(jid, input) {
+    const opts = typeof input === "string" ? { text: input } : input || {};
+    const content = opts.text || "";
+    const pushName = opts.pushName || "User";
+
+    // Build a Baileys-shaped message so the same helpers used in production
+    // detect the media type and extract document text.
+    const raw = { key: { remoteJid: jid, fromMe: false }, message: {} };
+    let fileBuffer = null;
+    if (opts.document) {
+      fileBuffer = fs.readFileSync(opts.document.filePath);
+      raw.message.documentMessage = {
+        // Without a mimetype the type is read off the file name.
+        mimetype: opts.document.mimetype || null,
+        fileName:
+          opts.document.fileName || path.basename(opts.document.filePath),
+        caption: content,
+      };
+    } else if (opts.image) {
+      fileBuffer = opts.image.filePath
+        ? fs.readFileSync(opts.image.filePath)
+        : Buffer.alloc(0);
+      raw.message.imageMessage = {
+        mimetype: opts.image.mimetype || "image/jpeg",
+        caption: content,
+      };
+    } else if (opts.audio) {
+      fileBuffer = opts.audio.filePath
+        ? fs.readFileSync(opts.audio.filePath)
+        : Buffer.alloc(0);
+      raw.message.audioMessage = {
+        mimetype: opts.audio.mimetype || "audio/ogg; codecs=opus",
+        ptt: true,
+      };
+    } else {
+      raw.message.conversation = content;
+    }
+
+    const { isMedia, mediaType, savedPath } =
+      whatsAppHelper.detectMessagemediaType(raw, jid, fileBuffer);
+    let retrievedText = "";
+    let documentChunks = [];
+    if (isMedia && mediaType == "document") {
+      ({ text: retrievedText, chunks: documentChunks } =
+        await whatsAppHelper.extractDocumentText(
+          raw,
+          async () => [fileBuffer],
+          this.documentCharLimit
+        ));
+    }
+
+    const message = {
+      jid,
+      content,
+      pushName,
+      isMedia,
+      mediaType,
+      retrievedText,
+      documentChunks,
+      filePath: savedPath,
+      raw,
+    };
+    this.emitMessage(message);
+    return message;
+  }
+
+  async sendText(jid, text) {
+    this._record({ jid, kind: "text", text });
+  }
+
+  async sendMedia(jid, media) {
+    this._record({ jid, kind: "media", text: media.caption || "", media });
+  }
+
+  async sendContact(jid, contact) {
+    this._record({ jid, kind: "contact", text: `[contact] ${contact.name}`, contact });
+  }
+
+  async createGroup(subject, participantJids) {
+    const jid = `loopback-${this.groups.length + 1}@g.us`;
+    this.groups.push({ jid, subject, participants: participantJids });
+    return jid;
+  }
+
+  async startTyping(jid) {
+    this.typing.add(jid);
+  }
+
+  async stopTyping(jid) {
+    this.typing.delete(jid);
+  }
+
+  async markRead(message) {
+    this.readReceipts.push(message.jid);
+  }
+
+  /**
+   * Returns and clears everything sent to jid (or to everyone if omitted).
+   * @param {string} [jid]
+   * @returns {Array<object>}
+   */
+  takeOutbox(jid) {
+    const taken = this.outbox.filter((m) => !jid || m.jid === jid);
+    this.outbox = this.outbox.filter((m) => jid && m.jid !== jid);
+    return taken;
+  }
+
+  _record(entry) {
+    const sent = { ...entry, at: new Date() };
+    this.outbox.push(sent);
+    this.emit("sent", sent);
+  }
+}
+
+module.exports = LoopbackTransport;
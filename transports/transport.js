@@ -0,0 +1,125 @@
+const EventEmitter = require("events");
+
+/**
+ * @typedef {Object} InboundMessage
+ * The normalized shape every transport emits for an incoming message. This is
+ * exactly what OutreachService.handleIncomingMessage consumes.
+ * @property {string} jid - Sender JID (`<phone>@s.whatsapp.net`).
+ * @property {string} content - Text body (or caption) of the message.
+ * @property {string} pushName - Sender display name.
+ * @property {boolean} isMedia - Whether the message carries media or a link.
+ * @property {string} mediaType - One of the Message model's mediaType values.
+ * @property {string} [retrievedText] - Text extracted from an attached document:
+ *   its first chunk of at most the transport's documentCharLimit characters.
+ * @property {Array<string>} [documentChunks] - The whole document text, split at
+ *   page, then paragraph boundaries into chunks of at most documentCharLimit.
+ * @property {string|null} [filePath] - Local path of the saved attachment (documents and voice notes).
+ * @property {*} [raw] - The transport-specific original message (used for read receipts).
+ */
+
+/**
+ * @typedef {Object} OutboundMedia
+ * @property {"document"|"image"|"audio"|"video"} mediaType
+ * @property {Buffer} [buffer] - File contents. Either buffer or filePath is required.
+ * @property {string} [filePath] - Local path of the file to send.
+ * @property {string} [mimetype]
+ * @property {string} [fileName] - File name shown to the recipient (documents).
+ * @property {string} [caption]
+ */
+
+/**
+ * @typedef {Object} OutboundContact
+ * @property {string} name - Display name on the card.
+ * @property {string} jid - The contact's JID; the phone number is taken from it.
+ */
+
+/**
+ * Base class for messaging transports. A transport owns the connection to a
+ * messaging platform and translates between that platform and the app:
+ * outbound it sends text, media, contact cards, typing presence and read
+ * receipts, and creates groups; inbound it
+ * emits a `message` event carrying an {@link InboundMessage}.
+ *
+ * Subclasses must implement every method below.
+ */
+class MessagingTransport extends EventEmitter {
+  /**
+   * Connects to the platform and starts emitting `message` events.
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`);
+  }
+
+  /**
+   * Sends a text message. Must reject if the message could not be sent.
+   * @param {string} jid
+   * @param {string} text
+   */
+  async sendText(jid, text) {
+    throw new Error(`${this.constructor.name} does not implement sendText()`);
+  }
+
+  /**
+   * Sends a media message. Must reject if the message could not be sent.
+   * @param {string} jid
+   * @param {OutboundMedia} media
+   */
+  async sendMedia(jid, media) {
+    throw new Error(`${this.constructor.name} does not implement sendMedia()`);
+  }
+
+  /**
+   * Sends a contact card. Must reject if the message could not be sent.
+   * @param {string} jid
+   * @param {OutboundContact} contact
+   */
+  async sendContact(jid, contact) {
+    throw new Error(`${this.constructor.name} does not implement sendContact()`);
+  }
+
+  /**
+   * Creates a group with the given participants (the app's own number is
+   * added by the platform). Rejects on platforms without groups.
+   * @param {string} subject - The group name.
+   * @param {Array<string>} participantJids
+   * @returns {Promise<string>} The group's JID.
+   */
+  async createGroup(subject, participantJids) {
+    throw new Error(`${this.constructor.name} does not implement createGroup()`);
+  }
+
+  /**
+   * Shows the "typing..." presence to jid until stopTyping is called.
+   * @param {string} jid
+   */
+  async startTyping(jid) {
+    throw new Error(`${this.constructor.name} does not implement startTyping()`);
+  }
+
+  /**
+   * Clears the "typing..." presence for jid.
+   * @param {string} jid
+   */
+  async stopTyping(jid) {
+    throw new Error(`${this.constructor.name} does not implement stopTyping()`);
+  }
+
+  /**
+   * Sends a read receipt for an inbound message.
+   * @param {InboundMessage} message
+   */
+  async markRead(message) {
+    throw new Error(`${this.constructor.name} does not implement markRead()`);
+  }
+
+  /**
+   * Hands a normalized inbound message to the listeners.
+   * @param {InboundMessage} message
+   * @protected
+   */
+  emitMessage(message) {
+    this.emit("message", message);
+  }
+}
+
+module.exports = MessagingTransport;
@@ -0,0 +1,81 @@
+const axios = require("axios");
+const VectorStore = require("./vectorStore");
+
+/**
+ * Vector store backed by the Python "vectorFastApi" server, which embeds and
+ * indexes on its side: only texts are sent, never vectors.
+ *
+ * Searches go to its hybrid search endpoint (form field `prompt`). Upserts and
+ * deletes are JSON posts of `{ namespace, items: [{ id, text, metadata }] }` and
+ * `{ namespace, ids }`. Paths can be changed with VECTOR_API_*_PATH.
+ */
+class FastApiVectorStore extends VectorStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.baseUrl=process.env.VECTOR_API_URL || process.env.BASE_URL]
+   * @param {string} [opts.apiKey=process.env.VECTOR_API_KEY || process.env.X_API_KEY]
+   * @param {string} [opts.queryPath=process.env.VECTOR_API_QUERY_PATH || "/api/v1/hybridsearch"]
+   * @param {string} [opts.upsertPath=process.env.VECTOR_API_UPSERT_PATH || "/api/v1/upsert"]
+   * @param {string} [opts.deletePath=process.env.VECTOR_API_DELETE_PATH || "/api/v1/delete"]
+   * @param {number} [opts.timeoutMs=30000]
+   */
+  constructor({
+    baseUrl = process.env.VECTOR_API_URL || process.env.BASE_URL,
+    apiKey = process.env.VECTOR_API_KEY || process.env.X_API_KEY,
+    queryPath = process.env.VECTOR_API_QUERY_PATH || "/api/v1/hybridsearch",
+    upsertPath = process.env.VECTOR_API_UPSERT_PATH || "/api/v1/upsert",
+    deletePath = process.env.VECTOR_API_DELETE_PATH || "/api/v1/delete",
+    timeoutMs = 30000,
+  } = {}) {
+    super();
+    if (!baseUrl) {
+      throw new Error("FastApiVectorStore needs VECTOR_API_URL (or BASE_URL).");
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.paths = { query: queryPath, upsert: upsertPath, delete: deletePath };
+    this.timeoutMs = timeoutMs;
+  }
+
+  get needsVectors() {
+    return false;
+  }
+
+  _post(pathName, body, headers = {}) {
+    return axios.post(`${this.baseUrl}${this.paths[pathName]}`, body, {
+      headers: { accept: "application/json", "x-api-key": this.apiKey, ...headers },
+      timeout: this.timeoutMs,
+    });
+  }
+
+  async upsert(namespace, items) {
+    if (items.length === 0) return;
+    await this._post("upsert", {
+      namespace,
+      items: items.map(({ id, text, metadata }) => ({ id, text, metadata: metadata || null })),
+    });
+  }
+
+  async query(namespace, { text, topK = 10 }) {
+    const { data } = await this._post(
+      "query",
+      new URLSearchParams({ prompt: text, namespace, top_k: String(topK) }),
+      { "Content-Type": "application/x-www-form-urlencoded" }
+    );
+    const rows = Array.isArray(data) ? data : data.results || data.matches || data.data || [];
+    return rows
+      .map((row) => ({
+        id: row.id || row.jid || (row.phone ? `${row.phone}@s.whatsapp.net` : null),
+        score: Number(row.score ?? row.similarity ?? 0),
+        metadata: row.metadata || null,
+      }))
+      .filter((match) => match.id)
+      .slice(0, topK);
+  }
+
+  async remove(namespace, ids) {
+    await this._post("delete", { namespace, ids });
+  }
+}
+
+module.exports = FastApiVectorStore;
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const VectorStore = require("./vectorStore");
+const vectorHelper = require("../helpers/vector.helpers");
+
+/**
+ * Vector store kept in memory and persisted to a single JSON file. Meant for
+ * local development and the simulator, where no vector database is running.
+ */
+class FileVectorStore extends VectorStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.filePath=process.env.VECTOR_STORE_FILE || "data/vectors.json"]
+   */
+  constructor({ filePath = process.env.VECTOR_STORE_FILE || "data/vectors.json" } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    // namespace → Map(id → { vector, text, metadata })
+    this.namespaces = null;
+    // Writes are chained so two saves never interleave.
+    this.saving = Promise.resolve();
+  }
+
+  _load() {
+    if (this.namespaces) return;
+    this.namespaces = new Map();
+    if (!fs.existsSync(this.filePath)) return;
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    for (const [namespace, items] of Object.entries(data)) {
+      this.namespaces.set(namespace, new Map(Object.entries(items)));
+    }
+  }
+
+  _namespace(name) {
+    this._load();
+    if (!this.namespaces.has(name)) this.namespaces.set(name, new Map());
+    return this.namespaces.get(name);
+  }
+
+  _save() {
+    const snapshot = {};
+    for (const [namespace, items] of this.namespaces) {
+      snapshot[namespace] = Object.fromEntries(items);
+    }
+    const body = JSON.stringify(snapshot);
+    this.saving = this.saving.then(async () => {
+      await fsp.mkdir(path.dirname(this.filePath), { recursive: true });
+      // Write then rename, so a crash never leaves a half-written file.
+      const tmp = `${this.filePath}.tmp`;
+      await fsp.writeFile(tmp, body);
+      await fsp.rename(tmp, this.filePath);
+    });
+    return this.saving;
+  }
+
+  async upsert(namespace, items) {
+    const store = this._namespace(namespace);
+    for (const item of items) {
+      store.set(item.id, {
+        vector: item.vector,
+        text: item.text,
+        metadata: item.metadata || null,
+      });
+    }
+    await this._save();
+  }
+
+  async query(namespace, { vector, topK = 10 }) {
+    const best = vectorHelper.topK(topK);
+    for (const [id, item] of this._namespace(namespace)) {
+      best.push({ id, score: vectorHelper.cosine(vector, item.vector), metadata: item.metadata });
+    }
+    return best.values();
+  }
+
+  async remove(namespace, ids) {
+    const store = this._namespace(namespace);
+    ids.forEach((id) => store.delete(id));
+    await this._save();
+  }
+}
+
+module.exports = FileVectorStore;
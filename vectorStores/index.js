@@ -0,0 +1,28 @@
+/**
+ * Registry of the available vector stores. Modules are required lazily so that
+ * picking one never loads the others' dependencies.
+ */
+const STORES = {
+  mongo: () => require("./mongo.store"),
+  file: () => require("./file.store"),
+  fastapi: () => require("./fastapi.store"),
+};
+
+/**
+ * Creates a vector store by name.
+ * @param {string} [name=process.env.VECTOR_STORE || "mongo"] - "mongo", "file" or "fastapi".
+ * @param {object} [options] - Passed to the store's constructor.
+ * @returns {import('./vectorStore')} The store instance.
+ */
+function createVectorStore(name = process.env.VECTOR_STORE || "mongo", options = {}) {
+  const load = STORES[name];
+  if (!load) {
+    throw new Error(
+      `Unknown vector store "${name}". Expected one of: ${Object.keys(STORES).join(", ")}`
+    );
+  }
+  const Store = load();
+  return new Store(options);
+}
+
+module.exports = { createVectorStore };
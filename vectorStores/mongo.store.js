@@ -0,0 +1,81 @@
+const Vector = require("../models/vector.model");
+const VectorStore = require("./vectorStore");
+const vectorHelper = require("../helpers/vector.helpers");
+
+/**
+ * Vector store on the app's own MongoDB. Similarity is computed in the app by
+ * scanning the namespace, which is fine for tens of thousands of profiles. On
+ * MongoDB Atlas, set VECTOR_STORE_ATLAS_INDEX to the name of a vector search
+ * index on `vector` (filtered on `namespace`) to let Atlas do the search.
+ */
+class MongoVectorStore extends VectorStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.atlasIndex=process.env.VECTOR_STORE_ATLAS_INDEX]
+   */
+  constructor({ atlasIndex = process.env.VECTOR_STORE_ATLAS_INDEX } = {}) {
+    super();
+    this.atlasIndex = atlasIndex || null;
+  }
+
+  async upsert(namespace, items) {
+    if (items.length === 0) return;
+    await Vector.bulkWrite(
+      items.map((item) => ({
+        updateOne: {
+          filter: { namespace, refId: item.id },
+          update: {
+            $set: {
+              vector: item.vector,
+              text: item.text,
+              metadata: item.metadata || null,
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  async query(namespace, { vector, topK = 10 }) {
+    if (this.atlasIndex) return this.atlasQuery(namespace, vector, topK);
+
+    const best = vectorHelper.topK(topK);
+    const cursor = Vector.find({ namespace }, { refId: 1, vector: 1, metadata: 1 })
+      .lean()
+      .cursor();
+    for await (const doc of cursor) {
+      best.push({
+        id: doc.refId,
+        score: vectorHelper.cosine(vector, doc.vector),
+        metadata: doc.metadata,
+      });
+    }
+    return best.values();
+  }
+
+  async atlasQuery(namespace, vector, topK) {
+    const docs = await Vector.aggregate([
+      {
+        $vectorSearch: {
+          index: this.atlasIndex,
+          path: "vector",
+          queryVector: vector,
+          numCandidates: Math.max(topK * 10, 100),
+          limit: topK,
+          filter: { namespace },
+        },
+      },
+      { $project: { refId: 1, metadata: 1, score: { $meta: "vectorSearchScore" } } },
+    ]);
+    // Atlas reports cosine as (1 + similarity) / 2; convert back so scores
+    // mean the same thing whichever path answered.
+    return docs.map((d) => ({ id: d.refId, score: d.score * 2 - 1, metadata: d.metadata }));
+  }
+
+  async remove(namespace, ids) {
+    await Vector.deleteMany({ namespace, refId: { $in: ids } });
+  }
+}
+
+module.exports = MongoVectorStore;
@@ -0,0 +1,65 @@
+/**
+ * @typedef {Object} VectorItem
+ * @property {string} id - Stable id of the embedded thing (a user's JID, a query id...).
+ * @property {Array<number>|null} vector - The embedding; null for stores that embed server-side.
+ * @property {string} text - The text that was embedded.
+ * @property {Object} [metadata] - Extra fields stored alongside (never used for scoring).
+ */
+
+/**
+ * @typedef {Object} VectorMatch
+ * @property {string} id
+ * @property {number} score - Cosine similarity, higher is closer.
+ * @property {Object} [metadata]
+ */
+
+/**
+ * Base class for vector stores. A store keeps embeddings in namespaces
+ * ("profiles", "queries") and answers top-k similarity queries.
+ *
+ * Subclasses must implement every method below.
+ */
+class VectorStore {
+  /**
+   * Whether callers must compute vectors before `upsert` and `query`. Stores
+   * that embed on their side (e.g. the Python vector server) set this to false
+   * and work from `text` alone.
+   * @type {boolean}
+   */
+  get needsVectors() {
+    return true;
+  }
+
+  /**
+   * Inserts or replaces items.
+   * @param {string} namespace
+   * @param {Array<VectorItem>} items
+   */
+  async upsert(namespace, items) {
+    throw new Error(`${this.constructor.name} does not implement upsert()`);
+  }
+
+  /**
+   * Finds the items closest to a vector (or text).
+   * @param {string} namespace
+   * @param {Object} query
+   * @param {Array<number>|null} query.vector
+   * @param {string} query.text
+   * @param {number} [query.topK=10]
+   * @returns {Promise<Array<VectorMatch>>} Closest first.
+   */
+  async query(namespace, { vector, text, topK = 10 }) {
+    throw new Error(`${this.constructor.name} does not implement query()`);
+  }
+
+  /**
+   * Removes items by id. Missing ids are ignored.
+   * @param {string} namespace
+   * @param {Array<string>} ids
+   */
+  async remove(namespace, ids) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+}
+
+module.exports = VectorStore;